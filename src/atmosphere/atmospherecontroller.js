@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { TimeOfDay } from './timeofday.js';
 import { calculatePreset, applyPreset } from './lightingpresets.js';
 import { Weather } from './weather.js';
+import { WeatherScheduler } from './weatherscheduler.js';
 import { SkyDome } from './skydome.js';
 
 /**
@@ -46,7 +47,9 @@ export class AtmosphereController {
         
         // Systems
         this.timeOfDay = new TimeOfDay(scene);
-        this.weather = new Weather(scene);
+        this.weather = new Weather(scene, isMobile);
+        this.weatherScheduler = null;  // Created by initWeatherSchedule()
+        this.weatherOverride = null;   // Scripted weather set via setWeather()
         this.skyDome = new SkyDome(scene);
 
         // Sky dome replaces scene.background — no flat color underneath
@@ -68,9 +71,10 @@ export class AtmosphereController {
      * @param {number} deltaTime - Time elapsed in seconds
      * @param {THREE.Vector3} heroPosition - Hero position for following lights
      * @param {number} heroRotation - Hero rotation for torch positioning
-     * @param {Object} biomeData - Current biome (for future weather)
+     * @param {Object} biomeData - Current biome ({ biome }) for weather selection
+     * @param {number} gameTime - Game clock in seconds, drives the weather schedule
      */
-    update(deltaTime, heroPosition, heroRotation, biomeData = null) {
+    update(deltaTime, heroPosition, heroRotation, biomeData = null, gameTime = 0) {
         // Update time of day and get phase
         const { phase, phaseProgress, timeOfDay } = this.timeOfDay.update(deltaTime, heroPosition);
         
@@ -89,9 +93,21 @@ export class AtmosphereController {
         this.skyDome.update(preset);
         this.skyDome.followCamera(heroPosition);
 
-        // Update weather (stub for now)
+        // Update weather particles, then dim lights for overcast skies and
+        // add lightning flashes on top of the preset
+        if (this.weatherScheduler) {
+            const scheduled = this.weatherScheduler.update(deltaTime, heroPosition, gameTime);
+            if (!this.weatherOverride) {
+                this.weather.setWeather(scheduled.type, scheduled.intensity);
+            }
+        }
+        this.weather.followCamera(heroPosition);
         this.weather.update(deltaTime, biomeData);
 
+        const { scale, flash } = this.weather.getLightModifiers();
+        this.ambientLight.intensity = this.ambientLight.intensity * scale + flash;
+        this.directionalLight.intensity = this.directionalLight.intensity * scale + flash * 0.5;
+
         // Position directional light at celestial body to create realistic shadow direction
         const celestialPos = this.timeOfDay.getCelestialPosition();
         this.directionalLight.position.copy(celestialPos);
@@ -144,6 +160,17 @@ export class AtmosphereController {
         this.scene.fog.far = this.currentFogFar;
     }
 
+    /**
+     * Drive weather from the deterministic seeded schedule
+     * @param {number} worldSeed - World seed
+     * @param {Object} continentConfig - { baseRadius, template }
+     */
+    initWeatherSchedule(worldSeed, continentConfig) {
+        this.weatherScheduler = new WeatherScheduler(worldSeed, continentConfig);
+        const wind = this.weatherScheduler.getWindDirection();
+        this.weather.setWind(wind.x, wind.z);
+    }
+
     /**
      * Toggle torch on/off
      */
@@ -228,9 +255,32 @@ export class AtmosphereController {
     
     /**
      * Set weather (for zone-specific or scripted weather)
+     * Overrides the schedule until cleared with setWeather(null)
      */
     setWeather(type, intensity = 1.0) {
-        this.weather.setWeather(type, intensity);
+        this.weatherOverride = type ? { type, intensity } : null;
+        if (type) {
+            this.weather.setWeather(type, intensity);
+        }
+    }
+
+    /**
+     * Serialize weather schedule state (for saving)
+     * @returns {Object|null} Weather section data, or null without a schedule
+     */
+    serializeWeather() {
+        return this.weatherScheduler ? this.weatherScheduler.serialize() : null;
+    }
+
+    /**
+     * Restore weather schedule state (for loading saved games)
+     * Shows the saved weather immediately instead of fading it in
+     * @param {Object} data - Weather section data from serializeWeather()
+     */
+    restoreWeather(data) {
+        if (!data || !this.weatherScheduler) return;
+        this.weatherScheduler.restore(data);
+        this.weather.setWeather(data.type || 'clear', data.intensity || 0, true);
     }
     
     /**
@@ -1,57 +1,338 @@
+import * as THREE from 'three';
+
 /**
- * Weather - Placeholder for future weather system
- * 
- * Will handle:
- * - Rain and snow particle effects
- * - Weather transitions (clear -> rain -> storm)
- * - Biome-specific weather patterns
- * - Snow accumulation on ground
- * - Volumetric cloud effects
+ * Weather - Rain, snow and storm effects
+ *
+ * Handles:
+ * - Rain and snow particle volumes (THREE.Points) that follow the camera
+ * - Smooth intensity transitions between weather types
+ * - Storm lightning flashes (exposed as light modifiers for AtmosphereController)
+ * - Biome-specific precipitation (snow in cold biomes, none in deserts)
+ *
+ * Particles live in a box centered on the camera. Positions are kept in
+ * world space relative to the box center, so moving the camera scrolls
+ * the particles instead of dragging them along.
  */
 
+// Particle volume around the camera
+const VOLUME_WIDTH = 60;    // X/Z extent
+const VOLUME_HEIGHT = 40;   // Y extent
+
+// Intensity change per second (0 -> 1 takes 4 seconds)
+const TRANSITION_RATE = 0.25;
+
+// Biome-driven precipitation
+const SNOW_BIOMES = new Set(['snow', 'tundra', 'glacier']);
+const DRY_BIOMES = new Set(['desert']);
+
+// Per-type settings
+// particle: which particle volume to show
+// fallSpeed: units/second, drift: wind slant in units/second
+// lightScale: light multiplier at full intensity
+const WEATHER_TYPES = {
+    rain:  { particle: 'rain', fallSpeed: 18, drift: 2, lightScale: 0.75, lightning: false },
+    storm: { particle: 'rain', fallSpeed: 26, drift: 6, lightScale: 0.5,  lightning: true },
+    snow:  { particle: 'snow', fallSpeed: 2.5, drift: 1, lightScale: 0.85, lightning: false }
+};
+
+// Particle volume settings (counts are reduced on mobile)
+const PARTICLE_SETTINGS = {
+    rain: { count: 6000, mobileCount: 2000, color: 0xaabbdd, size: 0.12, opacity: 0.6 },
+    snow: { count: 3000, mobileCount: 1000, color: 0xffffff, size: 0.3,  opacity: 0.9 }
+};
+
+// Lightning timing (seconds) and strength added to light intensity
+const LIGHTNING_MIN_INTERVAL = 4;
+const LIGHTNING_MAX_INTERVAL = 12;
+const LIGHTNING_DURATION = 0.35;
+const LIGHTNING_STRENGTH = 1.5;
+
 export class Weather {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene - Scene to add particle volumes to
+     * @param {boolean} isMobile - Use fewer particles
+     */
+    constructor(scene, isMobile = false) {
         this.scene = scene;
+        this.isMobile = isMobile;
+
+        // Requested weather (set by setWeather)
         this.currentWeather = 'clear';
         this.weatherIntensity = 0;
+
+        // Displayed weather: type after biome selection and its faded intensity
+        this.activeType = 'clear';
+        this.intensity = 0;
+        this.biome = null;
+
+        // Camera-following volume center
+        this.center = new THREE.Vector3();
+        this.lastCenter = null;
+
+        // Wind direction for particle drift (unit vector)
+        this.windX = 1;
+        this.windZ = 0;
+
+        // Lightning state
+        this.lightningTimer = this.nextLightningDelay();
+        this.flashTime = 0;
+        this.flash = 0;
+
+        this.time = 0;
+
+        this.volumes = {
+            rain: this.createVolume(PARTICLE_SETTINGS.rain),
+            snow: this.createVolume(PARTICLE_SETTINGS.snow)
+        };
     }
-    
+
+    /**
+     * Create a particle volume with randomly distributed particles
+     * @param {Object} settings - Entry from PARTICLE_SETTINGS
+     * @returns {{points: THREE.Points, positions: Float32Array, count: number}}
+     */
+    createVolume(settings) {
+        const count = this.isMobile ? settings.mobileCount : settings.count;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * VOLUME_WIDTH;
+            positions[i * 3 + 1] = (Math.random() - 0.5) * VOLUME_HEIGHT;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * VOLUME_WIDTH;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.PointsMaterial({
+            color: settings.color,
+            size: settings.size,
+            transparent: true,
+            opacity: settings.opacity,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
+        points.visible = false;
+        // Layer 1 (like the sun/moon) keeps particles out of gameplay raycasts
+        points.layers.set(1);
+        this.scene.add(points);
+
+        return { points, positions, count };
+    }
+
     /**
      * Update weather state
      * @param {number} deltaTime - Time elapsed in seconds
-     * @param {Object} biomeData - Current biome information
+     * @param {Object} biomeData - Current biome information ({ biome })
      */
     update(deltaTime, biomeData) {
-        // Stub - will implement weather transitions and particle effects
-        // For now, weather is always clear
+        this.time += deltaTime;
+        if (biomeData?.biome) {
+            this.biome = biomeData.biome;
+        }
+
+        // Resolve what should be showing and fade towards it.
+        // Switching type fades the old one out completely first.
+        const targetType = this.resolveType(this.currentWeather, this.biome);
+        const targetIntensity = targetType === 'clear' ? 0 : this.weatherIntensity;
+        const step = TRANSITION_RATE * deltaTime;
+
+        if (targetType !== this.activeType) {
+            this.intensity = Math.max(0, this.intensity - step);
+            if (this.intensity === 0) {
+                this.activeType = targetType;
+            }
+        } else if (this.intensity < targetIntensity) {
+            this.intensity = Math.min(targetIntensity, this.intensity + step);
+        } else {
+            this.intensity = Math.max(targetIntensity, this.intensity - step);
+        }
+
+        this.updateParticles(deltaTime);
+        this.updateLightning(deltaTime);
+    }
+
+    /**
+     * Pick the displayed weather type for the requested type and biome
+     * @param {string} type - Requested type ('clear', 'rain', 'snow', 'storm')
+     * @param {string|null} biome - Biome at the camera
+     * @returns {string} Displayed type
+     */
+    resolveType(type, biome) {
+        if (type === 'clear' || !WEATHER_TYPES[type]) return 'clear';
+        if (DRY_BIOMES.has(biome)) return 'clear';
+        if (SNOW_BIOMES.has(biome)) return 'snow';
+        return type;
+    }
+
+    /**
+     * Move particles and show the volume for the active type
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    updateParticles(deltaTime) {
+        const config = WEATHER_TYPES[this.activeType];
+        const activeParticle = config && this.intensity > 0 ? config.particle : null;
+
+        // Camera movement since last frame (scrolls particles through the volume)
+        let moveX = 0, moveY = 0, moveZ = 0;
+        if (this.lastCenter) {
+            moveX = this.center.x - this.lastCenter.x;
+            moveY = this.center.y - this.lastCenter.y;
+            moveZ = this.center.z - this.lastCenter.z;
+        } else {
+            this.lastCenter = new THREE.Vector3();
+        }
+        this.lastCenter.copy(this.center);
+
+        for (const [name, volume] of Object.entries(this.volumes)) {
+            const isActive = name === activeParticle;
+            volume.points.visible = isActive;
+            if (!isActive) continue;
+
+            const drawCount = Math.floor(volume.count * this.intensity);
+            volume.points.geometry.setDrawRange(0, drawCount);
+            volume.points.position.copy(this.center);
+
+            const fall = config.fallSpeed * deltaTime;
+            const drift = config.drift * deltaTime;
+            const positions = volume.positions;
+
+            for (let i = 0; i < drawCount; i++) {
+                const ix = i * 3;
+                let x = positions[ix] - moveX + drift * this.windX;
+                let y = positions[ix + 1] - moveY - fall;
+                let z = positions[ix + 2] - moveZ + drift * this.windZ;
+
+                // Snow sways as it falls
+                if (name === 'snow') {
+                    x += Math.sin(this.time + i) * 0.3 * deltaTime;
+                    z += Math.cos(this.time * 0.7 + i) * 0.3 * deltaTime;
+                }
+
+                positions[ix] = wrap(x, VOLUME_WIDTH);
+                positions[ix + 1] = wrap(y, VOLUME_HEIGHT);
+                positions[ix + 2] = wrap(z, VOLUME_WIDTH);
+            }
+
+            volume.points.geometry.attributes.position.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Advance lightning timers during storms
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    updateLightning(deltaTime) {
+        const config = WEATHER_TYPES[this.activeType];
+
+        if (config?.lightning && this.intensity > 0) {
+            this.lightningTimer -= deltaTime;
+            if (this.lightningTimer <= 0) {
+                this.flashTime = LIGHTNING_DURATION;
+                this.lightningTimer = this.nextLightningDelay() / this.intensity;
+            }
+        }
+
+        if (this.flashTime > 0) {
+            this.flashTime = Math.max(0, this.flashTime - deltaTime);
+            // Two quick flickers decaying over the flash
+            const t = 1 - this.flashTime / LIGHTNING_DURATION;
+            const flicker = t < 0.3 ? 1 : (t < 0.45 ? 0.2 : 0.8);
+            this.flash = flicker * (1 - t);
+        } else {
+            this.flash = 0;
+        }
+    }
+
+    /**
+     * Random delay until the next lightning strike
+     * @returns {number} Seconds
+     */
+    nextLightningDelay() {
+        return LIGHTNING_MIN_INTERVAL + Math.random() * (LIGHTNING_MAX_INTERVAL - LIGHTNING_MIN_INTERVAL);
     }
-    
+
+    /**
+     * Center the particle volume on the camera
+     * @param {THREE.Vector3} position - Camera or hero position
+     */
+    followCamera(position) {
+        this.center.copy(position);
+    }
+
+    /**
+     * Set wind direction for particle drift
+     * @param {number} x - Wind direction X (unit vector)
+     * @param {number} z - Wind direction Z (unit vector)
+     */
+    setWind(x, z) {
+        this.windX = x;
+        this.windZ = z;
+    }
+
+    /**
+     * Get light modifiers for the current weather
+     * AtmosphereController multiplies light intensities by `scale`
+     * and adds `flash` for lightning.
+     * @returns {{scale: number, flash: number}}
+     */
+    getLightModifiers() {
+        const config = WEATHER_TYPES[this.activeType];
+        const scale = config ? 1 - (1 - config.lightScale) * this.intensity : 1;
+        return {
+            scale,
+            flash: this.flash * LIGHTNING_STRENGTH
+        };
+    }
+
     /**
      * Set weather type
+     * The displayed weather fades towards it; cold biomes turn precipitation
+     * into snow and deserts stay clear.
      * @param {string} type - 'clear', 'rain', 'snow', 'storm'
      * @param {number} intensity - 0-1 intensity
+     * @param {boolean} immediate - Skip the fade (e.g. when loading a save)
      */
-    setWeather(type, intensity = 1.0) {
+    setWeather(type, intensity = 1.0, immediate = false) {
         this.currentWeather = type;
-        this.weatherIntensity = intensity;
-        
-        // TODO: Spawn/update particle systems based on type
+        this.weatherIntensity = Math.max(0, Math.min(1, intensity));
+
+        if (immediate) {
+            this.activeType = this.resolveType(type, this.biome);
+            this.intensity = this.activeType === 'clear' ? 0 : this.weatherIntensity;
+        }
     }
-    
+
     /**
      * Get current weather state
      */
     getWeather() {
         return {
             type: this.currentWeather,
-            intensity: this.weatherIntensity
+            intensity: this.weatherIntensity,
+            activeType: this.activeType,
+            activeIntensity: this.intensity
         };
     }
-    
+
     /**
      * Clean up resources
      */
     dispose() {
-        // TODO: Remove particle systems
+        for (const volume of Object.values(this.volumes)) {
+            this.scene.remove(volume.points);
+            volume.points.geometry.dispose();
+            volume.points.material.dispose();
+        }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Wrap a coordinate into [-size/2, size/2)
+ */
+function wrap(value, size) {
+    const half = size / 2;
+    return ((value + half) % size + size) % size - half;
+}
@@ -0,0 +1,196 @@
+/**
+ * WeatherScheduler - Deterministic weather fronts for a continent
+ *
+ * Weather is a pure function of (world seed, game time, position):
+ * - Time is divided into slots of FRONT_INTERVAL seconds; each slot may
+ *   spawn one front, with all properties drawn from deriveSeed(worldSeed, 'weather')
+ * - A front is an ellipse that crosses the continent along the prevailing
+ *   wind direction from climategeography.js
+ * - The weather at a point is the strongest front covering it
+ *
+ * Two players with the same seed and game time see the same weather. The
+ * clock is the game's (Game.gameTime, saved with the atmosphere); the
+ * scheduler only keeps the last evaluated weather.
+ */
+
+import { deriveSeed, randomFromSeed } from '../worldgen/seeds.js';
+import { generateClimateParams } from '../world/terrain/climategeography.js';
+import { hash } from '../world/terrain/terraincore.js';
+
+// Seconds between potential fronts
+const FRONT_INTERVAL = 600;
+
+// Chance that a slot spawns a front
+const FRONT_CHANCE = 0.65;
+
+// Chance that a front is a storm (otherwise rain)
+const STORM_CHANCE = 0.25;
+
+// Front travel speed along the wind (blocks/second)
+const FRONT_SPEED = 4;
+
+// Front size ranges (blocks): width along the wind, length across it
+const FRONT_WIDTH_RANGE = [400, 1200];
+const FRONT_LENGTH_RANGE = [800, 2500];
+
+// Storm fronts only storm in their core (normalized ellipse distance)
+const STORM_CORE = 0.4;
+
+// Seconds between weather evaluations
+const EVALUATION_INTERVAL = 1.0;
+
+// Random value indices per front slot
+const SLOT_STRIDE = 8;
+
+export class WeatherScheduler {
+    /**
+     * @param {number} worldSeed - World seed
+     * @param {Object} continentConfig - { baseRadius, template }
+     */
+    constructor(worldSeed, continentConfig = {}) {
+        this.seed = deriveSeed(worldSeed, 'weather');
+        this.baseRadius = continentConfig.baseRadius || 2000;
+
+        // Same climate seed derivation as ContinentState, so the wind matches terrain climate
+        const climateSeed = Math.floor(hash(0, 0, worldSeed + 555555) * 0x7FFFFFFF);
+        const climate = generateClimateParams(climateSeed, this.baseRadius, continentConfig.template || 'default');
+        this.windDirX = climate.windDirX;
+        this.windDirZ = climate.windDirZ;
+
+        // Fronts start upwind of the coast and end downwind of it
+        this.travelDistance = this.baseRadius * 3;
+        this.frontLifetime = this.travelDistance / FRONT_SPEED;
+
+        this.current = { type: 'clear', intensity: 0 };
+        this.evaluationTimer = 0;
+        this.frontCache = new Map();
+    }
+
+    /**
+     * Re-evaluate weather at a position every EVALUATION_INTERVAL seconds
+     * @param {number} deltaTime - Time elapsed in seconds
+     * @param {THREE.Vector3} position - Position to evaluate (hero)
+     * @param {number} gameTime - Game clock in seconds (Game.gameTime)
+     * @returns {{type: string, intensity: number}} Current weather
+     */
+    update(deltaTime, position, gameTime) {
+        this.evaluationTimer -= deltaTime;
+
+        if (this.evaluationTimer <= 0) {
+            this.evaluationTimer = EVALUATION_INTERVAL;
+            this.current = this.getWeatherAt(position.x, position.z, gameTime);
+        }
+        return this.current;
+    }
+
+    /**
+     * Get weather at a world position and time
+     * @param {number} x - World X (continent centered at 0,0)
+     * @param {number} z - World Z
+     * @param {number} time - Game time in seconds
+     * @returns {{type: string, intensity: number}} Weather ('clear', 'rain' or 'storm')
+     */
+    getWeatherAt(x, z, time) {
+        let best = { type: 'clear', intensity: 0 };
+
+        // Distance along and across the wind
+        const along = x * this.windDirX + z * this.windDirZ;
+        const across = -x * this.windDirZ + z * this.windDirX;
+
+        const firstSlot = Math.floor((time - this.frontLifetime) / FRONT_INTERVAL);
+        const lastSlot = Math.floor(time / FRONT_INTERVAL);
+
+        for (let slot = firstSlot; slot <= lastSlot; slot++) {
+            const front = this.getFront(slot);
+            if (!front) continue;
+
+            const age = time - front.startTime;
+            if (age < 0 || age > this.frontLifetime) continue;
+
+            // Front center moves downwind from -travel/2 to +travel/2
+            const centerAlong = -this.travelDistance / 2 + age * FRONT_SPEED;
+            const da = (along - centerAlong) / (front.width / 2);
+            const dc = (across - front.offset) / (front.length / 2);
+            const distance = da * da + dc * dc;
+            if (distance >= 1) continue;
+
+            // Taper intensity towards the edge of the front
+            const intensity = front.intensity * (1 - distance);
+            if (intensity > best.intensity) {
+                const type = front.storm && distance < STORM_CORE ? 'storm' : 'rain';
+                best = { type, intensity };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Get the front spawned in a time slot (deterministic from seed)
+     * @param {number} slot - Slot index
+     * @returns {Object|null} Front, or null if the slot has none
+     */
+    getFront(slot) {
+        if (this.frontCache.has(slot)) {
+            return this.frontCache.get(slot);
+        }
+
+        const base = slot * SLOT_STRIDE;
+        const r = (i) => randomFromSeed(this.seed, base + i);
+
+        let front = null;
+        if (r(0) < FRONT_CHANCE) {
+            front = {
+                startTime: slot * FRONT_INTERVAL + r(1) * FRONT_INTERVAL,
+                storm: r(2) < STORM_CHANCE,
+                intensity: 0.4 + r(3) * 0.6,
+                width: lerp(FRONT_WIDTH_RANGE, r(4)),
+                length: lerp(FRONT_LENGTH_RANGE, r(5)),
+                offset: (r(6) - 0.5) * this.baseRadius * 1.5
+            };
+        }
+
+        // Only a handful of slots are live at once - keep the cache small
+        if (this.frontCache.size > 32) {
+            this.frontCache.clear();
+        }
+        this.frontCache.set(slot, front);
+        return front;
+    }
+
+    /**
+     * Get prevailing wind direction (unit vector)
+     * @returns {{x: number, z: number}}
+     */
+    getWindDirection() {
+        return { x: this.windDirX, z: this.windDirZ };
+    }
+
+    /**
+     * Serialize weather state for the save snapshot
+     * @returns {{type: string, intensity: number}}
+     */
+    serialize() {
+        return {
+            type: this.current.type,
+            intensity: this.current.intensity
+        };
+    }
+
+    /**
+     * Restore weather state from a save snapshot
+     * @param {Object} data - Weather section data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+        this.current = {
+            type: data.type || 'clear',
+            intensity: data.intensity || 0
+        };
+        this.evaluationTimer = EVALUATION_INTERVAL;
+    }
+}
+
+function lerp([min, max], t) {
+    return min + (max - min) * t;
+}
@@ -80,8 +80,8 @@ export class CameraController {
         `;
 
         const modes = [
-            { id: 'follow', label: 'Follow', shortcut: '1' },
-            { id: 'first-person', label: 'First Person', shortcut: '2' }
+            { id: 'follow', label: 'Follow', shortcut: 'Shift+1' },
+            { id: 'first-person', label: 'First Person', shortcut: 'Shift+2' }
         ];
 
         this.buttons = {};
@@ -126,10 +126,11 @@ export class CameraController {
         // Set initial active state
         this.updateButtonStates();
 
-        // Keyboard shortcuts
+        // Keyboard shortcuts (plain number keys are the ability hotbar)
         window.addEventListener('keydown', (e) => {
-            if (e.key === '1') this.setMode('follow');
-            if (e.key === '2') this.setMode('first-person');
+            if (!e.shiftKey) return;
+            if (e.code === 'Digit1') this.setMode('follow');
+            if (e.code === 'Digit2') this.setMode('first-person');
         });
     }
 
@@ -71,6 +71,11 @@ class HeightfieldCollisionProvider {
             return false;  // Hole - use voxel collision
         }
 
+        // Check for player-placed blocks (walls, bridges)
+        if (this.cache.hasPlacedBlocks(floorX, floorZ)) {
+            return false;
+        }
+
         return true;  // Heightfield terrain
     }
     
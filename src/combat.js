@@ -256,6 +256,46 @@ export class Arrow {
     }
 }
 
+/**
+ * Fireball - Glowing projectile thrown by fire imps
+ *
+ * Flies and hits like an Arrow (CombatManager treats both as enemy
+ * projectiles) but is slower, glows and leaves an ember trail.
+ */
+export class Fireball extends Arrow {
+    constructor(scene, startPosition, targetPosition, damage = 10) {
+        super(scene, startPosition, targetPosition, damage);
+        this.speed = 16;
+        this.stuckDuration = 0.4;  // Fizzles quickly on the ground
+    }
+
+    createMesh() {
+        const group = new THREE.Group();
+
+        const core = new THREE.Mesh(
+            new THREE.SphereGeometry(0.2, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xFFDD33 })
+        );
+        group.add(core);
+
+        const shell = new THREE.Mesh(
+            new THREE.SphereGeometry(0.32, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xFF4400, transparent: true, opacity: 0.6 })
+        );
+        group.add(shell);
+
+        group.position.copy(this.position);
+        return group;
+    }
+
+    createTrailParticles() {
+        const particles = super.createTrailParticles();
+        particles.material.color.setHex(0xFF6600);
+        particles.material.size = 0.3;
+        return particles;
+    }
+}
+
 /**
  * Bow - Visual weapon for archer hero
  */
@@ -0,0 +1,360 @@
+import * as THREE from 'three';
+
+/**
+ * AbilityManager - Hero skills on the hotbar
+ *
+ * Handles:
+ * - Ability definitions: energy cost, cooldown and unlock level
+ * - Hero energy pool (regenerates over time)
+ * - Casting abilities on top of CombatManager's arrow and explosion spawning
+ * - Timed effects: mounted charge movement, golem rally buff
+ *
+ * Multishot uses up crafted arrows from the inventory like normal bow shots,
+ * and fires fewer arrows when the bag runs low.
+ *
+ * Abilities unlock as HeroProgression levels up. Cooldowns and energy are
+ * not saved; a loaded game starts with every ability ready.
+ */
+
+// Energy pool shared by all abilities
+const MAX_ENERGY = 100;
+const ENERGY_REGEN = 8;  // Per second
+
+// Multishot: fan of arrows around the aim direction
+const MULTISHOT_ARROWS = 5;
+const MULTISHOT_SPREAD = Math.PI / 6;  // Full fan width
+const MULTISHOT_DAMAGE_SCALE = 0.8;    // Per arrow, of hero.arrowDamage
+
+// Charge: mounted dash that tramples mobs in the way
+const CHARGE_DURATION = 0.6;
+const CHARGE_SPEED = 28;
+const CHARGE_HIT_RADIUS = 2.0;
+const CHARGE_DAMAGE_SCALE = 1.5;  // Of hero.meleeDamage
+
+// Ground slam: hero-centred blast that spares the hero and golems
+const SLAM_RADIUS = 6;
+const SLAM_DAMAGE_SCALE = 2.0;  // Of hero.meleeDamage
+
+// Golem rally: heal golems, call them back and boost their damage
+const RALLY_HEAL_FRACTION = 0.3;
+const RALLY_DAMAGE_SCALE = 1.5;
+const RALLY_DURATION = 10;
+
+// Default aim distance when an ability is cast without a target (touch)
+const DEFAULT_AIM_DISTANCE = 20;
+
+/**
+ * Ability table, in hotbar order (slot N is bound to number key N)
+ * @type {Array<{id: string, name: string, icon: string, cost: number, cooldown: number, unlockLevel: number, requires: string|null}>}
+ */
+export const ABILITIES = [
+    { id: 'multishot', name: 'Multishot', icon: '➶', cost: 20, cooldown: 6, unlockLevel: 2, requires: 'arrows' },
+    { id: 'charge', name: 'Charge', icon: '♞', cost: 25, cooldown: 10, unlockLevel: 4, requires: 'mounted' },
+    { id: 'slam', name: 'Ground Slam', icon: '✸', cost: 35, cooldown: 12, unlockLevel: 6, requires: 'onFoot' },
+    { id: 'rally', name: 'Golem Rally', icon: '⚑', cost: 30, cooldown: 20, unlockLevel: 8, requires: 'golems' }
+];
+
+export class AbilityManager {
+    /**
+     * @param {Hero} hero - Caster
+     * @param {HeroProgression} progression - Level source for unlocks
+     * @param {CombatManager} combatManager - Spawns arrows and explosions
+     * @param {Inventory} inventory - Arrows for multishot
+     */
+    constructor(hero, progression, combatManager, inventory) {
+        this.hero = hero;
+        this.progression = progression;
+        this.combatManager = combatManager;
+        this.inventory = inventory;
+
+        this.maxEnergy = MAX_ENERGY;
+        this.energy = MAX_ENERGY;
+
+        // Seconds until each ability is ready again
+        this.cooldowns = {};
+        ABILITIES.forEach(ability => { this.cooldowns[ability.id] = 0; });
+
+        // Active charge: { timeLeft, direction, hitMobs }
+        this.charge = null;
+
+        // Rallied golems and their damage before the buff
+        this.rallied = new Map();
+        this.rallyTimeLeft = 0;
+
+        // Callbacks (injected after construction)
+        this.onFloatingNumber = null;  // (position, value, type, label?) => void
+        this.onAbilityUsed = null;     // (ability) => void
+    }
+
+    /**
+     * Tick cooldowns, energy and timed effects
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.energy = Math.min(this.maxEnergy, this.energy + ENERGY_REGEN * deltaTime);
+
+        for (const id in this.cooldowns) {
+            this.cooldowns[id] = Math.max(0, this.cooldowns[id] - deltaTime);
+        }
+
+        if (this.charge) {
+            this.updateCharge(deltaTime);
+        }
+
+        if (this.rallyTimeLeft > 0) {
+            this.rallyTimeLeft -= deltaTime;
+            if (this.rallyTimeLeft <= 0) {
+                this.endRally();
+            }
+        }
+    }
+
+    // =========================================================================
+    // State queries (hotbar)
+    // =========================================================================
+
+    /**
+     * Get an ability definition by hotbar slot
+     * @param {number} slot - 0-based slot index
+     * @returns {Object|null}
+     */
+    getAbilityInSlot(slot) {
+        return ABILITIES[slot] || null;
+    }
+
+    isUnlocked(ability) {
+        return this.progression.level >= ability.unlockLevel;
+    }
+
+    /**
+     * Fraction of the cooldown still to run
+     * @param {Object} ability - Entry from ABILITIES
+     * @returns {number} 0 (ready) to 1 (just used)
+     */
+    getCooldownFraction(ability) {
+        return this.cooldowns[ability.id] / ability.cooldown;
+    }
+
+    /**
+     * Whether the hero's current state allows the ability
+     * @param {Object} ability - Entry from ABILITIES
+     * @returns {boolean}
+     */
+    meetsRequirement(ability) {
+        switch (ability.requires) {
+            case 'mounted':
+                return this.hero.mounted && !this.hero.isMounting;
+            case 'onFoot':
+                return !this.hero.mounted && !this.hero.isMounting;
+            case 'golems':
+                return this.hero.commandedGolems.some(golem => golem.health > 0);
+            case 'arrows':
+                return this.inventory.count('arrows') > 0;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Whether the ability can be cast right now
+     * @param {Object} ability - Entry from ABILITIES
+     * @returns {boolean}
+     */
+    canUse(ability) {
+        return this.isUnlocked(ability) &&
+            this.cooldowns[ability.id] <= 0 &&
+            this.energy >= ability.cost &&
+            this.meetsRequirement(ability);
+    }
+
+    // =========================================================================
+    // Casting
+    // =========================================================================
+
+    /**
+     * Cast the ability in a hotbar slot
+     * @param {number} slot - 0-based slot index
+     * @param {THREE.Vector3} [target] - Aim point (defaults to ahead of the hero)
+     * @returns {boolean} True if the ability was cast
+     */
+    useSlot(slot, target = null) {
+        const ability = this.getAbilityInSlot(slot);
+        if (!ability || !this.canUse(ability)) return false;
+
+        switch (ability.id) {
+            case 'multishot':
+                this.castMultishot(target || this.getDefaultTarget());
+                break;
+            case 'charge':
+                this.castCharge();
+                break;
+            case 'slam':
+                this.castSlam();
+                break;
+            case 'rally':
+                this.castRally();
+                break;
+        }
+
+        this.energy -= ability.cost;
+        this.cooldowns[ability.id] = ability.cooldown;
+
+        if (this.onAbilityUsed) {
+            this.onAbilityUsed(ability);
+        }
+        return true;
+    }
+
+    /**
+     * Point ahead of the hero, for casts without a cursor
+     * @returns {THREE.Vector3}
+     */
+    getDefaultTarget() {
+        return new THREE.Vector3(
+            this.hero.position.x + Math.sin(this.hero.rotation) * DEFAULT_AIM_DISTANCE,
+            this.hero.position.y,
+            this.hero.position.z + Math.cos(this.hero.rotation) * DEFAULT_AIM_DISTANCE
+        );
+    }
+
+    /**
+     * Fire a fan of arrows centred on the target, one crafted arrow each
+     * @param {THREE.Vector3} target - Aim point
+     */
+    castMultishot(target) {
+        const start = this.hero.position.clone();
+        start.y += 2.0;  // Chest height, as Hero.shootArrow
+
+        const aim = target.clone();
+        aim.y += 0.5;
+        const offset = aim.clone().sub(start);
+        const damage = Math.round(this.hero.arrowDamage * MULTISHOT_DAMAGE_SCALE);
+        const yAxis = new THREE.Vector3(0, 1, 0);
+
+        // Narrower fan when fewer arrows are left
+        const arrows = Math.min(MULTISHOT_ARROWS, this.inventory.count('arrows'));
+        const spread = MULTISHOT_SPREAD * (arrows - 1) / (MULTISHOT_ARROWS - 1);
+        this.inventory.remove('arrows', arrows);
+
+        for (let i = 0; i < arrows; i++) {
+            const angle = arrows > 1 ? (i / (arrows - 1) - 0.5) * spread : 0;
+            const arrowTarget = start.clone().add(offset.clone().applyAxisAngle(yAxis, angle));
+            this.combatManager.spawnPlayerArrow(start, arrowTarget, damage);
+        }
+
+        if (this.hero.bow) {
+            this.hero.bow.startDraw();
+            setTimeout(() => this.hero.bow.release(), 100);
+        }
+    }
+
+    /**
+     * Start a mounted dash in the hero's facing direction
+     */
+    castCharge() {
+        this.charge = {
+            timeLeft: CHARGE_DURATION,
+            direction: new THREE.Vector3(Math.sin(this.hero.rotation), 0, Math.cos(this.hero.rotation)),
+            hitMobs: new Set()
+        };
+    }
+
+    /**
+     * Drive the hero forward and trample mobs in the way (each mob once)
+     * @param {number} deltaTime
+     */
+    updateCharge(deltaTime) {
+        const charge = this.charge;
+        charge.timeLeft -= deltaTime;
+
+        // Dismounting or running out of time ends the charge
+        if (charge.timeLeft <= 0 || !this.hero.mounted) {
+            this.charge = null;
+            return;
+        }
+
+        this.hero.velocity.x = charge.direction.x * CHARGE_SPEED;
+        this.hero.velocity.z = charge.direction.z * CHARGE_SPEED;
+
+        const mobSpawner = this.combatManager.mobSpawner;
+        if (!mobSpawner) return;
+
+        const damage = Math.round(this.hero.meleeDamage * CHARGE_DAMAGE_SCALE);
+        for (const mob of mobSpawner.getHostileMobs()) {
+            if (mob.dead || charge.hitMobs.has(mob)) continue;
+
+            const dx = mob.position.x - this.hero.position.x;
+            const dz = mob.position.z - this.hero.position.z;
+            if (dx * dx + dz * dz > CHARGE_HIT_RADIUS * CHARGE_HIT_RADIUS) continue;
+
+            charge.hitMobs.add(mob);
+            mob.takeDamage(damage);
+
+            if (this.onFloatingNumber) {
+                this.onFloatingNumber(mob.position.clone(), damage, 'damage');
+            }
+        }
+    }
+
+    /**
+     * Blast the ground around the hero
+     */
+    castSlam() {
+        this.combatManager.detonate({
+            position: this.hero.position.clone(),
+            radius: SLAM_RADIUS,
+            damage: Math.round(this.hero.meleeDamage * SLAM_DAMAGE_SCALE),
+            friendly: true
+        });
+
+        if (this.hero.sword) {
+            this.hero.sword.swing();
+        }
+    }
+
+    /**
+     * Heal the hero's golems, call them back and boost their damage
+     */
+    castRally() {
+        // Recasting refreshes the buff without stacking it
+        this.endRally();
+
+        for (const golem of this.hero.commandedGolems) {
+            if (golem.health <= 0) continue;
+
+            const heal = Math.min(
+                Math.round(golem.maxHealth * RALLY_HEAL_FRACTION),
+                golem.maxHealth - golem.health
+            );
+            golem.health += heal;
+            if (heal > 0 && this.onFloatingNumber) {
+                this.onFloatingNumber(golem.position.clone(), heal, 'heal');
+            }
+
+            this.rallied.set(golem, golem.attackDamage);
+            golem.attackDamage = Math.round(golem.attackDamage * RALLY_DAMAGE_SCALE);
+            golem.setOrder({ type: 'follow' });
+        }
+
+        this.rallyTimeLeft = RALLY_DURATION;
+    }
+
+    /**
+     * Restore rallied golems' damage
+     */
+    endRally() {
+        for (const [golem, attackDamage] of this.rallied) {
+            golem.attackDamage = attackDamage;
+        }
+        this.rallied.clear();
+        this.rallyTimeLeft = 0;
+    }
+
+    /**
+     * Cancel timed effects (e.g. when leaving a continent)
+     */
+    reset() {
+        this.charge = null;
+        this.endRally();
+    }
+}
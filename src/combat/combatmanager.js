@@ -1,4 +1,4 @@
-import { Arrow } from '../combat.js';
+import { Arrow, Fireball } from '../combat.js';
 import { Explosion } from '../mobs.js';
 
 /**
@@ -6,11 +6,14 @@ import { Explosion } from '../mobs.js';
  *
  * Owns the lifecycle of projectiles, explosions, damage routing, and combat feedback.
  * Decouples combat mechanics from the main game loop.
+ *
+ * The hero's golems (hero.commandedGolems) fight alongside the hero: they pick
+ * targets from the hostile mobs, and mobs they hit turn on them.
  */
 export class CombatManager {
     /**
      * @param {THREE.Scene} scene - For adding/removing arrow and explosion meshes
-     * @param {Hero} hero - Target for enemy attacks, source position for player arrows
+     * @param {Hero} hero - Target for enemy attacks, source position for player arrows, owner of golems
      * @param {MobSpawner} mobSpawner - Source of hostile mobs, skeleton arrows, explosions, loot
      * @param {TerrainDataProvider} terrain - Passed to arrow updates for stuck detection
      */
@@ -29,7 +32,7 @@ export class CombatManager {
         this.onHeroHeal = null;        // (amount) => void
         this.onXPGained = null;        // (amount, position) => void
         this.onLootCollected = null;   // (type, amount, position) => void
-        this.onCraterRequested = null; // (position, radius) => void
+        this.onCraterRequested = null; // (position, radius) => void - terrain damage and TNT chain reactions
         this.onFloatingNumber = null;  // (position, value, type, label?) => void
     }
 
@@ -53,10 +56,13 @@ export class CombatManager {
         // 5. Check melee attacks via mobSpawner
         this.checkMeleeAttacks();
 
-        // 6. Process XP for newly dead mobs with killedByPlayer flag
+        // 6. Golems pick targets and trade melee blows with mobs
+        this.updateGolemCombat();
+
+        // 7. Process XP for newly dead mobs with killedByPlayer flag
         this.processXP();
 
-        // 7. Collect loot from mobSpawner.getDroppedLoot()
+        // 8. Collect loot from mobSpawner.getDroppedLoot()
         this.collectLoot();
     }
 
@@ -88,14 +94,15 @@ export class CombatManager {
     }
 
     /**
-     * Spawn skeleton arrows from mobSpawner
+     * Spawn projectiles from ranged mobs (skeleton arrows, fire imp fireballs)
      */
     spawnSkeletonArrows() {
         if (!this.mobSpawner) return;
 
         const skeletonArrows = this.mobSpawner.getSkeletonArrows();
         skeletonArrows.forEach(arrowData => {
-            const arrow = new Arrow(
+            const ProjectileClass = arrowData.projectile === 'fireball' ? Fireball : Arrow;
+            const arrow = new ProjectileClass(
                 this.scene,
                 arrowData.start,
                 arrowData.target,
@@ -113,25 +120,44 @@ export class CombatManager {
         if (!this.mobSpawner) return;
 
         const explosionDataList = this.mobSpawner.getExplosions();
-        explosionDataList.forEach(explosionData => {
-            const explosion = new Explosion(
-                this.scene,
-                explosionData.position,
-                explosionData.radius
-            );
-            this.explosions.push(explosion);
+        explosionDataList.forEach(explosionData => this.detonate(explosionData));
+    }
 
-            // Apply explosion damage to hero
-            this.applyExplosionDamageToHero(explosionData);
+    /**
+     * Detonate an explosion (creeper or TNT)
+     * Every explosion goes through here so they all hurt, scar terrain and
+     * chain-trigger TNT the same way. Friendly explosions (hero abilities) only
+     * hurt mobs and leave the terrain alone; shockwaves (boss ground slams)
+     * only hurt the hero and golems and leave the terrain alone.
+     * @param {Object} explosionData - { position, radius, damage, friendly?, shockwave? }
+     */
+    detonate(explosionData) {
+        const explosion = new Explosion(
+            this.scene,
+            explosionData.position,
+            explosionData.radius
+        );
+        this.explosions.push(explosion);
 
-            // Apply explosion damage to other mobs
+        // Apply explosion damage to other mobs
+        if (!explosionData.shockwave) {
             this.applyExplosionDamageToMobs(explosionData);
+        }
 
-            // Request crater creation
-            if (this.onCraterRequested) {
-                this.onCraterRequested(explosionData.position, explosionData.radius);
-            }
-        });
+        if (explosionData.friendly) return;
+
+        // Apply explosion damage to hero
+        this.applyExplosionDamageToHero(explosionData);
+
+        // Apply explosion damage to golems
+        this.applyExplosionDamageToGolems(explosionData);
+
+        if (explosionData.shockwave) return;
+
+        // Request crater creation (and TNT chain reactions)
+        if (this.onCraterRequested) {
+            this.onCraterRequested(explosionData.position, explosionData.radius);
+        }
     }
 
     /**
@@ -176,9 +202,10 @@ export class CombatManager {
                 const damageFactor = 1 - (distToMob / explosionData.radius);
                 const damage = Math.floor(explosionData.damage * damageFactor);
                 if (damage > 0) {
-                    mob.takeDamage(damage);
+                    mob.takeDamage(damage, explosionData.position);
 
-                    if (this.onFloatingNumber) {
+                    // Passive mobs only flee; no number for them
+                    if (this.onFloatingNumber && mob.hostile) {
                         this.onFloatingNumber(
                             mob.position.clone(),
                             damage,
@@ -190,12 +217,40 @@ export class CombatManager {
         });
     }
 
+    /**
+     * Apply explosion damage to the hero's golems
+     * @param {Object} explosionData - { position, radius, damage }
+     */
+    applyExplosionDamageToGolems(explosionData) {
+        this.hero.commandedGolems.forEach(golem => {
+            if (golem.health <= 0) return;
+
+            const distToGolem = explosionData.position.distanceTo(golem.position);
+            if (distToGolem < explosionData.radius) {
+                const damageFactor = 1 - (distToGolem / explosionData.radius);
+                const damage = Math.floor(explosionData.damage * damageFactor);
+                if (damage > 0) {
+                    golem.takeDamage(damage);
+
+                    if (this.onFloatingNumber) {
+                        this.onFloatingNumber(
+                            golem.position.clone(),
+                            damage,
+                            'damage'
+                        );
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Update all arrows - check hits against mobs or hero
      * @param {number} deltaTime
      */
     updateArrows(deltaTime) {
-        const hostileMobs = this.mobSpawner ? this.mobSpawner.getHostileMobs() : [];
+        // Player arrows stop in any living mob; passive ones shrug it off and flee
+        const targetMobs = this.mobSpawner ? this.mobSpawner.mobs.filter(mob => !mob.dead) : [];
 
         this.arrows = this.arrows.filter(arrow => {
             if (arrow.isEnemyArrow) {
@@ -226,8 +281,8 @@ export class CombatManager {
                 }
                 return result;
             } else {
-                // Player arrows target hostile mobs
-                return arrow.update(deltaTime, this.terrain, hostileMobs);
+                // Player arrows target mobs
+                return arrow.update(deltaTime, this.terrain, targetMobs);
             }
         });
     }
@@ -242,6 +297,16 @@ export class CombatManager {
         );
     }
 
+    /**
+     * Remove all arrows and explosion effects (e.g. when leaving a continent)
+     */
+    clearAll() {
+        this.arrows.forEach(arrow => arrow.destroy());
+        this.arrows = [];
+        this.explosions.forEach(explosion => explosion.destroy());
+        this.explosions = [];
+    }
+
     /**
      * Check melee attacks from hostile mobs
      */
@@ -266,6 +331,52 @@ export class CombatManager {
         }
     }
 
+    /**
+     * Golem targeting and melee exchanges with hostile mobs
+     */
+    updateGolemCombat() {
+        if (!this.mobSpawner) return;
+
+        const golems = this.hero.commandedGolems.filter(golem => golem.health > 0);
+        if (golems.length === 0) return;
+
+        const hostileMobs = this.mobSpawner.getHostileMobs();
+
+        golems.forEach(golem => {
+            golem.acquireTarget(hostileMobs);
+
+            const target = golem.targetMob;
+            if (target && golem.attack(target)) {
+                // Mob turns on the golem that hit it
+                target.aggroTarget = golem;
+
+                if (this.onFloatingNumber) {
+                    this.onFloatingNumber(
+                        target.position.clone(),
+                        golem.attackDamage,
+                        'damage'
+                    );
+                }
+            }
+        });
+
+        // Melee mobs in reach of a golem hit it
+        golems.forEach(golem => {
+            const damage = this.mobSpawner.checkAttacks(golem.position);
+            if (damage > 0) {
+                golem.takeDamage(damage);
+
+                if (this.onFloatingNumber) {
+                    this.onFloatingNumber(
+                        golem.position.clone(),
+                        damage,
+                        'damage'
+                    );
+                }
+            }
+        });
+    }
+
     /**
      * Process XP for newly dead mobs killed by player
      */
@@ -0,0 +1,102 @@
+import { ITEMS } from './inventory.js';
+
+/**
+ * Crafting - Recipe registry and crafting out of the inventory
+ *
+ * Handles:
+ * - Recipe definitions: input items, output item and amount, unlock level
+ * - Unlock checks against HeroProgression's level
+ * - Crafting: spends the inputs and adds the output to the bag
+ *
+ * Crafted items are what the hero uses up: arrows for the bow, torches
+ * (G), building blocks (F), golem cores (V) and TNT (T), plus bows and
+ * swords with more arrowDamage / meleeDamage than the starting gear.
+ */
+
+/**
+ * Recipe table, in crafting screen order
+ * @type {Array<{id: string, output: string, amount: number, inputs: Object<string, number>, unlockLevel: number}>}
+ */
+export const RECIPES = [
+    // Consumables
+    { id: 'arrows', output: 'arrows', amount: 16, inputs: { wood: 2 }, unlockLevel: 1 },
+    { id: 'torch', output: 'torch', amount: 4, inputs: { wood: 1, coal: 1 }, unlockLevel: 1 },
+    { id: 'golemCore', output: 'golemCore', amount: 1, inputs: { iron: 3, wood: 2 }, unlockLevel: 1 },
+    { id: 'tnt', output: 'tnt', amount: 1, inputs: { coal: 3, wood: 1 }, unlockLevel: 3 },
+
+    // Building blocks
+    { id: 'dirtBlock', output: 'dirtBlock', amount: 2, inputs: { wood: 1 }, unlockLevel: 1 },
+    { id: 'sandBlock', output: 'sandBlock', amount: 2, inputs: { wood: 1 }, unlockLevel: 1 },
+    { id: 'stoneBlock', output: 'stoneBlock', amount: 4, inputs: { wood: 2, coal: 1 }, unlockLevel: 2 },
+    { id: 'iceBlock', output: 'iceBlock', amount: 2, inputs: { coal: 1 }, unlockLevel: 3 },
+    { id: 'mayanBlock', output: 'mayanBlock', amount: 2, inputs: { gold: 2 }, unlockLevel: 5 },
+
+    // Gear
+    { id: 'longBow', output: 'longBow', amount: 1, inputs: { wood: 8, iron: 2 }, unlockLevel: 3 },
+    { id: 'ironSword', output: 'ironSword', amount: 1, inputs: { iron: 6, wood: 2 }, unlockLevel: 4 },
+    { id: 'compositeBow', output: 'compositeBow', amount: 1, inputs: { wood: 6, iron: 4, diamond: 2 }, unlockLevel: 7 },
+    { id: 'diamondSword', output: 'diamondSword', amount: 1, inputs: { diamond: 4, iron: 4 }, unlockLevel: 9 }
+];
+
+export class Crafting {
+    /**
+     * @param {Inventory} inventory - Pays the inputs and receives the output
+     * @param {HeroProgression} progression - Level source for unlocks
+     */
+    constructor(inventory, progression) {
+        this.inventory = inventory;
+        this.progression = progression;
+
+        // Callback (injected after construction)
+        this.onCraft = null;  // (recipe) => void
+    }
+
+    /**
+     * Get a recipe definition by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getRecipe(id) {
+        return RECIPES.find(recipe => recipe.id === id) || null;
+    }
+
+    isUnlocked(recipe) {
+        return this.progression.level >= recipe.unlockLevel;
+    }
+
+    /**
+     * Why a recipe can't be crafted right now
+     * @param {Object} recipe - Entry from RECIPES
+     * @returns {'locked'|'inputs'|'space'|null} Null if it can be crafted
+     */
+    getBlocker(recipe) {
+        if (!this.isUnlocked(recipe)) return 'locked';
+        if (!this.inventory.has(recipe.inputs)) return 'inputs';
+        if (!this.inventory.canAdd(recipe.output, recipe.amount)) return 'space';
+        return null;
+    }
+
+    canCraft(recipe) {
+        return this.getBlocker(recipe) === null;
+    }
+
+    /**
+     * Craft a recipe once
+     * @param {string} id - Recipe id
+     * @returns {boolean} True if the output was added to the bag
+     */
+    craft(id) {
+        const recipe = this.getRecipe(id);
+        if (!recipe || !ITEMS[recipe.output] || !this.canCraft(recipe)) {
+            return false;
+        }
+
+        this.inventory.spend(recipe.inputs);
+        this.inventory.add(recipe.output, recipe.amount);
+
+        if (this.onCraft) {
+            this.onCraft(recipe);
+        }
+        return true;
+    }
+}
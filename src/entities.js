@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { HeroMount, HeroOnFoot } from './hero.js';
 import { resolveEntityCollision, createEntityAABB, createHeroAABB, createHeroOnFootAABB } from './collision.js';
 import { Bow, Sword } from './combat.js';
+import { PathFollower } from './world/navigation.js';
+import { SquadController } from './squadcontroller.js';
 
 /**
  * Base Entity class
@@ -82,6 +84,7 @@ export class Hero extends Entity {
         super(scene, position, 0x0066cc, 1.2);
         this.team = 'player';
         this.commandedGolems = [];
+        this.squad = new SquadController(this);
         this.rotation = 0;
 
         // Movement speeds (mounted vs on foot)
@@ -126,6 +129,11 @@ export class Hero extends Entity {
         this.swingCooldown = 0.4;   // 0.4 seconds between swings
         this.timeSinceLastSwing = 0;
 
+        // Bonuses from equipped items (set by applyEquipment; damage bonuses
+        // are added on top of the level stats by HeroProgression)
+        this.baseMountedMoveSpeed = this.mountedMoveSpeed;
+        this.equipmentStats = { arrowDamage: 0, meleeDamage: 0, armor: 0, mountSpeed: 0 };
+
         // Custom AABB for mounted hero - matches mesh dimensions
         this.aabb = createHeroAABB();
 
@@ -202,6 +210,27 @@ export class Hero extends Entity {
         this.oldRotation = this.rotation;
     }
     
+    /**
+     * Apply stats from equipped items
+     * @param {{arrowDamage: number, meleeDamage: number, armor: number, mountSpeed: number}} stats - From Inventory.getEquipmentStats()
+     */
+    applyEquipment(stats) {
+        this.equipmentStats = { ...stats };
+        this.mountedMoveSpeed = this.baseMountedMoveSpeed + stats.mountSpeed;
+        if (this.mounted) {
+            this.moveSpeed = this.mountedMoveSpeed;
+        }
+    }
+
+    /**
+     * Take damage, reduced by equipped armor (at least 1 per hit)
+     * @param {number} amount - Incoming damage
+     */
+    takeDamage(amount) {
+        const reduced = Math.max(1, Math.round(amount * (1 - this.equipmentStats.armor)));
+        super.takeDamage(reduced);
+    }
+
     /**
      * Shoot arrow at target position
      * Returns the arrow if shot, null if on cooldown
@@ -658,15 +687,65 @@ export class Hero extends Entity {
         }
     }
 
-    commandGolems(target) {
-        this.commandedGolems.forEach(golem => {
-            golem.moveTo(target, 3);
-        });
+    /**
+     * Serialize hero state for the save snapshot
+     * @returns {Object} Hero section data
+     */
+    serialize() {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotation: this.rotation,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            activeWeapon: this.activeWeapon,
+            mounted: this.mounted || this.isMounting,
+            squad: this.squad.serialize()
+        };
+    }
+
+    /**
+     * Restore hero state from a save snapshot section
+     * Position is applied by the caller at spawn time (terrain must be loaded first)
+     * @param {Object} data - Hero section data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+
+        if (data.maxHealth !== undefined) this.maxHealth = data.maxHealth;
+        if (data.health !== undefined) this.health = Math.min(data.health, this.maxHealth);
+        if (data.rotation !== undefined) this.rotation = data.rotation;
+
+        if (data.mounted === false && this.mounted) {
+            this.dismount();
+        }
+
+        if (data.activeWeapon && data.activeWeapon !== this.activeWeapon) {
+            this.switchWeapon();
+        }
+
+        this.squad.restore(data.squad);
+    }
+
+    /**
+     * Order golems to move to a position in the current formation
+     * @param {THREE.Vector3} target - Formation center
+     * @param {Array<Golem>} [golems] - Golems to command (defaults to all)
+     */
+    commandGolems(target, golems = this.commandedGolems) {
+        this.squad.moveTo(target, golems);
     }
 
     addGolem(golem) {
         this.commandedGolems.push(golem);
         golem.team = 'player';
+        golem.leader = this;
+    }
+
+    /**
+     * Drop golems that have been destroyed
+     */
+    removeDeadGolems() {
+        this.commandedGolems = this.commandedGolems.filter(golem => golem.health > 0);
     }
     
     die() {
@@ -681,20 +760,249 @@ export class Hero extends Entity {
 
 /**
  * Golem Entity - Player-controlled minion
+ *
+ * Golems carry out one order at a time:
+ * - follow: hold a formation slot near the hero (assigned by the hero's
+ *           SquadController), engaging hostile mobs that come close
+ * - move:   walk to a point, ignoring mobs, then guard it
+ * - attack: chase and fight a specific mob
+ * - guard:  hold a position, engaging mobs within leash range of it
+ *
+ * Targets are chosen by acquireTarget(); damage is routed by CombatManager.
  */
 export class Golem extends Entity {
     constructor(scene, position) {
         super(scene, position, 0xcc6600, 1.5);
         this.team = 'player';
+        this.health = 150;
+        this.maxHealth = 150;
         this.attackRange = 2;
         this.attackDamage = 10;
         this.attackCooldown = 1.0;
         this.timeSinceAttack = 0;
+        this.moveSpeed = 4;
+
+        // Targeting
+        this.aggroRange = 10;      // Engage hostile mobs this close to the golem
+        this.leashRange = 20;      // Give up chasing this far from the order anchor
+        this.arriveDistance = 1.5; // Close enough to a move/guard point
+        this.followDistance = 4;   // Trail the hero at this distance (no formation slot)
+
+        this.order = { type: 'follow' };
+        this.formationSlot = null; // Follow position, set by SquadController
+        this.targetMob = null;
+        this.leader = null;        // Hero, set by Hero.addGolem()
+        this.pathFollower = new PathFollower();
+
+        this.selected = false;
+        this.selectionRing = this.createSelectionRing();
+    }
+
+    createMesh() {
+        const mesh = super.createMesh();
+        // Stand the box on the ground (position is at the feet)
+        mesh.geometry.translate(0, this.size * 0.75, 0);
+        return mesh;
+    }
+
+    /**
+     * Create the ring shown under the golem while selected
+     * @returns {THREE.Mesh}
+     */
+    createSelectionRing() {
+        const geometry = new THREE.RingGeometry(this.size * 0.8, this.size, 24);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x44ff44,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        const ring = new THREE.Mesh(geometry, material);
+        ring.position.y = 0.05;
+        ring.visible = false;
+        this.mesh.add(ring);
+        return ring;
     }
 
     update(deltaTime, terrain, objectGenerator = null) {
-        super.update(deltaTime, terrain, objectGenerator);
         this.timeSinceAttack += deltaTime;
+        this.updateOrder(deltaTime);
+        super.update(deltaTime, terrain, objectGenerator);
+        this.mesh.position.copy(this.position);
+    }
+
+    /**
+     * Steer towards the current target or order destination
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    updateOrder(deltaTime) {
+        if (this.targetMob && !this.isValidTarget(this.targetMob)) {
+            this.targetMob = null;
+        }
+
+        if (this.targetMob) {
+            if (this.horizontalDistanceTo(this.targetMob.position) > this.attackRange * 0.8) {
+                this.navigateTo(this.targetMob.position, this.moveSpeed, deltaTime);
+            } else {
+                this.stop();
+            }
+            this.faceTowards(this.targetMob.position);
+            return;
+        }
+
+        switch (this.order.type) {
+            case 'move':
+                if (this.horizontalDistanceTo(this.order.position) > this.arriveDistance) {
+                    this.navigateTo(this.order.position, this.moveSpeed, deltaTime);
+                } else {
+                    // Hold the destination once there
+                    this.order = { type: 'guard', position: this.order.position };
+                    this.stop();
+                }
+                break;
+
+            case 'guard':
+                if (this.horizontalDistanceTo(this.order.position) > this.arriveDistance) {
+                    this.navigateTo(this.order.position, this.moveSpeed, deltaTime);
+                } else {
+                    this.stop();
+                }
+                break;
+
+            case 'attack':
+                // Target gone - hold where the fight ended
+                this.order = { type: 'guard', position: this.position.clone() };
+                this.stop();
+                break;
+
+            case 'follow':
+            default: {
+                if (!this.leader) {
+                    this.stop();
+                    break;
+                }
+
+                const destination = this.formationSlot || this.leader.position;
+                const closeEnough = this.formationSlot ? this.arriveDistance : this.followDistance;
+                const distance = this.horizontalDistanceTo(destination);
+
+                if (distance > closeEnough) {
+                    // Keep pace with the hero (mounted heroes outrun golems),
+                    // and hurry to catch up when far behind
+                    const leaderSpeed = Math.hypot(this.leader.velocity.x, this.leader.velocity.z);
+                    let speed = Math.max(this.moveSpeed, leaderSpeed);
+                    if (distance > this.followDistance * 3) speed = Math.max(speed, this.moveSpeed * 2);
+                    this.navigateTo(destination, speed, deltaTime);
+                } else {
+                    this.stop();
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Walk towards a position along a planned path (jumping up ledges)
+     * @param {THREE.Vector3} target - Destination
+     * @param {number} speed - Movement speed
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    navigateTo(target, speed, deltaTime) {
+        const steering = this.pathFollower.steer(this.position, target, deltaTime);
+        this.velocity.x = steering.x * speed;
+        this.velocity.z = steering.z * speed;
+        if (steering.jump) {
+            this.jump(10);
+        }
+    }
+
+    /**
+     * Pick a mob to fight based on the current order
+     * @param {Array<Mob>} hostileMobs - Mobs that can be damaged
+     */
+    acquireTarget(hostileMobs) {
+        if (this.order.type === 'attack') {
+            this.targetMob = this.isValidTarget(this.order.target) ? this.order.target : null;
+            return;
+        }
+
+        // Forced moves ignore enemies
+        if (this.order.type === 'move') {
+            this.targetMob = null;
+            return;
+        }
+
+        const anchor = this.getAnchorPosition();
+
+        // Drop targets that lure the golem too far from its post
+        if (this.targetMob && anchor &&
+            this.targetMob.position.distanceTo(anchor) > this.leashRange) {
+            this.targetMob = null;
+        }
+        if (this.targetMob) return;
+
+        let nearest = null;
+        let minDistance = this.aggroRange;
+        for (const mob of hostileMobs) {
+            if (!this.isValidTarget(mob)) continue;
+            if (anchor && mob.position.distanceTo(anchor) > this.leashRange) continue;
+
+            const distance = this.position.distanceTo(mob.position);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = mob;
+            }
+        }
+        this.targetMob = nearest;
+    }
+
+    /**
+     * Position the golem stays tethered to while fighting
+     * @returns {THREE.Vector3|null}
+     */
+    getAnchorPosition() {
+        if (this.order.type === 'guard') return this.order.position;
+        if (this.order.type === 'follow' && this.leader) return this.leader.position;
+        return null;
+    }
+
+    isValidTarget(mob) {
+        return !!mob && !mob.dead && mob.health > 0;
+    }
+
+    horizontalDistanceTo(target) {
+        const dx = target.x - this.position.x;
+        const dz = target.z - this.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    faceTowards(target) {
+        this.mesh.rotation.y = Math.atan2(
+            target.x - this.position.x,
+            target.z - this.position.z
+        );
+    }
+
+    stop() {
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+    }
+
+    /**
+     * Give the golem a new order
+     * @param {Object} order - { type: 'follow' } | { type: 'move'|'guard', position } | { type: 'attack', target }
+     */
+    setOrder(order) {
+        this.order = order;
+        this.formationSlot = null;
+        this.pathFollower.clear();
+        this.targetMob = order.type === 'attack' ? order.target : null;
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+        this.selectionRing.visible = selected;
     }
 
     attack(target) {
@@ -708,6 +1016,43 @@ export class Golem extends Entity {
         }
         return false;
     }
+
+    /**
+     * Serialize golem state for the save snapshot
+     * Attack orders are saved as guard orders (mobs are not persistent targets)
+     * @returns {Object} Golem data
+     */
+    serialize() {
+        const data = {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            health: this.health,
+            order: { type: 'follow' }
+        };
+
+        if (this.order.type === 'move' || this.order.type === 'guard') {
+            const p = this.order.position;
+            data.order = { type: this.order.type, position: { x: p.x, y: p.y, z: p.z } };
+        } else if (this.order.type === 'attack') {
+            const p = this.position;
+            data.order = { type: 'guard', position: { x: p.x, y: p.y, z: p.z } };
+        }
+        return data;
+    }
+
+    /**
+     * Restore golem state from a save snapshot entry
+     * Position is applied by the caller when constructing the golem
+     * @param {Object} data - Golem data from serialize()
+     */
+    restore(data) {
+        if (data.health !== undefined) this.health = Math.min(data.health, this.maxHealth);
+
+        const order = data.order;
+        if (order && (order.type === 'move' || order.type === 'guard') && order.position) {
+            const p = order.position;
+            this.setOrder({ type: order.type, position: new THREE.Vector3(p.x, p.y, p.z) });
+        }
+    }
 }
 
 /**
@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { WorldManager, WATER_LEVEL } from './world/worldmanager.js';
-import { Hero } from './entities.js';
+import { WorldManager, WATER_LEVEL, PLACEABLE_BLOCK_TYPES } from './world/worldmanager.js';
+import { Hero, Golem } from './entities.js';
 import { FPSCounter } from './utils/ui/fps-counter.js';
 import { TouchControls } from './utils/ui/touch-controls.js';
 import { CameraController } from './camera.js';
@@ -16,12 +16,39 @@ import { TerrainLoadingIndicator } from './utils/ui/terrain-loading-indicator.js
 import { flashScreen, pulseResourceUI } from './utils/ui/feedback.js';
 import { settingsManager } from './settings.js';
 import { CombatManager } from './combat/combatmanager.js';
+import { AbilityManager, ABILITIES } from './combat/abilities.js';
 import { TNTManager } from './world/tntmanager.js';
 import { MapOverlay } from './ui/mapoverlay.js';
+import { Hotbar } from './ui/hotbar.js';
+import { InventoryScreen } from './ui/inventoryscreen.js';
+import { CraftingScreen } from './ui/craftingscreen.js';
+import { Inventory, ITEMS, getBlockItemType } from './inventory.js';
+import { Crafting } from './crafting.js';
+import { createSnapshot, getSection } from './storage/snapshot.js';
+import { GolemCommander } from './golemcommander.js';
+import { SelectionBox } from './utils/ui/selection-box.js';
+import { createMainThreadTerrainProbe } from './world/terrain-probe.js';
+import { HeroProgression } from './heroprogression.js';
+import { ProgressionBands } from './world/progressionbands.js';
+import { ObjectiveManager } from './objectivemanager.js';
+import { TempleBossManager } from './templebossmanager.js';
+import { SailingManager, getContinentConfig } from './sailingmanager.js';
+import { getContinentTerrainSeed } from './worldgen/seeds.js';
+
+// Maximum golems the hero can command at once
+const MAX_GOLEMS = 8;
 
 export class Game {
-    constructor(worldData = null) {
+    /**
+     * @param {Object} [worldData] - World record from the menu (id, name, seed)
+     * @param {import('./storage/constants.js').GameSnapshot} [snapshot] - Upgraded save snapshot to restore
+     */
+    constructor(worldData = null, snapshot = null) {
         this.worldData = worldData;
+        this.snapshot = snapshot;
+
+        // Callback (injected after construction)
+        this.onSaveRequested = null;  // () => void - state worth saving right away changed
 
         // Get resolved settings (auto values resolved to detected tier)
         this.textureBlending = settingsManager.get('textureBlending');
@@ -68,11 +95,23 @@ export class Game {
         this.worldId = worldId;
 
         // Continental mode: bounded island instead of infinite terrain
-        this.continentConfig = {
+        this.baseContinentConfig = {
             enabled: true,
             baseRadius: 2000,  // ~4km diameter island
             template: 'verdania'  // Starting continent template
         };
+
+        // Continent the hero is on (sailing moves between them, see sail())
+        this.continentIndex = getSection(snapshot, 'voyage')?.continentIndex || 0;
+        this.continentConfig = getContinentConfig(this.baseContinentConfig, this.continentIndex);
+        this.terrainSeed = getContinentTerrainSeed(this.seed, this.continentIndex);
+        this.isSailing = false;
+
+        // Settlement the hero is standing in (announced on entry)
+        this.currentSettlementId = null;
+
+        // Mob level bands by distance from the continent start
+        this.progressionBands = new ProgressionBands(this.seed, this.continentConfig, this.continentIndex);
         
         this.entities = [];
         this.playerEntities = [];
@@ -82,22 +121,21 @@ export class Game {
         this.itemSpawner = null;
         this.combatManager = null;
         this.tntManager = null;
+        this.golemCommander = null;
 
-        // Player resources
-        this.resources = {
-            gold: 0,
-            wood: 0,
-            diamond: 0,
-            iron: 0,
-            coal: 0,
-            tnt: 0
-        };
+        // Player items and equipment (stats applied to the hero once it exists)
+        this.inventory = new Inventory();
+
+        // Block type used by placeBlock() (cycled with R)
+        this.selectedBlockType = 'stone';
         
+        // Game clock in seconds, never wraps (time of day and the weather
+        // schedule are both derived from it)
+        this.gameTime = 0;
+
         // Atmosphere system (handles day/night, lighting, weather, torch)
         this.atmosphere = new AtmosphereController(this.scene, this.isMobile);
-        if (worldData?.gameTime) {
-            this.atmosphere.setTime(worldData.gameTime);
-        }
+        this.atmosphere.initWeatherSchedule(this.terrainSeed, this.continentConfig);
         
         // Input controller (handles keyboard, mouse, touch events)
         this.input = new InputController(this.renderer, this.camera);
@@ -111,6 +149,13 @@ export class Game {
         this.input.setRightDragStartCallback(() => this.handleRightDragStart());
         this.input.setRightDragEndCallback(() => this.handleRightDragEnd());
         this.input.setScrollWheelCallback((delta) => this.handleScrollWheel(delta));
+        // Right-click (no drag): golem orders. Shift+left-drag: golem box selection
+        this.input.setRightClickCallback(() => this.handleRightClick());
+        this.selectionBox = new SelectionBox();
+        this.input.setBoxSelectCallbacks(
+            (rect) => this.selectionBox.show(rect),
+            (rect) => this.handleBoxSelect(rect)
+        );
         
         // For compatibility with TouchControls
         this.keys = this.input.keys;
@@ -205,7 +250,8 @@ export class Game {
         this.loadingOverlay.show();
 
         // Get initial player position (from saved data or default)
-        const savedPos = this.worldData?.heroPosition;
+        const savedHero = getSection(this.snapshot, 'hero');
+        const savedPos = savedHero?.position;
         const initialPosition = savedPos 
             ? { x: savedPos.x, y: savedPos.y, z: savedPos.z }
             : { x: 0, y: 10, z: 0 };
@@ -213,7 +259,7 @@ export class Game {
         // Create world manager with graphics settings
         this.world = new WorldManager(
             this.scene,
-            this.seed,
+            this.terrainSeed,
             this.worldId,
             {
                 textureBlending: this.textureBlending,
@@ -221,7 +267,8 @@ export class Game {
                 diffuseArray: this.diffuseArray,
                 waterTexture: this.waterTexture,
                 // Continental mode config
-                continent: this.continentConfig
+                continent: this.continentConfig,
+                continentIndex: this.continentIndex
             }
         );
 
@@ -235,9 +282,9 @@ export class Game {
         this.loadingOverlay.hide();
 
         // Map overlay (Tab key to toggle)
-        this.mapOverlay = new MapOverlay(this.seed, this.continentConfig);
-        if (this.worldData?.visitedMapCells) {
-            this.mapOverlay.loadVisitedCells(this.worldData.visitedMapCells);
+        this.mapOverlay = new MapOverlay(this.terrainSeed, this.continentConfig, this.progressionBands);
+        if (this.continentIndex > 0) {
+            this.mapOverlay.setContinent(this.terrainSeed, this.continentConfig, this.continentIndex, this.progressionBands);
         }
 
         // Initialize adaptive fog system
@@ -273,16 +320,50 @@ export class Game {
         // so they use block cache heights for correct placement
         this.itemSpawner = new ItemSpawner(this.scene, this.world, this.camera);
         this.mobSpawner = new MobSpawner(this.scene, this.world, this.spawnPointManager);
+        this.mobSpawner.progressionBands = this.progressionBands;
+
+        // Radial objectives with beacons; landmarks are bound as chunks load
+        this.objectiveManager = new ObjectiveManager(this.scene, {
+            seed: this.seed,
+            continentConfig: this.continentConfig,
+            continentIndex: this.continentIndex,
+            landmarkRegistry: this.world.chunkLoader.workerManager.landmarkRegistry,
+            mobSpawner: this.mobSpawner,
+            progressionBands: this.progressionBands,
+            world: this.world
+        });
+        this.objectiveManager.onObjectiveCompleted = (objective) => {
+            this.updateSailingProgress();
+            flashScreen('#66CCFF', 0.4);
+            if (this.itemSpawner) {
+                this.itemSpawner.showFloatingNumber(this.hero.position.clone(), objective.title, 'objective');
+            }
+        };
+        if (this.mapOverlay) {
+            this.mapOverlay.setObjectives(this.objectiveManager);
+        }
+
+        // Sailing point opposite the start (and arrival dock after the first voyage)
+        this.sailing = new SailingManager(this.scene, {
+            seed: this.seed,
+            continentConfig: this.baseContinentConfig,
+            continentIndex: this.continentIndex,
+            world: this.world
+        });
+        if (this.mapOverlay) {
+            this.mapOverlay.setSailing(this.sailing);
+            this.mapOverlay.setSettlements(this.world.chunkLoader.workerManager.settlements);
+        }
+        this.updateSailingProgress();
 
         // Determine spawn position
         let spawnPos;
         let spawnRotation = 0;
 
-        if (this.worldData?.heroPosition) {
+        if (savedPos) {
             // Restore saved position
-            const saved = this.worldData.heroPosition;
-            spawnPos = new THREE.Vector3(saved.x, saved.y, saved.z);
-            spawnRotation = this.worldData.heroRotation || 0;
+            spawnPos = new THREE.Vector3(savedPos.x, savedPos.y, savedPos.z);
+            spawnRotation = savedHero.rotation || 0;
             console.log('Restoring hero position:', spawnPos);
         } else {
             // Check for continental start position from worker
@@ -309,6 +390,39 @@ export class Game {
         this.entities.push(this.hero);
         this.playerEntities.push(this.hero);
 
+        // XP and levels (stats scale with level)
+        this.progression = new HeroProgression(this.hero);
+        this.progression.onLevelUp = (level) => {
+            flashScreen('#FFD700', 0.4);
+            if (this.itemSpawner) {
+                this.itemSpawner.showFloatingNumber(this.hero.position.clone(), level, 'levelup');
+            }
+        };
+
+        // Equipment feeds hero stats; the screen redraws on any change
+        this.inventoryScreen = new InventoryScreen(this.inventory, this.hero);
+        this.inventory.onChange = (equipmentChanged) => {
+            if (equipmentChanged) {
+                this.applyEquipment();
+            }
+            this.inventoryScreen.render();
+        };
+        this.applyEquipment();
+
+        // Recipes unlock with hero level
+        this.crafting = new Crafting(this.inventory, this.progression);
+        this.crafting.onCraft = (recipe) => {
+            if (this.itemSpawner) {
+                this.itemSpawner.showFloatingNumber(
+                    this.hero.position.clone(),
+                    recipe.amount,
+                    'resource',
+                    ITEMS[recipe.output].name
+                );
+            }
+        };
+        this.craftingScreen = new CraftingScreen(this.crafting, this.inventory);
+
         // Position camera
         this.camera.position.set(spawnPos.x, spawnPos.y + 20, spawnPos.z + 30);
         this.camera.lookAt(spawnPos);
@@ -316,6 +430,12 @@ export class Game {
         // Initialize camera controller with terrain provider for collision
         this.cameraController = new CameraController(this.camera, this.hero, this.world);
 
+        // Golem selection and orders; formations space out on slopes
+        this.golemCommander = new GolemCommander(this.hero, this.camera);
+        this.hero.squad.setTerrainProbe(
+            createMainThreadTerrainProbe(this.world.chunkLoader.workerManager.blockCache)
+        );
+
         // Initialize combat manager
         this.combatManager = new CombatManager(
             this.scene,
@@ -325,6 +445,11 @@ export class Game {
         );
 
         // Wire combat callbacks
+        this.combatManager.onXPGained = (amount, position) => {
+            this.progression.addXP(amount);
+            this.objectiveManager.recordKill(position);
+        };
+
         this.combatManager.onHeroDamage = (amount, source) => {
             const color = source === 'explosion' ? '#FF6600' : '#FF0000';
             const opacity = source === 'explosion' ? 0.5 : 0.3;
@@ -338,22 +463,15 @@ export class Game {
         };
 
         this.combatManager.onLootCollected = (type, amount, position) => {
-            if (this.resources.hasOwnProperty(type)) {
-                this.resources[type] += amount;
+            if (ITEMS[type]) {
+                const added = amount - this.inventory.add(type, amount);
 
                 if (this.itemSpawner) {
-                    const names = {
-                        gold: 'Gold',
-                        wood: 'Wood',
-                        diamond: 'Diamond',
-                        iron: 'Iron',
-                        coal: 'Coal'
-                    };
                     this.itemSpawner.showFloatingNumber(
                         position,
-                        amount,
+                        added,
                         'resource',
-                        names[type]
+                        added > 0 ? ITEMS[type].name : 'Inventory full'
                     );
                 }
             }
@@ -367,63 +485,127 @@ export class Game {
             }
         };
 
-        // Initialize TNT manager with explosion callback
+        // Hero abilities (number keys / touch buttons), unlocked by level
+        this.abilities = new AbilityManager(this.hero, this.progression, this.combatManager, this.inventory);
+        this.abilities.onFloatingNumber = this.combatManager.onFloatingNumber;
+        this.hotbar = new Hotbar(this.abilities);
+
+        // Temple bosses: doorway sealed for the fight, loot chest once cleared
+        this.templeBosses = new TempleBossManager(this.scene, {
+            seed: this.seed,
+            continentIndex: this.continentIndex,
+            landmarkRegistry: this.world.chunkLoader.workerManager.landmarkRegistry,
+            mobSpawner: this.mobSpawner,
+            progressionBands: this.progressionBands,
+            world: this.world
+        });
+        this.templeBosses.onBossDefeated = (temple, position) => {
+            flashScreen('#FFD700', 0.4);
+            if (this.itemSpawner) {
+                this.itemSpawner.showFloatingNumber(position, 'Temple cleared', 'objective');
+            }
+        };
+        // Save the seal with the chunk edits, so a reload can open it
+        this.templeBosses.onSealChanged = () => {
+            if (this.onSaveRequested) {
+                this.onSaveRequested();
+            }
+        };
+        this.templeBosses.onChestOpened = (loot, position) => {
+            Object.entries(loot).forEach(([type, amount], i) => {
+                this.combatManager.onLootCollected(type, amount, position.clone().setY(position.y + i * 0.6));
+            });
+        };
+
+        // Initialize TNT manager - TNT explodes like creepers do
         this.tntManager = new TNTManager(this.scene, (position, radius, damage) => {
-            // Create crater
-            this.createExplosionCrater(position, radius);
+            this.combatManager.detonate({ position, radius, damage });
+        });
 
-            // Create visual explosion (reuse Explosion class)
-            import('./mobs.js').then(({ Explosion }) => {
-                const explosion = new Explosion(this.scene, position, radius);
-                // Add to combat manager's explosions array for update
-                if (this.combatManager) {
-                    this.combatManager.explosions.push(explosion);
-                }
-            });
+        // Apply the rest of the saved state now that every subsystem exists
+        if (this.snapshot) {
+            this.restore(this.snapshot);
+        }
+    }
 
-            // Apply damage to hero
-            const distToPlayer = position.distanceTo(this.hero.position);
-            if (distToPlayer < radius) {
-                const damageFactor = 1 - (distToPlayer / radius);
-                const actualDamage = Math.floor(damage * damageFactor);
-                if (actualDamage > 0) {
-                    this.hero.takeDamage(actualDamage);
-                    flashScreen('#FF6600', 0.5);
-                    if (this.itemSpawner) {
-                        this.itemSpawner.showFloatingNumber(
-                            this.hero.position.clone(),
-                            actualDamage,
-                            'damage'
-                        );
-                    }
-                }
+    /**
+     * Capture the complete game state as a versioned snapshot.
+     * Each subsystem contributes one section; see storage/snapshot.js.
+     * @returns {import('./storage/constants.js').GameSnapshot}
+     */
+    serialize() {
+        const snapshot = createSnapshot();
+        snapshot.sections = {
+            hero: this.hero.serialize(),
+            progression: this.progression.serialize(),
+            inventory: this.inventory.serialize(),
+            golems: this.hero.commandedGolems
+                .filter(g => g.health > 0)
+                .map(g => g.serialize()),
+            tnt: this.tntManager ? this.tntManager.serialize() : [],
+            mobs: this.mobSpawner ? this.mobSpawner.serialize() : [],
+            atmosphere: { gameTime: this.gameTime },
+            weather: this.atmosphere.serializeWeather(),
+            objectives: this.objectiveManager.serialize(),
+            temples: this.templeBosses.serialize(),
+            voyage: this.sailing.serialize(),
+            map: {
+                visitedCells: this.mapOverlay?.getVisitedCellsArray() || [],
+                visitedByContinent: this.mapOverlay?.getVisitedCellsByContinent() || {}
             }
+        };
+        return snapshot;
+    }
 
-            // Apply damage to mobs
-            if (this.mobSpawner) {
-                this.mobSpawner.mobs.forEach(mob => {
-                    if (mob.dead) return;
-                    const distToMob = position.distanceTo(mob.position);
-                    if (distToMob < radius) {
-                        const damageFactor = 1 - (distToMob / radius);
-                        const actualDamage = Math.floor(damage * damageFactor);
-                        if (actualDamage > 0) {
-                            mob.takeDamage(actualDamage);
-                            if (this.itemSpawner) {
-                                this.itemSpawner.showFloatingNumber(
-                                    mob.position.clone(),
-                                    actualDamage,
-                                    'damage'
-                                );
-                            }
-                        }
-                    }
-                });
-            }
+    /**
+     * Apply a snapshot produced by serialize() (already upgraded to the
+     * current version). Hero position is applied at spawn time in init().
+     * @param {import('./storage/constants.js').GameSnapshot} snapshot
+     */
+    restore(snapshot) {
+        this.hero.restore(getSection(snapshot, 'hero'));
+        this.progression.restore(getSection(snapshot, 'progression'));
+
+        this.inventory.restore(getSection(snapshot, 'inventory'));
+
+        const golems = getSection(snapshot, 'golems') || [];
+        for (const data of golems) {
+            const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+            const golem = new Golem(this.scene, position);
+            golem.restore(data);
+            this.hero.addGolem(golem);
+            this.entities.push(golem);
+            this.playerEntities.push(golem);
+        }
 
-            // Trigger chain reactions - nearby TNT
-            this.tntManager.triggerNearExplosion(position, radius);
-        });
+        if (this.tntManager) {
+            this.tntManager.restore(getSection(snapshot, 'tnt'));
+        }
+
+        if (this.mobSpawner) {
+            this.mobSpawner.restore(getSection(snapshot, 'mobs'));
+        }
+
+        const atmosphere = getSection(snapshot, 'atmosphere');
+        if (atmosphere?.gameTime !== undefined) {
+            this.atmosphere.setTime(atmosphere.gameTime);
+            this.gameTime = atmosphere.gameTime;
+        }
+
+        this.atmosphere.restoreWeather(getSection(snapshot, 'weather'));
+        this.objectiveManager.restore(getSection(snapshot, 'objectives'));
+        this.templeBosses.restore(getSection(snapshot, 'temples'));
+        this.sailing.restore(getSection(snapshot, 'voyage'));
+        this.updateSailingProgress();
+
+        const map = getSection(snapshot, 'map');
+        if (map?.visitedCells && this.mapOverlay) {
+            if (map.visitedByContinent) {
+                this.mapOverlay.loadVisitedCellsByContinent(map.visitedByContinent);
+            } else {
+                this.mapOverlay.loadVisitedCells(map.visitedCells);
+            }
+        }
     }
 
     findSpawnPoint(startX = 0, startZ = 0) {
@@ -443,6 +625,16 @@ export class Game {
     }
 
     handleClick() {
+        // Shift+click selects golems instead of attacking
+        if (this.input.isKeyPressed('shift') && this.golemCommander) {
+            const mouse = this.input.getMousePosition();
+            this.golemCommander.selectAt(
+                (mouse.x + 1) / 2 * window.innerWidth,
+                (1 - mouse.y) / 2 * window.innerHeight
+            );
+            return;
+        }
+
         // Route based on active weapon
         if (this.hero.activeWeapon === 'sword') {
             this.handleMeleeAttack();
@@ -452,13 +644,23 @@ export class Game {
     }
 
     handleRangedAttack() {
-        const intersects = this.input.raycast(this.scene, true);
+        // Each shot uses up one crafted arrow
+        if (this.inventory.count('arrows') <= 0) {
+            if (this.itemSpawner) {
+                const above = this.hero.position.clone();
+                above.y += 3;
+                this.itemSpawner.showFloatingNumber(above, 'No arrows - craft more (C)', 'info');
+            }
+            return;
+        }
 
+        const intersects = this.input.raycast(this.scene, true);
         if (intersects.length > 0) {
             const point = intersects[0].point;
 
             const arrowData = this.hero.shootArrow(point);
             if (arrowData && this.combatManager) {
+                this.inventory.remove('arrows', 1);
                 this.combatManager.spawnPlayerArrow(
                     arrowData.start,
                     arrowData.target,
@@ -468,6 +670,25 @@ export class Game {
         }
     }
 
+    /**
+     * Cast the ability in a hotbar slot
+     * @param {number} slot - 0-based slot index
+     * @param {THREE.Vector3} [target] - Aim point (defaults to ahead of the hero)
+     */
+    useAbility(slot, target = null) {
+        if (!this.abilities) return;
+        this.abilities.useSlot(slot, target);
+    }
+
+    /**
+     * World point under the mouse cursor
+     * @returns {THREE.Vector3|null}
+     */
+    getCursorTarget() {
+        const intersects = this.input.raycast(this.scene, true);
+        return intersects.length > 0 ? intersects[0].point : null;
+    }
+
     handleMeleeAttack() {
         // Get all hostile mobs for melee targeting
         const hostileMobs = this.mobSpawner ? this.mobSpawner.getHostileMobs() : [];
@@ -502,6 +723,54 @@ export class Game {
         }
     }
     
+    /**
+     * Right-click: order selected golems to attack the mob under the cursor,
+     * or move to the ground point
+     */
+    handleRightClick() {
+        if (!this.golemCommander || this.golemCommander.getSelected().length === 0) return;
+
+        const hostileMobs = this.mobSpawner ? this.mobSpawner.getHostileMobs() : [];
+        const intersects = this.input.raycast(this.scene, true);
+
+        for (const hit of intersects) {
+            // Click through golems
+            if (this.findOwner(hit.object, this.hero.commandedGolems)) continue;
+
+            const mob = this.findOwner(hit.object, hostileMobs);
+            if (mob) {
+                this.golemCommander.commandAttack(mob);
+            } else {
+                this.golemCommander.commandMove(hit.point);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Find the entity whose mesh contains a scene object
+     * @param {THREE.Object3D} object - Raycast hit object
+     * @param {Array} entities - Entities with a mesh
+     * @returns {Object|null} Owning entity
+     */
+    findOwner(object, entities) {
+        for (let node = object; node; node = node.parent) {
+            const owner = entities.find(entity => entity.mesh === node);
+            if (owner) return owner;
+        }
+        return null;
+    }
+
+    /**
+     * Shift+left-drag finished: select golems inside the box
+     */
+    handleBoxSelect(rect) {
+        this.selectionBox.hide();
+        if (this.golemCommander) {
+            this.golemCommander.selectInRect(rect);
+        }
+    }
+
     /**
      * Left-drag: Camera orbit in follow mode only
      */
@@ -570,7 +839,14 @@ export class Game {
         }
     }
 
+    /**
+     * Drop a torch from the bag at the hero's feet
+     */
     dropTorch() {
+        if (!this.inventory.remove('torch', 1)) {
+            return false;
+        }
+
         // Remove oldest torch if at limit
         if (this.torches.length >= 8) {
             const oldest = this.torches.shift();
@@ -580,6 +856,7 @@ export class Game {
         // Spawn torch at hero position
         const torch = new DroppedTorch(this.scene, this.hero.position.clone());
         this.torches.push(torch);
+        return true;
     }
 
     /**
@@ -587,7 +864,7 @@ export class Game {
      */
     placeTNT() {
         // Check if player has TNT
-        if (this.resources.tnt <= 0) {
+        if (this.inventory.count('tnt') <= 0) {
             return false;
         }
 
@@ -622,7 +899,7 @@ export class Game {
         if (this.tntManager) {
             const tnt = this.tntManager.placeTNT(placePos);
             if (tnt) {
-                this.resources.tnt--;
+                this.inventory.remove('tnt', 1);
 
                 // Show feedback
                 if (this.itemSpawner) {
@@ -640,6 +917,111 @@ export class Game {
         return false;
     }
 
+    /**
+     * Push equipped item stats into the hero
+     */
+    applyEquipment() {
+        this.hero.applyEquipment(this.inventory.getEquipmentStats());
+        this.progression.applyStats();
+    }
+
+    /**
+     * Whether a screen that pauses the game (and closes on Escape) is open
+     * @returns {boolean}
+     */
+    hasOpenScreen() {
+        return !!(this.inventoryScreen?.isOpen || this.craftingScreen?.isOpen);
+    }
+
+    /**
+     * Place the selected block type in front of the player, using up one
+     * crafted block of that type
+     * Stacks on top of previously placed blocks so walls can be built up
+     */
+    placeBlock() {
+        const type = this.selectedBlockType;
+        const itemType = getBlockItemType(type);
+        if (!itemType || this.inventory.count(itemType) <= 0) {
+            return false;
+        }
+
+        const direction = new THREE.Vector3(
+            Math.sin(this.hero.rotation),
+            0,
+            Math.cos(this.hero.rotation)
+        );
+
+        const placeDistance = 2.0;
+        const placePos = this.hero.position.clone()
+            .add(direction.multiplyScalar(placeDistance));
+
+        // Ground height includes previously placed blocks in this column
+        placePos.y = Math.floor(this.world.getHeight(placePos.x, placePos.z));
+
+        if (!this.world.placeBlock(placePos.x, placePos.y, placePos.z, type)) {
+            return false;
+        }
+
+        this.inventory.remove(itemType, 1);
+
+        if (this.itemSpawner) {
+            this.itemSpawner.showFloatingNumber(placePos.clone(), 'Block Placed', 'info');
+        }
+        return true;
+    }
+
+    /**
+     * Cycle the block type used for placement
+     */
+    cycleBlockType() {
+        const index = PLACEABLE_BLOCK_TYPES.indexOf(this.selectedBlockType);
+        this.selectedBlockType = PLACEABLE_BLOCK_TYPES[(index + 1) % PLACEABLE_BLOCK_TYPES.length];
+    }
+
+    /**
+     * Summon a golem behind the hero, using up a crafted golem core
+     * New golems follow the hero.
+     */
+    summonGolem() {
+        if (this.hero.commandedGolems.length >= MAX_GOLEMS) {
+            return false;
+        }
+        if (this.inventory.count('golemCore') <= 0) {
+            return false;
+        }
+
+        const direction = new THREE.Vector3(
+            Math.sin(this.hero.rotation),
+            0,
+            Math.cos(this.hero.rotation)
+        );
+        const spawnPos = this.hero.position.clone()
+            .sub(direction.multiplyScalar(3));
+
+        const groundY = this.world.getHeight(spawnPos.x, spawnPos.z);
+        if (groundY < WATER_LEVEL) {
+            return false;
+        }
+        spawnPos.y = groundY + 0.5;
+
+        this.inventory.remove('golemCore', 1);
+
+        const golem = new Golem(this.scene, spawnPos);
+        this.hero.addGolem(golem);
+        this.entities.push(golem);
+        this.playerEntities.push(golem);
+
+        if (this.itemSpawner) {
+            this.itemSpawner.showFloatingNumber(
+                spawnPos.clone(),
+                1,
+                'resource',
+                'Golem Summoned'
+            );
+        }
+        return true;
+    }
+
     async toggleLandmarkDebug() {
         if (!this.landmarkDebug) {
             // Lazy load the debug renderer
@@ -703,7 +1085,7 @@ export class Game {
             landmarks: landmarks || [],
             insideLandmark: insideLandmark,
             tntCount: tntCount,
-            tntInventory: this.resources.tnt
+            tntInventory: this.inventory.count('tnt')
         });
     }
 
@@ -769,6 +1151,20 @@ export class Game {
         if (this.input.isKeyJustPressed('q')) {
             this.hero.switchWeapon();
         }
+        // Inventory screen with I key
+        if (this.input.isKeyJustPressed('i')) {
+            this.inventoryScreen.open();
+        }
+        // Crafting screen with C key
+        if (this.input.isKeyJustPressed('c')) {
+            this.craftingScreen.open();
+        }
+        // Abilities on number keys 1..N (hotbar order)
+        for (let slot = 0; slot < ABILITIES.length; slot++) {
+            if (this.input.isKeyJustPressed(String(slot + 1))) {
+                this.useAbility(slot, this.getCursorTarget());
+            }
+        }
         // Debug: Press 'b' to dump block column at player position
         if (this.input.isKeyPressed('b') && !this._debugCooldown) {
             this._debugCooldown = true;
@@ -786,6 +1182,195 @@ export class Game {
         if (this.input.isKeyJustPressed('t')) {
             this.placeTNT();
         }
+        // Place block with F, cycle block type with R
+        if (this.input.isKeyJustPressed('f')) {
+            this.placeBlock();
+        }
+        if (this.input.isKeyJustPressed('r')) {
+            this.cycleBlockType();
+        }
+        // Golems: V summons, H guards current positions, Y follows the hero, N cycles formation
+        if (this.input.isKeyJustPressed('v')) {
+            this.summonGolem();
+        }
+        if (this.input.isKeyJustPressed('h') && this.golemCommander) {
+            this.golemCommander.commandGuard();
+        }
+        if (this.input.isKeyJustPressed('y') && this.golemCommander) {
+            this.golemCommander.commandFollow();
+        }
+        if (this.input.isKeyJustPressed('n')) {
+            const formation = this.hero.squad.cycleFormation();
+            if (this.itemSpawner) {
+                const above = this.hero.position.clone();
+                above.y += 3;
+                this.itemSpawner.showFloatingNumber(above, `Formation: ${formation}`, 'info');
+            }
+        }
+
+        // E at a dock: set sail
+        if (this.input.isKeyJustPressed('e')) {
+            this.trySail();
+        }
+    }
+
+    // =========================================================================
+    // Settlements
+    // =========================================================================
+
+    /**
+     * Show a settlement's name when the hero walks into it
+     */
+    updateSettlementEntry() {
+        const { x, z } = this.hero.position;
+        const settlement = this.world.chunkLoader.workerManager.getSettlementAt(x, z);
+        const id = settlement ? settlement.id : null;
+        if (id === this.currentSettlementId) return;
+
+        this.currentSettlementId = id;
+        if (settlement) {
+            this.itemSpawner.showFloatingNumber(this.hero.position.clone(), settlement.name, 'info');
+        }
+    }
+
+    // =========================================================================
+    // Sailing
+    // =========================================================================
+
+    /**
+     * Light the sailing point's progress stones from objective completion
+     */
+    updateSailingProgress() {
+        this.sailing.setProgress(
+            this.objectiveManager.getCompletedCount(),
+            this.objectiveManager.objectives.length
+        );
+    }
+
+    /**
+     * HUD line while standing at a dock
+     * @returns {string}
+     */
+    getDockPrompt() {
+        const voyage = this.sailing.getVoyage(this.hero.position, this.objectiveManager.isContinentComplete());
+        if (!voyage) return '';
+        return voyage.allowed
+            ? `E: Sail to continent ${voyage.destination}<br>`
+            : `Dock: complete all objectives to sail<br>`;
+    }
+
+    /**
+     * Sail from the dock the hero stands at, or say what is still missing
+     */
+    trySail() {
+        const voyage = this.sailing.getVoyage(this.hero.position, this.objectiveManager.isContinentComplete());
+        if (!voyage) return;
+
+        if (!voyage.allowed) {
+            const remaining = this.objectiveManager.getUncompleted().length;
+            this.itemSpawner.showFloatingNumber(
+                this.hero.position.clone(),
+                `${remaining} objective${remaining === 1 ? '' : 's'} remaining`,
+                'info'
+            );
+            return;
+        }
+
+        this.sail(voyage).catch(e => {
+            console.error('Sailing failed:', e);
+            this.isSailing = false;
+            this.loadingOverlay.setTitle();
+            this.loadingOverlay.hide();
+        });
+    }
+
+    /**
+     * Move the hero (with XP, resources and golems) to another continent.
+     * The current continent is unloaded and the destination regenerated from
+     * its seed; its saved chunk edits are loaded back by WorldManager.
+     * @param {{destination: number, arrival: 'start'|'sail'}} voyage - From SailingManager.getVoyage()
+     * @returns {Promise<void>}
+     */
+    async sail(voyage) {
+        if (this.isSailing) return;
+        this.isSailing = true;
+
+        const destination = voyage.destination;
+        this.mapOverlay?.close();
+        this.loadingOverlay.setTitle(`Sailing to continent ${destination}...`);
+        this.loadingOverlay.setProgress(0, 1);
+        this.loadingOverlay.show();
+
+        // Leave the current continent: placed TNT goes back into the pack,
+        // everything else tied to its terrain is dropped
+        this.inventory.add('tnt', this.tntManager.getCount());
+        this.tntManager.clearAll();
+        this.templeBosses.clearAll();
+        this.mobSpawner.clearAll();
+        this.itemSpawner.clearAll();
+        this.combatManager.clearAll();
+        this.abilities.reset();
+        this.torches.forEach(torch => torch.destroy());
+        this.torches = [];
+        this.spawnPointManager.clear();
+
+        const arrival = this.sailing.getArrivalPoint(voyage);
+        this.continentIndex = destination;
+        this.continentConfig = getContinentConfig(this.baseContinentConfig, destination);
+        this.terrainSeed = getContinentTerrainSeed(this.seed, destination);
+
+        await this.world.switchContinent(
+            this.terrainSeed,
+            destination,
+            this.continentConfig,
+            { x: arrival.x, y: 10, z: arrival.z },
+            (loaded, total) => this.loadingOverlay.setProgress(loaded, total)
+        );
+
+        // Rewire systems that held the previous worker's caches
+        const workerManager = this.world.chunkLoader.workerManager;
+        workerManager.setSpawnPointManager(this.spawnPointManager);
+        this.hero.squad.setTerrainProbe(createMainThreadTerrainProbe(workerManager.blockCache));
+        this.atmosphere.initFogAdaptation(this.atmosphere.baseFogNear, this.atmosphere.baseFogFar, this.world.chunkLoader);
+        this.atmosphere.initWeatherSchedule(this.terrainSeed, this.continentConfig);
+
+        this.progressionBands = new ProgressionBands(this.seed, this.continentConfig, destination);
+        this.mobSpawner.progressionBands = this.progressionBands;
+        this.objectiveManager.setContinent(destination, {
+            landmarkRegistry: workerManager.landmarkRegistry,
+            progressionBands: this.progressionBands
+        });
+        this.templeBosses.setContinent(destination, {
+            landmarkRegistry: workerManager.landmarkRegistry,
+            progressionBands: this.progressionBands
+        });
+        this.sailing.setContinent(destination);
+        this.updateSailingProgress();
+        this.mapOverlay?.setContinent(this.terrainSeed, this.continentConfig, destination, this.progressionBands);
+        this.mapOverlay?.setSettlements(workerManager.settlements);
+        this.currentSettlementId = null;
+
+        // Land at the dock facing inland, golems beside the hero
+        const height = this.world.getHeight(arrival.x, arrival.z);
+        const landing = new THREE.Vector3(arrival.x, Math.max(height + 2, WATER_LEVEL + 2), arrival.z);
+        this.hero.position.copy(landing);
+        this.hero.velocity.set(0, 0, 0);
+        this.hero.rotation = arrival.angle + Math.PI;
+
+        this.hero.commandedGolems.forEach((golem, i) => {
+            const angle = (i / this.hero.commandedGolems.length) * Math.PI * 2;
+            golem.position.set(landing.x + Math.cos(angle) * 3, landing.y, landing.z + Math.sin(angle) * 3);
+            golem.velocity.set(0, 0, 0);
+            golem.setOrder({ type: 'follow' });
+        });
+
+        this.camera.position.set(landing.x, landing.y + 20, landing.z + 30);
+        this.camera.lookAt(landing);
+
+        this.loadingOverlay.hide();
+        this.loadingOverlay.setTitle();
+        this.isSailing = false;
+        console.log(`Arrived on continent ${destination} at (${landing.x.toFixed(0)}, ${landing.z.toFixed(0)})`);
     }
 
     update(deltaTime) {
@@ -809,6 +1394,24 @@ export class Game {
             return;
         }
 
+        // Inventory screen pauses the game until closed (I or Escape)
+        if (this.inventoryScreen?.isOpen) {
+            if (this.input.isKeyJustPressed('i') || this.input.isKeyJustPressed('escape')) {
+                this.inventoryScreen.close();
+            }
+            this.input.clearJustPressed();
+            return;
+        }
+
+        // So does the crafting screen (C or Escape)
+        if (this.craftingScreen?.isOpen) {
+            if (this.input.isKeyJustPressed('c') || this.input.isKeyJustPressed('escape')) {
+                this.craftingScreen.close();
+            }
+            this.input.clearJustPressed();
+            return;
+        }
+
         this.touchControls.update(deltaTime);
         this.handleInput(deltaTime);
 
@@ -820,6 +1423,11 @@ export class Game {
 
         this.entities = this.entities.filter(e => e.health > 0);
         this.playerEntities = this.playerEntities.filter(e => e.health > 0);
+        this.hero.removeDeadGolems();
+        this.hero.squad.update(deltaTime);
+        if (this.golemCommander) {
+            this.golemCommander.update();
+        }
 
         // Update spawn point manager cooldowns
         if (this.spawnPointManager) {
@@ -831,6 +1439,12 @@ export class Game {
             this.mobSpawner.update(deltaTime, this.hero.position, WATER_LEVEL, this.itemSpawner);
         }
 
+        // Objective completion and beacons
+        this.objectiveManager.update(deltaTime, this.hero.position);
+        this.templeBosses.update(deltaTime, this.hero.position);
+        this.sailing.update();
+        this.updateSettlementEntry();
+
         // Check if any arrows hit TNT blocks BEFORE combat updates
         // (TNT sits on ground, so we need to check before arrows get stuck in terrain)
         if (this.combatManager && this.tntManager) {
@@ -852,6 +1466,12 @@ export class Game {
             this.combatManager.update(deltaTime);
         }
 
+        // Ability cooldowns, energy and timed effects
+        if (this.abilities) {
+            this.abilities.update(deltaTime);
+            this.hotbar.update();
+        }
+
         // Update TNT blocks (fuse timers, detonations)
         if (this.tntManager) {
             this.tntManager.update(deltaTime);
@@ -873,13 +1493,15 @@ export class Game {
         // Update camera
         this.cameraController.update(deltaTime);
         
-        // Update atmosphere (day/night, lighting, torch)
-        const { timeOfDay } = this.atmosphere.update(
+        // Update atmosphere (day/night, lighting, weather, torch)
+        this.gameTime += deltaTime;
+        this.atmosphere.update(
             deltaTime,
             this.hero.position,
-            this.hero.rotation
+            this.hero.rotation,
+            { biome: this.world.getBiome(this.hero.position.x, this.hero.position.z) },
+            this.gameTime
         );
-        this.gameTime = timeOfDay;  // For saving
         
         // OrbitControls is disabled - CameraController manages all camera state
         this.updateUI();
@@ -900,16 +1522,27 @@ export class Game {
         const mobCount = this.mobSpawner ? this.mobSpawner.mobs.length : 0;
         
         const tntCount = this.tntManager ? this.tntManager.getCount() : 0;
+        const selectedGolems = this.golemCommander ? this.golemCommander.getSelected().length : 0;
         stats.innerHTML = `
-            Health: ${Math.max(0, Math.floor(this.hero.health))}/${this.hero.maxHealth}<br>
+            Health: ${Math.max(0, Math.floor(this.hero.health))}/${this.hero.maxHealth}
+            <span class="xp-bar"><span style="width: ${Math.round(this.progression.getLevelProgress() * 100)}%"></span></span>
+            Lv ${this.progression.level}<br>
             Biome: ${biome}<br>
             Mobs: ${mobCount}<br>
-            Gold: ${this.resources.gold}<br>
-            Wood: ${this.resources.wood}<br>
-            Iron: ${this.resources.iron}<br>
-            Coal: ${this.resources.coal}<br>
-            Diamonds: ${this.resources.diamond}<br>
-            TNT: ${this.resources.tnt} (${tntCount} placed)<br>
+            Gold: ${this.inventory.count('gold')}<br>
+            Wood: ${this.inventory.count('wood')}<br>
+            Iron: ${this.inventory.count('iron')}<br>
+            Coal: ${this.inventory.count('coal')}<br>
+            Diamonds: ${this.inventory.count('diamond')}<br>
+            TNT: ${this.inventory.count('tnt')} (${tntCount} placed)<br>
+            Arrows: ${this.inventory.count('arrows')} · Torches: ${this.inventory.count('torch')}<br>
+            Block: ${this.selectedBlockType} (${this.inventory.count(getBlockItemType(this.selectedBlockType))})<br>
+            Golem cores: ${this.inventory.count('golemCore')}<br>
+            Golems: ${this.hero.commandedGolems.length}/${MAX_GOLEMS}${selectedGolems ? ` (${selectedGolems} selected)` : ''}<br>
+            Formation: ${this.hero.squad.formation}<br>
+            Objectives: ${this.objectiveManager.getCompletedCount()}/${this.objectiveManager.objectives.length}
+            (continent ${this.continentIndex})<br>
+            ${this.getDockPrompt()}
         `;
     }
     
@@ -933,17 +1566,18 @@ export class Game {
             
             flashScreen('#00FF00', 0.3);
         } else {
-            if (this.resources.hasOwnProperty(item.type)) {
-                this.resources[item.type] += value;
-                
+            if (ITEMS[item.type]) {
+                const added = value - this.inventory.add(item.type, value);
+
                 if (this.itemSpawner) {
                     this.itemSpawner.showFloatingNumber(
                         this.hero.position.clone(),
-                        value,
+                        added,
                         'resource',
-                        config.name
+                        added > 0 ? config.name : 'Inventory full'
                     );
                 }
+                if (added === 0) return;
                 
                 const flashColors = {
                     gold: '#FFD700',
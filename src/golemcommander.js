@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+
+/**
+ * GolemCommander - RTS-style selection and orders for the hero's golems
+ *
+ * Handles:
+ * - Selecting golems by shift-click or shift-drag box (screen space)
+ * - Move and attack orders (right-click on ground or on a mob)
+ * - Guard and follow orders (keys)
+ *
+ * Orders go to the selected golems; guard/follow fall back to every golem
+ * when nothing is selected. Golems themselves carry out the orders.
+ */
+
+// Max screen distance (pixels) for a shift-click to pick a golem
+const CLICK_SELECT_RADIUS = 40;
+
+export class GolemCommander {
+    /**
+     * @param {Hero} hero - Owner of the golems (hero.commandedGolems)
+     * @param {THREE.Camera} camera - For projecting golems to screen space
+     */
+    constructor(hero, camera) {
+        this.hero = hero;
+        this.camera = camera;
+        this.selected = new Set();
+        this._projected = new THREE.Vector3();
+    }
+
+    /**
+     * Drop destroyed golems from the selection
+     */
+    update() {
+        for (const golem of this.selected) {
+            if (golem.health <= 0) {
+                this.selected.delete(golem);
+            }
+        }
+    }
+
+    /**
+     * Get currently selected golems
+     * @returns {Array<Golem>}
+     */
+    getSelected() {
+        return [...this.selected];
+    }
+
+    /**
+     * Golems that receive stance orders: the selection, or all golems if none selected
+     * @returns {Array<Golem>}
+     */
+    getOrderTargets() {
+        return this.selected.size > 0 ? this.getSelected() : this.hero.commandedGolems;
+    }
+
+    /**
+     * Project a world position to client pixels
+     * @param {THREE.Vector3} position - World position
+     * @returns {{x: number, y: number}|null} Pixels, or null if behind the camera
+     */
+    toScreen(position) {
+        this._projected.copy(position).project(this.camera);
+        if (this._projected.z > 1) return null;
+        return {
+            x: (this._projected.x + 1) / 2 * window.innerWidth,
+            y: (1 - this._projected.y) / 2 * window.innerHeight
+        };
+    }
+
+    /**
+     * Select golems inside a screen rectangle
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Client pixels
+     * @param {boolean} additive - Keep the existing selection
+     */
+    selectInRect(rect, additive = false) {
+        if (!additive) this.clearSelection();
+
+        for (const golem of this.hero.commandedGolems) {
+            const screen = this.toScreen(golem.position);
+            if (!screen) continue;
+            if (screen.x >= rect.left && screen.x <= rect.right &&
+                screen.y >= rect.top && screen.y <= rect.bottom) {
+                this.setSelected(golem, true);
+            }
+        }
+    }
+
+    /**
+     * Toggle the golem nearest a screen point; clears the selection if none is close
+     * @param {number} x - Client X
+     * @param {number} y - Client Y
+     */
+    selectAt(x, y) {
+        let nearest = null;
+        let minDistance = CLICK_SELECT_RADIUS;
+
+        for (const golem of this.hero.commandedGolems) {
+            const screen = this.toScreen(golem.position);
+            if (!screen) continue;
+            const distance = Math.hypot(screen.x - x, screen.y - y);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = golem;
+            }
+        }
+
+        if (nearest) {
+            this.setSelected(nearest, !this.selected.has(nearest));
+        } else {
+            this.clearSelection();
+        }
+    }
+
+    setSelected(golem, selected) {
+        golem.setSelected(selected);
+        if (selected) {
+            this.selected.add(golem);
+        } else {
+            this.selected.delete(golem);
+        }
+    }
+
+    clearSelection() {
+        for (const golem of this.selected) {
+            golem.setSelected(false);
+        }
+        this.selected.clear();
+    }
+
+    /**
+     * Order selected golems to a point
+     * @param {THREE.Vector3} position - Destination
+     */
+    commandMove(position) {
+        if (this.selected.size === 0) return;
+        this.hero.commandGolems(position, this.getSelected());
+    }
+
+    /**
+     * Order selected golems to attack a mob
+     * @param {Mob} mob - Target
+     */
+    commandAttack(mob) {
+        for (const golem of this.selected) {
+            golem.setOrder({ type: 'attack', target: mob });
+        }
+    }
+
+    /**
+     * Order golems to hold their current positions
+     */
+    commandGuard() {
+        for (const golem of this.getOrderTargets()) {
+            golem.setOrder({ type: 'guard', position: golem.position.clone() });
+        }
+    }
+
+    /**
+     * Order golems to follow the hero
+     */
+    commandFollow() {
+        for (const golem of this.getOrderTargets()) {
+            golem.setOrder({ type: 'follow' });
+        }
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * HeroProgression - Hero XP, levels and stat growth
+ *
+ * Handles:
+ * - XP curve: XP needed per level grows polynomially
+ * - Level-ups from XP awarded by CombatManager (onXPGained)
+ * - Hero stats derived from level (max health, arrow and melee damage)
+ *
+ * Each continent spans LEVELS_PER_CONTINENT levels (see
+ * docs/continental-progression.md). Hero stats scale with the same factors
+ * as mob health and damage so a hero keeps pace with mobs of their level.
+ *
+ * Only level and XP are saved; stats are recomputed from the level, plus
+ * the damage bonuses of the hero's equipped items (hero.equipmentStats).
+ */
+
+export const LEVELS_PER_CONTINENT = 10;
+
+// Five continents' worth of levels for now (continent count cap is still open)
+export const MAX_LEVEL = LEVELS_PER_CONTINENT * 5;
+
+// XP to go from level L to L + 1 is XP_BASE * L^XP_EXPONENT
+const XP_BASE = 50;
+const XP_EXPONENT = 1.5;
+
+// Per-level growth, matching mob scaling in the progression doc
+const HEALTH_PER_LEVEL = 0.15;
+const DAMAGE_PER_LEVEL = 0.12;
+
+/**
+ * XP required to advance from a level to the next
+ * @param {number} level - Current level (1-based)
+ * @returns {number} XP needed, or Infinity at MAX_LEVEL
+ */
+export function xpForNextLevel(level) {
+    if (level >= MAX_LEVEL) return Infinity;
+    return Math.round(XP_BASE * Math.pow(level, XP_EXPONENT));
+}
+
+export class HeroProgression {
+    /**
+     * @param {Hero} hero - Hero whose stats follow the level
+     */
+    constructor(hero) {
+        this.hero = hero;
+        this.level = 1;
+        this.xp = 0;  // XP towards the next level
+
+        // Level 1 stats, captured before any scaling
+        this.baseStats = {
+            maxHealth: hero.maxHealth,
+            arrowDamage: hero.arrowDamage,
+            meleeDamage: hero.meleeDamage
+        };
+
+        // Callback (injected after construction)
+        this.onLevelUp = null;  // (level) => void
+    }
+
+    /**
+     * Award XP, levelling up as many times as it covers
+     * @param {number} amount - XP gained
+     * @returns {number} Levels gained
+     */
+    addXP(amount) {
+        if (amount <= 0 || this.level >= MAX_LEVEL) return 0;
+
+        this.xp += amount;
+        let levelsGained = 0;
+        while (this.level < MAX_LEVEL && this.xp >= xpForNextLevel(this.level)) {
+            this.xp -= xpForNextLevel(this.level);
+            this.level++;
+            levelsGained++;
+        }
+        if (this.level >= MAX_LEVEL) {
+            this.xp = 0;
+        }
+
+        if (levelsGained > 0) {
+            this.applyStats(true);
+            if (this.onLevelUp) {
+                this.onLevelUp(this.level);
+            }
+        }
+        return levelsGained;
+    }
+
+    /**
+     * Set hero stats for the current level and equipment
+     * @param {boolean} healGain - Add the max health gained to current health
+     */
+    applyStats(healGain = false) {
+        const hero = this.hero;
+        const healthScale = 1 + HEALTH_PER_LEVEL * (this.level - 1);
+        const damageScale = 1 + DAMAGE_PER_LEVEL * (this.level - 1);
+
+        const previousMax = hero.maxHealth;
+        hero.maxHealth = Math.round(this.baseStats.maxHealth * healthScale);
+        const equipment = hero.equipmentStats;
+        hero.arrowDamage = Math.round(this.baseStats.arrowDamage * damageScale) + (equipment?.arrowDamage || 0);
+        hero.meleeDamage = Math.round(this.baseStats.meleeDamage * damageScale) + (equipment?.meleeDamage || 0);
+
+        if (healGain && hero.maxHealth > previousMax) {
+            hero.health += hero.maxHealth - previousMax;
+        }
+        hero.health = Math.min(hero.health, hero.maxHealth);
+    }
+
+    /**
+     * Progress towards the next level
+     * @returns {number} 0-1 (1 at MAX_LEVEL)
+     */
+    getLevelProgress() {
+        if (this.level >= MAX_LEVEL) return 1;
+        return this.xp / xpForNextLevel(this.level);
+    }
+
+    /**
+     * Serialize progression for the save snapshot
+     * @returns {{level: number, xp: number}}
+     */
+    serialize() {
+        return { level: this.level, xp: this.xp };
+    }
+
+    /**
+     * Restore progression from a save snapshot and recompute stats
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+        this.level = Math.max(1, Math.min(MAX_LEVEL, Math.floor(data.level) || 1));
+        this.xp = Math.max(0, data.xp || 0);
+        this.applyStats();
+    }
+}
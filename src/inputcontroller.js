@@ -7,7 +7,8 @@ import * as THREE from 'three';
  * - Keyboard state tracking
  * - Mouse position and click detection
  * - Click vs drag discrimination
- * - Right-click rotation with pointer lock
+ * - Shift+left-drag box selection (screen-space rectangle)
+ * - Right-click rotation with pointer lock, and right-click (no drag) commands
  * - Raycasting for world interaction
  */
 export class InputController {
@@ -38,10 +39,20 @@ export class InputController {
         this.onRightDragStart = null;  // Called when right-drag starts
         this.onRightDragEnd = null;    // Called when right-drag ends
         this.onScrollWheel = null;     // Called on scroll wheel with (delta)
+        this.onRightClick = null;      // Called on right-click (not drag) with (mousePosition)
+        this.onBoxSelect = null;       // Called during shift+left-drag with (rect)
+        this.onBoxSelectEnd = null;    // Called when shift+left-drag ends with (rect)
 
         // Left-drag state
         this.isLeftDragging = false;
 
+        // Box selection state (shift held when the left button went down)
+        this.boxSelectArmed = false;
+        this.isBoxSelecting = false;
+
+        // Right-click vs right-drag discrimination (pointer-locked movement)
+        this.rightDragDistance = 0;
+
         // Pointer lock snag fix: skip first movement after lock is acquired
         this.pointerLockJustAcquired = false;
 
@@ -80,8 +91,14 @@ export class InputController {
                 // If mouse moved more than 5 pixels, it's a drag
                 if (moveDistance > 5) {
                     this.isDragging = true;
-                    // Start left-drag if not already started
-                    if (!this.isLeftDragging) {
+                    if (this.boxSelectArmed) {
+                        // Shift+drag selects instead of orbiting
+                        this.isBoxSelecting = true;
+                        if (this.onBoxSelect) {
+                            this.onBoxSelect(this.getSelectionRect(e.clientX, e.clientY));
+                        }
+                    } else if (!this.isLeftDragging) {
+                        // Start left-drag if not already started
                         this.isLeftDragging = true;
                         // this.renderer.domElement.requestPointerLock();
                         if (this.onLeftDragStart) {
@@ -109,6 +126,7 @@ export class InputController {
                 }
                 const deltaX = e.movementX;
                 const deltaY = e.movementY;
+                this.rightDragDistance += Math.abs(deltaX) + Math.abs(deltaY);
                 if (this.onRightDrag) {
                     this.onRightDrag(deltaX, deltaY);
                 }
@@ -121,8 +139,10 @@ export class InputController {
                 this.mouseDownPos.set(e.clientX, e.clientY);
                 this.mouseDownTime = performance.now();
                 this.isDragging = false;
+                this.boxSelectArmed = e.shiftKey;
             } else if (e.button === 2) {  // Right click
                 this.isRightDragging = true;
+                this.rightDragDistance = 0;
                 // Request pointer lock for infinite rotation
                 this.renderer.domElement.requestPointerLock();
                 // Notify callback that drag started
@@ -139,6 +159,14 @@ export class InputController {
                 if (!this.isDragging && this.onLeftClick) {
                     this.onLeftClick(this.mouse);
                 }
+                // Finish box selection if active
+                if (this.isBoxSelecting) {
+                    this.isBoxSelecting = false;
+                    if (this.onBoxSelectEnd) {
+                        this.onBoxSelectEnd(this.getSelectionRect(e.clientX, e.clientY));
+                    }
+                }
+                this.boxSelectArmed = false;
                 // End left-drag if active
                 if (this.isLeftDragging) {
                     this.isLeftDragging = false;
@@ -161,6 +189,10 @@ export class InputController {
                 if (this.onRightDragEnd) {
                     this.onRightDragEnd();
                 }
+                // Barely moved - treat as a click (pointer lock keeps this.mouse at the click point)
+                if (this.rightDragDistance <= 5 && this.onRightClick) {
+                    this.onRightClick(this.mouse);
+                }
             }
         });
 
@@ -185,6 +217,21 @@ export class InputController {
         });
     }
     
+    /**
+     * Get the screen-space rectangle from the left mouse-down point to (x, y)
+     * @param {number} x - Current client X
+     * @param {number} y - Current client Y
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    getSelectionRect(x, y) {
+        return {
+            left: Math.min(this.mouseDownPos.x, x),
+            top: Math.min(this.mouseDownPos.y, y),
+            right: Math.max(this.mouseDownPos.x, x),
+            bottom: Math.max(this.mouseDownPos.y, y)
+        };
+    }
+
     /**
      * Check if a key is currently held down
      */
@@ -289,6 +336,24 @@ export class InputController {
         this.onRightDragEnd = callback;
     }
 
+    /**
+     * Set callback for right-click events (not drag)
+     * @param {Function} callback - Called with (mousePosition)
+     */
+    setRightClickCallback(callback) {
+        this.onRightClick = callback;
+    }
+
+    /**
+     * Set callbacks for shift+left-drag box selection
+     * @param {Function} onUpdate - Called during the drag with (rect)
+     * @param {Function} onEnd - Called when the drag ends with (rect)
+     */
+    setBoxSelectCallbacks(onUpdate, onEnd) {
+        this.onBoxSelect = onUpdate;
+        this.onBoxSelectEnd = onEnd;
+    }
+
     /**
      * Set callback for scroll wheel
      * @param {Function} callback - Called with (delta)
@@ -0,0 +1,398 @@
+/**
+ * Inventory - Slot-based item storage and hero equipment
+ *
+ * Handles:
+ * - Item definitions: stack limits, display, equipment slot and stats
+ * - A fixed number of bag slots holding { type, count } stacks
+ * - Equipment slots (bow, sword, armor, mount gear) whose summed stats
+ *   feed into the Hero (see Hero.applyEquipment and HeroProgression)
+ * - Cost checks and spending for crafting (see crafting.js)
+ * - Consumables used up by the hero: arrows, torches, building blocks,
+ *   golem cores and TNT
+ * - Save/restore as the snapshot's inventory section
+ *
+ * Slot references used by moves are { area: 'bag', index } or
+ * { area: 'equipment', slot }.
+ */
+
+export const INVENTORY_SIZE = 24;
+
+export const EQUIPMENT_SLOTS = ['bow', 'sword', 'armor', 'mount'];
+
+/**
+ * Item table. Equipment items name the slot they go in and the stats they
+ * add while equipped; they never stack. Building blocks name the block
+ * type they place (one of PLACEABLE_BLOCK_TYPES).
+ * @type {Object<string, {name: string, icon: string, color: string, stackLimit: number, slot?: string, stats?: Object<string, number>, block?: string}>}
+ */
+export const ITEMS = {
+    // Resources
+    gold: { name: 'Gold', icon: '●', color: '#FFD700', stackLimit: 999 },
+    wood: { name: 'Wood', icon: '▮', color: '#8B4513', stackLimit: 99 },
+    iron: { name: 'Iron', icon: '◆', color: '#A0A0A0', stackLimit: 99 },
+    coal: { name: 'Coal', icon: '◆', color: '#3a3a3a', stackLimit: 99 },
+    diamond: { name: 'Diamond', icon: '◇', color: '#00FFFF', stackLimit: 64 },
+
+    // Consumables
+    tnt: { name: 'TNT', icon: '■', color: '#FF0000', stackLimit: 16 },
+    arrows: { name: 'Arrows', icon: '↟', color: '#E0C89A', stackLimit: 99 },
+    torch: { name: 'Torch', icon: '¡', color: '#FFA500', stackLimit: 16 },
+    golemCore: { name: 'Golem Core', icon: '◉', color: '#7FD4FF', stackLimit: 8 },
+
+    // Building blocks
+    dirtBlock: { name: 'Dirt', icon: '▪', color: '#8B5A2B', stackLimit: 64, block: 'dirt' },
+    stoneBlock: { name: 'Stone', icon: '▪', color: '#808080', stackLimit: 64, block: 'stone' },
+    sandBlock: { name: 'Sand', icon: '▪', color: '#E6D28C', stackLimit: 64, block: 'sand' },
+    iceBlock: { name: 'Ice', icon: '▪', color: '#A5D8F0', stackLimit: 64, block: 'ice' },
+    mayanBlock: { name: 'Mayan Stone', icon: '▪', color: '#9C8F6A', stackLimit: 64, block: 'mayan_stone' },
+
+    // Bows
+    shortBow: { name: 'Short Bow', icon: '➶', color: '#C8A165', stackLimit: 1, slot: 'bow', stats: {} },
+    longBow: { name: 'Longbow', icon: '➶', color: '#8FBC8F', stackLimit: 1, slot: 'bow', stats: { arrowDamage: 6 } },
+    compositeBow: { name: 'Composite Bow', icon: '➶', color: '#00CED1', stackLimit: 1, slot: 'bow', stats: { arrowDamage: 12 } },
+
+    // Swords
+    woodenSword: { name: 'Wooden Sword', icon: '⚔', color: '#C8A165', stackLimit: 1, slot: 'sword', stats: {} },
+    ironSword: { name: 'Iron Sword', icon: '⚔', color: '#D0D0D0', stackLimit: 1, slot: 'sword', stats: { meleeDamage: 10 } },
+    diamondSword: { name: 'Diamond Sword', icon: '⚔', color: '#00FFFF', stackLimit: 1, slot: 'sword', stats: { meleeDamage: 20 } },
+
+    // Armor (fraction of incoming damage absorbed)
+    leatherArmor: { name: 'Leather Armor', icon: '⛨', color: '#A0522D', stackLimit: 1, slot: 'armor', stats: { armor: 0.1 } },
+    ironArmor: { name: 'Iron Armor', icon: '⛨', color: '#D0D0D0', stackLimit: 1, slot: 'armor', stats: { armor: 0.25 } },
+
+    // Mount gear (added to mounted move speed)
+    saddle: { name: 'Saddle', icon: '♞', color: '#8B4513', stackLimit: 1, slot: 'mount', stats: { mountSpeed: 2 } }
+};
+
+// What a new hero starts with in each equipment slot
+const STARTING_EQUIPMENT = {
+    bow: 'shortBow',
+    sword: 'woodenSword',
+    armor: null,
+    mount: null
+};
+
+// What a new hero starts with in the bag
+const STARTING_ITEMS = {
+    arrows: 32,
+    torch: 4
+};
+
+// Armor never absorbs more than this fraction of a hit
+const MAX_ARMOR = 0.75;
+
+/**
+ * Item type that places a block type
+ * @param {string} blockType - One of PLACEABLE_BLOCK_TYPES
+ * @returns {string|null}
+ */
+export function getBlockItemType(blockType) {
+    const entry = Object.entries(ITEMS).find(([, item]) => item.block === blockType);
+    return entry ? entry[0] : null;
+}
+
+export class Inventory {
+    constructor(size = INVENTORY_SIZE) {
+        this.slots = new Array(size).fill(null);  // { type, count } or null
+        this.equipment = { ...STARTING_EQUIPMENT };
+
+        // Callback (injected after construction)
+        this.onChange = null;  // (equipmentChanged) => void
+
+        for (const [type, amount] of Object.entries(STARTING_ITEMS)) {
+            this.add(type, amount);
+        }
+    }
+
+    // =========================================================================
+    // Stacks
+    // =========================================================================
+
+    /**
+     * Total count of an item across all bag slots
+     * @param {string} type - Item type
+     * @returns {number}
+     */
+    count(type) {
+        let total = 0;
+        for (const stack of this.slots) {
+            if (stack?.type === type) total += stack.count;
+        }
+        return total;
+    }
+
+    /**
+     * Add items, topping up existing stacks before using empty slots
+     * @param {string} type - Item type (key of ITEMS)
+     * @param {number} amount - Number to add
+     * @returns {number} Amount that did not fit
+     */
+    add(type, amount) {
+        const item = ITEMS[type];
+        if (!item || amount <= 0) return amount;
+
+        let remaining = amount;
+        for (const stack of this.slots) {
+            if (remaining === 0) break;
+            if (stack?.type !== type || stack.count >= item.stackLimit) continue;
+            const added = Math.min(remaining, item.stackLimit - stack.count);
+            stack.count += added;
+            remaining -= added;
+        }
+        for (let i = 0; i < this.slots.length && remaining > 0; i++) {
+            if (this.slots[i]) continue;
+            const added = Math.min(remaining, item.stackLimit);
+            this.slots[i] = { type, count: added };
+            remaining -= added;
+        }
+
+        if (remaining < amount) this.notifyChange(false);
+        return remaining;
+    }
+
+    /**
+     * Check whether an amount of an item fits in the bag as it is now
+     * @param {string} type - Item type (key of ITEMS)
+     * @param {number} amount - Number to add
+     * @returns {boolean}
+     */
+    canAdd(type, amount) {
+        const item = ITEMS[type];
+        if (!item) return false;
+
+        let room = 0;
+        for (const stack of this.slots) {
+            if (!stack) {
+                room += item.stackLimit;
+            } else if (stack.type === type) {
+                room += Math.max(0, item.stackLimit - stack.count);
+            }
+        }
+        return room >= amount;
+    }
+
+    /**
+     * Remove items, emptying the last stacks first
+     * @param {string} type - Item type
+     * @param {number} amount - Number to remove
+     * @returns {boolean} False (and nothing removed) if there are not enough
+     */
+    remove(type, amount) {
+        if (this.count(type) < amount) return false;
+
+        let remaining = amount;
+        for (let i = this.slots.length - 1; i >= 0 && remaining > 0; i--) {
+            const stack = this.slots[i];
+            if (stack?.type !== type) continue;
+            const taken = Math.min(remaining, stack.count);
+            stack.count -= taken;
+            remaining -= taken;
+            if (stack.count === 0) this.slots[i] = null;
+        }
+
+        this.notifyChange(false);
+        return true;
+    }
+
+    /**
+     * Check whether the bag holds every item in a cost
+     * @param {Object<string, number>} cost - Amounts keyed by item type
+     * @returns {boolean}
+     */
+    has(cost) {
+        return Object.entries(cost).every(([type, amount]) => this.count(type) >= amount);
+    }
+
+    /**
+     * Remove every item in a cost
+     * @param {Object<string, number>} cost - Amounts keyed by item type
+     * @returns {boolean} False (and nothing removed) if the bag lacks any of it
+     */
+    spend(cost) {
+        if (!this.has(cost)) return false;
+        for (const [type, amount] of Object.entries(cost)) {
+            this.remove(type, amount);
+        }
+        return true;
+    }
+
+    // =========================================================================
+    // Moving and equipping
+    // =========================================================================
+
+    /**
+     * Item type at a slot reference
+     * @param {{area: string, index?: number, slot?: string}} ref
+     * @returns {string|null}
+     */
+    getTypeAt(ref) {
+        if (ref.area === 'equipment') return this.equipment[ref.slot] ?? null;
+        return this.slots[ref.index]?.type ?? null;
+    }
+
+    /**
+     * Whether an item may be placed in a slot reference
+     * @param {string|null} type - Item type (null = empty)
+     * @param {{area: string, index?: number, slot?: string}} ref
+     * @returns {boolean}
+     */
+    accepts(type, ref) {
+        if (!type || ref.area === 'bag') return true;
+        return ITEMS[type]?.slot === ref.slot;
+    }
+
+    /**
+     * Move the contents of one slot onto another: merge same-type stacks,
+     * otherwise swap. Equipment slots only take items for that slot.
+     * @param {{area: string, index?: number, slot?: string}} from
+     * @param {{area: string, index?: number, slot?: string}} to
+     * @returns {boolean} True if anything moved
+     */
+    move(from, to) {
+        const fromType = this.getTypeAt(from);
+        const toType = this.getTypeAt(to);
+        if (!fromType) return false;
+        if (from.area === to.area && from.index === to.index && from.slot === to.slot) return false;
+        if (!this.accepts(fromType, to) || !this.accepts(toType, from)) return false;
+
+        // Bag to bag: merge stacks of the same type
+        if (from.area === 'bag' && to.area === 'bag' && fromType === toType) {
+            const source = this.slots[from.index];
+            const target = this.slots[to.index];
+            const moved = Math.min(source.count, ITEMS[fromType].stackLimit - target.count);
+            if (moved <= 0) return false;
+            target.count += moved;
+            source.count -= moved;
+            if (source.count === 0) this.slots[from.index] = null;
+            this.notifyChange(false);
+            return true;
+        }
+
+        const fromContents = this.takeAt(from);
+        const toContents = this.takeAt(to);
+        this.putAt(to, fromContents);
+        this.putAt(from, toContents);
+
+        this.notifyChange(from.area === 'equipment' || to.area === 'equipment');
+        return true;
+    }
+
+    /**
+     * Equip the item in a bag slot, swapping out whatever was equipped
+     * @param {number} index - Bag slot
+     * @returns {boolean}
+     */
+    equipFromBag(index) {
+        const type = this.slots[index]?.type;
+        const slot = type ? ITEMS[type].slot : null;
+        if (!slot) return false;
+        return this.move({ area: 'bag', index }, { area: 'equipment', slot });
+    }
+
+    /**
+     * Move an equipped item into the first empty bag slot
+     * @param {string} slot - Equipment slot
+     * @returns {boolean} False if nothing is equipped or the bag is full
+     */
+    unequip(slot) {
+        const index = this.slots.indexOf(null);
+        if (!this.equipment[slot] || index === -1) return false;
+        return this.move({ area: 'equipment', slot }, { area: 'bag', index });
+    }
+
+    /**
+     * Remove and return a slot's contents
+     * @returns {{type: string, count: number}|null}
+     */
+    takeAt(ref) {
+        if (ref.area === 'equipment') {
+            const type = this.equipment[ref.slot];
+            this.equipment[ref.slot] = null;
+            return type ? { type, count: 1 } : null;
+        }
+        const stack = this.slots[ref.index];
+        this.slots[ref.index] = null;
+        return stack;
+    }
+
+    /**
+     * Place contents into an empty slot
+     */
+    putAt(ref, contents) {
+        if (ref.area === 'equipment') {
+            this.equipment[ref.slot] = contents ? contents.type : null;
+        } else {
+            this.slots[ref.index] = contents;
+        }
+    }
+
+    /**
+     * Sum the stats of all equipped items
+     * @returns {{arrowDamage: number, meleeDamage: number, armor: number, mountSpeed: number}}
+     */
+    getEquipmentStats() {
+        const stats = { arrowDamage: 0, meleeDamage: 0, armor: 0, mountSpeed: 0 };
+        for (const type of Object.values(this.equipment)) {
+            const itemStats = type ? ITEMS[type]?.stats : null;
+            if (!itemStats) continue;
+            for (const [stat, value] of Object.entries(itemStats)) {
+                stats[stat] = (stats[stat] || 0) + value;
+            }
+        }
+        stats.armor = Math.min(stats.armor, MAX_ARMOR);
+        return stats;
+    }
+
+    notifyChange(equipmentChanged) {
+        if (this.onChange) {
+            this.onChange(equipmentChanged);
+        }
+    }
+
+    // =========================================================================
+    // Persistence
+    // =========================================================================
+
+    /**
+     * Serialize for the snapshot's inventory section
+     * @returns {{slots: Array<{type: string, count: number}|null>, equipment: Object<string, string|null>}}
+     */
+    serialize() {
+        return {
+            slots: this.slots.map(stack => stack ? { ...stack } : null),
+            equipment: { ...this.equipment }
+        };
+    }
+
+    /**
+     * Restore from an inventory section. Unknown items are dropped; stacks
+     * over their limit (or beyond the bag size) are re-added wherever they fit.
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.slots.fill(null);
+        const overflow = [];
+        (data.slots || []).forEach((stack, index) => {
+            if (!stack || !ITEMS[stack.type] || !(stack.count > 0)) return;
+            const limit = ITEMS[stack.type].stackLimit;
+            if (index < this.slots.length) {
+                this.slots[index] = { type: stack.type, count: Math.min(stack.count, limit) };
+                if (stack.count > limit) overflow.push({ type: stack.type, count: stack.count - limit });
+            } else {
+                overflow.push(stack);
+            }
+        });
+        overflow.forEach(({ type, count }) => this.add(type, count));
+
+        if (data.equipment) {
+            for (const slot of EQUIPMENT_SLOTS) {
+                const type = data.equipment[slot];
+                this.equipment[slot] = type && ITEMS[type]?.slot === slot ? type : null;
+            }
+        }
+
+        this.notifyChange(true);
+    }
+}
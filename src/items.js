@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { PICKUP_LOOT, getLootSeed, pickLootEntry } from './loottables.js';
 
 /**
  * Resource types with visual properties and values
@@ -336,17 +337,6 @@ export class ItemSpawner {
         this.maxItems = 200;  // Many more items
         this.minHeight = 10;  // Spawn on hills (lowered from 12)
         this.spawnRadius = 100;  // Spawn within 100 blocks of player
-        
-        // Resource weights (higher = more common)
-        this.spawnWeights = {
-            gold: 40,
-            wood: 30,
-            coal: 15,
-            iron: 10,
-            food: 10,
-            diamond: 2,
-            tnt: 5  // Rare explosive
-        };
     }
     
     /**
@@ -387,7 +377,7 @@ export class ItemSpawner {
             
             // Only spawn on elevated terrain (mountains/hills for platforming)
             if (height >= this.minHeight) {
-                const type = this.getRandomResourceType();
+                const type = this.getRandomResourceType(x, z);
                 
                 // Use interpolated height for smooth terrain, with hover offset
                 const placeX = x + 0.5;
@@ -408,20 +398,15 @@ export class ItemSpawner {
     }
     
     /**
-     * Get random resource type based on weights
+     * Get the resource type for a spot from the pickup loot table
+     * (PICKUP_LOOT plus the biome's extras - the same spot always gives the same type)
+     * @param {number} x - World X
+     * @param {number} z - World Z
      */
-    getRandomResourceType() {
-        const totalWeight = Object.values(this.spawnWeights).reduce((a, b) => a + b, 0);
-        let random = Math.random() * totalWeight;
-        
-        for (const [type, weight] of Object.entries(this.spawnWeights)) {
-            random -= weight;
-            if (random <= 0) {
-                return type;
-            }
-        }
-        
-        return 'gold';  // Fallback
+    getRandomResourceType(x, z) {
+        const seed = getLootSeed(this.terrain.seed ?? 0, 'pickup', x, z);
+        const entry = pickLootEntry(PICKUP_LOOT, seed, { biome: this.terrain.getBiome?.(x, z) });
+        return entry ? entry.item : 'gold';
     }
     
     /**
@@ -490,6 +475,18 @@ export class ItemSpawner {
                 text = `+${value} HP`;
                 color = '#00FF00';
                 break;
+            case 'levelup':
+                text = `Level ${value}!`;
+                color = '#FFD700';
+                break;
+            case 'objective':
+                text = `${value}!`;
+                color = '#66CCFF';
+                break;
+            case 'info':
+                text = `${value}`;
+                color = '#DDDDDD';
+                break;
             default:
                 text = `${value}`;
                 color = '#FFFFFF';
@@ -0,0 +1,259 @@
+import { ITEMS } from './inventory.js';
+import { deriveChainedSeed, randomIntFromSeed, seededWeightedSelect } from './worldgen/seeds.js';
+
+/**
+ * Loot Tables - Declarative, seed-deterministic drops
+ *
+ * Tables for mob kills (by mob type), landmark chests (by landmark type) and
+ * world pickups, plus per-biome extras, all evaluated by rollLoot():
+ * - guaranteed: entries that always drop
+ * - rolls: [min, max] weighted picks from entries
+ * - entries: { item, amount: [min, max], rarity, minLevel? } - the pick
+ *   weight comes from the entry's rarity tier (RARITY_WEIGHTS)
+ *
+ * The roll's level scales stackable amounts, and entries with minLevel only
+ * drop at that level or above. The biome's extras join the weighted pool.
+ * The same seed and context always give the same loot (see getLootSeed).
+ *
+ * Items are keys of ITEMS (inventory.js); world pickups may also be 'food'.
+ */
+
+// Pick weight per rarity tier
+export const RARITY_WEIGHTS = {
+    common: 60,
+    uncommon: 25,
+    rare: 10,
+    epic: 4,
+    legendary: 1
+};
+
+// Stackable amounts grow by this fraction per level above 1
+const LEVEL_AMOUNT_BONUS = 0.1;
+
+// =============================================================================
+// Tables
+// =============================================================================
+
+/**
+ * Drops for a kill, by mob type. Mobs without a table only drop what they
+ * picked up.
+ */
+export const MOB_LOOT = {
+    zombie: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'gold', amount: [2, 4], rarity: 'common' },
+            { item: 'coal', amount: [1, 2], rarity: 'uncommon' },
+            { item: 'iron', amount: [1, 2], rarity: 'rare' },
+            { item: 'ironSword', amount: [1, 1], rarity: 'legendary', minLevel: 6 }
+        ]
+    },
+    skeleton: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'gold', amount: [1, 3], rarity: 'common' },
+            { item: 'wood', amount: [2, 4], rarity: 'uncommon' },
+            { item: 'longBow', amount: [1, 1], rarity: 'legendary', minLevel: 5 }
+        ]
+    },
+    creeper: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'coal', amount: [1, 3], rarity: 'common' },
+            { item: 'tnt', amount: [1, 1], rarity: 'uncommon' }
+        ]
+    },
+    husk: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'gold', amount: [3, 6], rarity: 'common' },
+            { item: 'iron', amount: [1, 2], rarity: 'uncommon' }
+        ]
+    },
+    slime: {
+        rolls: [0, 1],
+        entries: [
+            { item: 'gold', amount: [1, 2], rarity: 'common' },
+            { item: 'diamond', amount: [1, 1], rarity: 'epic', minLevel: 4 }
+        ]
+    },
+    spider: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'gold', amount: [1, 3], rarity: 'common' },
+            { item: 'coal', amount: [1, 2], rarity: 'uncommon' }
+        ]
+    },
+    fireImp: {
+        rolls: [1, 2],
+        entries: [
+            { item: 'coal', amount: [2, 4], rarity: 'common' },
+            { item: 'gold', amount: [2, 5], rarity: 'uncommon' },
+            { item: 'diamond', amount: [1, 1], rarity: 'rare', minLevel: 4 }
+        ]
+    },
+    wolf: {
+        rolls: [1, 1],
+        entries: [
+            { item: 'gold', amount: [1, 2], rarity: 'common' },
+            { item: 'leatherArmor', amount: [1, 1], rarity: 'epic' }
+        ]
+    },
+    templeBoss: {
+        guaranteed: [
+            { item: 'gold', amount: [30, 50] },
+            { item: 'diamond', amount: [1, 2] }
+        ],
+        rolls: [1, 1],
+        entries: [
+            { item: 'iron', amount: [4, 8], rarity: 'common' },
+            { item: 'ironSword', amount: [1, 1], rarity: 'rare' },
+            { item: 'ironArmor', amount: [1, 1], rarity: 'rare' }
+        ]
+    }
+};
+
+/**
+ * Chest contents, by landmark type
+ */
+export const LANDMARK_LOOT = {
+    mayanTemple: {
+        guaranteed: [
+            { item: 'gold', amount: [50, 70] },
+            { item: 'iron', amount: [8, 12] },
+            { item: 'diamond', amount: [2, 4] }
+        ],
+        rolls: [1, 1],
+        entries: [
+            { item: 'longBow', amount: [1, 1], rarity: 'uncommon' },
+            { item: 'ironSword', amount: [1, 1], rarity: 'uncommon' },
+            { item: 'ironArmor', amount: [1, 1], rarity: 'rare' },
+            { item: 'saddle', amount: [1, 1], rarity: 'rare' }
+        ]
+    }
+};
+
+/**
+ * Resources lying around the world (ItemSpawner picks one item per pickup)
+ */
+export const PICKUP_LOOT = {
+    rolls: [1, 1],
+    entries: [
+        { item: 'gold', amount: [1, 1], rarity: 'common' },
+        { item: 'wood', amount: [1, 1], rarity: 'common' },
+        { item: 'coal', amount: [1, 1], rarity: 'uncommon' },
+        { item: 'iron', amount: [1, 1], rarity: 'uncommon' },
+        { item: 'food', amount: [1, 1], rarity: 'uncommon' },
+        { item: 'tnt', amount: [1, 1], rarity: 'rare' },
+        { item: 'diamond', amount: [1, 1], rarity: 'epic' }
+    ]
+};
+
+const DESERT_EXTRAS = [{ item: 'gold', amount: [2, 5], rarity: 'uncommon' }];
+const FOREST_EXTRAS = [{ item: 'wood', amount: [2, 5], rarity: 'common' }];
+const FROZEN_EXTRAS = [{ item: 'iron', amount: [1, 3], rarity: 'uncommon' }];
+const MOUNTAIN_EXTRAS = [
+    { item: 'iron', amount: [1, 2], rarity: 'uncommon' },
+    { item: 'coal', amount: [1, 3], rarity: 'uncommon' }
+];
+
+/**
+ * Extra entries added to every weighted pool rolled in a biome
+ */
+export const BIOME_LOOT = {
+    desert: DESERT_EXTRAS,
+    red_desert: DESERT_EXTRAS,
+    badlands: DESERT_EXTRAS,
+    jungle: FOREST_EXTRAS,
+    rainforest: FOREST_EXTRAS,
+    taiga: FOREST_EXTRAS,
+    deciduous_forest: FOREST_EXTRAS,
+    autumn_forest: FOREST_EXTRAS,
+    snow: FROZEN_EXTRAS,
+    tundra: FROZEN_EXTRAS,
+    glacier: FROZEN_EXTRAS,
+    mountains: MOUNTAIN_EXTRAS,
+    alpine: MOUNTAIN_EXTRAS,
+    highlands: MOUNTAIN_EXTRAS,
+    volcanic: [
+        { item: 'coal', amount: [2, 4], rarity: 'common' },
+        { item: 'diamond', amount: [1, 1], rarity: 'rare' }
+    ]
+};
+
+// =============================================================================
+// Rolling
+// =============================================================================
+
+/**
+ * Seed for one loot roll, derived from the world seed and whatever
+ * identifies the drop (mob type and position, landmark, ...)
+ * @param {number} worldSeed - World (or continent terrain) seed
+ * @param {...(string|number)} components - Drop identifiers; numbers are floored
+ * @returns {number}
+ */
+export function getLootSeed(worldSeed, ...components) {
+    return deriveChainedSeed(worldSeed, 'loot', ...components.map(c => typeof c === 'number' ? Math.floor(c) : c));
+}
+
+/**
+ * Roll a loot table
+ * @param {Object} table - Entry from MOB_LOOT, LANDMARK_LOOT, or PICKUP_LOOT
+ * @param {number} seed - From getLootSeed()
+ * @param {Object} [context]
+ * @param {number} [context.level] - Mob or area level
+ * @param {string} [context.biome] - Biome name (adds BIOME_LOOT extras)
+ * @returns {Object<string, number>} Amounts keyed by item type
+ */
+export function rollLoot(table, seed, { level = 1, biome = null } = {}) {
+    const loot = {};
+    let draw = 0;  // Each random draw gets its own index into the seed
+
+    for (const entry of table.guaranteed || []) {
+        addDrop(loot, entry, seed, draw++, level);
+    }
+
+    const [minRolls, maxRolls] = table.rolls || [0, 0];
+    const rolls = randomIntFromSeed(seed, draw++, minRolls, maxRolls);
+    const options = getWeightedEntries(table, level, biome);
+    for (let i = 0; i < rolls && options.length > 0; i++) {
+        const entry = seededWeightedSelect(options, deriveChainedSeed(seed, draw++));
+        addDrop(loot, entry, seed, draw++, level);
+    }
+
+    return loot;
+}
+
+/**
+ * Pick a single entry from a table's weighted pool (ignores rolls and
+ * guaranteed drops)
+ * @param {Object} table
+ * @param {number} seed - From getLootSeed()
+ * @param {Object} [context] - As for rollLoot()
+ * @returns {Object|null} The picked entry
+ */
+export function pickLootEntry(table, seed, { level = 1, biome = null } = {}) {
+    const options = getWeightedEntries(table, level, biome);
+    return options.length > 0 ? seededWeightedSelect(options, seed) : null;
+}
+
+/**
+ * Entries that can drop at a level in a biome, weighted by rarity
+ * @returns {Array<{value: Object, weight: number}>}
+ */
+function getWeightedEntries(table, level, biome) {
+    return [...(table.entries || []), ...(BIOME_LOOT[biome] || [])]
+        .filter(entry => level >= (entry.minLevel || 1))
+        .map(entry => ({ value: entry, weight: RARITY_WEIGHTS[entry.rarity] || RARITY_WEIGHTS.common }));
+}
+
+function addDrop(loot, entry, seed, draw, level) {
+    const [min, max] = entry.amount;
+    let amount = randomIntFromSeed(seed, draw, min, max);
+    if ((ITEMS[entry.item]?.stackLimit ?? Infinity) > 1) {
+        amount = Math.round(amount * (1 + LEVEL_AMOUNT_BONUS * (Math.max(1, level) - 1)));
+    }
+    if (amount > 0) {
+        loot[entry.item] = (loot[entry.item] || 0) + amount;
+    }
+}
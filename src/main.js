@@ -1,8 +1,9 @@
 import { Game } from './game.js';
-import { sessionManager } from './session.js';
+import { WorldStorage } from './storage/worldstorage.js';
+import { upgradeSnapshot } from './storage/snapshot.js';
 
 // Hide loading screen and start game
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
     const loading = document.getElementById('loading');
     const worldNameEl = document.getElementById('world-name');
     const menuBtn = document.getElementById('menu-btn');
@@ -14,8 +15,6 @@ window.addEventListener('DOMContentLoaded', () => {
     if (worldJson) {
         try {
             worldData = JSON.parse(worldJson);
-            // Set the current world in session manager
-            sessionManager.currentWorldId = worldData.id;
         } catch (e) {
             console.error('Failed to parse world data:', e);
         }
@@ -32,9 +31,11 @@ window.addEventListener('DOMContentLoaded', () => {
         worldNameEl.textContent = worldData.name;
     }
     
-    // Initialize game with world data
-    const game = new Game(worldData);
+    // Initialize game with world data and its saved snapshot
+    const snapshot = await loadSnapshot(worldData);
+    const game = new Game(worldData, snapshot);
     window.game = game; // For debugging
+    game.onSaveRequested = () => saveGame(game);
     
     // Menu button handler
     menuBtn?.addEventListener('click', () => {
@@ -42,10 +43,21 @@ window.addEventListener('DOMContentLoaded', () => {
     });
     
     // Escape key to return to menu (use keyup to avoid double-trigger)
-    // Map is toggled with Tab, not Escape
+    // Map is toggled with Tab, not Escape. An Escape pressed while a game
+    // screen is open only closes that screen (the game handles it next frame).
+    let escapeClosesScreen = false;
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !e.repeat) {
+            escapeClosesScreen = game.hasOpenScreen();
+        }
+    });
     window.addEventListener('keyup', (e) => {
         if (e.key === 'Escape') {
             e.preventDefault();
+            if (escapeClosesScreen) {
+                escapeClosesScreen = false;
+                return;
+            }
             saveAndReturnToMenu(game);
         }
     });
@@ -55,8 +67,15 @@ window.addEventListener('DOMContentLoaded', () => {
         saveGame(game);
     }, 30000);
     
-    // Save on page unload
-    window.addEventListener('beforeunload', () => {
+    // Save when the tab is hidden: the page usually lives long enough for
+    // the IndexedDB write, and closing a tab hides it first. The pagehide
+    // save is best effort.
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            saveGame(game);
+        }
+    });
+    window.addEventListener('pagehide', () => {
         saveGame(game);
     });
     
@@ -66,21 +85,39 @@ window.addEventListener('DOMContentLoaded', () => {
     }, 100);
 });
 
-function saveGame(game) {
-    if (!game || !game.hero) return;
-    
-    const gameState = {
-        heroPosition: game.hero.position,
-        heroRotation: game.hero.rotation,
-        golems: game.hero.commandedGolems.filter(g => g.health > 0),
-        gameTime: game.gameTime || 0,
-        visitedMapCells: game.mapOverlay?.getVisitedCellsArray() || []
-    };
-    
-    const saved = sessionManager.saveCurrentWorld(gameState);
-    
-    if (saved) {
+/**
+ * Load the saved snapshot for a world from WorldStorage.
+ * Falls back to upgrading the legacy world record passed in from the menu
+ * when IndexedDB has no snapshot (or is unavailable).
+ */
+async function loadSnapshot(worldData) {
+    try {
+        const storage = await WorldStorage.getInstance();
+        const snapshot = await storage.loadSnapshot(worldData.id);
+        if (snapshot) {
+            storage.currentWorldId = worldData.id;
+            return snapshot;
+        }
+    } catch (e) {
+        console.error('Failed to load snapshot from WorldStorage:', e);
+    }
+    return upgradeSnapshot(worldData);
+}
+
+async function saveGame(game) {
+    const worldId = game?.worldData?.id;
+    if (!game || !game.hero || !worldId) return;
+
+    try {
+        const storage = await WorldStorage.getInstance();
+        await storage.saveSnapshot(worldId, game.serialize(), {
+            name: game.worldData.name,
+            seed: game.seed,
+            created: game.worldData.created
+        });
         showSaveIndicator();
+    } catch (e) {
+        console.error('Failed to save game:', e);
     }
 }
 
@@ -94,7 +131,7 @@ function showSaveIndicator() {
     }
 }
 
-function saveAndReturnToMenu(game) {
-    saveGame(game);
+async function saveAndReturnToMenu(game) {
+    await saveGame(game);
     window.location.href = 'index.html';
 }
\ No newline at end of file
@@ -8,8 +8,8 @@
  * - Confirmation dialogs
  */
 
-import { sessionManager } from './session.js';
 import { settingsManager } from './settings.js';
+import { WorldStorage } from './storage/worldstorage.js';
 
 export class MenuSystem {
     constructor() {
@@ -155,21 +155,21 @@ export class MenuSystem {
         });
     }
 
-    updateMainMenu() {
-        const hasContinue = sessionManager.hasContinueWorld();
-        const worldList = sessionManager.getWorldList();
+    async updateMainMenu() {
+        const worldList = await this.getWorldList();
+        let lastWorld = null;
+        if (worldList.length > 0) {
+            const storage = await WorldStorage.getInstance();
+            const lastId = await storage.getLastWorldId();
+            lastWorld = worldList.find(w => w.id === lastId) || null;
+        }
         
         // Update Continue button
         if (this.continueBtn) {
-            this.continueBtn.disabled = !hasContinue;
+            this.continueBtn.disabled = !lastWorld;
             
-            if (hasContinue) {
-                const lastWorld = sessionManager.loadLastWorld();
-                if (lastWorld) {
-                    this.continueBtn.textContent = `Continue: ${lastWorld.name}`;
-                    // Reset to avoid side effects
-                    sessionManager.currentWorldId = null;
-                }
+            if (lastWorld) {
+                this.continueBtn.textContent = `Continue: ${lastWorld.name}`;
             }
         }
         
@@ -217,8 +217,8 @@ export class MenuSystem {
         }
     }
 
-    renderWorldList() {
-        const worlds = sessionManager.getWorldList();
+    async renderWorldList() {
+        const worlds = await this.getWorldList();
         this.selectedWorldId = null;
         
         if (!this.worldList) return;
@@ -303,40 +303,69 @@ export class MenuSystem {
         }
     }
 
-    loadWorld(worldId) {
-        const world = sessionManager.loadWorld(worldId);
+    /**
+     * Saved worlds from WorldStorage, most recently played first
+     * @returns {Promise<Array>} Empty if IndexedDB is unavailable
+     */
+    async getWorldList() {
+        try {
+            const storage = await WorldStorage.getInstance();
+            return await storage.getWorldList();
+        } catch (e) {
+            console.error('Failed to read world list:', e);
+            return [];
+        }
+    }
+
+    async loadWorld(worldId) {
+        const storage = await WorldStorage.getInstance();
+        const world = await storage.loadWorld(worldId);
         if (world) {
             // Navigate to game with world data
             this.startGame(world);
         }
     }
 
-    handleContinue() {
-        const world = sessionManager.loadLastWorld();
+    async handleContinue() {
+        const storage = await WorldStorage.getInstance();
+        const world = await storage.loadLastWorld();
         if (world) {
             this.startGame(world);
         }
     }
 
-    handleCreateWorld() {
-        const name = this.worldNameInput?.value.trim() || `World ${sessionManager.getWorldList().length + 1}`;
+    async handleCreateWorld() {
         const seedInput = this.worldSeedInput?.value.trim();
         const seed = seedInput ? parseInt(seedInput, 10) : null;
         
-        const world = sessionManager.createWorld(name, isNaN(seed) ? null : seed);
-        this.startGame(world);
+        try {
+            const storage = await WorldStorage.getInstance();
+            // WorldStorage names unnamed worlds "World N"
+            const world = await storage.createWorld(
+                this.worldNameInput?.value.trim() || null,
+                isNaN(seed) ? null : seed
+            );
+            this.startGame(world);
+        } catch (e) {
+            console.error('Failed to create world:', e);
+        }
     }
 
+    /**
+     * @param {Object} world - WorldStorage world record
+     */
     startGame(world) {
-        // Store world data for game.html to pick up
-        sessionStorage.setItem('golemcraft_current_world', JSON.stringify(world));
+        // Store world data for game.html to pick up. The snapshot stays in
+        // IndexedDB; main.js loads it from there.
+        const { snapshot, worldId, ...info } = world;
+        sessionStorage.setItem('golemcraft_current_world', JSON.stringify({ id: worldId, ...info }));
         
         // Navigate to game page
         window.location.href = 'game.html';
     }
 
-    confirmDeleteWorld(worldId) {
-        const worlds = sessionManager.getWorldList();
+    async confirmDeleteWorld(worldId) {
+        const worlds = await this.getWorldList();
         const world = worlds.find(w => w.id === worldId);
         
         if (!world) return;
@@ -345,9 +374,13 @@ export class MenuSystem {
             `Delete "${world.name}"?`,
             'This action cannot be undone.',
             () => {
-                sessionManager.deleteWorld(worldId);
-                this.renderWorldList();
-                this.updateMainMenu();
+                WorldStorage.getInstance()
+                    .then(storage => storage.deleteWorld(worldId))
+                    .catch(e => console.error('Failed to delete world:', e))
+                    .then(() => {
+                        this.renderWorldList();
+                        this.updateMainMenu();
+                    });
             }
         );
     }
@@ -386,9 +419,11 @@ export class MenuSystem {
             'Clear All Data?',
             'This will delete all saved worlds. Use this if you encounter data issues.',
             () => {
-                sessionManager.clearAllWorlds();
-                this.updateMainMenu();
-                this.showScreen('main');
+                WorldStorage.getInstance()
+                    .then(storage => storage.deleteDatabase())
+                    .then(() => WorldStorage.reset())
+                    .catch(e => console.error('Failed to clear world storage:', e))
+                    .then(() => this.showScreen('main'));
             }
         );
     }
@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+
+/**
+ * Mob groups - Shared state for mobs that act together
+ *
+ * Handles:
+ * - MobSpatialIndex: grid over MobSpawner.mobs for neighbour queries,
+ *   rebuilt every frame
+ * - MobGroup: a set of mobs with a shared blackboard that members read
+ *   from their own AI (mob.herd, mob.pack, mob.hunt)
+ * - MobGroupManager: forms and updates the groups
+ *
+ * Group kinds:
+ * - herd: passive animals of one type (config.herds) that graze and walk
+ *         together, and all flee when one of them is hit
+ * - pack: wolves spawned together (formed by MobSpawner); when one hunts,
+ *         the pack hunts
+ * - hunt: hostile melee mobs chasing the same target, rebuilt every frame;
+ *         each gets a slot around the target so they surround it instead
+ *         of queueing behind each other
+ */
+
+// Spatial index cell size (blocks)
+const INDEX_CELL_SIZE = 8;
+
+// Herd membership
+const HERD_JOIN_RADIUS = 10;       // Join a herd with a member this close
+const HERD_LEAVE_RADIUS = 20;      // Leave a herd this far from its centre
+const HERD_REFRESH_INTERVAL = 1.0; // Seconds between join/leave passes
+
+// Herd movement: shared heading, alternating between grazing and walking
+const HERD_GRAZE_TIME = [3, 7];    // Seconds standing still (min, max)
+const HERD_WALK_TIME = [3, 6];     // Seconds walking one heading (min, max)
+const HERD_COHESION_DISTANCE = 4;  // Stray further than this and head back to the centre
+const HERD_COHESION_WEIGHT = 1.0;
+const HERD_SEPARATION_DISTANCE = 1.5;
+const HERD_SEPARATION_WEIGHT = 1.5;
+
+// Hunt slots: mobs aim at a ring around the target that tightens as they close in
+const SURROUND_RADIUS = 1.2;          // Inside mob attack range (1.5)
+const SURROUND_APPROACH_RADIUS = 5;
+
+/**
+ * Uniform grid over mob positions (XZ) for neighbour queries
+ */
+export class MobSpatialIndex {
+    /**
+     * @param {number} cellSize - Grid cell size in blocks
+     */
+    constructor(cellSize = INDEX_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();  // "cellX,cellZ" -> Mob[]
+        this.indexed = new Set();
+    }
+
+    getCellKey(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+
+    /**
+     * Re-bucket every mob at its current position
+     * @param {Array<Mob>} mobs
+     */
+    rebuild(mobs) {
+        this.cells.clear();
+        this.indexed.clear();
+
+        for (const mob of mobs) {
+            const key = this.getCellKey(
+                Math.floor(mob.position.x / this.cellSize),
+                Math.floor(mob.position.z / this.cellSize)
+            );
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(mob);
+            this.indexed.add(mob);
+        }
+    }
+
+    /**
+     * Whether a mob was in the list at the last rebuild
+     * @param {Mob} mob
+     * @returns {boolean}
+     */
+    has(mob) {
+        return this.indexed.has(mob);
+    }
+
+    /**
+     * Mobs within a horizontal radius of a point
+     * @param {THREE.Vector3} position - Query centre
+     * @param {number} radius - Query radius in blocks
+     * @param {Function} [filter] - (mob) => boolean
+     * @returns {Array<Mob>}
+     */
+    queryRadius(position, radius, filter = null) {
+        const results = [];
+        const radiusSq = radius * radius;
+        const minX = Math.floor((position.x - radius) / this.cellSize);
+        const maxX = Math.floor((position.x + radius) / this.cellSize);
+        const minZ = Math.floor((position.z - radius) / this.cellSize);
+        const maxZ = Math.floor((position.z + radius) / this.cellSize);
+
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                const cell = this.cells.get(this.getCellKey(cellX, cellZ));
+                if (!cell) continue;
+
+                for (const mob of cell) {
+                    const dx = mob.position.x - position.x;
+                    const dz = mob.position.z - position.z;
+                    if (dx * dx + dz * dz > radiusSq) continue;
+                    if (filter && !filter(mob)) continue;
+                    results.push(mob);
+                }
+            }
+        }
+        return results;
+    }
+}
+
+/**
+ * A group of mobs sharing a blackboard
+ */
+export class MobGroup {
+    /**
+     * @param {string} kind - 'herd', 'pack' or 'hunt'
+     * @param {Object} [blackboard] - Initial shared state
+     */
+    constructor(kind, blackboard = {}) {
+        this.kind = kind;
+        this.members = [];
+        this.blackboard = blackboard;
+    }
+
+    /**
+     * Add a mob, pointing its group slot (mob.herd, mob.pack, mob.hunt) here
+     * @param {Mob} mob
+     */
+    add(mob) {
+        this.members.push(mob);
+        mob[this.kind] = this;
+    }
+
+    /**
+     * Remove members that fail a test, clearing their group slot
+     * @param {Function} keep - (mob) => boolean
+     */
+    prune(keep) {
+        this.members = this.members.filter(mob => {
+            if (keep(mob)) return true;
+            if (mob[this.kind] === this) mob[this.kind] = null;
+            return false;
+        });
+    }
+
+    /**
+     * Average member position
+     * @param {THREE.Vector3} target - Receives the result
+     * @returns {THREE.Vector3}
+     */
+    getCentroid(target) {
+        target.set(0, 0, 0);
+        if (this.members.length === 0) return target;
+        this.members.forEach(mob => target.add(mob.position));
+        return target.divideScalar(this.members.length);
+    }
+}
+
+/**
+ * Point a hunting mob should chase: its slot on the ring around the target,
+ * or the target itself when it hunts alone
+ * @param {Mob} mob - Chasing mob
+ * @param {THREE.Vector3} targetPosition - Position being chased
+ * @returns {THREE.Vector3}
+ */
+export function getSurroundPoint(mob, targetPosition) {
+    const angle = mob.hunt?.blackboard.slots.get(mob);
+    if (angle === undefined) return targetPosition;
+
+    const distance = mob.position.distanceTo(targetPosition);
+    const radius = Math.min(SURROUND_APPROACH_RADIUS, Math.max(SURROUND_RADIUS, distance * 0.5));
+    return new THREE.Vector3(
+        targetPosition.x + Math.sin(angle) * radius,
+        targetPosition.y,
+        targetPosition.z + Math.cos(angle) * radius
+    );
+}
+
+function randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+export class MobGroupManager {
+    constructor() {
+        this.index = new MobSpatialIndex();
+        this.herds = [];
+        this.hunts = [];
+        this.herdRefreshTimer = 0;
+    }
+
+    /**
+     * Rebuild the index and update every group - call before mobs update
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Array<Mob>} mobs - All live mobs (MobSpawner.mobs)
+     * @param {THREE.Vector3} playerPosition - Hero position
+     */
+    update(deltaTime, mobs, playerPosition) {
+        this.index.rebuild(mobs);
+
+        // Drop members that died or despawned every frame; join and leave less often
+        this.herds.forEach(herd => herd.prune(mob => !mob.dead && this.index.has(mob)));
+        this.herdRefreshTimer -= deltaTime;
+        if (this.herdRefreshTimer <= 0) {
+            this.refreshHerds(mobs);
+            this.herdRefreshTimer = HERD_REFRESH_INTERVAL;
+        }
+        this.herds = this.herds.filter(herd => herd.members.length > 0);
+        this.herds.forEach(herd => this.updateHerd(herd, deltaTime, playerPosition));
+
+        this.updateHunts(mobs, playerPosition);
+    }
+
+    // =========================================================================
+    // Herds
+    // =========================================================================
+
+    /**
+     * Let strays leave their herd and herdless animals join or found one
+     * @param {Array<Mob>} mobs
+     */
+    refreshHerds(mobs) {
+        const centroid = new THREE.Vector3();
+        for (const herd of this.herds) {
+            herd.getCentroid(centroid);
+            herd.prune(mob => {
+                const dx = mob.position.x - centroid.x;
+                const dz = mob.position.z - centroid.z;
+                return dx * dx + dz * dz < HERD_LEAVE_RADIUS * HERD_LEAVE_RADIUS;
+            });
+        }
+
+        for (const mob of mobs) {
+            if (mob.dead || mob.herd || !mob.config.herds) continue;
+
+            const neighbours = this.index.queryRadius(mob.position, HERD_JOIN_RADIUS, other =>
+                other !== mob && other.type === mob.type && !other.dead
+            );
+            const herded = neighbours.find(other => other.herd);
+            if (herded) {
+                herded.herd.add(mob);
+            } else if (neighbours.length > 0) {
+                const herd = new MobGroup('herd', {
+                    centroid: new THREE.Vector3(),
+                    heading: new THREE.Vector3(),
+                    grazing: true,
+                    phaseTimer: randomBetween(HERD_GRAZE_TIME),
+                    threat: null,  // Where the alarm came from (null = the hero)
+                    fleeHeading: new THREE.Vector3()
+                });
+                herd.add(mob);
+                neighbours.forEach(other => herd.add(other));
+                this.herds.push(herd);
+            }
+        }
+    }
+
+    /**
+     * Advance the herd's graze/walk phase and steer each member
+     * @param {MobGroup} herd
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} playerPosition
+     */
+    updateHerd(herd, deltaTime, playerPosition) {
+        const blackboard = herd.blackboard;
+        herd.getCentroid(blackboard.centroid);
+
+        blackboard.phaseTimer -= deltaTime;
+        if (blackboard.phaseTimer <= 0) {
+            blackboard.grazing = !blackboard.grazing;
+            if (blackboard.grazing) {
+                blackboard.phaseTimer = randomBetween(HERD_GRAZE_TIME);
+            } else {
+                const angle = Math.random() * Math.PI * 2;
+                blackboard.heading.set(Math.sin(angle), 0, Math.cos(angle));
+                blackboard.phaseTimer = randomBetween(HERD_WALK_TIME);
+            }
+        }
+
+        // Fleeing members all run the same way: away from the threat
+        const fleeing = herd.members.some(mob => mob.state === 'flee');
+        if (fleeing) {
+            const threat = blackboard.threat || playerPosition;
+            blackboard.fleeHeading.subVectors(blackboard.centroid, threat).setY(0);
+            if (blackboard.fleeHeading.lengthSq() < 0.01) {
+                blackboard.fleeHeading.copy(blackboard.heading);
+            }
+            blackboard.fleeHeading.normalize();
+        } else {
+            blackboard.threat = null;
+        }
+
+        for (const mob of herd.members) {
+            let heading = null;
+            if (mob.state === 'flee') {
+                heading = blackboard.fleeHeading;
+            } else if (!blackboard.grazing) {
+                heading = blackboard.heading;
+            }
+            this.steerHerdMember(mob, blackboard.centroid, heading);
+        }
+    }
+
+    /**
+     * Set a member's flock direction from the herd heading, cohesion
+     * towards the centre and separation from nearby mobs
+     * @param {Mob} mob
+     * @param {THREE.Vector3} centroid - Herd centre
+     * @param {THREE.Vector3|null} heading - Shared heading (null while grazing)
+     */
+    steerHerdMember(mob, centroid, heading) {
+        const steer = mob.flockDirection;
+        if (heading) {
+            steer.copy(heading);
+        } else {
+            steer.set(0, 0, 0);
+        }
+
+        const toCentre = new THREE.Vector3().subVectors(centroid, mob.position).setY(0);
+        const distanceToCentre = toCentre.length();
+        if (distanceToCentre > HERD_COHESION_DISTANCE) {
+            const pull = Math.min(1, (distanceToCentre - HERD_COHESION_DISTANCE) / HERD_COHESION_DISTANCE);
+            steer.addScaledVector(toCentre.normalize(), pull * HERD_COHESION_WEIGHT);
+        }
+
+        for (const other of this.index.queryRadius(mob.position, HERD_SEPARATION_DISTANCE)) {
+            if (other === mob || other.dead) continue;
+            const away = new THREE.Vector3().subVectors(mob.position, other.position).setY(0);
+            const distance = away.length();
+            if (distance < 0.001) continue;
+            const push = (HERD_SEPARATION_DISTANCE - distance) / HERD_SEPARATION_DISTANCE;
+            steer.addScaledVector(away.divideScalar(distance), push * HERD_SEPARATION_WEIGHT);
+        }
+
+        if (steer.lengthSq() > 1) {
+            steer.normalize();
+        }
+    }
+
+    // =========================================================================
+    // Hunts
+    // =========================================================================
+
+    /**
+     * Group chasing melee mobs by target and hand out slots around it
+     * Slots keep the mobs' order around the target, so nobody crosses over.
+     * @param {Array<Mob>} mobs
+     * @param {THREE.Vector3} playerPosition
+     */
+    updateHunts(mobs, playerPosition) {
+        const byTarget = new Map();  // Golem or 'hero' -> chasing mobs
+
+        for (const mob of mobs) {
+            mob.hunt = null;
+            if (mob.dead || !mob.hostile || mob.isRanged || mob.state !== 'chase') continue;
+
+            const target = mob.aggroTarget || 'hero';
+            if (!byTarget.has(target)) byTarget.set(target, []);
+            byTarget.get(target).push(mob);
+        }
+
+        this.hunts = [];
+        for (const [target, hunters] of byTarget) {
+            if (hunters.length < 2) continue;
+
+            const targetPosition = target === 'hero' ? playerPosition : target.position;
+            const hunt = new MobGroup('hunt', { targetPosition, slots: new Map() });
+
+            const bearings = hunters.map(mob => ({
+                mob,
+                bearing: Math.atan2(mob.position.x - targetPosition.x, mob.position.z - targetPosition.z)
+            }));
+            bearings.sort((a, b) => a.bearing - b.bearing);
+
+            // Evenly spaced ring, rotated to move the hunters as little as possible
+            const spacing = Math.PI * 2 / hunters.length;
+            let sinSum = 0;
+            let cosSum = 0;
+            bearings.forEach(({ bearing }, i) => {
+                sinSum += Math.sin(bearing - i * spacing);
+                cosSum += Math.cos(bearing - i * spacing);
+            });
+            const base = Math.atan2(sinSum, cosSum);
+
+            bearings.forEach(({ mob }, i) => {
+                hunt.add(mob);
+                hunt.blackboard.slots.set(mob, base + i * spacing);
+            });
+            this.hunts.push(hunt);
+        }
+    }
+
+    /**
+     * Forget all groups (mobs cleared or replaced)
+     */
+    clear() {
+        this.herds.forEach(herd => herd.prune(() => false));
+        this.hunts.forEach(hunt => hunt.prune(() => false));
+        this.herds = [];
+        this.hunts = [];
+        this.index.rebuild([]);
+    }
+}
@@ -1,11 +1,83 @@
 import * as THREE from 'three';
 import { resolveEntityCollision, AABB } from './collision.js';
+import { getNavigation } from './world/navigation.js';
+import { scaleMobStats, getDangerColor } from './world/progressionbands.js';
+import { BIOMES, getMobSpawnWeight } from './world/terrain/biomesystem.js';
+import { MobGroup, MobGroupManager, getSurroundPoint } from './mobgroups.js';
+import { MOB_LOOT, getLootSeed, rollLoot } from './loottables.js';
+
+// Chase in a straight line when this close; path around obstacles beyond it
+const DIRECT_CHASE_DISTANCE = 3;
+
+// Ranged mobs: hold their distance and strafe while shooting
+const RANGED_RETREAT_FRACTION = 0.5;   // Back off when closer than this fraction of attack range
+const RANGED_ADVANCE_FRACTION = 0.85;  // Edge in when further than this fraction
+const RANGED_STRAFE_TIME = [1.5, 3];   // Seconds before switching sides (min, max)
+const RANGED_STRAFE_SPEED_SCALE = 0.6;
+
+// Passive mobs: running from whatever hit them (or their herd)
+const FLEE_DURATION = 4;
+const FLEE_SPEED_SCALE = 1.8;
+const HERD_WALK_SPEED_SCALE = 0.4;
+
+// Husk: short sprint at a target a few blocks away
+const HUSK_LUNGE_RANGE = 6;
+const HUSK_LUNGE_DURATION = 0.5;
+const HUSK_LUNGE_COOLDOWN = 4;
+const HUSK_LUNGE_SPEED_SCALE = 2.5;
+
+// Slime: size tiers (index = tier) and hopping movement
+const SLIME_MAX_TIER = 2;
+const SLIME_TIER_SCALE = [0.4, 0.65, 1.0];   // Body size
+const SLIME_TIER_STATS = [0.25, 0.5, 1.0];   // Health, damage and XP
+const SLIME_HOP_INTERVAL = 1.0;              // Seconds on the ground between hops
+const SLIME_HOP_FORCE = 7;
+const SLIME_HOP_SPEED_SCALE = 1.6;           // Hops cover ground quickly to make up for the pauses
+const SLIME_SPLIT_OFFSET = 0.4;              // Children appear this far either side
+
+// Spider: wall climbing while chasing
+const SPIDER_CLIMB_SPEED = 5;
+const SPIDER_WALL_REACH = 0.3;  // How far past its front it looks for a wall
+const SPIDER_CLIMB_STEP = 1;    // Rises higher than this count as walls (lower ones are jumped)
+
+// Fire imp: slower to fire than a skeleton, but fireballs hit harder
+const FIRE_IMP_FIREBALL_COOLDOWN = 2.5;
+
+// Wolf packs
+const WOLF_PACK_MIN = 2;
+const WOLF_PACK_MAX = 3;
+const WOLF_PACK_SPREAD = 2;        // Packmates spawn this far from the first wolf
+const WOLF_REGROUP_DISTANCE = 8;   // Restored wolves this close form a pack again
+const WOLF_AGGRO_RANGE = 14;
+
+// Temple boss (see TempleBoss; the fight itself is run by templebossmanager.js)
+export const BOSS_PHASE_THRESHOLDS = [0.66, 0.33];  // Health fractions that start phases 2 and 3
+const BOSS_AGGRO_RANGE = 16;
+const BOSS_SLAM_RANGE = 5;           // Slams when the target is this close
+const BOSS_SLAM_RADIUS = 5;
+const BOSS_SLAM_WINDUP = 0.8;        // Seconds crouched before the slam lands
+const BOSS_SLAM_COOLDOWN = 7;
+const BOSS_SLAM_DAMAGE_SCALE = 1.5;  // Damage at the centre, relative to a punch
+const BOSS_SUMMON_COOLDOWN = 12;
+const BOSS_SUMMON_COUNT = 2;
+const BOSS_SUMMON_DISTANCE = 2.5;
+const BOSS_MAX_MINIONS = 4;
+const BOSS_SUMMON_TYPES = ['zombie', 'skeleton'];
+const BOSS_MINION_LEVEL_PENALTY = 3;
+const BOSS_ENRAGE_SPEED_SCALE = 1.5;
+const BOSS_ENRAGE_DAMAGE_SCALE = 1.5;
+const BOSS_ENRAGE_COOLDOWN_SCALE = 0.5;  // Slam and punch cooldowns while enraged
+const BOSS_ENRAGE_EYE_COLOR = 0xFF2200;
 
 /**
  * Mob Definitions
  * 
- * Passive mobs: Cannot be attacked, wander aimlessly
+ * Passive mobs: Cannot be attacked, wander aimlessly; being hit makes them
+ * flee, and herd animals (herds: true) flock and flee together
  * Hostile mobs: Can be killed for XP, aggro on player within range
+ *
+ * Where each mob spawns (and how often) is set per biome in the BIOMES
+ * table (biomesystem.js), not here.
  */
 
 export const MOB_TYPES = {
@@ -15,8 +87,7 @@ export const MOB_TYPES = {
         hostile: false,
         health: 10,
         speed: 1.5,
-        biomes: ['plains'],
-        spawnWeight: 30,
+        herds: true,
         xp: 0,
         color: 0x8B4513,  // Brown
         secondaryColor: 0xFFFFFF,  // White patches
@@ -27,8 +98,7 @@ export const MOB_TYPES = {
         hostile: false,
         health: 8,
         speed: 1.8,
-        biomes: ['plains'],
-        spawnWeight: 35,
+        herds: true,
         xp: 0,
         color: 0xFFB6C1,  // Pink
         secondaryColor: 0xFF9999,
@@ -39,8 +109,6 @@ export const MOB_TYPES = {
         hostile: false,
         health: 4,
         speed: 2.0,
-        biomes: ['plains', 'desert'],
-        spawnWeight: 40,
         xp: 0,
         color: 0xFFFFFF,  // White
         secondaryColor: 0xFF0000,  // Red comb
@@ -54,8 +122,6 @@ export const MOB_TYPES = {
         health: 25,  // 2 shots (arrows do 10-15 damage)
         speed: 2.0,
         damage: 5,
-        biomes: ['plains', 'snow', 'desert'],
-        spawnWeight: 30,
         xp: 10,
         color: 0x567d46,  // Green-gray
         secondaryColor: 0x4a6b3d,
@@ -69,8 +135,6 @@ export const MOB_TYPES = {
         damage: 4,
         ranged: true,  // Skeletons shoot arrows!
         attackRange: 15,
-        biomes: ['plains', 'snow', 'mountains'],
-        spawnWeight: 25,
         xp: 12,
         color: 0xE0E0E0,  // Bone white
         secondaryColor: 0x333333,  // Dark eyes
@@ -81,13 +145,82 @@ export const MOB_TYPES = {
         hostile: true,
         health: 35,  // 3 shots
         speed: 1.8,
-        damage: 15,  // Explodes! (for later)
-        biomes: ['plains', 'desert'],
-        spawnWeight: 15,
+        damage: 15,  // Explosion damage at the center (see Creeper)
         xp: 20,
         color: 0x00AA00,  // Green
         secondaryColor: 0x000000,  // Black face
         size: { width: 0.5, height: 1.5, depth: 0.5 }
+    },
+    husk: {
+        name: 'Husk',
+        hostile: true,
+        health: 28,
+        speed: 2.0,
+        damage: 6,
+        xp: 12,
+        color: 0xB8A06A,  // Sun-dried sand
+        secondaryColor: 0x5C4A2A,
+        clothColor: 0x8A6D3B,  // Faded rags
+        size: { width: 0.6, height: 1.8, depth: 0.4 }
+    },
+    slime: {
+        name: 'Slime',
+        hostile: true,
+        health: 32,  // Largest size; splits into smaller slimes (see Slime)
+        speed: 2.2,
+        damage: 5,
+        xp: 16,
+        color: 0x5FBF4A,  // Swamp green
+        secondaryColor: 0x2F6B24,
+        size: { width: 1.0, height: 1.0, depth: 1.0 }
+    },
+    spider: {
+        name: 'Spider',
+        hostile: true,
+        health: 18,
+        speed: 3.2,
+        damage: 4,
+        xp: 12,
+        color: 0x2B2420,  // Dark brown-black
+        secondaryColor: 0xFF2222,  // Red eyes
+        size: { width: 0.9, height: 0.6, depth: 1.0 }
+    },
+    fireImp: {
+        name: 'Fire Imp',
+        hostile: true,
+        health: 20,
+        speed: 2.6,
+        damage: 7,  // Fireball damage (scaled like arrows, see FireImp)
+        ranged: true,
+        attackRange: 14,
+        xp: 18,
+        color: 0xC0281A,  // Ember red
+        secondaryColor: 0xFFCC33,  // Glowing eyes and horns
+        size: { width: 0.5, height: 1.1, depth: 0.4 }
+    },
+    wolf: {
+        name: 'Wolf',
+        hostile: true,
+        health: 20,
+        speed: 3.0,
+        damage: 4,
+        xp: 10,
+        color: 0xD8DDE0,  // Pale winter coat
+        secondaryColor: 0x8A9096,
+        size: { width: 0.6, height: 0.8, depth: 1.2 }
+    },
+    
+    // Bosses (never spawn naturally - see TempleBoss)
+    templeBoss: {
+        name: 'Temple Colossus',
+        hostile: true,
+        health: 400,
+        speed: 1.6,
+        damage: 12,
+        xp: 150,
+        color: 0x7D8A6A,  // Mossy temple stone
+        secondaryColor: 0x2FD6A0,  // Jade eyes and inlays
+        size: { width: 1.4, height: 3.0, depth: 1.0 }
     }
 };
 
@@ -109,6 +242,11 @@ export class Mob {
         this.speed = this.config.speed;
         this.hostile = this.config.hostile;
         this.xpValue = this.config.xp;
+        this.damage = this.config.damage || 0;
+        this.level = 1;          // Set by MobSpawner from distance to the start (see setLevel)
+        this.title = null;       // Nameplate name override (e.g. objective guardians)
+        this.nameplate = null;   // Level label over hostile mobs
+        this.persistent = true;  // Saved with the world (MobSpawner.serialize)
         
         // Physics
         this.gravity = -35;
@@ -117,10 +255,18 @@ export class Mob {
         // AI state
         this.state = 'wander';  // 'wander', 'chase', 'idle', 'flee'
         this.target = null;
+        this.aggroTarget = null;  // Golem that attacked this mob (chased instead of the player)
+        this.threat = null;       // Position a fleeing mob runs from (null = the player)
         this.stateTimer = 0;
         this.wanderDirection = new THREE.Vector3();
         this.pickNewWanderDirection();
         
+        // Groups (see mobgroups.js) - set by MobGroupManager and MobSpawner
+        this.herd = null;
+        this.pack = null;
+        this.hunt = null;
+        this.flockDirection = new THREE.Vector3();  // Herd steering, updated each frame
+        
         // Detection ranges
         this.aggroRange = 11;
         this.leashRange = 25;  // Extended from 15 - mobs chase further before giving up
@@ -135,6 +281,8 @@ export class Mob {
         this.arrowCooldown = 2.0;  // Slower than melee
         this.timeSinceArrow = 0;
         this.pendingArrows = [];  // Arrows to be spawned by game
+        this.strafeSign = Math.random() < 0.5 ? -1 : 1;  // Side to strafe towards
+        this.strafeTimer = 0;
         
         // Jump ability for getting unstuck
         this.jumpForce = 8;
@@ -230,11 +378,12 @@ export class Mob {
         this.timeSinceArrow += deltaTime;
         this.stateTimer -= deltaTime;
         
-        // Calculate distance to player
-        const distanceToPlayer = this.position.distanceTo(playerPosition);
+        // Calculate distance to player (or the golem this mob is fighting)
+        const targetPosition = this.getTargetPosition(playerPosition);
+        const distanceToPlayer = this.position.distanceTo(targetPosition);
         
         // AI State machine
-        this.updateAI(deltaTime, playerPosition, distanceToPlayer);
+        this.updateAI(deltaTime, targetPosition, distanceToPlayer);
         
         // Stuck detection - if mob hasn't moved much, try jumping
         this.timeSinceStuckCheck += deltaTime;
@@ -273,6 +422,19 @@ export class Mob {
         return true;
     }
     
+    /**
+     * Get the position this mob is hunting
+     * Mobs attacked by a golem fight it until it is destroyed
+     * @param {THREE.Vector3} playerPosition - Hero position
+     * @returns {THREE.Vector3}
+     */
+    getTargetPosition(playerPosition) {
+        if (this.aggroTarget && this.aggroTarget.health <= 0) {
+            this.aggroTarget = null;
+        }
+        return this.aggroTarget ? this.aggroTarget.position : playerPosition;
+    }
+
     /**
      * Make mob jump (for getting unstuck)
      */
@@ -324,31 +486,15 @@ export class Mob {
                     break;
                 }
                 
-                // Ranged mobs (skeletons) - stop and shoot when in range
+                // Ranged mobs (skeletons) - hold range, strafe and shoot
                 if (this.isRanged && distanceToPlayer <= this.attackRange) {
-                    // Stop moving and shoot
-                    this.velocity.x = 0;
-                    this.velocity.z = 0;
-                    
-                    // Face player
-                    const aimDir = new THREE.Vector3()
-                        .subVectors(playerPosition, this.position)
-                        .normalize();
-                    this.rotation = Math.atan2(aimDir.x, aimDir.z);
-                    
-                    // Shoot arrow if cooldown ready
-                    if (this.timeSinceArrow >= this.arrowCooldown) {
-                        this.shootArrow(playerPosition);
-                        this.timeSinceArrow = 0;
-                    }
+                    this.updateRangedCombat(deltaTime, playerPosition, distanceToPlayer);
                     break;
                 }
                 
-                // Move toward player
-                const chaseDir = new THREE.Vector3()
-                    .subVectors(playerPosition, this.position)
-                    .normalize();
-                chaseDir.y = 0;
+                // Move toward player (around cliffs and water via the shared flow field),
+                // aiming for this mob's slot when several hunt the same target
+                const chaseDir = this.getChaseDirection(getSurroundPoint(this, playerPosition));
                 this.moveInDirection(chaseDir, 1.0);
                 
                 // Face player
@@ -369,6 +515,73 @@ export class Mob {
         }
     }
     
+    /**
+     * Keep within bow range of the target, strafing side to side and
+     * backing off if it gets too close, while shooting on cooldown
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} targetPosition - Position being shot at
+     * @param {number} distance - Distance to the target
+     */
+    updateRangedCombat(deltaTime, targetPosition, distance) {
+        const toTarget = new THREE.Vector3()
+            .subVectors(targetPosition, this.position)
+            .setY(0)
+            .normalize();
+        
+        this.strafeTimer -= deltaTime;
+        if (this.strafeTimer <= 0) {
+            this.strafeSign = -this.strafeSign;
+            const [min, max] = RANGED_STRAFE_TIME;
+            this.strafeTimer = min + Math.random() * (max - min);
+        }
+        
+        const move = new THREE.Vector3(-toTarget.z, 0, toTarget.x).multiplyScalar(this.strafeSign);
+        if (distance < this.attackRange * RANGED_RETREAT_FRACTION) {
+            move.sub(toTarget);
+        } else if (distance > this.attackRange * RANGED_ADVANCE_FRACTION) {
+            move.addScaledVector(toTarget, 0.5);
+        }
+        move.normalize();
+        
+        const moveSpeed = this.speed * RANGED_STRAFE_SPEED_SCALE;
+        this.velocity.x = move.x * moveSpeed;
+        this.velocity.z = move.z * moveSpeed;
+        
+        // Face the target while moving sideways
+        this.rotation = Math.atan2(toTarget.x, toTarget.z);
+        
+        if (this.timeSinceArrow >= this.arrowCooldown) {
+            this.shootArrow(targetPosition);
+            this.timeSinceArrow = 0;
+        }
+    }
+    
+    /**
+     * Get the direction to chase a target
+     * Uses the navigation flow field towards the target when available,
+     * jumping up ledges along the way.
+     * @param {THREE.Vector3} targetPosition - Position being chased
+     * @returns {THREE.Vector3} Horizontal direction
+     */
+    getChaseDirection(targetPosition) {
+        const direction = new THREE.Vector3()
+            .subVectors(targetPosition, this.position)
+            .normalize();
+        direction.y = 0;
+
+        const nav = getNavigation();
+        if (nav && this.position.distanceTo(targetPosition) > DIRECT_CHASE_DISTANCE) {
+            const flow = nav.getFlowDirection(this.position, targetPosition);
+            if (flow) {
+                direction.set(flow.x, 0, flow.z);
+                if (flow.jump) {
+                    this.jump();
+                }
+            }
+        }
+        return direction;
+    }
+
     /**
      * Shoot an arrow at target (for skeletons)
      */
@@ -380,8 +593,9 @@ export class Mob {
         const aimPos = targetPosition.clone();
         aimPos.y += 0.5;
 
-        // Random damage between 5-10
-        const damage = 5 + Math.floor(Math.random() * 6);
+        // Random damage between 5-10, scaled like melee damage by level
+        const levelScale = this.config.damage ? this.damage / this.config.damage : 1;
+        const damage = Math.round((5 + Math.floor(Math.random() * 6)) * levelScale);
         
         // Queue arrow to be created by game (we don't have scene access for Arrow)
         this.pendingArrows.push({
@@ -401,6 +615,22 @@ export class Mob {
     }
     
     updatePassiveAI(deltaTime, playerPosition, distanceToPlayer) {
+        if (this.state === 'flee') {
+            this.updateFlee(playerPosition);
+            return;
+        }
+        
+        // Herd animals move with their herd (steered by MobGroupManager)
+        if (this.herd) {
+            if (this.flockDirection.lengthSq() > 0.01) {
+                this.moveInDirection(this.flockDirection, HERD_WALK_SPEED_SCALE);
+            } else {
+                this.velocity.x = 0;
+                this.velocity.z = 0;
+            }
+            return;
+        }
+        
         switch (this.state) {
             case 'wander':
                 if (this.stateTimer <= 0) {
@@ -424,6 +654,55 @@ export class Mob {
         }
     }
     
+    /**
+     * Run from the threat - alongside the herd if in one - until the timer runs out
+     * @param {THREE.Vector3} playerPosition - Fled from when there is no other threat
+     */
+    updateFlee(playerPosition) {
+        if (this.stateTimer <= 0) {
+            this.state = 'wander';
+            this.threat = null;
+            this.pickNewWanderDirection();
+            return;
+        }
+        
+        let direction;
+        if (this.herd) {
+            direction = this.flockDirection;
+        } else {
+            direction = new THREE.Vector3()
+                .subVectors(this.position, this.threat || playerPosition)
+                .setY(0)
+                .normalize();
+        }
+        this.moveInDirection(direction, FLEE_SPEED_SCALE);
+    }
+    
+    /**
+     * Passive mob was hit: it and its whole herd run for it
+     * @param {THREE.Vector3} [sourcePosition] - Where the hit came from (defaults to the player)
+     */
+    startle(sourcePosition = null) {
+        if (!this.herd) {
+            this.flee(sourcePosition);
+            return;
+        }
+        
+        this.herd.blackboard.threat = sourcePosition ? sourcePosition.clone() : null;
+        this.herd.members.forEach(member => member.flee(sourcePosition));
+    }
+    
+    /**
+     * Start fleeing from a position
+     * @param {THREE.Vector3} [sourcePosition] - Run from here (defaults to the player)
+     */
+    flee(sourcePosition = null) {
+        if (this.dead) return;
+        this.threat = sourcePosition ? sourcePosition.clone() : null;
+        this.state = 'flee';
+        this.stateTimer = FLEE_DURATION;
+    }
+    
     moveInDirection(direction, speedMultiplier = 1.0) {
         const moveSpeed = this.speed * speedMultiplier;
         this.velocity.x = direction.x * moveSpeed;
@@ -442,8 +721,19 @@ export class Mob {
         return this.hostile && !this.dead;
     }
     
-    takeDamage(amount) {
-        if (!this.canBeDamaged()) return false;
+    /**
+     * @param {number} amount - Damage dealt
+     * @param {THREE.Vector3} [sourcePosition] - Where the hit came from (passive mobs flee from it)
+     * @returns {boolean} True if this killed the mob
+     */
+    takeDamage(amount, sourcePosition = null) {
+        if (!this.canBeDamaged()) {
+            // Passive animals can't be hurt, but being hit sends them running
+            if (!this.hostile && !this.dead) {
+                this.startle(sourcePosition);
+            }
+            return false;
+        }
         
         this.health -= amount;
         
@@ -495,6 +785,7 @@ export class Mob {
         this.dead = true;
         this.deathTimer = 0;
         this.velocity.set(0, 0, 0);
+        if (this.nameplate) this.nameplate.visible = false;
         
         // Random spin direction
         this.deathSpinSpeed = (Math.random() > 0.5 ? 1 : -1) * (3 + Math.random() * 2);
@@ -520,7 +811,7 @@ export class Mob {
     attack() {
         if (this.timeSinceAttack < this.attackCooldown) return 0;
         this.timeSinceAttack = 0;
-        return this.config.damage || 0;
+        return this.damage;
     }
     
     /**
@@ -557,6 +848,66 @@ export class Mob {
         return { ...this.inventory };
     }
     
+    /**
+     * Set the mob's level, scaling stats from its MOB_TYPES entry
+     * Current health keeps its fraction of max health.
+     * @param {number} level - Level (1-based)
+     */
+    setLevel(level) {
+        this.level = Math.max(1, Math.floor(level));
+        const stats = scaleMobStats(this.config, this.level);
+
+        const healthFraction = this.maxHealth > 0 ? this.health / this.maxHealth : 1;
+        this.maxHealth = stats.health;
+        this.health = Math.max(1, Math.round(stats.health * healthFraction));
+        this.damage = stats.damage;
+        this.speed = stats.speed;
+        this.xpValue = stats.xp;
+
+        if (this.hostile) {
+            this.updateNameplate();
+        }
+    }
+
+    /**
+     * Draw the level label above the mob, colored by danger within its band
+     */
+    updateNameplate() {
+        if (this.nameplate) {
+            this.mesh.remove(this.nameplate);
+            this.nameplate.material.map.dispose();
+            this.nameplate.material.dispose();
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        const { r, g, b } = getDangerColor(this.level);
+        const text = `${this.title || this.config.name} Lv ${this.level}`;
+
+        ctx.font = 'bold 32px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 6;
+        ctx.strokeText(text, 128, 32);
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillText(text, 128, 32);
+
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthWrite: false
+        });
+        this.nameplate = new THREE.Sprite(material);
+        this.nameplate.scale.set(2, 0.5, 1);
+        this.nameplate.position.y = this.config.size.height + 0.5;
+        // Layer 1 keeps labels out of gameplay raycasts
+        this.nameplate.layers.set(1);
+        this.mesh.add(this.nameplate);
+    }
+
     /**
      * Check if mob has any items
      */
@@ -564,11 +915,48 @@ export class Mob {
         return Object.values(this.inventory).some(v => v > 0);
     }
     
+    /**
+     * Serialize mob state for the save snapshot
+     * @returns {Object} Mob data (type, level, position, health, AI state, inventory)
+     */
+    serialize() {
+        return {
+            type: this.type,
+            level: this.level,
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotation: this.rotation,
+            health: this.health,
+            state: this.state,
+            inventory: { ...this.inventory }
+        };
+    }
+
+    /**
+     * Restore mob state from a save snapshot entry
+     * @param {Object} data - Mob data from serialize()
+     */
+    restore(data) {
+        if (data.level !== undefined) this.setLevel(data.level);
+        if (data.rotation !== undefined) this.rotation = data.rotation;
+        if (data.health !== undefined) this.health = Math.min(data.health, this.maxHealth);
+        // Chase targets are not saved; resume wandering and re-aggro naturally
+        this.state = data.state === 'idle' ? 'idle' : 'wander';
+        if (data.inventory) {
+            for (const type of Object.keys(this.inventory)) {
+                this.inventory[type] = data.inventory[type] || 0;
+            }
+        }
+        this.mesh.rotation.y = this.rotation;
+    }
+    
     destroy() {
         this.scene.remove(this.mesh);
         this.mesh.traverse(child => {
             if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
         });
     }
 }
@@ -810,15 +1198,15 @@ export class Chicken extends Mob {
  * Zombie - Green humanoid hostile mob
  */
 export class Zombie extends Mob {
-    constructor(scene, position) {
-        super(scene, position, 'zombie');
+    constructor(scene, position, type = 'zombie') {
+        super(scene, position, type);
     }
     
     createMesh() {
         const group = new THREE.Group();
         const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
         const darkMat = new THREE.MeshLambertMaterial({ color: this.config.secondaryColor });
-        const blueMat = new THREE.MeshLambertMaterial({ color: 0x3333AA });  // Blue shirt
+        const blueMat = new THREE.MeshLambertMaterial({ color: this.config.clothColor || 0x3333AA });  // Blue shirt
         
         // Head
         const headGeo = new THREE.BoxGeometry(0.5, 0.5, 0.5);
@@ -983,22 +1371,35 @@ export class Skeleton extends Mob {
 
 /**
  * Creeper - Green armless hostile mob that EXPLODES
+ *
+ * Fuse states:
+ * - idle:     chasing like any hostile mob
+ * - lit:      target within detonation range - stands still, swells and
+ *             flashes while the fuse burns; explodes when it runs out
+ * - defusing: target retreated beyond the cancel range - the fuse winds
+ *             back down while the creeper resumes the chase, and relights
+ *             from where it was if the target comes close again
+ *
+ * The explosion is queued on explosionData and routed by CombatManager,
+ * which damages everything nearby, scars terrain and sets off TNT.
  */
 export class Creeper extends Mob {
     constructor(scene, position) {
         super(scene, position, 'creeper');
         
-        // Explosion state
-        this.isDetonating = false;
-        this.detonationTimer = 0;
-        this.detonationDuration = 3.0;  // 3 seconds to explode
+        // Fuse state
+        this.fuseState = 'idle';
+        this.fuseTimer = 0;              // Seconds of fuse burned
+        this.fuseDuration = 3.0;         // 3 seconds to explode
+        this.defuseRate = 2.0;           // Fuse winds down twice as fast as it burns
+        this.detonationRange = 2.5;      // Light the fuse when this close
+        this.cancelRange = this.detonationRange * 2;  // Start defusing beyond this
         this.explosionRadius = 3 + Math.random() * 2;  // 3-5 blocks
-        this.detonationRange = 2.5;  // Start detonating when this close
         
         // Visual state
-        this.originalScale = 1;
         this.flashTimer = 0;
         this.isWhite = false;
+        this.fuseSpark = this.createFuseSpark();
     }
     
     // Override to prevent melee attacks - creepers only damage via explosion
@@ -1011,47 +1412,37 @@ export class Creeper extends Mob {
             return super.update(deltaTime, terrain, playerPosition);
         }
         
-        const distanceToPlayer = this.position.distanceTo(playerPosition);
-        
-        // Check if should start detonating
-        if (!this.isDetonating && distanceToPlayer < this.detonationRange) {
-            this.startDetonation();
-        }
+        const distanceToTarget = this.position.distanceTo(this.getTargetPosition(playerPosition));
         
-        // Check if should stop detonating (player moved away)
-        if (this.isDetonating && distanceToPlayer > this.detonationRange * 2) {
-            this.stopDetonation();
+        // Light (or relight) when close; defuse when the target gets away
+        if (this.fuseState !== 'lit' && distanceToTarget < this.detonationRange) {
+            this.lightFuse();
+        } else if (this.fuseState === 'lit' && distanceToTarget > this.cancelRange) {
+            this.fuseState = 'defusing';
         }
         
-        // Handle detonation
-        if (this.isDetonating) {
-            this.detonationTimer += deltaTime;
-            
-            // Violent shaking
-            const shakeIntensity = 0.1 + (this.detonationTimer / this.detonationDuration) * 0.2;
-            this.mesh.position.x = this.position.x + (Math.random() - 0.5) * shakeIntensity;
-            this.mesh.position.z = this.position.z + (Math.random() - 0.5) * shakeIntensity;
-            
-            // Flash white faster as timer progresses
-            this.flashTimer += deltaTime;
-            const flashRate = 0.3 - (this.detonationTimer / this.detonationDuration) * 0.25;  // Gets faster
-            if (this.flashTimer >= flashRate) {
-                this.flashTimer = 0;
-                this.isWhite = !this.isWhite;
-                this.setFlashColor(this.isWhite ? 0xFFFFFF : this.config.color);
+        if (this.fuseState === 'defusing') {
+            this.fuseTimer = Math.max(0, this.fuseTimer - deltaTime * this.defuseRate);
+            if (this.fuseTimer === 0) {
+                this.resetFuse();
             }
             
-            // Swell up as about to explode
-            const swellAmount = 1 + (this.detonationTimer / this.detonationDuration) * 0.3;
-            this.mesh.scale.set(swellAmount, swellAmount, swellAmount);
+            // Chase again while the fuse winds down
+            const alive = super.update(deltaTime, terrain, playerPosition);
+            this.updateFuseVisuals(deltaTime);
+            return alive;
+        }
+        
+        if (this.fuseState === 'lit') {
+            this.fuseTimer += deltaTime;
             
             // EXPLODE!
-            if (this.detonationTimer >= this.detonationDuration) {
+            if (this.fuseTimer >= this.fuseDuration) {
                 this.explode();
                 return false;  // Remove creeper
             }
             
-            // Don't move while detonating
+            // Don't move while the fuse burns
             this.velocity.x = 0;
             this.velocity.z = 0;
             
@@ -1060,47 +1451,113 @@ export class Creeper extends Mob {
                 this.velocity.y += this.gravity * deltaTime;
             }
             resolveEntityCollision(this, terrain, deltaTime);
+            this.mesh.position.copy(this.position);
+            
+            // Violent shaking
+            const shakeIntensity = 0.1 + this.getFuseProgress() * 0.2;
+            this.mesh.position.x += (Math.random() - 0.5) * shakeIntensity;
+            this.mesh.position.z += (Math.random() - 0.5) * shakeIntensity;
             
+            this.updateFuseVisuals(deltaTime);
             return true;
         }
         
-        // Normal behavior when not detonating
+        // Normal behavior when not fused
         return super.update(deltaTime, terrain, playerPosition);
     }
     
-    startDetonation() {
-        this.isDetonating = true;
-        this.detonationTimer = 0;
-        this.flashTimer = 0;
+    /**
+     * Fraction of the fuse burned (0-1)
+     */
+    getFuseProgress() {
+        return Math.min(1, this.fuseTimer / this.fuseDuration);
+    }
+    
+    lightFuse() {
+        if (this.fuseState === 'idle') {
+            this.fuseTimer = 0;
+            this.flashTimer = 0;
+        }
+        this.fuseState = 'lit';
         this.state = 'idle';  // Stop chasing
+        this.fuseSpark.visible = true;
     }
     
-    stopDetonation() {
-        this.isDetonating = false;
-        this.detonationTimer = 0;
-        this.mesh.scale.set(1, 1, 1);
-        this.setFlashColor(this.config.color);
+    /**
+     * Put the fuse out and restore normal appearance
+     */
+    resetFuse() {
+        this.fuseState = 'idle';
+        this.fuseTimer = 0;
+        this.flashTimer = 0;
         this.isWhite = false;
+        this.mesh.scale.set(1, 1, 1);
+        this.setFlash(0);
+        this.fuseSpark.visible = false;
+    }
+    
+    /**
+     * Swell, flash white (faster as the fuse burns down) and sputter the spark
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    updateFuseVisuals(deltaTime) {
+        if (this.fuseState === 'idle') return;
+        
+        const progress = this.getFuseProgress();
+        
+        // Flash white faster as timer progresses; dimmer while defusing
+        this.flashTimer += deltaTime;
+        const flashRate = 0.3 - progress * 0.25;
+        if (this.flashTimer >= flashRate) {
+            this.flashTimer = 0;
+            this.isWhite = !this.isWhite;
+        }
+        const flashStrength = this.fuseState === 'lit' ? 0.8 : 0.3;
+        this.setFlash(this.isWhite ? flashStrength : 0);
+        
+        // Swell up as about to explode
+        const swellAmount = 1 + progress * 0.3;
+        this.mesh.scale.set(swellAmount, swellAmount, swellAmount);
+        
+        // Hissing spark on top of the head
+        const sputter = 0.6 + Math.random() * 0.8;
+        this.fuseSpark.scale.setScalar(sputter * (this.fuseState === 'lit' ? 1 : 0.5));
+        this.fuseSpark.rotation.y += deltaTime * 20;
     }
     
-    setFlashColor(color) {
+    /**
+     * Brighten all parts towards white
+     * Uses emissive so it doesn't fight the red damage flash, which swaps base colors
+     * @param {number} amount - 0 (normal) to 1 (fully white)
+     */
+    setFlash(amount) {
         this.mesh.traverse(child => {
-            if (child.material && child !== this.mesh) {
-                // Don't change the dark parts (eyes/mouth)
-                if (child.material.color.getHex() !== this.config.secondaryColor) {
-                    child.material.color.setHex(color);
-                }
+            if (child.material && child.material.emissive && child !== this.fuseSpark) {
+                child.material.emissive.setScalar(amount);
             }
         });
     }
     
+    /**
+     * Small glowing spark shown above the head while the fuse is lit
+     * @returns {THREE.Mesh}
+     */
+    createFuseSpark() {
+        const geometry = new THREE.BoxGeometry(0.12, 0.12, 0.12);
+        const material = new THREE.MeshBasicMaterial({ color: 0xFFDD44 });
+        const spark = new THREE.Mesh(geometry, material);
+        spark.position.set(0, 1.7, 0);
+        spark.visible = false;
+        this.mesh.add(spark);
+        return spark;
+    }
+    
     takeDamage(amount) {
         const result = super.takeDamage(amount);
         
-        // If hit while detonating, reset timer
-        if (this.isDetonating && !this.dead) {
-            this.detonationTimer = 0;
-            this.mesh.scale.set(1, 1, 1);
+        // Getting hit knocks the fuse out; it relights if the target stays close
+        if (this.fuseState !== 'idle' && !this.dead) {
+            this.resetFuse();
         }
         
         return result;
@@ -1112,10 +1569,11 @@ export class Creeper extends Mob {
         this.hasExploded = true;
         
         // Store explosion data for MobSpawner to handle
+        // Centered on the body so the crater matches a TNT block's
         this.explosionData = {
-            position: this.position.clone(),
+            position: this.position.clone().add(new THREE.Vector3(0, this.config.size.height / 2, 0)),
             radius: this.explosionRadius,
-            damage: this.config.damage
+            damage: this.damage
         };
     }
     
@@ -1181,108 +1639,857 @@ export class Creeper extends Mob {
 }
 
 /**
- * Explosion - Visual effect for creeper explosion
+ * Husk - Sun-dried desert zombie that lunges at targets within a few blocks
  */
-export class Explosion {
-    constructor(scene, position, radius) {
-        this.scene = scene;
-        this.position = position.clone();
-        this.radius = radius;
-        this.maxRadius = radius;
-        this.currentRadius = 0.5;
-        this.lifetime = 0;
-        this.maxLifetime = 0.5;  // Half second explosion
-        
-        // Create expanding sphere
-        this.geometry = new THREE.SphereGeometry(1, 16, 12);
-        this.material = new THREE.MeshBasicMaterial({
-            color: 0xFF6600,
-            transparent: true,
-            opacity: 1.0
-        });
-        
-        this.mesh = new THREE.Mesh(this.geometry, this.material);
-        this.mesh.position.copy(this.position);
-        this.mesh.position.y += 0.5;  // Center at creeper height
-        this.scene.add(this.mesh);
-        
-        // Inner bright core
-        this.coreGeometry = new THREE.SphereGeometry(1, 12, 8);
-        this.coreMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFFF00,
-            transparent: true,
-            opacity: 1.0
-        });
-        this.coreMesh = new THREE.Mesh(this.coreGeometry, this.coreMaterial);
-        this.coreMesh.position.copy(this.mesh.position);
-        this.scene.add(this.coreMesh);
+export class Husk extends Zombie {
+    constructor(scene, position) {
+        super(scene, position, 'husk');
         
-        this.flashTimer = 0;
-        this.isOrange = true;
+        this.lungeTimer = 0;     // Seconds of lunge left
+        this.lungeCooldown = 0;  // Seconds until the next lunge
     }
     
-    update(deltaTime) {
-        this.lifetime += deltaTime;
-        
-        const progress = this.lifetime / this.maxLifetime;
-        
-        // Expand quickly then slow down
-        const expandProgress = Math.pow(progress, 0.5);  // Fast start, slow end
-        this.currentRadius = 0.5 + expandProgress * (this.maxRadius - 0.5);
-        
-        this.mesh.scale.set(this.currentRadius, this.currentRadius, this.currentRadius);
-        this.coreMesh.scale.set(
-            this.currentRadius * 0.6,
-            this.currentRadius * 0.6,
-            this.currentRadius * 0.6
-        );
-        
-        // Flash between orange and yellow
-        this.flashTimer += deltaTime;
-        if (this.flashTimer > 0.05) {
-            this.flashTimer = 0;
-            this.isOrange = !this.isOrange;
-            this.material.color.setHex(this.isOrange ? 0xFF6600 : 0xFF3300);
-            this.coreMaterial.color.setHex(this.isOrange ? 0xFFFF00 : 0xFFFFFF);
-        }
-        
-        // Fade out
-        const fadeStart = 0.3;
-        if (progress > fadeStart) {
-            const fadeProgress = (progress - fadeStart) / (1 - fadeStart);
-            this.material.opacity = 1 - fadeProgress;
-            this.coreMaterial.opacity = 1 - fadeProgress;
-        }
-        
-        // Done?
-        if (this.lifetime >= this.maxLifetime) {
-            this.destroy();
-            return false;
+    update(deltaTime, terrain, playerPosition) {
+        if (!this.dead) {
+            this.lungeTimer = Math.max(0, this.lungeTimer - deltaTime);
+            this.lungeCooldown = Math.max(0, this.lungeCooldown - deltaTime);
+            
+            // Lunge when the target is close but not yet in reach
+            const distance = this.position.distanceTo(this.getTargetPosition(playerPosition));
+            if (this.state === 'chase' && this.lungeCooldown === 0 &&
+                distance < HUSK_LUNGE_RANGE && distance > this.attackRange) {
+                this.lungeTimer = HUSK_LUNGE_DURATION;
+                this.lungeCooldown = HUSK_LUNGE_COOLDOWN;
+            }
         }
         
-        return true;
+        return super.update(deltaTime, terrain, playerPosition);
     }
     
-    destroy() {
-        this.scene.remove(this.mesh);
-        this.scene.remove(this.coreMesh);
-        this.geometry.dispose();
-        this.material.dispose();
-        this.coreGeometry.dispose();
-        this.coreMaterial.dispose();
+    moveInDirection(direction, speedMultiplier = 1.0) {
+        const lunge = this.lungeTimer > 0 ? HUSK_LUNGE_SPEED_SCALE : 1.0;
+        super.moveInDirection(direction, speedMultiplier * lunge);
     }
 }
 
 /**
- * MobSpawner - Manages mob spawning and updates
+ * Slime - Hopping swamp mob that splits in two when killed
  *
- * Uses SpawnPointManager to spawn mobs at worker-defined locations
- * instead of random positions around the player.
+ * Slimes come in size tiers (SLIME_MAX_TIER down to 0). A dying slime
+ * above tier 0 queues two slimes one tier smaller on pendingSplits, which
+ * MobSpawner spawns in its place. Smaller slimes have less health, deal
+ * less damage and give less XP.
  */
-export class MobSpawner {
-    constructor(scene, terrain, spawnPointManager = null) {
-        this.scene = scene;
-        this.terrain = terrain;
+export class Slime extends Mob {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Vector3} position
+     * @param {number} [tier] - Size tier (defaults to the largest)
+     */
+    constructor(scene, position, tier = SLIME_MAX_TIER) {
+        super(scene, position, 'slime');
+        
+        this.hopTimer = Math.random() * SLIME_HOP_INTERVAL;
+        this.pendingSplits = [];  // { position, tier, level } for MobSpawner to spawn
+        this.setTier(tier);
+    }
+    
+    /**
+     * Set the size tier, scaling body, hitbox and stats
+     * @param {number} tier - 0 (smallest) to SLIME_MAX_TIER
+     */
+    setTier(tier) {
+        this.tier = Math.max(0, Math.min(SLIME_MAX_TIER, Math.floor(tier)));
+        
+        const scale = SLIME_TIER_SCALE[this.tier];
+        const size = this.config.size;
+        this.body.scale.setScalar(scale);
+        this.aabb = new AABB(size.width * scale, size.height * scale, size.depth * scale, 0);
+        
+        this.applyTierStats();
+    }
+    
+    setLevel(level) {
+        super.setLevel(level);
+        // Skipped while the Mob constructor runs, before the tier is set
+        if (this.tier !== undefined) {
+            this.applyTierStats();
+        }
+    }
+    
+    /**
+     * Scale level stats down for smaller tiers
+     */
+    applyTierStats() {
+        const stats = scaleMobStats(this.config, this.level);
+        const factor = SLIME_TIER_STATS[this.tier];
+        
+        const healthFraction = this.maxHealth > 0 ? this.health / this.maxHealth : 1;
+        this.maxHealth = Math.max(1, Math.round(stats.health * factor));
+        this.health = Math.max(1, Math.round(this.maxHealth * healthFraction));
+        this.damage = Math.max(1, Math.round(stats.damage * factor));
+        this.xpValue = Math.round(stats.xp * factor);
+        
+        if (this.nameplate) {
+            this.nameplate.position.y = this.config.size.height * SLIME_TIER_SCALE[this.tier] + 0.5;
+        }
+    }
+    
+    update(deltaTime, terrain, playerPosition) {
+        if (!this.dead) {
+            this.hopTimer -= deltaTime;
+            
+            // Squash on the ground, stretch in the air
+            const scale = SLIME_TIER_SCALE[this.tier];
+            this.body.scale.set(scale, scale * (this.onGround ? 0.85 : 1.1), scale);
+        }
+        
+        return super.update(deltaTime, terrain, playerPosition);
+    }
+    
+    /**
+     * Slimes only move by hopping: they sit still on the ground between hops
+     * and keep the hop's momentum in the air
+     */
+    moveInDirection(direction, speedMultiplier = 1.0) {
+        if (!this.onGround) return;
+        
+        if (this.hopTimer > 0) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            return;
+        }
+        
+        super.moveInDirection(direction, speedMultiplier * SLIME_HOP_SPEED_SCALE);
+        this.velocity.y = SLIME_HOP_FORCE;
+        this.onGround = false;
+        this.hopTimer = SLIME_HOP_INTERVAL * (0.7 + Math.random() * 0.6);
+    }
+    
+    die() {
+        super.die();
+        if (this.tier === 0) return;
+        
+        // Split into two smaller slimes either side of this one
+        const side = new THREE.Vector3(Math.cos(this.rotation), 0, -Math.sin(this.rotation));
+        for (const sign of [-1, 1]) {
+            this.pendingSplits.push({
+                position: this.position.clone().addScaledVector(side, sign * SLIME_SPLIT_OFFSET),
+                tier: this.tier - 1,
+                level: this.level
+            });
+        }
+    }
+    
+    /**
+     * Get and clear queued splits (called by MobSpawner to spawn them)
+     */
+    getPendingSplits() {
+        const splits = this.pendingSplits;
+        this.pendingSplits = [];
+        return splits;
+    }
+    
+    serialize() {
+        return { ...super.serialize(), tier: this.tier };
+    }
+    
+    restore(data) {
+        if (data.tier !== undefined) this.setTier(data.tier);
+        super.restore(data);
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const size = this.config.size;
+        const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
+        const darkMat = new THREE.MeshLambertMaterial({ color: this.config.secondaryColor });
+        
+        // Body parts sit in their own group so tiers scale them, not the nameplate
+        this.body = new THREE.Group();
+        group.add(this.body);
+        
+        // Cube body
+        const bodyGeo = new THREE.BoxGeometry(size.width, size.height, size.depth);
+        const body = new THREE.Mesh(bodyGeo, mat);
+        body.position.y = size.height / 2;
+        body.castShadow = true;
+        this.body.add(body);
+        
+        // Eyes
+        const eyeGeo = new THREE.BoxGeometry(0.15, 0.15, 0.05);
+        const leftEye = new THREE.Mesh(eyeGeo, darkMat);
+        leftEye.position.set(-0.2, 0.65, size.depth / 2 + 0.01);
+        this.body.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeo, darkMat);
+        rightEye.position.set(0.2, 0.65, size.depth / 2 + 0.01);
+        this.body.add(rightEye);
+        
+        // Mouth
+        const mouthGeo = new THREE.BoxGeometry(0.3, 0.06, 0.05);
+        const mouth = new THREE.Mesh(mouthGeo, darkMat);
+        mouth.position.set(0, 0.4, size.depth / 2 + 0.01);
+        this.body.add(mouth);
+        
+        group.position.copy(this.position);
+        return group;
+    }
+}
+
+/**
+ * Spider - Fast, low jungle mob that climbs straight up voxel walls
+ * while chasing instead of pathing around them
+ */
+export class Spider extends Mob {
+    constructor(scene, position) {
+        super(scene, position, 'spider');
+        
+        this.climbing = false;
+    }
+    
+    update(deltaTime, terrain, playerPosition) {
+        if (!this.dead) {
+            this.climbing = this.state === 'chase' && this.isWallAhead(terrain);
+            if (this.climbing) {
+                // Climb instead of falling; gravity is applied after the AI runs
+                this.onGround = false;
+                this.velocity.y = Math.max(this.velocity.y, SPIDER_CLIMB_SPEED);
+            }
+        }
+        
+        return super.update(deltaTime, terrain, playerPosition);
+    }
+
+    /**
+     * Spiders skip the flow field and go straight at the target,
+     * climbing whatever is in the way
+     */
+    getChaseDirection(targetPosition) {
+        return new THREE.Vector3()
+            .subVectors(targetPosition, this.position)
+            .setY(0)
+            .normalize();
+    }
+
+    /**
+     * Check for a wall too tall to step onto just ahead of the spider
+     * @param {Object} terrain - Terrain provider (getBlockType, getHeight)
+     * @returns {boolean}
+     */
+    isWallAhead(terrain) {
+        const reach = this.config.size.depth / 2 + SPIDER_WALL_REACH;
+        const x = Math.floor(this.position.x + Math.sin(this.rotation) * reach);
+        const z = Math.floor(this.position.z + Math.cos(this.rotation) * reach);
+        
+        // Voxel wall at body height
+        const block = terrain.getBlockType(x, Math.floor(this.position.y + 0.5), z);
+        if (block !== null && block !== 'water' && block !== 'water_full') {
+            return true;
+        }
+        
+        // Cliff in the heightfield
+        return terrain.getHeight(x, z) > this.position.y + SPIDER_CLIMB_STEP;
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
+        const eyeMat = new THREE.MeshBasicMaterial({ color: this.config.secondaryColor });
+        
+        // Abdomen (back) and thorax (front)
+        const abdomenGeo = new THREE.BoxGeometry(0.7, 0.45, 0.6);
+        const abdomen = new THREE.Mesh(abdomenGeo, mat);
+        abdomen.position.set(0, 0.4, -0.25);
+        abdomen.castShadow = true;
+        group.add(abdomen);
+        
+        const thoraxGeo = new THREE.BoxGeometry(0.45, 0.35, 0.4);
+        const thorax = new THREE.Mesh(thoraxGeo, mat);
+        thorax.position.set(0, 0.35, 0.25);
+        thorax.castShadow = true;
+        group.add(thorax);
+        
+        // Red eyes
+        const eyeGeo = new THREE.BoxGeometry(0.08, 0.08, 0.04);
+        for (const [x, y] of [[-0.12, 0.42], [0.12, 0.42], [-0.06, 0.34], [0.06, 0.34]]) {
+            const eye = new THREE.Mesh(eyeGeo, eyeMat);
+            eye.position.set(x, y, 0.46);
+            group.add(eye);
+        }
+        
+        // Eight legs, splayed out and angled down to the ground
+        const legGeo = new THREE.BoxGeometry(0.6, 0.06, 0.06);
+        for (let i = 0; i < 4; i++) {
+            const z = 0.35 - i * 0.18;
+            for (const side of [-1, 1]) {
+                const leg = new THREE.Mesh(legGeo, mat);
+                leg.position.set(side * 0.45, 0.25, z);
+                leg.rotation.z = side * -0.6;
+                leg.rotation.y = side * (i - 1.5) * 0.25;
+                leg.castShadow = true;
+                group.add(leg);
+            }
+        }
+        
+        group.position.copy(this.position);
+        return group;
+    }
+}
+
+/**
+ * FireImp - Small volcanic demon that keeps its distance and hurls fireballs
+ * Fireballs are queued like skeleton arrows, tagged projectile: 'fireball'.
+ */
+export class FireImp extends Mob {
+    constructor(scene, position) {
+        super(scene, position, 'fireImp');
+        
+        this.arrowCooldown = FIRE_IMP_FIREBALL_COOLDOWN;
+    }
+    
+    update(deltaTime, terrain, playerPosition) {
+        if (!this.dead) {
+            // Flickering head flame
+            this.flame.scale.setScalar(0.8 + Math.random() * 0.4);
+        }
+        
+        return super.update(deltaTime, terrain, playerPosition);
+    }
+    
+    /**
+     * Throw a fireball at target
+     */
+    shootArrow(targetPosition) {
+        const startPos = this.position.clone();
+        startPos.y += 0.9;
+        
+        const aimPos = targetPosition.clone();
+        aimPos.y += 0.5;
+        
+        this.pendingArrows.push({
+            start: startPos,
+            target: aimPos,
+            damage: this.damage,
+            projectile: 'fireball'
+        });
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
+        const darkMat = new THREE.MeshLambertMaterial({ color: 0x3A0A06 });
+        const glowMat = new THREE.MeshBasicMaterial({ color: this.config.secondaryColor });
+        
+        // Head
+        const headGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
+        const head = new THREE.Mesh(headGeo, mat);
+        head.position.set(0, 0.85, 0);
+        head.castShadow = true;
+        group.add(head);
+        
+        // Glowing eyes
+        const eyeGeo = new THREE.BoxGeometry(0.09, 0.06, 0.04);
+        const leftEye = new THREE.Mesh(eyeGeo, glowMat);
+        leftEye.position.set(-0.09, 0.88, 0.21);
+        group.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeo, glowMat);
+        rightEye.position.set(0.09, 0.88, 0.21);
+        group.add(rightEye);
+        
+        // Horns
+        const hornGeo = new THREE.BoxGeometry(0.06, 0.18, 0.06);
+        const leftHorn = new THREE.Mesh(hornGeo, darkMat);
+        leftHorn.position.set(-0.15, 1.12, 0);
+        leftHorn.rotation.z = 0.3;
+        group.add(leftHorn);
+        
+        const rightHorn = new THREE.Mesh(hornGeo, darkMat);
+        rightHorn.position.set(0.15, 1.12, 0);
+        rightHorn.rotation.z = -0.3;
+        group.add(rightHorn);
+        
+        // Flame between the horns
+        const flameGeo = new THREE.BoxGeometry(0.12, 0.16, 0.12);
+        this.flame = new THREE.Mesh(flameGeo, new THREE.MeshBasicMaterial({ color: 0xFF7722 }));
+        this.flame.position.set(0, 1.15, 0);
+        group.add(this.flame);
+        
+        // Body
+        const bodyGeo = new THREE.BoxGeometry(0.35, 0.4, 0.25);
+        const body = new THREE.Mesh(bodyGeo, mat);
+        body.position.set(0, 0.45, 0);
+        body.castShadow = true;
+        group.add(body);
+        
+        // Arms
+        const armGeo = new THREE.BoxGeometry(0.1, 0.35, 0.1);
+        const leftArm = new THREE.Mesh(armGeo, darkMat);
+        leftArm.position.set(-0.23, 0.48, 0.05);
+        leftArm.rotation.x = -0.4;
+        group.add(leftArm);
+        
+        const rightArm = new THREE.Mesh(armGeo, darkMat);
+        rightArm.position.set(0.23, 0.48, 0.05);
+        rightArm.rotation.x = -0.4;
+        group.add(rightArm);
+        
+        // Legs
+        const legGeo = new THREE.BoxGeometry(0.12, 0.25, 0.12);
+        const leftLeg = new THREE.Mesh(legGeo, darkMat);
+        leftLeg.position.set(-0.09, 0.125, 0);
+        group.add(leftLeg);
+        
+        const rightLeg = new THREE.Mesh(legGeo, darkMat);
+        rightLeg.position.set(0.09, 0.125, 0);
+        group.add(rightLeg);
+        
+        group.position.copy(this.position);
+        return group;
+    }
+}
+
+/**
+ * Wolf - Cold-biome predator that hunts in packs
+ *
+ * MobSpawner spawns wolves in packs (a MobGroup, see mobgroups.js). When
+ * one wolf starts chasing, the rest of its pack joins in; like any group
+ * of hunters they then spread out around the target.
+ */
+export class Wolf extends Mob {
+    constructor(scene, position) {
+        super(scene, position, 'wolf');
+        
+        this.aggroRange = WOLF_AGGRO_RANGE;
+    }
+    
+    update(deltaTime, terrain, playerPosition) {
+        const alive = super.update(deltaTime, terrain, playerPosition);
+        
+        if (!this.dead && this.pack && this.state === 'chase') {
+            this.alertPack();
+        }
+        
+        return alive;
+    }
+    
+    /**
+     * Bring every idle or wandering packmate into the chase
+     */
+    alertPack() {
+        for (const wolf of this.pack.members) {
+            if (wolf === this || wolf.dead || wolf.state === 'chase') continue;
+            wolf.state = 'chase';
+            if (this.aggroTarget && !wolf.aggroTarget) {
+                wolf.aggroTarget = this.aggroTarget;
+            }
+        }
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
+        const darkMat = new THREE.MeshLambertMaterial({ color: this.config.secondaryColor });
+        const blackMat = new THREE.MeshLambertMaterial({ color: 0x111111 });
+        
+        // Body
+        const bodyGeo = new THREE.BoxGeometry(0.45, 0.4, 0.9);
+        const body = new THREE.Mesh(bodyGeo, mat);
+        body.position.set(0, 0.55, 0);
+        body.castShadow = true;
+        group.add(body);
+        
+        // Head and snout
+        const headGeo = new THREE.BoxGeometry(0.35, 0.32, 0.3);
+        const head = new THREE.Mesh(headGeo, mat);
+        head.position.set(0, 0.7, 0.55);
+        head.castShadow = true;
+        group.add(head);
+        
+        const snoutGeo = new THREE.BoxGeometry(0.16, 0.14, 0.2);
+        const snout = new THREE.Mesh(snoutGeo, darkMat);
+        snout.position.set(0, 0.63, 0.78);
+        group.add(snout);
+        
+        const noseGeo = new THREE.BoxGeometry(0.08, 0.06, 0.04);
+        const nose = new THREE.Mesh(noseGeo, blackMat);
+        nose.position.set(0, 0.68, 0.89);
+        group.add(nose);
+        
+        // Eyes
+        const eyeGeo = new THREE.BoxGeometry(0.06, 0.05, 0.04);
+        const leftEye = new THREE.Mesh(eyeGeo, blackMat);
+        leftEye.position.set(-0.09, 0.76, 0.71);
+        group.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeo, blackMat);
+        rightEye.position.set(0.09, 0.76, 0.71);
+        group.add(rightEye);
+        
+        // Ears
+        const earGeo = new THREE.BoxGeometry(0.08, 0.12, 0.06);
+        const leftEar = new THREE.Mesh(earGeo, darkMat);
+        leftEar.position.set(-0.11, 0.92, 0.5);
+        group.add(leftEar);
+        
+        const rightEar = new THREE.Mesh(earGeo, darkMat);
+        rightEar.position.set(0.11, 0.92, 0.5);
+        group.add(rightEar);
+        
+        // Tail (angled down)
+        const tailGeo = new THREE.BoxGeometry(0.1, 0.1, 0.4);
+        const tail = new THREE.Mesh(tailGeo, darkMat);
+        tail.position.set(0, 0.55, -0.6);
+        tail.rotation.x = 0.6;
+        group.add(tail);
+        
+        // Legs
+        const legGeo = new THREE.BoxGeometry(0.12, 0.35, 0.12);
+        const legPositions = [
+            [-0.15, 0.175, 0.3],
+            [0.15, 0.175, 0.3],
+            [-0.15, 0.175, -0.3],
+            [0.15, 0.175, -0.3]
+        ];
+        legPositions.forEach(pos => {
+            const leg = new THREE.Mesh(legGeo, mat);
+            leg.position.set(...pos);
+            leg.castShadow = true;
+            group.add(leg);
+        });
+        
+        group.position.copy(this.position);
+        return group;
+    }
+}
+
+/**
+ * TempleBoss - Stone colossus guarding a Mayan temple chamber
+ * 
+ * Fights in three phases by remaining health (BOSS_PHASE_THRESHOLDS):
+ * 1. Punches and ground slams
+ * 2. Also summons zombies and skeletons
+ * 3. Enraged: faster, harder hitting, slams twice as often
+ * 
+ * Slams are queued as shockwave explosions and summons as spawn requests,
+ * both collected by MobSpawner.
+ */
+export class TempleBoss extends Mob {
+    constructor(scene, position) {
+        super(scene, position, 'templeBoss');
+        
+        this.aggroRange = BOSS_AGGRO_RANGE;
+        this.leashRange = 60;
+        this.attackCooldown = 1.4;
+        this.attackRange = 2.2;
+        
+        this.phase = 1;
+        this.enraged = false;
+        this.slamTimer = BOSS_SLAM_COOLDOWN * 0.5;
+        this.slamWindup = 0;      // Seconds until a started slam lands (0 = not slamming)
+        this.summonTimer = 0;
+        this.minions = [];
+        this.pendingSummons = [];     // { summoner, type, position, level } for MobSpawner to spawn
+        this.pendingShockwaves = [];  // Explosion data for MobSpawner to hand to CombatManager
+    }
+    
+    update(deltaTime, terrain, playerPosition) {
+        if (!this.dead) {
+            this.updatePhase();
+            this.slamTimer -= deltaTime;
+            this.summonTimer -= deltaTime;
+            
+            if (this.slamWindup > 0) {
+                this.slamWindup -= deltaTime;
+                if (this.slamWindup <= 0) {
+                    this.slam();
+                }
+            }
+            
+            // Crouch while winding up a slam
+            this.body.scale.y = this.slamWindup > 0 ? 0.8 : 1;
+        }
+        
+        return super.update(deltaTime, terrain, playerPosition);
+    }
+    
+    updateAI(deltaTime, playerPosition, distanceToPlayer) {
+        if (this.slamWindup > 0) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            return;
+        }
+        
+        if (this.state === 'chase') {
+            if (this.slamTimer <= 0 && distanceToPlayer < BOSS_SLAM_RANGE && this.onGround) {
+                this.slamWindup = BOSS_SLAM_WINDUP;
+                return;
+            }
+            if (this.phase >= 2 && this.summonTimer <= 0) {
+                this.summon(playerPosition);
+            }
+        }
+        
+        super.updateAI(deltaTime, playerPosition, distanceToPlayer);
+    }
+    
+    /**
+     * Advance to the phase for the current health (phases never go back)
+     */
+    updatePhase() {
+        const fraction = this.health / this.maxHealth;
+        const phase = 1 + BOSS_PHASE_THRESHOLDS.filter(threshold => fraction <= threshold).length;
+        if (phase <= this.phase) return;
+        
+        this.phase = phase;
+        if (phase === 2) {
+            this.summonTimer = 0;  // First summon straight away
+        } else if (phase === 3) {
+            this.enrage();
+        }
+    }
+    
+    enrage() {
+        this.enraged = true;
+        this.speed *= BOSS_ENRAGE_SPEED_SCALE;
+        this.damage = Math.round(this.damage * BOSS_ENRAGE_DAMAGE_SCALE);
+        this.attackCooldown *= BOSS_ENRAGE_COOLDOWN_SCALE;
+        
+        // Eyes burn red (also after hit flashes, which restore originalColors)
+        this.eyeMaterial.color.setHex(BOSS_ENRAGE_EYE_COLOR);
+        this.originalColors?.forEach(entry => {
+            if (entry.mesh.material === this.eyeMaterial) {
+                entry.color = BOSS_ENRAGE_EYE_COLOR;
+            }
+        });
+    }
+    
+    /**
+     * No punches while winding up a slam
+     */
+    canAttack(targetPosition) {
+        return this.slamWindup <= 0 && super.canAttack(targetPosition);
+    }
+    
+    /**
+     * Land a ground slam: a shockwave that hurts the hero and golems but
+     * leaves the chamber intact
+     */
+    slam() {
+        this.slamWindup = 0;
+        this.slamTimer = BOSS_SLAM_COOLDOWN * (this.enraged ? BOSS_ENRAGE_COOLDOWN_SCALE : 1);
+        this.pendingShockwaves.push({
+            position: this.position.clone(),
+            radius: BOSS_SLAM_RADIUS,
+            damage: Math.round(this.damage * BOSS_SLAM_DAMAGE_SCALE),
+            shockwave: true
+        });
+    }
+    
+    /**
+     * Call minions either side of the line to the target, up to BOSS_MAX_MINIONS alive
+     * @param {THREE.Vector3} targetPosition - Position being fought
+     */
+    summon(targetPosition) {
+        this.summonTimer = BOSS_SUMMON_COOLDOWN;
+        this.minions = this.minions.filter(minion => !minion.dead);
+        
+        const count = Math.min(BOSS_SUMMON_COUNT, BOSS_MAX_MINIONS - this.minions.length);
+        const facing = Math.atan2(targetPosition.x - this.position.x, targetPosition.z - this.position.z);
+        
+        for (let i = 0; i < count; i++) {
+            const angle = facing + (i % 2 === 0 ? -1 : 1) * Math.PI / 4;
+            this.pendingSummons.push({
+                summoner: this,
+                type: BOSS_SUMMON_TYPES[i % BOSS_SUMMON_TYPES.length],
+                position: new THREE.Vector3(
+                    this.position.x + Math.sin(angle) * BOSS_SUMMON_DISTANCE,
+                    this.position.y + 0.5,
+                    this.position.z + Math.cos(angle) * BOSS_SUMMON_DISTANCE
+                ),
+                level: Math.max(1, this.level - BOSS_MINION_LEVEL_PENALTY)
+            });
+        }
+    }
+    
+    /**
+     * Get and clear queued minion summons (called by MobSpawner to spawn them)
+     */
+    getPendingSummons() {
+        const summons = this.pendingSummons;
+        this.pendingSummons = [];
+        return summons;
+    }
+    
+    /**
+     * Get and clear queued slam shockwaves (called by MobSpawner)
+     */
+    getPendingShockwaves() {
+        const shockwaves = this.pendingShockwaves;
+        this.pendingShockwaves = [];
+        return shockwaves;
+    }
+    
+    createMesh() {
+        const group = new THREE.Group();
+        const mat = new THREE.MeshLambertMaterial({ color: this.config.color });
+        this.eyeMaterial = new THREE.MeshLambertMaterial({ color: this.config.secondaryColor });
+        
+        // Everything above the feet, squashed while winding up a slam
+        this.body = new THREE.Group();
+        group.add(this.body);
+        
+        // Head with jade eyes
+        const head = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.7, 0.7), mat);
+        head.position.set(0, 2.6, 0);
+        head.castShadow = true;
+        this.body.add(head);
+        
+        const eyeGeo = new THREE.BoxGeometry(0.18, 0.1, 0.05);
+        const leftEye = new THREE.Mesh(eyeGeo, this.eyeMaterial);
+        leftEye.position.set(-0.18, 2.65, 0.36);
+        this.body.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeo, this.eyeMaterial);
+        rightEye.position.set(0.18, 2.65, 0.36);
+        this.body.add(rightEye);
+        
+        // Broad torso with a jade inlay
+        const torso = new THREE.Mesh(new THREE.BoxGeometry(1.4, 1.2, 0.9), mat);
+        torso.position.set(0, 1.65, 0);
+        torso.castShadow = true;
+        this.body.add(torso);
+        
+        const inlay = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 0.05), this.eyeMaterial);
+        inlay.position.set(0, 1.8, 0.46);
+        this.body.add(inlay);
+        
+        // Heavy arms hanging to the knees
+        const armGeo = new THREE.BoxGeometry(0.45, 1.4, 0.45);
+        for (const side of [-1, 1]) {
+            const arm = new THREE.Mesh(armGeo, mat);
+            arm.position.set(side * 0.95, 1.45, 0);
+            arm.castShadow = true;
+            this.body.add(arm);
+        }
+        
+        // Legs
+        const legGeo = new THREE.BoxGeometry(0.45, 1.05, 0.45);
+        for (const side of [-1, 1]) {
+            const leg = new THREE.Mesh(legGeo, mat);
+            leg.position.set(side * 0.35, 0.525, 0);
+            leg.castShadow = true;
+            group.add(leg);
+        }
+        
+        group.position.copy(this.position);
+        return group;
+    }
+}
+
+/**
+ * Explosion - Visual effect for creeper and TNT explosions
+ */
+export class Explosion {
+    constructor(scene, position, radius) {
+        this.scene = scene;
+        this.position = position.clone();
+        this.radius = radius;
+        this.maxRadius = radius;
+        this.currentRadius = 0.5;
+        this.lifetime = 0;
+        this.maxLifetime = 0.5;  // Half second explosion
+        
+        // Create expanding sphere
+        this.geometry = new THREE.SphereGeometry(1, 16, 12);
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xFF6600,
+            transparent: true,
+            opacity: 1.0
+        });
+        
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.position.copy(this.position);  // Explosion center (creeper body or TNT block)
+        this.scene.add(this.mesh);
+        
+        // Inner bright core
+        this.coreGeometry = new THREE.SphereGeometry(1, 12, 8);
+        this.coreMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFFFF00,
+            transparent: true,
+            opacity: 1.0
+        });
+        this.coreMesh = new THREE.Mesh(this.coreGeometry, this.coreMaterial);
+        this.coreMesh.position.copy(this.mesh.position);
+        this.scene.add(this.coreMesh);
+        
+        this.flashTimer = 0;
+        this.isOrange = true;
+    }
+    
+    update(deltaTime) {
+        this.lifetime += deltaTime;
+        
+        const progress = this.lifetime / this.maxLifetime;
+        
+        // Expand quickly then slow down
+        const expandProgress = Math.pow(progress, 0.5);  // Fast start, slow end
+        this.currentRadius = 0.5 + expandProgress * (this.maxRadius - 0.5);
+        
+        this.mesh.scale.set(this.currentRadius, this.currentRadius, this.currentRadius);
+        this.coreMesh.scale.set(
+            this.currentRadius * 0.6,
+            this.currentRadius * 0.6,
+            this.currentRadius * 0.6
+        );
+        
+        // Flash between orange and yellow
+        this.flashTimer += deltaTime;
+        if (this.flashTimer > 0.05) {
+            this.flashTimer = 0;
+            this.isOrange = !this.isOrange;
+            this.material.color.setHex(this.isOrange ? 0xFF6600 : 0xFF3300);
+            this.coreMaterial.color.setHex(this.isOrange ? 0xFFFF00 : 0xFFFFFF);
+        }
+        
+        // Fade out
+        const fadeStart = 0.3;
+        if (progress > fadeStart) {
+            const fadeProgress = (progress - fadeStart) / (1 - fadeStart);
+            this.material.opacity = 1 - fadeProgress;
+            this.coreMaterial.opacity = 1 - fadeProgress;
+        }
+        
+        // Done?
+        if (this.lifetime >= this.maxLifetime) {
+            this.destroy();
+            return false;
+        }
+        
+        return true;
+    }
+    
+    destroy() {
+        this.scene.remove(this.mesh);
+        this.scene.remove(this.coreMesh);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.coreGeometry.dispose();
+        this.coreMaterial.dispose();
+    }
+}
+
+/**
+ * MobSpawner - Manages mob spawning and updates
+ *
+ * Uses SpawnPointManager to spawn mobs at worker-defined locations
+ * instead of random positions around the player.
+ */
+export class MobSpawner {
+    constructor(scene, terrain, spawnPointManager = null) {
+        this.scene = scene;
+        this.terrain = terrain;
         this.spawnPointManager = spawnPointManager;
         this.mobs = [];
 
@@ -1298,6 +2505,12 @@ export class MobSpawner {
         // Unique ID counter for mobs
         this.nextMobId = 1;
 
+        // Herds, packs and hunts, plus the spatial index they use
+        this.groups = new MobGroupManager();
+
+        // Level bands by distance from the start (set by game; level 1 without)
+        this.progressionBands = null;
+
         // Mob classes by type
         this.mobClasses = {
             cow: Cow,
@@ -1305,7 +2518,13 @@ export class MobSpawner {
             chicken: Chicken,
             zombie: Zombie,
             skeleton: Skeleton,
-            creeper: Creeper
+            creeper: Creeper,
+            husk: Husk,
+            slime: Slime,
+            spider: Spider,
+            fireImp: FireImp,
+            wolf: Wolf,
+            templeBoss: TempleBoss
         };
 
         // Dropped loot from killed mobs (to be collected by game)
@@ -1316,8 +2535,13 @@ export class MobSpawner {
     }
     
     update(deltaTime, playerPosition, waterLevel, itemSpawner = null) {
+        // Group state first, so every mob reads this frame's blackboards
+        this.groups.update(deltaTime, this.mobs, playerPosition);
+
         // Update existing mobs and collect skeleton arrows
         const skeletonArrows = [];
+        const slimeSplits = [];
+        const summons = [];
         
         this.mobs = this.mobs.filter(mob => {
             // Check if mob is too far away - despawn with fade
@@ -1365,11 +2589,14 @@ export class MobSpawner {
             }
 
             // Check if mob just died and has loot
-            if (!alive && mob.hasItems()) {
-                this.droppedLoot.push({
-                    position: mob.position.clone(),
-                    inventory: mob.getInventory()
-                });
+            if (!alive) {
+                const drops = this.getDeathDrops(mob);
+                if (Object.values(drops).some(amount => amount > 0)) {
+                    this.droppedLoot.push({
+                        position: mob.position.clone(),
+                        inventory: drops
+                    });
+                }
             }
 
             // Check for creeper explosion
@@ -1377,6 +2604,19 @@ export class MobSpawner {
                 this.pendingExplosions.push(mob.explosionData);
             }
 
+            // Collect smaller slimes from slimes that split on death
+            if (mob.pendingSplits?.length) {
+                slimeSplits.push(...mob.getPendingSplits());
+            }
+
+            // Temple boss slams and summons
+            if (mob.pendingShockwaves?.length) {
+                this.pendingExplosions.push(...mob.getPendingShockwaves());
+            }
+            if (mob.pendingSummons?.length) {
+                summons.push(...mob.getPendingSummons());
+            }
+
             if (!alive) {
                 this.cleanupMobSpawnPoint(mob);
                 mob.destroy();
@@ -1386,6 +2626,10 @@ export class MobSpawner {
         
         // Store skeleton arrows for game to spawn
         this.pendingSkeletonArrows = skeletonArrows;
+
+        // Spawned after the pass above so they join this.mobs
+        slimeSplits.forEach(split => this.spawnSlimeSplit(split));
+        summons.forEach(summon => this.spawnSummon(summon));
         
         // Try to spawn new mobs - spawn multiple if below max
         this.timeSinceSpawn += deltaTime;
@@ -1410,6 +2654,26 @@ export class MobSpawner {
         return arrows;
     }
     
+    /**
+     * Everything a dead mob drops: what it picked up, plus a roll on its
+     * loot table (MOB_LOOT) if it was killed in a fight
+     * @param {Mob} mob
+     * @returns {Object<string, number>} Amounts keyed by item type
+     */
+    getDeathDrops(mob) {
+        const drops = mob.getInventory();
+        const table = MOB_LOOT[mob.type];
+        if (!mob.killedByPlayer || !table) return drops;
+
+        const { x, z } = mob.position;
+        const seed = getLootSeed(this.terrain.seed ?? 0, mob.type, mob.level, x, z);
+        const loot = rollLoot(table, seed, { level: mob.level, biome: this.terrain.getBiome?.(x, z) });
+        for (const [type, amount] of Object.entries(loot)) {
+            drops[type] = (drops[type] || 0) + amount;
+        }
+        return drops;
+    }
+    
     /**
      * Get loot dropped by killed mobs
      */
@@ -1475,15 +2739,20 @@ export class MobSpawner {
         const MobClass = this.mobClasses[mobType];
         const mob = new MobClass(this.scene, position);
 
-        // Assign unique ID and spawn point reference
+        // Assign unique ID, level and spawn point reference
         mob.mobId = this.nextMobId++;
         mob.spawnPointId = sp.id;
+        this.assignLevel(mob);
 
         this.mobs.push(mob);
 
         // Mark spawn point as active
         this.spawnPointManager.markSpawnActive(sp.id, mob.mobId);
 
+        if (mobType === 'wolf') {
+            this.formPack(mob);
+        }
+
         return mob;
     }
 
@@ -1513,7 +2782,11 @@ export class MobSpawner {
                 const MobClass = this.mobClasses[mobType];
                 const mob = new MobClass(this.scene, position);
                 mob.mobId = this.nextMobId++;
+                this.assignLevel(mob);
                 this.mobs.push(mob);
+                if (mobType === 'wolf') {
+                    this.formPack(mob);
+                }
                 return mob;
             }
         }
@@ -1521,6 +2794,86 @@ export class MobSpawner {
         return null;
     }
 
+    /**
+     * Spawn a specific mob at a position (objective guardians and the like)
+     * Not tied to a spawn point, and not saved with the other mobs.
+     * @param {string} type - Key in MOB_TYPES
+     * @param {THREE.Vector3} position - Spawn position (feet)
+     * @param {number} [level] - Level (defaults to the level at the position)
+     * @returns {Mob|null}
+     */
+    spawnMobAt(type, position, level = null) {
+        const MobClass = this.mobClasses[type];
+        if (!MobClass) return null;
+
+        const mob = new MobClass(this.scene, position);
+        mob.mobId = this.nextMobId++;
+        mob.persistent = false;
+        if (level) {
+            mob.setLevel(level);
+        } else {
+            this.assignLevel(mob);
+        }
+        this.mobs.push(mob);
+        return mob;
+    }
+
+    /**
+     * Spawn the rest of a wolf's pack around it and link them
+     * Packmates share the first wolf's level but not its spawn point.
+     * @param {Wolf} leader - Wolf that was just spawned
+     */
+    formPack(leader) {
+        const pack = new MobGroup('pack');
+        pack.add(leader);
+        const size = WOLF_PACK_MIN + Math.floor(Math.random() * (WOLF_PACK_MAX - WOLF_PACK_MIN + 1));
+
+        for (let i = 1; i < size && this.mobs.length < this.maxMobs; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const x = leader.position.x + Math.cos(angle) * WOLF_PACK_SPREAD;
+            const z = leader.position.z + Math.sin(angle) * WOLF_PACK_SPREAD;
+            const position = new THREE.Vector3(x, this.terrain.getHeight(Math.floor(x), Math.floor(z)) + 1, z);
+
+            const wolf = new Wolf(this.scene, position);
+            wolf.mobId = this.nextMobId++;
+            wolf.setLevel(leader.level);
+            this.mobs.push(wolf);
+            pack.add(wolf);
+        }
+    }
+
+    /**
+     * Spawn a slime split off from a dying larger one
+     * @param {{position: THREE.Vector3, tier: number, level: number}} split
+     */
+    spawnSlimeSplit({ position, tier, level }) {
+        const slime = new Slime(this.scene, position, tier);
+        slime.mobId = this.nextMobId++;
+        slime.setLevel(level);
+        slime.state = 'chase';  // Pick up the parent's fight
+        this.mobs.push(slime);
+    }
+
+    /**
+     * Spawn a minion called by a boss, already chasing
+     * @param {{summoner: TempleBoss, type: string, position: THREE.Vector3, level: number}} summon
+     */
+    spawnSummon({ summoner, type, position, level }) {
+        const minion = this.spawnMobAt(type, position, level);
+        if (!minion) return;
+        minion.state = 'chase';
+        summoner.minions.push(minion);
+    }
+
+    /**
+     * Give a new mob its level from its distance to the start point
+     * @param {Mob} mob
+     */
+    assignLevel(mob) {
+        if (!this.progressionBands) return;
+        mob.setLevel(this.progressionBands.getMobLevel(mob.position.x, mob.position.z));
+    }
+
     /**
      * Clean up spawn point tracking when a mob is removed
      */
@@ -1531,23 +2884,27 @@ export class MobSpawner {
         }
     }
 
+    /**
+     * Pick a mob for a biome, weighted by the biome's spawn table
+     * @param {string} biome - Biome name (key of BIOMES)
+     * @returns {string|null} Mob type, or null if nothing spawns there
+     */
     pickMobType(biome) {
-        // Filter mobs that can spawn in this biome
-        const validMobs = Object.entries(MOB_TYPES)
-            .filter(([type, config]) => config.biomes.includes(biome));
+        const roster = (BIOMES[biome]?.mobs || [])
+            .filter(type => this.mobClasses[type] && getMobSpawnWeight(biome, type) > 0);
 
-        if (validMobs.length === 0) return null;
+        if (roster.length === 0) return null;
 
         // Weighted random selection
-        const totalWeight = validMobs.reduce((sum, [, config]) => sum + config.spawnWeight, 0);
+        const totalWeight = roster.reduce((sum, type) => sum + getMobSpawnWeight(biome, type), 0);
         let random = Math.random() * totalWeight;
 
-        for (const [type, config] of validMobs) {
-            random -= config.spawnWeight;
+        for (const type of roster) {
+            random -= getMobSpawnWeight(biome, type);
             if (random <= 0) return type;
         }
 
-        return validMobs[0][0];
+        return roster[0];
     }
     
     /**
@@ -1576,8 +2933,55 @@ export class MobSpawner {
         return totalDamage;
     }
     
+    /**
+     * Serialize living mobs for the save snapshot
+     * @returns {Array<Object>} Mob section data
+     */
+    serialize() {
+        return this.mobs
+            .filter(mob => !mob.dead && mob.persistent)
+            .map(mob => mob.serialize());
+    }
+
+    /**
+     * Restore mobs from a save snapshot, replacing any current mobs
+     * Restored mobs are not bound to a spawn point.
+     * @param {Array<Object>} mobs - Mob section data from serialize()
+     */
+    restore(mobs) {
+        this.clearAll();
+        if (!Array.isArray(mobs)) return;
+
+        for (const data of mobs) {
+            const MobClass = this.mobClasses[data.type];
+            if (!MobClass || !data.position) continue;
+
+            const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+            const mob = new MobClass(this.scene, position);
+            mob.mobId = this.nextMobId++;
+            // Saves from before mob levels get one from where they stand
+            if (data.level === undefined) this.assignLevel(mob);
+            mob.restore(data);
+            this.mobs.push(mob);
+        }
+
+        // Packs are not saved; wolves restored close together hunt together again
+        const wolves = this.mobs.filter(mob => mob.type === 'wolf');
+        for (const wolf of wolves) {
+            if (wolf.pack) continue;
+            const pack = new MobGroup('pack');
+            wolves
+                .filter(other => !other.pack && other.position.distanceTo(wolf.position) < WOLF_REGROUP_DISTANCE)
+                .forEach(other => pack.add(other));
+        }
+    }
+
     clearAll() {
-        this.mobs.forEach(mob => mob.destroy());
+        this.mobs.forEach(mob => {
+            this.cleanupMobSpawnPoint(mob);
+            mob.destroy();
+        });
         this.mobs = [];
+        this.groups.clear();
     }
 }
\ No newline at end of file
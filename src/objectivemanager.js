@@ -0,0 +1,394 @@
+import * as THREE from 'three';
+import { generateObjectives, LANDMARK_OBJECTIVES, FALLBACK_OBJECTIVE } from './world/objectives.js';
+
+/**
+ * ObjectiveManager - Radial objective progress and wayfinding beacons
+ *
+ * Handles:
+ * - Binding each objective to a nearby landmark once its chunks load
+ *   (preferring the objective's landmark type, else any known type, else
+ *   the bare site with a guardian)
+ * - Completion per kind: clear (kill hostiles around it), boss (kill the
+ *   guardian that appears when the hero arrives), activate (stand at it)
+ * - Light pillars over uncompleted objectives
+ * - Completion state per continent for the save snapshot
+ *
+ * Placement comes from world/objectives.js; MapOverlay draws the markers.
+ */
+
+// Start looking for the objective's landmark when the hero is this close (blocks)
+const BIND_DISTANCE = 96;
+
+// Landmarks this close to the planned site can host the objective
+const LANDMARK_SEARCH_RADIUS = 80;
+
+// Give up on a landmark and use the bare site when the hero is this close
+const FALLBACK_DISTANCE = 24;
+
+// Clear: hostile kills needed within CLEAR_RADIUS of the landmark
+const CLEAR_RADIUS = 28;
+const CLEAR_KILLS = 6;
+
+// Boss: guardian appears when the hero is this close, a few levels above the area
+const GUARDIAN_TRIGGER_DISTANCE = 30;
+const GUARDIAN_LEVEL_BONUS = 3;
+const GUARDIAN_TYPE = 'zombie';
+const GUARDIAN_SCALE = 1.4;
+
+// Activate: stand this close for this long (seconds)
+const ACTIVATE_RADIUS = 4;
+const ACTIVATE_TIME = 3;
+
+// Beacon pillar
+const BEACON_HEIGHT = 160;
+const BEACON_RADIUS = 1.2;
+const BEACON_COLORS = {
+    clear: 0xffaa33,
+    boss: 0xff4444,
+    activate: 0x66ccff
+};
+
+export class ObjectiveManager {
+    /**
+     * @param {THREE.Scene} scene - For beacon meshes
+     * @param {Object} options
+     * @param {number} options.seed - World seed
+     * @param {Object} options.continentConfig - Continental mode config
+     * @param {number} [options.continentIndex] - Current continent (0 = start)
+     * @param {LandmarkRegistry} options.landmarkRegistry - Loaded landmark metadata
+     * @param {MobSpawner} options.mobSpawner - Spawns guardians
+     * @param {ProgressionBands} [options.progressionBands] - Area level for guardians
+     * @param {WorldManager} options.world - Ground height for beacons and guardians
+     */
+    constructor(scene, { seed, continentConfig, continentIndex = 0, landmarkRegistry, mobSpawner, progressionBands = null, world }) {
+        this.scene = scene;
+        this.seed = seed;
+        this.continentConfig = continentConfig;
+        this.landmarkRegistry = landmarkRegistry;
+        this.mobSpawner = mobSpawner;
+        this.progressionBands = progressionBands;
+        this.world = world;
+
+        // continentIndex -> Set of completed objective IDs
+        this.completedByContinent = new Map();
+
+        this.objectives = [];
+        this.beacons = new Map();  // objective id -> mesh
+        this.beaconTime = 0;
+        this.setContinent(continentIndex);
+
+        // Callback (injected after construction)
+        this.onObjectiveCompleted = null;  // (objective) => void
+    }
+
+    /**
+     * Load the objectives for a continent (replacing current ones)
+     * @param {number} continentIndex
+     * @param {Object} [systems] - Per-continent systems after sailing
+     * @param {LandmarkRegistry} [systems.landmarkRegistry]
+     * @param {ProgressionBands} [systems.progressionBands]
+     */
+    setContinent(continentIndex, { landmarkRegistry, progressionBands } = {}) {
+        if (landmarkRegistry) this.landmarkRegistry = landmarkRegistry;
+        if (progressionBands) this.progressionBands = progressionBands;
+        this.clearBeacons();
+        this.continentIndex = continentIndex;
+
+        const completed = this.getCompletedSet(continentIndex);
+        this.objectives = generateObjectives(this.seed, this.continentConfig, continentIndex).map(def => ({
+            ...def,
+            completed: completed.has(def.id),
+            bound: false,           // Bound to a landmark (or fallen back to the site)
+            kills: 0,               // clear
+            guardian: null,         // boss
+            activateTime: 0         // activate
+        }));
+
+        for (const objective of this.objectives) {
+            if (!objective.completed) {
+                this.createBeacon(objective);
+            }
+        }
+    }
+
+    getCompletedSet(continentIndex) {
+        if (!this.completedByContinent.has(continentIndex)) {
+            this.completedByContinent.set(continentIndex, new Set());
+        }
+        return this.completedByContinent.get(continentIndex);
+    }
+
+    /**
+     * Advance objective binding and completion
+     * @param {number} deltaTime - Time elapsed in seconds
+     * @param {THREE.Vector3} heroPosition
+     */
+    update(deltaTime, heroPosition) {
+        this.updateBeacons(deltaTime);
+
+        for (const objective of this.objectives) {
+            if (objective.completed) continue;
+
+            const distance = horizontalDistance(heroPosition, objective);
+
+            if (!objective.bound && distance < BIND_DISTANCE) {
+                this.tryBind(objective, distance);
+            }
+            if (!objective.bound) continue;
+
+            switch (objective.kind) {
+                case 'boss':
+                    this.updateBoss(objective, distance);
+                    break;
+                case 'activate':
+                    if (distance < ACTIVATE_RADIUS) {
+                        objective.activateTime += deltaTime;
+                        if (objective.activateTime >= ACTIVATE_TIME) {
+                            this.complete(objective);
+                        }
+                    } else {
+                        objective.activateTime = 0;
+                    }
+                    break;
+                case 'clear':
+                    if (objective.kills >= CLEAR_KILLS) {
+                        this.complete(objective);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Move the objective onto a nearby landmark, or settle on the bare site
+     * once the hero is close enough that the landmark would have loaded
+     */
+    tryBind(objective, heroDistance) {
+        const nearby = this.landmarkRegistry
+            ? this.landmarkRegistry.getLandmarksNear(objective.x, objective.z, LANDMARK_SEARCH_RADIUS)
+                .filter(landmark => LANDMARK_OBJECTIVES[landmark.type])
+            : [];
+
+        const preferred = nearby.filter(landmark => landmark.type === objective.landmarkType);
+        const candidates = preferred.length > 0 ? preferred : nearby;
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const landmark of candidates) {
+            const center = getLandmarkCenter(landmark);
+            const d = horizontalDistance(center, objective);
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = { landmark, center };
+            }
+        }
+
+        if (best) {
+            objective.x = best.center.x;
+            objective.z = best.center.z;
+            objective.landmarkType = best.landmark.type;
+            Object.assign(objective, LANDMARK_OBJECTIVES[best.landmark.type]);
+        } else if (heroDistance < FALLBACK_DISTANCE) {
+            objective.landmarkType = null;
+            Object.assign(objective, FALLBACK_OBJECTIVE);
+        } else {
+            return;
+        }
+
+        objective.bound = true;
+        this.removeBeacon(objective);
+        this.createBeacon(objective);
+    }
+
+    updateBoss(objective, heroDistance) {
+        const guardian = objective.guardian;
+
+        if (guardian && guardian.dead) {
+            this.complete(objective);
+            return;
+        }
+
+        // Guardian despawned (hero left) - it returns when the hero does
+        if (guardian && !this.mobSpawner.mobs.includes(guardian)) {
+            objective.guardian = null;
+        }
+
+        if (!objective.guardian && heroDistance < GUARDIAN_TRIGGER_DISTANCE) {
+            const y = this.world.getHeight(objective.x, objective.z) + 1;
+            const position = new THREE.Vector3(objective.x, y, objective.z);
+            const areaLevel = this.progressionBands
+                ? this.progressionBands.getMobLevel(objective.x, objective.z)
+                : 1;
+
+            const mob = this.mobSpawner.spawnMobAt(GUARDIAN_TYPE, position, areaLevel + GUARDIAN_LEVEL_BONUS);
+            if (mob) {
+                mob.title = 'Guardian';
+                mob.updateNameplate();
+                mob.mesh.scale.setScalar(GUARDIAN_SCALE);
+                objective.guardian = mob;
+            }
+        }
+    }
+
+    /**
+     * Whether every objective on the current continent is complete
+     * (unlocks the sailing point)
+     * @returns {boolean}
+     */
+    isContinentComplete() {
+        return this.getUncompleted().length === 0;
+    }
+
+    /**
+     * Count a hostile kill towards nearby 'clear' objectives
+     * @param {THREE.Vector3} position - Where the mob died
+     */
+    recordKill(position) {
+        for (const objective of this.objectives) {
+            if (objective.completed || !objective.bound || objective.kind !== 'clear') continue;
+            if (horizontalDistance(position, objective) < CLEAR_RADIUS) {
+                objective.kills++;
+            }
+        }
+    }
+
+    complete(objective) {
+        objective.completed = true;
+        objective.guardian = null;
+        this.getCompletedSet(this.continentIndex).add(objective.id);
+        this.removeBeacon(objective);
+
+        if (this.onObjectiveCompleted) {
+            this.onObjectiveCompleted(objective);
+        }
+    }
+
+    /**
+     * Progress of the current objective kind (for HUD/map labels)
+     * @param {Object} objective
+     * @returns {string}
+     */
+    getProgressText(objective) {
+        if (objective.completed) return 'done';
+        switch (objective.kind) {
+            case 'clear': return `${objective.kills}/${CLEAR_KILLS} slain`;
+            case 'activate': return objective.activateTime > 0
+                ? `${Math.floor(objective.activateTime / ACTIVATE_TIME * 100)}%`
+                : 'stand at the beacon';
+            case 'boss': return objective.guardian ? 'guardian awake' : 'guardian sleeps';
+            default: return '';
+        }
+    }
+
+    getUncompleted() {
+        return this.objectives.filter(objective => !objective.completed);
+    }
+
+    getCompletedCount() {
+        return this.objectives.length - this.getUncompleted().length;
+    }
+
+    // =========================================================================
+    // Beacons
+    // =========================================================================
+
+    createBeacon(objective) {
+        const geometry = new THREE.CylinderGeometry(BEACON_RADIUS, BEACON_RADIUS, BEACON_HEIGHT, 12, 1, true);
+        geometry.translate(0, BEACON_HEIGHT / 2, 0);
+        const material = new THREE.MeshBasicMaterial({
+            color: BEACON_COLORS[objective.kind] || 0xffffff,
+            transparent: true,
+            opacity: 0.35,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            fog: false
+        });
+
+        const beacon = new THREE.Mesh(geometry, material);
+        // Pillars start low; they settle onto the ground once terrain is loaded
+        beacon.position.set(objective.x, 0, objective.z);
+        beacon.frustumCulled = false;
+        // Layer 1 keeps beacons out of gameplay raycasts
+        beacon.layers.set(1);
+        this.scene.add(beacon);
+        this.beacons.set(objective.id, beacon);
+    }
+
+    /**
+     * Pulse beacons and rest them on the ground
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    updateBeacons(deltaTime) {
+        this.beaconTime += deltaTime;
+        for (const beacon of this.beacons.values()) {
+            beacon.material.opacity = 0.25 + Math.sin(this.beaconTime * 2 + beacon.position.x) * 0.1;
+
+            const height = this.world.getHeight(beacon.position.x, beacon.position.z);
+            if (height > 0) {
+                beacon.position.y = height;
+            }
+        }
+    }
+
+    removeBeacon(objective) {
+        const beacon = this.beacons.get(objective.id);
+        if (!beacon) return;
+        this.scene.remove(beacon);
+        beacon.geometry.dispose();
+        beacon.material.dispose();
+        this.beacons.delete(objective.id);
+    }
+
+    clearBeacons() {
+        for (const objective of this.objectives) {
+            this.removeBeacon(objective);
+        }
+    }
+
+    // =========================================================================
+    // Persistence
+    // =========================================================================
+
+    /**
+     * Serialize completion state for the save snapshot
+     * @returns {{continentIndex: number, completed: Object<string, Array<string>>}}
+     */
+    serialize() {
+        const completed = {};
+        for (const [continentIndex, ids] of this.completedByContinent) {
+            if (ids.size > 0) {
+                completed[continentIndex] = Array.from(ids);
+            }
+        }
+        return { continentIndex: this.continentIndex, completed };
+    }
+
+    /**
+     * Restore completion state from a save snapshot
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.completedByContinent.clear();
+        for (const [continentIndex, ids] of Object.entries(data.completed || {})) {
+            this.completedByContinent.set(Number(continentIndex), new Set(ids));
+        }
+        this.setContinent(data.continentIndex ?? this.continentIndex);
+    }
+}
+
+function getLandmarkCenter(landmark) {
+    const bounds = landmark.voxelBounds || landmark.bounds;
+    return {
+        x: (bounds.minX + bounds.maxX) / 2,
+        z: (bounds.minZ + bounds.maxZ) / 2
+    };
+}
+
+function horizontalDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
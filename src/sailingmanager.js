@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { computeStartPosition, computeSailPosition } from './world/terrain/continentshape.js';
+import { hash } from './world/terrain/terraincore.js';
+import { getContinentTerrainSeed } from './worldgen/seeds.js';
+
+/**
+ * SailingManager - Sailing points and the continent sequence
+ *
+ * Handles:
+ * - Dock positions: the sailing point on the coast opposite the start, and
+ *   (from continent 1 on) the arrival dock at the start
+ * - Dock markers (mast and flag on the harbor pier) with progress stones
+ *   that light up as objectives complete
+ * - Which voyage is available at a dock: onward from the sailing point once
+ *   every objective is complete, back to the previous continent from the
+ *   arrival dock
+ * - The current continent and visited continents for the save snapshot
+ *
+ * The continent switch itself (worker, chunks, hero) is done by
+ * Game.sail(); see docs/continental-progression.md "Sailing and Transition".
+ */
+
+// Hero must be this close to a dock to sail (blocks)
+const DOCK_RADIUS = 6;
+
+// Length of the harbor settlement's voxel pier (settlementdefinitions.js);
+// the mast stands at its seaward end
+const PIER_LENGTH = 8;
+
+// Progress stones around the sailing point
+const STONE_RING_RADIUS = 4;
+const STONE_LIT_COLOR = 0x66ccff;
+const STONE_UNLIT_COLOR = 0x555555;
+
+/**
+ * Continental config for a continent in the sequence
+ * Continent 0 uses the starting template; later continents use the
+ * neutral 'default' template (see "Continent 1: Convergence").
+ * @param {Object} baseConfig - Continent 0 config { enabled, baseRadius, template }
+ * @param {number} continentIndex
+ * @returns {Object}
+ */
+export function getContinentConfig(baseConfig, continentIndex) {
+    return continentIndex === 0 ? baseConfig : { ...baseConfig, template: 'default' };
+}
+
+/**
+ * Start and sailing point of a continent
+ * @param {number} worldSeed - World seed
+ * @param {Object} continentConfig - { baseRadius }
+ * @param {number} continentIndex
+ * @returns {{start: {x, z, angle}, sail: {x, z, angle}}}
+ */
+export function getContinentDocks(worldSeed, continentConfig, continentIndex) {
+    const baseRadius = continentConfig?.baseRadius || 2000;
+
+    // Same seed derivation as ContinentState
+    const terrainSeed = getContinentTerrainSeed(worldSeed, continentIndex);
+    const shapeSeed = Math.floor(hash(0, 0, terrainSeed + 111111) * 0x7FFFFFFF);
+    const startSeed = Math.floor(hash(0, 0, terrainSeed + 333333) * 0x7FFFFFFF);
+
+    return {
+        start: computeStartPosition(startSeed, shapeSeed, baseRadius),
+        sail: computeSailPosition(startSeed, shapeSeed, baseRadius)
+    };
+}
+
+export class SailingManager {
+    /**
+     * @param {THREE.Scene} scene - For dock markers
+     * @param {Object} options
+     * @param {number} options.seed - World seed
+     * @param {Object} options.continentConfig - Continent 0 config
+     * @param {number} [options.continentIndex] - Current continent
+     * @param {WorldManager} options.world - Ground height for dock markers
+     */
+    constructor(scene, { seed, continentConfig, continentIndex = 0, world }) {
+        this.scene = scene;
+        this.seed = seed;
+        this.baseConfig = continentConfig;
+        this.world = world;
+
+        this.visited = new Set([continentIndex]);
+        this.docks = null;
+        this.markers = [];      // { group, position, grounded }
+        this.stones = [];       // Progress stone meshes at the sailing point
+
+        this.setContinent(continentIndex);
+    }
+
+    /**
+     * Place docks for a continent (replacing current markers)
+     * @param {number} continentIndex
+     */
+    setContinent(continentIndex) {
+        this.clearMarkers();
+        this.continentIndex = continentIndex;
+        this.visited.add(continentIndex);
+        this.docks = getContinentDocks(this.seed, this.baseConfig, continentIndex);
+
+        this.createDock(this.docks.sail, true);
+        if (continentIndex > 0) {
+            this.createDock(this.docks.start, false);
+        }
+    }
+
+    /**
+     * Voyage available to a hero standing at a dock
+     * @param {THREE.Vector3} heroPosition
+     * @param {boolean} objectivesComplete - All objectives on this continent done
+     * @returns {{destination: number, arrival: 'start'|'sail', allowed: boolean}|null}
+     *   null when the hero is not at a dock
+     */
+    getVoyage(heroPosition, objectivesComplete) {
+        if (isNear(heroPosition, this.docks.sail)) {
+            return { destination: this.continentIndex + 1, arrival: 'start', allowed: objectivesComplete };
+        }
+        if (this.continentIndex > 0 && isNear(heroPosition, this.docks.start)) {
+            // Back to where we set sail from the previous continent
+            return { destination: this.continentIndex - 1, arrival: 'sail', allowed: true };
+        }
+        return null;
+    }
+
+    /**
+     * Where a voyage lands on its destination continent
+     * @param {{destination: number, arrival: 'start'|'sail'}} voyage
+     * @returns {{x: number, z: number, angle: number}}
+     */
+    getArrivalPoint(voyage) {
+        const docks = getContinentDocks(this.seed, this.baseConfig, voyage.destination);
+        return docks[voyage.arrival];
+    }
+
+    /**
+     * Light one stone per completed objective
+     * @param {number} completed
+     * @param {number} total
+     */
+    setProgress(completed, total) {
+        if (this.stones.length !== total) {
+            this.createStones(total);
+        }
+        this.stones.forEach((stone, i) => {
+            const lit = i < completed;
+            stone.material.color.setHex(lit ? STONE_LIT_COLOR : STONE_UNLIT_COLOR);
+            stone.material.emissive.setHex(lit ? STONE_LIT_COLOR : 0x000000);
+            stone.material.emissiveIntensity = lit ? 0.6 : 0;
+        });
+    }
+
+    /**
+     * Rest dock markers on the ground once their terrain has loaded
+     */
+    update() {
+        for (const marker of this.markers) {
+            if (marker.grounded) continue;
+            const height = this.world.getHeight(marker.position.x, marker.position.z);
+            if (height > 0) {
+                marker.group.position.y = height;
+                marker.grounded = true;
+            }
+        }
+    }
+
+    // =========================================================================
+    // Dock Markers
+    // =========================================================================
+
+    /**
+     * Mast and flag at the end of the harbor's pier (the pier itself is
+     * built in voxels with the harbor settlement); the sailing point also
+     * gets the progress stones
+     */
+    createDock(point, isSailingPoint) {
+        const group = new THREE.Group();
+        group.position.set(point.x, 0, point.z);
+        // Pier runs along +X in local space; face it seawards
+        group.rotation.y = -point.angle;
+
+        const wood = new THREE.MeshLambertMaterial({ color: 0x8b5a2b });
+        const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 6, 6), wood);
+        mast.position.set(PIER_LENGTH - 1, 3.6, 0);
+        group.add(mast);
+
+        const flag = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.6, 1),
+            new THREE.MeshLambertMaterial({
+                color: isSailingPoint ? 0x3366cc : 0xcccccc,
+                side: THREE.DoubleSide
+            })
+        );
+        flag.position.set(PIER_LENGTH - 0.2, 6, 0);
+        group.add(flag);
+
+        // Layer 1 keeps dock markers out of gameplay raycasts
+        group.traverse(child => child.layers.set(1));
+        this.scene.add(group);
+
+        const marker = { group, position: point, grounded: false, isSailingPoint };
+        this.markers.push(marker);
+    }
+
+    createStones(count) {
+        const marker = this.markers.find(m => m.isSailingPoint);
+        for (const stone of this.stones) {
+            marker.group.remove(stone);
+            disposeMesh(stone);
+        }
+        this.stones = [];
+
+        for (let i = 0; i < count; i++) {
+            // Half ring on the land side of the pier
+            const angle = Math.PI / 2 + (count > 1 ? (i / (count - 1)) * Math.PI : Math.PI / 2);
+            const stone = new THREE.Mesh(
+                new THREE.BoxGeometry(0.8, 1.2, 0.8),
+                new THREE.MeshLambertMaterial({ color: STONE_UNLIT_COLOR })
+            );
+            stone.position.set(Math.cos(angle) * STONE_RING_RADIUS, 0.6, Math.sin(angle) * STONE_RING_RADIUS);
+            stone.layers.set(1);
+            marker.group.add(stone);
+            this.stones.push(stone);
+        }
+    }
+
+    clearMarkers() {
+        for (const marker of this.markers) {
+            this.scene.remove(marker.group);
+            marker.group.traverse(disposeMesh);
+        }
+        this.markers = [];
+        this.stones = [];
+    }
+
+    // =========================================================================
+    // Persistence
+    // =========================================================================
+
+    /**
+     * Serialize the voyage state for the save snapshot
+     * @returns {{continentIndex: number, visited: Array<number>}}
+     */
+    serialize() {
+        return {
+            continentIndex: this.continentIndex,
+            visited: Array.from(this.visited).sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Restore visited continents from a save snapshot
+     * (the current continent is chosen before the world loads, see Game)
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+        for (const continentIndex of data.visited || []) {
+            this.visited.add(continentIndex);
+        }
+    }
+}
+
+function isNear(position, point) {
+    const dx = position.x - point.x;
+    const dz = position.z - point.z;
+    return dx * dx + dz * dz < DOCK_RADIUS * DOCK_RADIUS;
+}
+
+function disposeMesh(object) {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+}
@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+
+/**
+ * SquadController - Formation movement for the hero's golems
+ *
+ * Handles:
+ * - Formation slots (line, wedge, circle) relative to a target and the hero heading
+ * - Spreading out on rough ground (slope from TerrainProbe) and pulling slots
+ *   back from cliffs and drops
+ * - "Follow hero" stance: following golems hold formation slots around the
+ *   hero, updated as the hero moves (mounted or on foot)
+ *
+ * Slots are handed to golems as move orders (group moves) or as
+ * golem.formationSlot (follow stance); golems path to them themselves.
+ */
+
+export const FORMATIONS = ['line', 'wedge', 'circle'];
+
+// Distance between neighboring golems on flat ground (blocks)
+const BASE_SPACING = 2.5;
+
+// Extra spacing per unit of slope magnitude, capped
+const SLOPE_SPACING = 1.0;
+const MAX_SLOPE_FACTOR = 1.5;
+
+// Slots this far above/below the anchor are pulled back towards it
+const MAX_SLOT_HEIGHT_DIFF = 3;
+const SLOT_PULL_ATTEMPTS = 3;
+
+// Follow stance: formation anchor distance behind the hero
+const FOLLOW_OFFSET = 4;
+
+// Seconds between follow slot updates
+const FOLLOW_UPDATE_INTERVAL = 0.25;
+
+export class SquadController {
+    /**
+     * @param {Hero} hero - Squad leader; golems come from hero.commandedGolems
+     */
+    constructor(hero) {
+        this.hero = hero;
+        this.formation = 'wedge';
+        this.probe = null;
+        this.followTimer = 0;
+    }
+
+    /**
+     * Provide terrain queries for slot spacing
+     * @param {TerrainProbe} probe
+     */
+    setTerrainProbe(probe) {
+        this.probe = probe;
+    }
+
+    /**
+     * Select the next formation
+     * @returns {string} New formation name
+     */
+    cycleFormation() {
+        const index = FORMATIONS.indexOf(this.formation);
+        this.formation = FORMATIONS[(index + 1) % FORMATIONS.length];
+        this.followTimer = 0;
+        return this.formation;
+    }
+
+    /**
+     * Order golems into formation at a target position
+     * @param {THREE.Vector3} target - Formation center
+     * @param {Array<Golem>} golems - Golems to move
+     */
+    moveTo(target, golems) {
+        if (golems.length === 0) return;
+
+        const slots = this.getSlotPositions(target, this.hero.rotation, golems.length);
+        const assignment = this.assignSlots(golems, slots);
+
+        assignment.forEach((slot, golem) => {
+            golem.setOrder({ type: 'move', position: slot });
+        });
+    }
+
+    /**
+     * Keep following golems in formation around the hero
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    update(deltaTime) {
+        this.followTimer -= deltaTime;
+        if (this.followTimer > 0) return;
+        this.followTimer = FOLLOW_UPDATE_INTERVAL;
+
+        const followers = this.hero.commandedGolems.filter(
+            golem => golem.health > 0 && golem.order.type === 'follow'
+        );
+        if (followers.length === 0) return;
+
+        // Circle surrounds the hero; line and wedge trail behind
+        const heading = this.hero.rotation;
+        const anchor = this.hero.position.clone();
+        if (this.formation !== 'circle') {
+            anchor.x -= Math.sin(heading) * FOLLOW_OFFSET;
+            anchor.z -= Math.cos(heading) * FOLLOW_OFFSET;
+        }
+
+        const slots = this.getSlotPositions(anchor, heading, followers.length);
+
+        // Keep slot order stable while following so golems don't shuffle
+        followers.forEach((golem, i) => {
+            golem.formationSlot = slots[i];
+        });
+    }
+
+    /**
+     * Get world positions for formation slots
+     * @param {THREE.Vector3} anchor - Formation center
+     * @param {number} heading - Facing angle (radians, hero rotation convention)
+     * @param {number} count - Number of slots
+     * @returns {Array<THREE.Vector3>}
+     */
+    getSlotPositions(anchor, heading, count) {
+        const spacing = this.getSpacing(anchor);
+        const forwardX = Math.sin(heading);
+        const forwardZ = Math.cos(heading);
+        // Right-hand side of the heading
+        const rightX = -forwardZ;
+        const rightZ = forwardX;
+
+        const anchorY = this.sampleHeight(anchor.x, anchor.z) ?? anchor.y;
+
+        return getFormationOffsets(this.formation, count, spacing).map(({ right, forward }) => {
+            let x = anchor.x + rightX * right + forwardX * forward;
+            let z = anchor.z + rightZ * right + forwardZ * forward;
+            let y = this.sampleHeight(x, z) ?? anchorY;
+
+            // Pull slots on cliffs or in ravines back towards the anchor
+            for (let attempt = 0; attempt < SLOT_PULL_ATTEMPTS &&
+                Math.abs(y - anchorY) > MAX_SLOT_HEIGHT_DIFF; attempt++) {
+                x = (x + anchor.x) / 2;
+                z = (z + anchor.z) / 2;
+                y = this.sampleHeight(x, z) ?? anchorY;
+            }
+
+            return new THREE.Vector3(x, y, z);
+        });
+    }
+
+    /**
+     * Spacing between golems, wider on slopes so they don't bunch up on switchbacks
+     * @param {THREE.Vector3} anchor
+     * @returns {number}
+     */
+    getSpacing(anchor) {
+        if (!this.probe) return BASE_SPACING;
+        const slope = Math.min(this.probe.sampleGradient(anchor.x, anchor.z).magnitude, MAX_SLOPE_FACTOR);
+        return BASE_SPACING + slope * SLOPE_SPACING;
+    }
+
+    sampleHeight(x, z) {
+        return this.probe ? this.probe.sampleHeight(x, z) : null;
+    }
+
+    /**
+     * Greedily give each slot to the nearest unassigned golem
+     * @param {Array<Golem>} golems
+     * @param {Array<THREE.Vector3>} slots - Same length as golems
+     * @returns {Map<Golem, THREE.Vector3>}
+     */
+    assignSlots(golems, slots) {
+        const assignment = new Map();
+        const remaining = [...golems];
+
+        for (const slot of slots) {
+            let bestIndex = 0;
+            let bestDistance = Infinity;
+            remaining.forEach((golem, i) => {
+                const distance = golem.position.distanceToSquared(slot);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestIndex = i;
+                }
+            });
+            assignment.set(remaining[bestIndex], slot);
+            remaining.splice(bestIndex, 1);
+        }
+
+        return assignment;
+    }
+
+    /**
+     * Serialize squad settings for the save snapshot (stored with the hero)
+     * @returns {{formation: string}}
+     */
+    serialize() {
+        return { formation: this.formation };
+    }
+
+    /**
+     * Restore squad settings from a save snapshot
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (data && FORMATIONS.includes(data.formation)) {
+            this.formation = data.formation;
+        }
+    }
+}
+
+/**
+ * Slot offsets in formation space (right of and ahead of the anchor)
+ * @param {string} formation - 'line', 'wedge' or 'circle'
+ * @param {number} count - Number of slots
+ * @param {number} spacing - Distance between neighbors
+ * @returns {Array<{right: number, forward: number}>}
+ */
+function getFormationOffsets(formation, count, spacing) {
+    const offsets = [];
+
+    for (let i = 0; i < count; i++) {
+        switch (formation) {
+            case 'line':
+                // Shoulder to shoulder across the heading
+                offsets.push({ right: (i - (count - 1) / 2) * spacing, forward: 0 });
+                break;
+
+            case 'circle': {
+                // Ring large enough to keep neighbors `spacing` apart
+                const radius = Math.max(spacing, (count * spacing) / (Math.PI * 2));
+                const angle = (i / count) * Math.PI * 2;
+                offsets.push({ right: Math.sin(angle) * radius, forward: Math.cos(angle) * radius });
+                break;
+            }
+
+            case 'wedge':
+            default: {
+                // Tip at the anchor, alternating left/right rows behind it
+                const row = Math.ceil(i / 2);
+                const side = i % 2 === 1 ? -1 : 1;
+                offsets.push({ right: side * row * spacing, forward: -row * spacing });
+                break;
+            }
+        }
+    }
+
+    return offsets;
+}
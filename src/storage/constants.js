@@ -13,7 +13,7 @@
 export const DB_NAME = 'GolemCraftDB';
 
 /** Current database schema version - increment when object stores change */
-export const DB_VERSION = 1;
+export const DB_VERSION = 2;
 
 /**
  * Terrain generation version - increment when generation algorithms change
@@ -30,6 +30,9 @@ export const TERRAIN_GENERATION_VERSION = 1;
 /** World storage format version - increment when world record schema changes */
 export const WORLD_STORAGE_VERSION = 1;
 
+/** Game snapshot schema version - increment and add an upgrade step in snapshot.js when sections change */
+export const SNAPSHOT_VERSION = 3;
+
 // =============================================================================
 // Object Store Names
 // =============================================================================
@@ -46,6 +49,9 @@ export const STORE_TEXTURES = 'textures';
 /** Database-level metadata (settings, migration status) */
 export const STORE_METADATA = 'metadata';
 
+/** Per-chunk terrain edits (destroyed blocks, heightfield holes) */
+export const STORE_CHUNK_EDITS = 'chunkEdits';
+
 // =============================================================================
 // Metadata Keys
 // =============================================================================
@@ -69,6 +75,12 @@ export const LEGACY_LAST_WORLD_KEY = 'golemcraft_last_world';
 /** Legacy storage version to check during migration */
 export const LEGACY_STORAGE_VERSION = 1;
 
+/** localStorage key prefix for legacy per-world modified chunks (`golemcraft_${worldId}_modified`) */
+export const LEGACY_CHUNK_EDITS_PREFIX = 'golemcraft_';
+
+/** localStorage key suffix for legacy per-world modified chunks */
+export const LEGACY_CHUNK_EDITS_SUFFIX = '_modified';
+
 // =============================================================================
 // Error Codes
 // =============================================================================
@@ -130,9 +142,18 @@ export class WorldStorageError extends Error {
  * @property {number} lastPlayed - Last played timestamp
  * @property {{ x: number, y: number, z: number } | null} heroPosition - Last hero position
  * @property {number} heroRotation - Last hero Y rotation
+ * @property {number} heroLevel - Hero level (mirrored from the snapshot's progression section)
  * @property {Array<{ x: number, y: number, z: number, health: number }>} golems - Golem states
  * @property {number} gameTime - In-game time
  * @property {number} storageVersion - World storage format version
+ * @property {GameSnapshot} [snapshot] - Full game state snapshot (see snapshot.js)
+ */
+
+/**
+ * @typedef {Object} GameSnapshot
+ * @property {number} version - Snapshot schema version (SNAPSHOT_VERSION)
+ * @property {number} savedAt - Timestamp when the snapshot was taken
+ * @property {Object<string, any>} sections - Per-subsystem state keyed by section name
  */
 
 /**
@@ -142,6 +163,7 @@ export class WorldStorageError extends Error {
  * @property {number} seed - World seed
  * @property {number} lastPlayed - Last played timestamp
  * @property {{ x: number, y: number, z: number } | null} heroPosition - Last hero position
+ * @property {number} heroLevel - Hero level
  */
 
 /**
@@ -174,13 +196,27 @@ export class WorldStorageError extends Error {
  * @typedef {Object} TextureRecord
  * @property {string} worldId - Parent world ID
  * @property {string} continentId - Continent identifier
- * @property {string} textureType - Texture type (e.g., 'sdf', 'heightmap_preview')
+ * @property {string} textureType - Texture type (e.g., 'sdf', 'erosion', 'heightmap_preview')
  * @property {number} generationVersion - Version when created
+ * @property {number} [seed] - Terrain seed the texture was baked for
  * @property {{ width: number, height: number }} resolution - Texture dimensions
  * @property {string} format - Data format (e.g., 'float32', 'uint8')
  * @property {ArrayBuffer} data - Binary texture data
  */
 
+/**
+ * @typedef {Object} ChunkEditRecord
+ * @property {string} worldId - Parent world ID
+ * @property {string} chunkKey - Chunk key "chunkX,chunkZ" (prefixed "c<N>:" on continents after the first)
+ * @property {number} [continentIndex] - Continent the edits belong to (absent = 0)
+ * @property {number} chunkX - Chunk X index
+ * @property {number} chunkZ - Chunk Z index
+ * @property {string[]} destroyedBlocks - Destroyed blocks as world "x,y,z" keys
+ * @property {string[]} heightfieldHoles - Heightfield holes as chunk-local "lx,lz" keys
+ * @property {Array<[string, string]>} [placedBlocks] - Placed blocks as [world "x,y,z", block type]
+ * @property {number} updated - Last modification timestamp
+ */
+
 /**
  * @typedef {Object} MigrationResult
  * @property {number} migrated - Number of worlds successfully migrated
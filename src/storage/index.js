@@ -21,12 +21,14 @@ export {
     DB_VERSION,
     TERRAIN_GENERATION_VERSION,
     WORLD_STORAGE_VERSION,
+    SNAPSHOT_VERSION,
 
     // Store names (rarely needed externally)
     STORE_WORLDS,
     STORE_CONTINENTS,
     STORE_TEXTURES,
     STORE_METADATA,
+    STORE_CHUNK_EDITS,
 
     // Error handling
     WorldStorageError,
@@ -45,10 +47,18 @@ export {
     deserializeMap
 } from './serialization.js';
 
+// Game snapshot schema
+export {
+    createSnapshot,
+    upgradeSnapshot,
+    getSection
+} from './snapshot.js';
+
 // Migration utilities (for debugging/testing)
 export {
     isMigrationNeeded,
     migrateFromLocalStorage,
+    migrateLegacyChunkEdits,
     clearLegacyStorage,
     hasLegacyStorage
 } from './migration.js';
@@ -9,8 +9,11 @@ import {
     LEGACY_STORAGE_KEY,
     LEGACY_LAST_WORLD_KEY,
     LEGACY_STORAGE_VERSION,
+    LEGACY_CHUNK_EDITS_PREFIX,
+    LEGACY_CHUNK_EDITS_SUFFIX,
     STORE_WORLDS,
     STORE_METADATA,
+    STORE_CHUNK_EDITS,
     META_LAST_WORLD_ID,
     META_MIGRATION_COMPLETE,
     WORLD_STORAGE_VERSION,
@@ -187,6 +190,87 @@ async function markMigrationComplete(db) {
     });
 }
 
+// =============================================================================
+// Chunk Edit Migration
+// =============================================================================
+
+/**
+ * Migrate a world's legacy localStorage modified-chunk data into the
+ * chunkEdits store, then remove the localStorage key.
+ *
+ * Legacy data is an array of [chunkKey, value] entries where value is either
+ * an array of destroyed "x,y,z" block keys or an object with
+ * destroyedBlocks/heightfieldHoles arrays.
+ *
+ * @param {IDBDatabase} db - Open database instance
+ * @param {string} worldId - World identifier
+ * @returns {Promise<number>} Number of chunk records migrated
+ */
+export async function migrateLegacyChunkEdits(db, worldId) {
+    const legacyKey = `${LEGACY_CHUNK_EDITS_PREFIX}${worldId}${LEGACY_CHUNK_EDITS_SUFFIX}`;
+
+    let raw;
+    try {
+        raw = localStorage.getItem(legacyKey);
+    } catch {
+        // localStorage not available (e.g., in worker context)
+        return 0;
+    }
+    if (!raw) return 0;
+
+    let entries;
+    try {
+        entries = JSON.parse(raw);
+    } catch (err) {
+        console.warn(`Discarding unreadable legacy chunk edits for ${worldId}:`, err);
+        localStorage.removeItem(legacyKey);
+        return 0;
+    }
+
+    const records = [];
+    for (const [chunkKey, value] of Array.isArray(entries) ? entries : []) {
+        const [chunkX, chunkZ] = String(chunkKey).split(',').map(Number);
+        if (!isFinite(chunkX) || !isFinite(chunkZ)) continue;
+
+        const destroyedBlocks = Array.isArray(value) ? value : (value?.destroyedBlocks || []);
+        const heightfieldHoles = Array.isArray(value) ? [] : (value?.heightfieldHoles || []);
+        if (destroyedBlocks.length === 0 && heightfieldHoles.length === 0) continue;
+
+        records.push({
+            worldId,
+            chunkKey: `${chunkX},${chunkZ}`,
+            chunkX,
+            chunkZ,
+            destroyedBlocks: destroyedBlocks.map(String),
+            heightfieldHoles: heightfieldHoles.map(String),
+            placedBlocks: [],
+            updated: Date.now()
+        });
+    }
+
+    try {
+        await withTransaction(db, STORE_CHUNK_EDITS, 'readwrite', (tx) => {
+            const store = tx.objectStore(STORE_CHUNK_EDITS);
+            for (const record of records) {
+                store.put(record);
+            }
+        });
+    } catch (err) {
+        throw new WorldStorageError(
+            `Failed to migrate chunk edits for ${worldId}: ${err.message}`,
+            ErrorCodes.MIGRATION_FAILED,
+            err
+        );
+    }
+
+    localStorage.removeItem(legacyKey);
+
+    if (records.length > 0) {
+        console.log(`Migrated ${records.length} modified chunks for ${worldId} from localStorage`);
+    }
+    return records.length;
+}
+
 // =============================================================================
 // Cleanup (Optional)
 // =============================================================================
@@ -5,9 +5,6 @@
  * Handles Map <-> Array conversion, Feature class serialization, etc.
  */
 
-import { SpineFeature } from '../world/features/spinefeature.js';
-import { LinearFeature } from '../world/features/linearfeature.js';
-
 // =============================================================================
 // Continent Metadata Serialization
 // =============================================================================
@@ -59,7 +56,7 @@ export function deserializeContinent(stored) {
 /**
  * Serialize an array of SpineFeature objects
  *
- * @param {Array<SpineFeature>} spines - Spine features to serialize
+ * @param {Array<Object>} spines - Spine features to serialize
  * @returns {Array<Object>} Serialized spine data
  */
 export function serializeSpines(spines) {
@@ -78,20 +75,18 @@ export function serializeSpines(spines) {
 }
 
 /**
- * Deserialize spine data back to SpineFeature objects
+ * Deserialize spine data back to plain spine objects
  *
  * @param {Array<Object>} serialized - Serialized spine data
- * @returns {Array<SpineFeature>} Restored SpineFeature objects
+ * @returns {Array<Object>} Restored spine objects ({ id, path, properties })
  */
 export function deserializeSpines(serialized) {
     if (!serialized || !Array.isArray(serialized)) return [];
-    return serialized.map(data => {
-        if (SpineFeature.fromJSON) {
-            return SpineFeature.fromJSON(data);
-        }
-        // Fallback construction
-        return new SpineFeature(data.path, data.properties);
-    });
+    return serialized.map(data => ({
+        id: data.id,
+        path: data.path,
+        properties: data.properties
+    }));
 }
 
 // =============================================================================
@@ -101,7 +96,7 @@ export function deserializeSpines(serialized) {
 /**
  * Serialize an array of LinearFeature objects (rivers)
  *
- * @param {Array<LinearFeature>} rivers - River features to serialize
+ * @param {Array<Object>} rivers - River features to serialize
  * @returns {Array<Object>} Serialized river data
  */
 export function serializeRivers(rivers) {
@@ -122,28 +117,20 @@ export function serializeRivers(rivers) {
 }
 
 /**
- * Deserialize river data back to LinearFeature objects
+ * Deserialize river data back to plain river objects
  *
  * @param {Array<Object>} serialized - Serialized river data
- * @returns {Array<LinearFeature>} Restored LinearFeature objects
+ * @returns {Array<Object>} Restored river objects ({ id, type, path, properties, elevations })
  */
 export function deserializeRivers(serialized) {
     if (!serialized || !Array.isArray(serialized)) return [];
-    return serialized.map(data => {
-        if (LinearFeature.fromJSON) {
-            return LinearFeature.fromJSON(data);
-        }
-        // Fallback construction
-        const feature = new LinearFeature(data.type, data.path, {
-            ...data.properties,
-            elevations: data.elevations
-        });
-        // Restore original ID if possible
-        if (data.id) {
-            feature.id = data.id;
-        }
-        return feature;
-    });
+    return serialized.map(data => ({
+        id: data.id,
+        type: data.type,
+        path: data.path,
+        properties: data.properties,
+        elevations: data.elevations
+    }));
 }
 
 // =============================================================================
@@ -204,6 +191,7 @@ export function createWorldRecord(worldId, name, seed, storageVersion) {
         lastPlayed: Date.now(),
         heroPosition: null,
         heroRotation: 0,
+        heroLevel: 1,
         golems: [],
         gameTime: 0,
         storageVersion
@@ -238,6 +226,7 @@ export function worldRecordToListItem(record) {
         name: record.name,
         seed: record.seed,
         lastPlayed: record.lastPlayed,
-        heroPosition: record.heroPosition
+        heroPosition: record.heroPosition,
+        heroLevel: record.heroLevel ?? 1
     };
 }
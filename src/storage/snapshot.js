@@ -0,0 +1,163 @@
+/**
+ * Game Snapshot Schema
+ *
+ * Versioned, per-subsystem save snapshots produced by Game.serialize() and
+ * consumed by Game.restore(). Each subsystem owns one section of the
+ * snapshot; older snapshots are upgraded one version at a time so a save
+ * written by any previous build can still be restored.
+ *
+ * Version history:
+ *   0 - Legacy flat world record (heroPosition, golems, gameTime, ...)
+ *   1 - Sectioned snapshot (hero, resources, golems, tnt, mobs, atmosphere, map)
+ *       Sections added since without a version bump (absent in older saves):
+ *       weather, progression, objectives, voyage
+ *   2 - Flat resources section replaced by a slot-based inventory section
+ *       (bag slots and equipment, see inventory.js)
+ *       Sections added since without a version bump (absent in older saves):
+ *       temples
+ *   3 - Arrows and torches became crafted inventory items; older inventories
+ *       get the starting supply a new hero has
+ */
+
+import { SNAPSHOT_VERSION, WorldStorageError, ErrorCodes } from './constants.js';
+
+// =============================================================================
+// Upgrade Steps
+// =============================================================================
+
+/**
+ * Upgrade functions keyed by the version they upgrade FROM.
+ * Each step receives a snapshot at version N and returns one at N + 1.
+ *
+ * @type {Object<number, function(Object): Object>}
+ */
+const UPGRADES = {
+    /**
+     * 0 -> 1: Lift the legacy flat world record into sections
+     */
+    0: (legacy) => ({
+        version: 1,
+        savedAt: legacy.lastPlayed || Date.now(),
+        sections: {
+            hero: legacy.heroPosition ? {
+                position: { ...legacy.heroPosition },
+                rotation: legacy.heroRotation || 0
+            } : null,
+            resources: {},
+            golems: (legacy.golems || []).map(g => ({
+                position: { x: g.x, y: g.y, z: g.z },
+                health: g.health
+            })),
+            tnt: [],
+            mobs: [],
+            atmosphere: { gameTime: legacy.gameTime || 0 },
+            map: { visitedCells: legacy.visitedMapCells || [] }
+        }
+    }),
+
+    /**
+     * 1 -> 2: Move resource counters into inventory stacks. Counts may exceed
+     * stack limits here; Inventory.restore() splits them across slots.
+     */
+    1: (snapshot) => {
+        const { resources, ...sections } = snapshot.sections || {};
+        const slots = Object.entries(resources || {})
+            .filter(([, count]) => typeof count === 'number' && count > 0)
+            .map(([type, count]) => ({ type, count }));
+        return {
+            ...snapshot,
+            version: 2,
+            sections: {
+                ...sections,
+                inventory: { slots, equipment: null }
+            }
+        };
+    },
+
+    /**
+     * 2 -> 3: Shooting and dropping torches now use up inventory items; give
+     * existing heroes a starting supply. Slots past the bag size are re-added
+     * wherever they fit by Inventory.restore().
+     */
+    2: (snapshot) => {
+        const inventory = snapshot.sections?.inventory;
+        return {
+            ...snapshot,
+            version: 3,
+            sections: {
+                ...snapshot.sections,
+                inventory: inventory ? {
+                    ...inventory,
+                    slots: [
+                        ...(inventory.slots || []),
+                        { type: 'arrows', count: 32 },
+                        { type: 'torch', count: 4 }
+                    ]
+                } : inventory
+            }
+        };
+    }
+};
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Create an empty snapshot at the current version
+ *
+ * @returns {import('./constants.js').GameSnapshot} Snapshot with no sections
+ */
+export function createSnapshot() {
+    return {
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        sections: {}
+    };
+}
+
+/**
+ * Upgrade a snapshot (or legacy world record) to the current version
+ *
+ * Objects without a `version` field are treated as version 0 legacy records.
+ *
+ * @param {Object} snapshot - Stored snapshot or legacy world record
+ * @returns {import('./constants.js').GameSnapshot} Snapshot at SNAPSHOT_VERSION
+ * @throws {WorldStorageError} If the snapshot is newer than this build understands
+ */
+export function upgradeSnapshot(snapshot) {
+    let current = snapshot;
+    let version = typeof snapshot?.version === 'number' ? snapshot.version : 0;
+
+    if (version > SNAPSHOT_VERSION) {
+        throw new WorldStorageError(
+            `Snapshot version ${version} is newer than supported version ${SNAPSHOT_VERSION}`,
+            ErrorCodes.VERSION_MISMATCH
+        );
+    }
+
+    while (version < SNAPSHOT_VERSION) {
+        const upgrade = UPGRADES[version];
+        if (!upgrade) {
+            throw new WorldStorageError(
+                `No snapshot upgrade path from version ${version}`,
+                ErrorCodes.VERSION_MISMATCH
+            );
+        }
+        current = upgrade(current);
+        version = current.version;
+    }
+
+    return current;
+}
+
+/**
+ * Get a section from a snapshot
+ *
+ * @param {import('./constants.js').GameSnapshot} snapshot - Upgraded snapshot
+ * @param {string} name - Section name (e.g., 'hero', 'tnt')
+ * @returns {any} Section data, or null if absent
+ */
+export function getSection(snapshot, name) {
+    return snapshot?.sections?.[name] ?? null;
+}
@@ -17,6 +17,7 @@ import {
     STORE_CONTINENTS,
     STORE_TEXTURES,
     STORE_METADATA,
+    STORE_CHUNK_EDITS,
     META_LAST_WORLD_ID,
     TERRAIN_GENERATION_VERSION,
     WORLD_STORAGE_VERSION,
@@ -34,11 +35,13 @@ import {
     getByIndex,
     deleteByIndex,
     withRetry,
+    withTransaction,
     isIndexedDBAvailable
 } from './dbhelpers.js';
 
-import { isMigrationNeeded, migrateFromLocalStorage } from './migration.js';
+import { isMigrationNeeded, migrateFromLocalStorage, migrateLegacyChunkEdits } from './migration.js';
 import { createWorldRecord, worldRecordToListItem } from './serialization.js';
+import { upgradeSnapshot } from './snapshot.js';
 
 // =============================================================================
 // Singleton Instance
@@ -166,8 +169,16 @@ export class WorldStorage {
             db.createObjectStore(STORE_METADATA, { keyPath: 'key' });
         }
 
+        // Version 1 -> 2: Per-chunk terrain edits (moved out of localStorage)
+        if (oldVersion < 2) {
+            const chunkEditStore = db.createObjectStore(STORE_CHUNK_EDITS, {
+                keyPath: ['worldId', 'chunkKey']
+            });
+            chunkEditStore.createIndex('worldId', 'worldId', { unique: false });
+        }
+
         // Future schema upgrades go here:
-        // if (oldVersion < 2) { ... }
+        // if (oldVersion < 3) { ... }
     }
 
     /**
@@ -279,6 +290,9 @@ export class WorldStorage {
         // Delete associated textures
         await this.deleteTextures(worldId);
 
+        // Delete associated chunk edits
+        await this.deleteChunkEdits(worldId);
+
         // Clear last world if it was deleted
         const lastWorldId = await this.getLastWorldId();
         if (lastWorldId === worldId) {
@@ -381,6 +395,66 @@ export class WorldStorage {
         }
     }
 
+    // =========================================================================
+    // Game Snapshot Operations
+    // =========================================================================
+
+    /**
+     * Save a full game snapshot into a world record
+     *
+     * Worlds created through the legacy session manager may not have an
+     * IndexedDB record yet; in that case one is created from `worldInfo`.
+     *
+     * @param {string} worldId - World identifier
+     * @param {import('./constants.js').GameSnapshot} snapshot - Snapshot from Game.serialize()
+     * @param {{ name?: string, seed?: number, created?: number }} [worldInfo] - Used if the record is missing
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(worldId, snapshot, worldInfo = {}) {
+        this._ensureOpen();
+
+        let existing = await this.getWorld(worldId);
+        if (!existing) {
+            existing = createWorldRecord(
+                worldId,
+                worldInfo.name || 'Unnamed World',
+                worldInfo.seed ?? 0,
+                WORLD_STORAGE_VERSION
+            );
+            if (worldInfo.created) {
+                existing.created = worldInfo.created;
+            }
+        }
+
+        // Mirror the summary fields the menu reads from the flat record
+        const hero = snapshot.sections?.hero;
+        const updated = {
+            ...existing,
+            worldId,
+            lastPlayed: Date.now(),
+            heroPosition: hero?.position ?? existing.heroPosition,
+            heroRotation: hero?.rotation ?? existing.heroRotation,
+            heroLevel: snapshot.sections?.progression?.level ?? existing.heroLevel ?? 1,
+            gameTime: snapshot.sections?.atmosphere?.gameTime ?? existing.gameTime,
+            snapshot
+        };
+
+        await withRetry(() => putRecord(this.db, STORE_WORLDS, updated));
+    }
+
+    /**
+     * Load the game snapshot for a world, upgraded to the current version
+     *
+     * @param {string} worldId - World identifier
+     * @returns {Promise<import('./constants.js').GameSnapshot | null>} Snapshot or null if none saved
+     */
+    async loadSnapshot(worldId) {
+        const world = await this.getWorld(worldId);
+        if (!world?.snapshot) return null;
+
+        return upgradeSnapshot(world.snapshot);
+    }
+
     // =========================================================================
     // Continent Metadata Operations
     // =========================================================================
@@ -488,6 +562,62 @@ export class WorldStorage {
         }
     }
 
+    // =========================================================================
+    // Chunk Edit Operations
+    // =========================================================================
+
+    /**
+     * Get all chunk edits for one continent of a world
+     * Migrates any legacy localStorage modified-chunk data first.
+     *
+     * @param {string} worldId - World identifier
+     * @param {number} [continentIndex] - Continent in the sailing sequence
+     * @returns {Promise<import('./constants.js').ChunkEditRecord[]>} Chunk edit records
+     */
+    async getChunkEdits(worldId, continentIndex = 0) {
+        this._ensureOpen();
+        await migrateLegacyChunkEdits(this.db, worldId);
+        const records = await getByIndex(this.db, STORE_CHUNK_EDITS, 'worldId', worldId);
+        return records.filter(record => (record.continentIndex || 0) === continentIndex);
+    }
+
+    /**
+     * Save chunk edit records in a single transaction
+     * Records with no destroyed blocks or holes are deleted instead.
+     *
+     * @param {import('./constants.js').ChunkEditRecord[]} records - Records to write
+     * @returns {Promise<void>}
+     */
+    async saveChunkEdits(records) {
+        this._ensureOpen();
+        if (records.length === 0) return;
+
+        await withRetry(() => withTransaction(this.db, STORE_CHUNK_EDITS, 'readwrite', (tx) => {
+            const store = tx.objectStore(STORE_CHUNK_EDITS);
+            for (const record of records) {
+                const isEmpty = record.destroyedBlocks.length === 0 &&
+                    record.heightfieldHoles.length === 0 &&
+                    !record.placedBlocks?.length;
+                if (isEmpty) {
+                    store.delete([record.worldId, record.chunkKey]);
+                } else {
+                    store.put(record);
+                }
+            }
+        }));
+    }
+
+    /**
+     * Delete all chunk edits for a world
+     *
+     * @param {string} worldId - World identifier
+     * @returns {Promise<void>}
+     */
+    async deleteChunkEdits(worldId) {
+        this._ensureOpen();
+        await deleteByIndex(this.db, STORE_CHUNK_EDITS, 'worldId', worldId);
+    }
+
     // =========================================================================
     // Version Management
     // =========================================================================
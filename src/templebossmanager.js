@@ -0,0 +1,432 @@
+import * as THREE from 'three';
+import { BOSS_PHASE_THRESHOLDS } from './mobs.js';
+import { BossBar } from './ui/bossbar.js';
+import { LANDMARK_LOOT, getLootSeed, rollLoot } from './loottables.js';
+import { CHUNK_SIZE } from './world/terrain/chunkdatagenerator.js';
+
+/**
+ * TempleBossManager - Boss fights in Mayan temple chambers
+ *
+ * Handles:
+ * - Waking the temple boss (TempleBoss in mobs.js) when the hero steps into
+ *   a temple's chamber
+ * - Sealing the chamber doorway with placed blocks while the fight is on,
+ *   and opening it again when the boss dies or the fight is abandoned
+ * - The boss health bar
+ * - A loot chest in front of the altar once the boss is defeated, opened by
+ *   walking up to it
+ * - Cleared and looted temples per continent for the save snapshot, so a
+ *   defeated boss never comes back
+ *
+ * Chambers and doorways come from the temple's landmark metadata
+ * (generateMayanTemple in landmarkdefinitions.js).
+ */
+
+// Temples this close to the hero are checked for entry and chests (blocks)
+const SEARCH_RADIUS = 48;
+
+// Hero must be this far inside the chamber walls to start the fight, so the
+// doorway seal never lands on them
+const ENTRY_MARGIN = 1;
+
+// Boss: a few levels above the area, waiting behind the altar
+const BOSS_TYPE = 'templeBoss';
+const BOSS_LEVEL_BONUS = 5;
+const BOSS_BACK_OFFSET = 3.5;
+
+const SEAL_BLOCK_TYPE = 'mayan_stone';
+
+// Chest: in front of the altar, opened from this close
+const CHEST_FRONT_OFFSET = 2.5;
+const CHEST_OPEN_RADIUS = 2;
+
+const DIRECTIONS = {
+    '+X': { dx: 1, dz: 0 },
+    '-X': { dx: -1, dz: 0 },
+    '+Z': { dx: 0, dz: 1 },
+    '-Z': { dx: 0, dz: -1 }
+};
+
+export class TempleBossManager {
+    /**
+     * @param {THREE.Scene} scene - For chest meshes
+     * @param {Object} options
+     * @param {number} options.seed - World seed (seeds each chest's loot roll)
+     * @param {number} [options.continentIndex] - Current continent (0 = start)
+     * @param {LandmarkRegistry} options.landmarkRegistry - Loaded landmark metadata
+     * @param {MobSpawner} options.mobSpawner - Spawns bosses
+     * @param {ProgressionBands} [options.progressionBands] - Area level for bosses
+     * @param {WorldManager} options.world - Places and removes the doorway seal
+     */
+    constructor(scene, { seed, continentIndex = 0, landmarkRegistry, mobSpawner, progressionBands = null, world }) {
+        this.scene = scene;
+        this.seed = seed;
+        this.continentIndex = continentIndex;
+        this.landmarkRegistry = landmarkRegistry;
+        this.mobSpawner = mobSpawner;
+        this.progressionBands = progressionBands;
+        this.world = world;
+
+        // continentIndex -> Set of temple landmark IDs
+        this.clearedByContinent = new Map();
+        this.lootedByContinent = new Map();
+
+        this.fight = null;          // { temple, boss, sealed: Array<{x, y, z}> }
+        this.chests = new Map();    // temple ID -> mesh
+        this.pendingUnseal = [];    // Seal blocks from a save made mid-fight
+
+        this.bossBar = new BossBar();
+
+        // Callbacks (injected after construction)
+        this.onBossDefeated = null;  // (temple, position) => void
+        this.onChestOpened = null;   // (loot, position) => void - loot is amounts keyed by item type
+        this.onSealChanged = null;   // () => void - a doorway was sealed or opened
+    }
+
+    /**
+     * Switch to another continent's temples (after sailing)
+     * @param {number} continentIndex
+     * @param {Object} [systems] - Per-continent systems after sailing
+     * @param {LandmarkRegistry} [systems.landmarkRegistry]
+     * @param {ProgressionBands} [systems.progressionBands]
+     */
+    setContinent(continentIndex, { landmarkRegistry, progressionBands } = {}) {
+        if (landmarkRegistry) this.landmarkRegistry = landmarkRegistry;
+        if (progressionBands) this.progressionBands = progressionBands;
+        this.clearAll();
+        this.continentIndex = continentIndex;
+    }
+
+    getSet(byContinent, continentIndex = this.continentIndex) {
+        if (!byContinent.has(continentIndex)) {
+            byContinent.set(continentIndex, new Set());
+        }
+        return byContinent.get(continentIndex);
+    }
+
+    // =========================================================================
+    // Update
+    // =========================================================================
+
+    /**
+     * Start, track and finish fights; show and open chests
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} heroPosition
+     */
+    update(deltaTime, heroPosition) {
+        this.unsealRestored();
+
+        if (this.fight) {
+            this.updateFight();
+        }
+
+        const temples = this.landmarkRegistry
+            .getLandmarksNear(heroPosition.x, heroPosition.z, SEARCH_RADIUS)
+            .filter(landmark => landmark.type === 'mayanTemple' && landmark.chambers?.length && landmark.doorway);
+
+        const cleared = this.getSet(this.clearedByContinent);
+        const looted = this.getSet(this.lootedByContinent);
+        for (const temple of temples) {
+            if (cleared.has(temple.id)) {
+                if (!looted.has(temple.id)) {
+                    this.updateChest(temple, heroPosition);
+                }
+            } else if (!this.fight && isInsideChamber(temple.chambers[0], heroPosition, ENTRY_MARGIN)) {
+                this.startFight(temple);
+            }
+        }
+
+        // Chests of temples out of range are rebuilt when the hero returns
+        for (const id of this.chests.keys()) {
+            if (!temples.some(temple => temple.id === id)) {
+                this.removeChest(id);
+            }
+        }
+
+        if (this.fight) {
+            const boss = this.fight.boss;
+            this.bossBar.update(boss.health, boss.maxHealth, boss.enraged);
+        }
+    }
+
+    /**
+     * Wake the boss and seal the doorway behind the hero
+     * @param {Object} temple - Landmark metadata
+     */
+    startFight(temple) {
+        const center = getChamberCenter(temple);
+        const dir = DIRECTIONS[temple.entranceDirection] || DIRECTIONS['+Z'];
+        const position = new THREE.Vector3(
+            center.x - dir.dx * BOSS_BACK_OFFSET,
+            center.y,
+            center.z - dir.dz * BOSS_BACK_OFFSET
+        );
+        const areaLevel = this.progressionBands
+            ? this.progressionBands.getMobLevel(center.x, center.z)
+            : 1;
+
+        const boss = this.mobSpawner.spawnMobAt(BOSS_TYPE, position, areaLevel + BOSS_LEVEL_BONUS);
+        if (!boss) return;
+        boss.state = 'chase';
+        boss.rotation = Math.atan2(dir.dx, dir.dz);  // Facing the doorway
+
+        const sealed = temple.doorway.filter(block =>
+            this.world.placeBlock(block.x, block.y, block.z, SEAL_BLOCK_TYPE)
+        );
+
+        this.fight = { temple, boss, sealed };
+        this.bossBar.show(`${boss.config.name} Lv ${boss.level}`, BOSS_PHASE_THRESHOLDS);
+
+        if (this.onSealChanged) {
+            this.onSealChanged();
+        }
+    }
+
+    updateFight() {
+        const { boss } = this.fight;
+
+        if (boss.dead) {
+            this.endFight(true);
+        } else if (!this.mobSpawner.mobs.includes(boss)) {
+            // Despawned (hero broke out and left) - it waits for the next visit
+            this.endFight(false);
+        }
+    }
+
+    /**
+     * Open the doorway and, on a win, mark the temple cleared
+     * @param {boolean} victory - Boss was killed
+     */
+    endFight(victory) {
+        const { temple, boss, sealed } = this.fight;
+        this.fight = null;
+        this.unseal(sealed);
+        this.bossBar.hide();
+
+        if (victory) {
+            this.getSet(this.clearedByContinent).add(temple.id);
+            if (this.onBossDefeated) {
+                this.onBossDefeated(temple, boss.position.clone());
+            }
+        }
+
+        if (this.onSealChanged) {
+            this.onSealChanged();
+        }
+    }
+
+    // =========================================================================
+    // Doorway seal
+    // =========================================================================
+
+    /**
+     * Remove seal blocks that are still standing
+     * @param {Array<{x: number, y: number, z: number}>} blocks
+     */
+    unseal(blocks) {
+        for (const { x, y, z } of blocks) {
+            if (this.world.placedBlocks.get(`${x},${y},${z}`) === SEAL_BLOCK_TYPE) {
+                this.world.destroyBlock(x, y, z);
+            }
+        }
+    }
+
+    /**
+     * Open doorways sealed when the game was saved mid-fight, once their
+     * chunks are loaded (the boss is not saved, so the fight is over)
+     */
+    unsealRestored() {
+        if (this.pendingUnseal.length === 0) return;
+
+        const workerManager = this.world.chunkLoader.workerManager;
+        const ready = this.pendingUnseal.filter(({ x, z }) =>
+            workerManager?.isChunkLoaded(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE))
+        );
+        if (ready.length === 0) return;
+
+        this.pendingUnseal = this.pendingUnseal.filter(block => !ready.includes(block));
+        this.unseal(ready);
+    }
+
+    // =========================================================================
+    // Loot chest
+    // =========================================================================
+
+    updateChest(temple, heroPosition) {
+        let chest = this.chests.get(temple.id);
+        if (!chest) {
+            chest = this.createChest(temple);
+            this.chests.set(temple.id, chest);
+        }
+
+        const dx = heroPosition.x - chest.position.x;
+        const dz = heroPosition.z - chest.position.z;
+        const nearby = Math.sqrt(dx * dx + dz * dz) < CHEST_OPEN_RADIUS &&
+            Math.abs(heroPosition.y - chest.position.y) < 2;
+        if (nearby) {
+            this.openChest(temple, chest.position.clone());
+        }
+    }
+
+    openChest(temple, position) {
+        this.getSet(this.lootedByContinent).add(temple.id);
+        this.removeChest(temple.id);
+
+        if (this.onChestOpened) {
+            this.onChestOpened(this.getChestLoot(temple), position);
+        }
+    }
+
+    /**
+     * Contents of a temple's chest, rolled on LANDMARK_LOOT from the
+     * temple's position (so each temple's chest is always the same)
+     * @param {Object} temple - Landmark metadata
+     * @returns {Object<string, number>}
+     */
+    getChestLoot(temple) {
+        const center = getChamberCenter(temple);
+        const level = this.progressionBands
+            ? this.progressionBands.getMobLevel(center.x, center.z)
+            : 1;
+        const seed = getLootSeed(this.seed, this.continentIndex, temple.type, center.x, center.z);
+        return rollLoot(LANDMARK_LOOT[temple.type], seed, {
+            level,
+            biome: this.world.getBiome(center.x, center.z)
+        });
+    }
+
+    createChest(temple) {
+        const center = getChamberCenter(temple);
+        const dir = DIRECTIONS[temple.entranceDirection] || DIRECTIONS['+Z'];
+
+        const group = new THREE.Group();
+        const woodMat = new THREE.MeshLambertMaterial({ color: 0x8B5A2B });
+        const trimMat = new THREE.MeshLambertMaterial({ color: 0xD4AF37 });
+
+        const base = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.55, 0.7), woodMat);
+        base.position.y = 0.275;
+        base.castShadow = true;
+        group.add(base);
+
+        const lid = new THREE.Mesh(new THREE.BoxGeometry(1.04, 0.25, 0.74), woodMat);
+        lid.position.y = 0.68;
+        lid.castShadow = true;
+        group.add(lid);
+
+        // Gold bands and latch
+        for (const side of [-0.35, 0.35]) {
+            const band = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.82, 0.76), trimMat);
+            band.position.set(side, 0.41, 0);
+            group.add(band);
+        }
+        const latch = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.2, 0.06), trimMat);
+        latch.position.set(0, 0.55, 0.38);
+        group.add(latch);
+
+        group.position.set(
+            center.x + dir.dx * CHEST_FRONT_OFFSET,
+            center.y,
+            center.z + dir.dz * CHEST_FRONT_OFFSET
+        );
+        group.rotation.y = Math.atan2(dir.dx, dir.dz);  // Latch towards the doorway
+        this.scene.add(group);
+        return group;
+    }
+
+    removeChest(id) {
+        const chest = this.chests.get(id);
+        if (!chest) return;
+
+        this.scene.remove(chest);
+        chest.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.chests.delete(id);
+    }
+
+    /**
+     * Abandon any fight (opening its doorway) and drop chest meshes
+     */
+    clearAll() {
+        if (this.fight) {
+            this.endFight(false);
+        }
+        for (const id of Array.from(this.chests.keys())) {
+            this.removeChest(id);
+        }
+    }
+
+    // =========================================================================
+    // Persistence
+    // =========================================================================
+
+    /**
+     * Serialize cleared temples for the save snapshot. A fight in progress is
+     * not saved; its seal blocks are, so the restored game can open them.
+     * @returns {{cleared: Object<string, Array<string>>, looted: Object<string, Array<string>>, sealed: Array<{x: number, y: number, z: number}>}}
+     */
+    serialize() {
+        return {
+            cleared: setsToObject(this.clearedByContinent),
+            looted: setsToObject(this.lootedByContinent),
+            sealed: (this.fight?.sealed || []).map(({ x, y, z }) => ({ x, y, z }))
+        };
+    }
+
+    /**
+     * Restore cleared temples from a save snapshot
+     * @param {Object} data - Data from serialize()
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.clearAll();
+        this.clearedByContinent = objectToSets(data.cleared);
+        this.lootedByContinent = objectToSets(data.looted);
+        this.pendingUnseal = Array.isArray(data.sealed) ? data.sealed.slice() : [];
+    }
+}
+
+/**
+ * Whether a position is inside a chamber, at least margin from its walls
+ * @param {{minX: number, maxX: number, minY: number, maxY: number, minZ: number, maxZ: number}} chamber - Max exclusive
+ * @param {THREE.Vector3} position
+ * @param {number} margin
+ */
+function isInsideChamber(chamber, position, margin) {
+    return position.x >= chamber.minX + margin && position.x < chamber.maxX - margin &&
+        position.z >= chamber.minZ + margin && position.z < chamber.maxZ - margin &&
+        position.y >= chamber.minY - 0.5 && position.y < chamber.maxY;
+}
+
+/**
+ * Centre of a temple chamber's floor
+ * @returns {{x: number, y: number, z: number}}
+ */
+function getChamberCenter(temple) {
+    const chamber = temple.chambers[0];
+    return {
+        x: (chamber.minX + chamber.maxX) / 2,
+        y: chamber.minY,
+        z: (chamber.minZ + chamber.maxZ) / 2
+    };
+}
+
+function setsToObject(byContinent) {
+    const result = {};
+    for (const [continentIndex, ids] of byContinent) {
+        if (ids.size > 0) {
+            result[continentIndex] = Array.from(ids);
+        }
+    }
+    return result;
+}
+
+function objectToSets(data) {
+    const byContinent = new Map();
+    for (const [continentIndex, ids] of Object.entries(data || {})) {
+        byContinent.set(Number(continentIndex), new Set(ids));
+    }
+    return byContinent;
+}
@@ -0,0 +1,104 @@
+/**
+ * BossBar - Boss name and health across the top of the screen
+ *
+ * Shown by TempleBossManager while a boss fight is on. Notches mark the
+ * health fractions where the boss changes phase, and the bar turns red
+ * once it enrages. Purely visual.
+ */
+
+const BAR_WIDTH = 420;
+const HEALTH_COLOR = '#d9a22b';
+const ENRAGED_COLOR = '#dc2626';
+
+export class BossBar {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.id = 'boss-bar';
+        this.element.style.cssText = `
+            position: fixed;
+            top: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            gap: 4px;
+            z-index: 1001;
+            pointer-events: none;
+            font-family: sans-serif;
+            color: white;
+            text-shadow: 0 0 4px black;
+        `;
+
+        this.nameElement = document.createElement('div');
+        this.nameElement.style.cssText = 'font-size: 16px; font-weight: bold; letter-spacing: 1px;';
+        this.element.appendChild(this.nameElement);
+
+        this.track = document.createElement('div');
+        this.track.style.cssText = `
+            position: relative;
+            width: ${BAR_WIDTH}px;
+            max-width: 80vw;
+            height: 12px;
+            background: rgba(0, 0, 0, 0.6);
+            border: 2px solid rgba(255, 255, 255, 0.5);
+            border-radius: 4px;
+            overflow: hidden;
+        `;
+        this.fill = document.createElement('div');
+        this.fill.style.cssText = `height: 100%; width: 100%; background: ${HEALTH_COLOR}; transition: width 0.15s;`;
+        this.track.appendChild(this.fill);
+        this.element.appendChild(this.track);
+
+        this.notches = [];
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Show the bar for a new fight
+     * @param {string} name - Boss name (with level)
+     * @param {Array<number>} [phaseThresholds] - Health fractions to mark
+     */
+    show(name, phaseThresholds = []) {
+        this.nameElement.textContent = name;
+
+        this.notches.forEach(notch => notch.remove());
+        this.notches = phaseThresholds.map(threshold => {
+            const notch = document.createElement('div');
+            notch.style.cssText = `
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                left: ${threshold * 100}%;
+                width: 2px;
+                background: rgba(255, 255, 255, 0.7);
+            `;
+            this.track.appendChild(notch);
+            return notch;
+        });
+
+        this.update(1, 1, false);
+        this.element.style.display = 'flex';
+    }
+
+    /**
+     * Refresh the health fill - call once per frame while shown
+     * @param {number} health
+     * @param {number} maxHealth
+     * @param {boolean} enraged - Boss is in its final phase
+     */
+    update(health, maxHealth, enraged) {
+        const fraction = maxHealth > 0 ? Math.max(0, health / maxHealth) : 0;
+        this.fill.style.width = `${fraction * 100}%`;
+        this.fill.style.background = enraged ? ENRAGED_COLOR : HEALTH_COLOR;
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
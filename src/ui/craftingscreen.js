@@ -0,0 +1,207 @@
+import { ITEMS } from '../inventory.js';
+import { RECIPES } from '../crafting.js';
+
+/**
+ * CraftingScreen - Recipe list overlay
+ *
+ * Opened with the C key (or the CRAFT touch button); closed with C, Escape
+ * or a tap outside the panel. Each row shows a recipe's output, its inputs
+ * (missing ones in red) and either a Craft button or the level it unlocks at.
+ *
+ * Crafting goes through Crafting.craft(), which checks the unlock level,
+ * the inputs and bag space.
+ */
+
+const ICON_SIZE = 36;
+const MISSING_COLOR = '#f87171';
+
+const BLOCKER_LABELS = {
+    inputs: 'Need more',
+    space: 'Bag full'
+};
+
+export class CraftingScreen {
+    /**
+     * @param {Crafting} crafting - Recipes and unlock state
+     * @param {Inventory} inventory - For input counts
+     */
+    constructor(crafting, inventory) {
+        this.crafting = crafting;
+        this.inventory = inventory;
+        this.isOpen = false;
+
+        this.rows = [];
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.id = 'crafting-screen';
+        this.element.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.5);
+            z-index: 2000;
+            font-family: sans-serif;
+            color: white;
+        `;
+
+        // Clicks on the backdrop must not reach the game
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.element.addEventListener('mouseup', (e) => e.stopPropagation());
+        this.element.addEventListener('touchstart', (e) => e.stopPropagation());
+
+        // Tapping the backdrop closes the screen (no keyboard on touch)
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            padding: 16px;
+            max-height: 80vh;
+            overflow-y: auto;
+            background: rgba(20, 20, 20, 0.92);
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-radius: 8px;
+        `;
+        this.element.appendChild(panel);
+
+        const heading = document.createElement('div');
+        heading.textContent = 'Crafting';
+        heading.style.cssText = 'font-weight: bold; margin-bottom: 6px;';
+        panel.appendChild(heading);
+
+        for (const recipe of RECIPES) {
+            const row = this.createRow(recipe);
+            this.rows.push(row);
+            panel.appendChild(row.root);
+        }
+
+        const hint = document.createElement('div');
+        hint.textContent = 'C or tap outside to close';
+        hint.style.cssText = 'margin-top: 8px; font-size: 11px; opacity: 0.7;';
+        panel.appendChild(hint);
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Build one recipe row's DOM
+     * @param {Object} recipe - Entry from RECIPES
+     * @returns {{root: HTMLElement, inputs: HTMLElement, button: HTMLElement, recipe: Object}}
+     */
+    createRow(recipe) {
+        const item = ITEMS[recipe.output];
+
+        const root = document.createElement('div');
+        root.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 4px 6px;
+            background: rgba(60, 60, 60, 0.5);
+            border-radius: 4px;
+            font-size: 12px;
+        `;
+
+        const icon = document.createElement('div');
+        icon.textContent = item.icon;
+        icon.style.cssText = `
+            width: ${ICON_SIZE}px;
+            height: ${ICON_SIZE}px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 20px;
+            color: ${item.color};
+            background: rgba(0, 0, 0, 0.4);
+            border-radius: 4px;
+        `;
+        root.appendChild(icon);
+
+        const text = document.createElement('div');
+        text.style.cssText = 'flex: 1; min-width: 180px;';
+        const name = document.createElement('div');
+        name.textContent = recipe.amount > 1 ? `${item.name} ×${recipe.amount}` : item.name;
+        name.style.cssText = 'font-weight: bold;';
+        text.appendChild(name);
+        const inputs = document.createElement('div');
+        inputs.style.cssText = 'opacity: 0.85;';
+        text.appendChild(inputs);
+        root.appendChild(text);
+
+        const button = document.createElement('button');
+        button.style.cssText = `
+            min-width: 72px;
+            padding: 6px 8px;
+            border: none;
+            border-radius: 4px;
+            color: white;
+            font-size: 12px;
+        `;
+        button.addEventListener('click', () => {
+            this.crafting.craft(recipe.id);
+            this.render();
+        });
+        root.appendChild(button);
+
+        return { root, inputs, button, recipe };
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.element.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Redraw input counts and buttons (no-op while closed)
+     */
+    render() {
+        if (!this.isOpen) return;
+
+        for (const row of this.rows) {
+            const { recipe, inputs, button } = row;
+
+            inputs.innerHTML = Object.entries(recipe.inputs).map(([type, amount]) => {
+                const have = this.inventory.count(type);
+                const color = have >= amount ? 'inherit' : MISSING_COLOR;
+                return `<span style="color: ${color}">${amount} ${ITEMS[type].name} (${have})</span>`;
+            }).join(', ');
+
+            const blocker = this.crafting.getBlocker(recipe);
+            button.disabled = blocker !== null;
+            button.textContent = blocker === 'locked'
+                ? `Lv ${recipe.unlockLevel}`
+                : BLOCKER_LABELS[blocker] || 'Craft';
+            button.style.background = blocker === null ? '#16a34a' : 'rgba(100, 100, 100, 0.6)';
+            button.style.cursor = blocker === null ? 'pointer' : 'default';
+            row.root.style.opacity = blocker === 'locked' ? '0.5' : '1';
+        }
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
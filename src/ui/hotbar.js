@@ -0,0 +1,148 @@
+/**
+ * Hotbar - Ability slots along the bottom of the screen
+ *
+ * Shows each ability's key, icon and cost, a clockwise cooldown sweep,
+ * the level it unlocks at while locked, and the hero's energy bar.
+ * Purely visual; casting goes through AbilityManager.
+ */
+
+const SLOT_SIZE = 52;
+const SWEEP_COLOR = 'rgba(0, 0, 0, 0.65)';
+
+export class Hotbar {
+    /**
+     * @param {AbilityManager} abilities - Ability state to display
+     */
+    constructor(abilities) {
+        this.abilities = abilities;
+        this.slots = [];
+
+        this.element = document.createElement('div');
+        this.element.id = 'hotbar';
+        this.element.style.cssText = `
+            position: fixed;
+            bottom: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 6px;
+            z-index: 1001;
+            pointer-events: none;
+            font-family: sans-serif;
+            color: white;
+        `;
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 6px;';
+        this.element.appendChild(row);
+
+        for (let slot = 0; ; slot++) {
+            const ability = abilities.getAbilityInSlot(slot);
+            if (!ability) break;
+            const slotElement = this.createSlot(ability, slot);
+            row.appendChild(slotElement.root);
+            this.slots.push(slotElement);
+        }
+
+        // Energy bar
+        const energyTrack = document.createElement('div');
+        energyTrack.style.cssText = `
+            width: 100%;
+            height: 6px;
+            background: rgba(0, 0, 0, 0.5);
+            border-radius: 3px;
+            overflow: hidden;
+        `;
+        this.energyFill = document.createElement('div');
+        this.energyFill.style.cssText = 'height: 100%; width: 100%; background: #38bdf8;';
+        energyTrack.appendChild(this.energyFill);
+        this.element.appendChild(energyTrack);
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Build one slot's DOM
+     * @param {Object} ability - Entry from ABILITIES
+     * @param {number} slot - 0-based slot index
+     * @returns {{root: HTMLElement, sweep: HTMLElement, lock: HTMLElement, ability: Object}}
+     */
+    createSlot(ability, slot) {
+        const root = document.createElement('div');
+        root.title = `${ability.name} (${ability.cost} energy)`;
+        root.style.cssText = `
+            position: relative;
+            width: ${SLOT_SIZE}px;
+            height: ${SLOT_SIZE}px;
+            background: rgba(30, 30, 30, 0.75);
+            border: 2px solid rgba(255, 255, 255, 0.5);
+            border-radius: 6px;
+            overflow: hidden;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 24px;
+        `;
+        root.textContent = ability.icon;
+
+        const key = document.createElement('span');
+        key.textContent = String(slot + 1);
+        key.style.cssText = 'position: absolute; top: 2px; left: 4px; font-size: 11px;';
+        root.appendChild(key);
+
+        const cost = document.createElement('span');
+        cost.textContent = String(ability.cost);
+        cost.style.cssText = 'position: absolute; bottom: 2px; right: 4px; font-size: 10px; color: #7dd3fc;';
+        root.appendChild(cost);
+
+        // Cooldown sweep: dark wedge that shrinks clockwise as the ability recharges
+        const sweep = document.createElement('div');
+        sweep.style.cssText = 'position: absolute; inset: 0;';
+        root.appendChild(sweep);
+
+        const lock = document.createElement('div');
+        lock.textContent = `Lv ${ability.unlockLevel}`;
+        lock.style.cssText = `
+            position: absolute;
+            inset: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.75);
+            font-size: 12px;
+            font-weight: bold;
+        `;
+        root.appendChild(lock);
+
+        return { root, sweep, lock, ability };
+    }
+
+    /**
+     * Refresh sweeps, locks and energy - call once per frame
+     */
+    update() {
+        const abilities = this.abilities;
+
+        for (const { root, sweep, lock, ability } of this.slots) {
+            const unlocked = abilities.isUnlocked(ability);
+            lock.style.display = unlocked ? 'none' : 'flex';
+
+            const fraction = abilities.getCooldownFraction(ability);
+            sweep.style.background = fraction > 0
+                ? `conic-gradient(transparent ${(1 - fraction) * 360}deg, ${SWEEP_COLOR} 0deg)`
+                : 'none';
+
+            const usable = unlocked && abilities.canUse(ability);
+            root.style.borderColor = usable ? '#facc15' : 'rgba(255, 255, 255, 0.5)';
+            root.style.opacity = unlocked && !abilities.meetsRequirement(ability) ? '0.5' : '1';
+        }
+
+        this.energyFill.style.width = `${(abilities.energy / abilities.maxEnergy) * 100}%`;
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
@@ -0,0 +1,285 @@
+import { ITEMS, EQUIPMENT_SLOTS } from '../inventory.js';
+
+/**
+ * InventoryScreen - Bag and equipment overlay
+ *
+ * Opened with the I key (or the BAG touch button); closed with I, Escape
+ * or a tap outside the panel. Items move by:
+ * - Drag and drop between slots (desktop)
+ * - Tap a slot to pick it up, tap another to drop it there (touch, also
+ *   works with the mouse); tapping the picked-up slot again equips or
+ *   unequips the item
+ *
+ * All moves go through Inventory.move(), which enforces stack limits and
+ * equipment slot types.
+ */
+
+const SLOT_SIZE = 48;
+const BAG_COLUMNS = 6;
+
+const EQUIPMENT_LABELS = {
+    bow: 'Bow',
+    sword: 'Sword',
+    armor: 'Armor',
+    mount: 'Mount'
+};
+
+export class InventoryScreen {
+    /**
+     * @param {Inventory} inventory - Inventory to display and edit
+     * @param {Hero} hero - For the stats summary
+     */
+    constructor(inventory, hero) {
+        this.inventory = inventory;
+        this.hero = hero;
+        this.isOpen = false;
+
+        // Slot picked up by a tap, waiting for a second tap
+        this.selected = null;
+
+        this.bagSlots = [];
+        this.equipmentSlots = {};
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.id = 'inventory-screen';
+        this.element.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.5);
+            z-index: 2000;
+            font-family: sans-serif;
+            color: white;
+        `;
+
+        // Clicks on the backdrop must not reach the game
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.element.addEventListener('mouseup', (e) => e.stopPropagation());
+        this.element.addEventListener('touchstart', (e) => e.stopPropagation());
+
+        // Tapping the backdrop closes the screen (no keyboard on touch)
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            display: flex;
+            gap: 20px;
+            padding: 16px;
+            background: rgba(20, 20, 20, 0.92);
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-radius: 8px;
+        `;
+        this.element.appendChild(panel);
+
+        // Equipment column
+        const equipmentColumn = document.createElement('div');
+        equipmentColumn.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+        equipmentColumn.appendChild(this.createHeading('Equipment'));
+        for (const slot of EQUIPMENT_SLOTS) {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 12px;';
+            const slotElement = this.createSlot({ area: 'equipment', slot });
+            this.equipmentSlots[slot] = slotElement;
+            row.appendChild(slotElement);
+            const label = document.createElement('span');
+            label.textContent = EQUIPMENT_LABELS[slot];
+            row.appendChild(label);
+            equipmentColumn.appendChild(row);
+        }
+        this.statsElement = document.createElement('div');
+        this.statsElement.style.cssText = 'margin-top: 8px; font-size: 12px; line-height: 1.5;';
+        equipmentColumn.appendChild(this.statsElement);
+        panel.appendChild(equipmentColumn);
+
+        // Bag grid
+        const bagColumn = document.createElement('div');
+        bagColumn.appendChild(this.createHeading('Bag'));
+        const grid = document.createElement('div');
+        grid.style.cssText = `
+            display: grid;
+            grid-template-columns: repeat(${BAG_COLUMNS}, ${SLOT_SIZE}px);
+            gap: 4px;
+        `;
+        for (let index = 0; index < this.inventory.slots.length; index++) {
+            const slotElement = this.createSlot({ area: 'bag', index });
+            this.bagSlots.push(slotElement);
+            grid.appendChild(slotElement);
+        }
+        bagColumn.appendChild(grid);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Drag or tap to move · tap twice to equip · I or tap outside to close';
+        hint.style.cssText = 'margin-top: 8px; font-size: 11px; opacity: 0.7;';
+        bagColumn.appendChild(hint);
+        panel.appendChild(bagColumn);
+
+        document.body.appendChild(this.element);
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('div');
+        heading.textContent = text;
+        heading.style.cssText = 'font-weight: bold; margin-bottom: 6px;';
+        return heading;
+    }
+
+    /**
+     * Build a slot element with drag-and-drop and tap handlers
+     * @param {{area: string, index?: number, slot?: string}} ref - Slot it shows
+     * @returns {HTMLElement}
+     */
+    createSlot(ref) {
+        const slotElement = document.createElement('div');
+        slotElement.style.cssText = `
+            position: relative;
+            width: ${SLOT_SIZE}px;
+            height: ${SLOT_SIZE}px;
+            background: rgba(60, 60, 60, 0.8);
+            border: 2px solid rgba(255, 255, 255, 0.25);
+            border-radius: 4px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 22px;
+            user-select: none;
+            cursor: pointer;
+        `;
+        slotElement.ref = ref;
+
+        slotElement.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', JSON.stringify(ref));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        slotElement.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        slotElement.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const from = this.parseRef(e.dataTransfer.getData('text/plain'));
+            if (from) {
+                this.selected = null;
+                this.inventory.move(from, ref);
+                this.render();
+            }
+        });
+        slotElement.addEventListener('click', () => this.handleTap(ref));
+
+        return slotElement;
+    }
+
+    parseRef(text) {
+        try {
+            const ref = JSON.parse(text);
+            return ref && (ref.area === 'bag' || ref.area === 'equipment') ? ref : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Tap: pick up, drop onto another slot, or equip/unequip on a second tap
+     * @param {{area: string, index?: number, slot?: string}} ref
+     */
+    handleTap(ref) {
+        const selected = this.selected;
+        if (!selected) {
+            if (this.inventory.getTypeAt(ref)) {
+                this.selected = ref;
+            }
+        } else if (selected.area === ref.area && selected.index === ref.index && selected.slot === ref.slot) {
+            if (ref.area === 'bag') {
+                this.inventory.equipFromBag(ref.index);
+            } else {
+                this.inventory.unequip(ref.slot);
+            }
+            this.selected = null;
+        } else {
+            this.inventory.move(selected, ref);
+            this.selected = null;
+        }
+        this.render();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.selected = null;
+        this.element.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.selected = null;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Redraw slots and stats (no-op while closed)
+     */
+    render() {
+        if (!this.isOpen) return;
+
+        this.bagSlots.forEach(slotElement => this.renderSlot(slotElement));
+        Object.values(this.equipmentSlots).forEach(slotElement => this.renderSlot(slotElement));
+
+        const hero = this.hero;
+        this.statsElement.innerHTML = `
+            Arrow damage: ${hero.arrowDamage}<br>
+            Melee damage: ${hero.meleeDamage}<br>
+            Armor: ${Math.round(hero.equipmentStats.armor * 100)}%<br>
+            Mount speed: ${hero.mountedMoveSpeed}
+        `;
+    }
+
+    renderSlot(slotElement) {
+        const ref = slotElement.ref;
+        const type = this.inventory.getTypeAt(ref);
+        const item = type ? ITEMS[type] : null;
+        const count = ref.area === 'bag' ? this.inventory.slots[ref.index]?.count : 1;
+
+        slotElement.textContent = item ? item.icon : '';
+        slotElement.style.color = item ? item.color : 'white';
+        slotElement.title = item ? item.name : '';
+        slotElement.draggable = !!item;
+
+        if (item && count > 1) {
+            const countElement = document.createElement('span');
+            countElement.textContent = String(count);
+            countElement.style.cssText = `
+                position: absolute;
+                bottom: 1px;
+                right: 3px;
+                font-size: 11px;
+                color: white;
+            `;
+            slotElement.appendChild(countElement);
+        }
+
+        const selected = this.selected &&
+            this.selected.area === ref.area &&
+            this.selected.index === ref.index &&
+            this.selected.slot === ref.slot;
+        slotElement.style.borderColor = selected ? '#facc15' : 'rgba(255, 255, 255, 0.25)';
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
@@ -1,7 +1,8 @@
 /**
  * MapOverlay - Full-screen 2D map overlay for in-game terrain visualization
  *
- * Toggled with Tab key. Shows biome colors + hillshading + rivers + ocean.
+ * Toggled with Tab key. Shows biome colors + hillshading + rivers + ocean,
+ * with an optional danger heatmap of mob levels (L key, see ProgressionBands).
  * Reuses the visualizer's TileManager/TileCache/tilegenerator worker for
  * async tile rendering with progressive refinement.
  */
@@ -20,19 +21,32 @@ const PAN_SPEED = 300;       // World blocks per second at zoom 1.0
 const ZOOM_FACTOR = 1.15;
 
 export class MapOverlay {
-    constructor(seed, continentConfig = null) {
+    /**
+     * @param {number} seed - Terrain seed of the loaded continent
+     * @param {Object} [continentConfig] - Continental mode config
+     * @param {ProgressionBands} [progressionBands] - Mob level bands for the danger heatmap
+     */
+    constructor(seed, continentConfig = null, progressionBands = null) {
         this.seed = seed;
         this.isOpen = false;
 
+        // Danger heatmap (mob level by distance from start)
+        this.progressionBands = progressionBands;
+        this.showDanger = false;
+
+        // Uncompleted objective markers (set via setObjectives)
+        this.objectiveManager = null;
+
+        // Dock markers (set via setSailing)
+        this.sailingManager = null;
+
+        // Settlement names (set via setSettlements)
+        this.settlements = [];
+
         // Continental mode config
         this.continentConfig = continentConfig;
-        if (continentConfig?.enabled) {
-            // Derive continental seeds (same as in ContinentState)
-            this.shapeSeed = Math.floor(hash(0, 0, seed + 111111) * 0x7FFFFFFF);
-            this.climateSeed = Math.floor(hash(0, 0, seed + 555555) * 0x7FFFFFFF);
-            this.baseRadius = continentConfig.baseRadius || 2000;
-            this.template = continentConfig.template || 'default';
-        }
+        this.continentIndex = 0;
+        this._deriveContinentSeeds();
 
         // View state
         this.viewX = 0;
@@ -92,7 +106,8 @@ export class MapOverlay {
         this.renderPending = false;
 
         // Fog of war state
-        this.visitedCells = new Set();    // Set<string> of "cellX,cellZ"
+        this.visitedCells = new Set();    // Set<string> of "cellX,cellZ" (current continent)
+        this.visitedByContinent = new Map([[0, this.visitedCells]]);
         this.fogOfWarEnabled = true;
 
         // Mouse pan state
@@ -127,6 +142,48 @@ export class MapOverlay {
         this._initWorker();
     }
 
+    /**
+     * Derive continental seeds from the terrain seed (same as in ContinentState)
+     */
+    _deriveContinentSeeds() {
+        if (!this.continentConfig?.enabled) return;
+        this.shapeSeed = Math.floor(hash(0, 0, this.seed + 111111) * 0x7FFFFFFF);
+        this.climateSeed = Math.floor(hash(0, 0, this.seed + 555555) * 0x7FFFFFFF);
+        this.baseRadius = this.continentConfig.baseRadius || 2000;
+        this.template = this.continentConfig.template || 'default';
+    }
+
+    /**
+     * Show another continent (after sailing). Fog of war is kept per continent.
+     * @param {number} seed - Terrain seed of the continent
+     * @param {Object} continentConfig - Continental mode config
+     * @param {number} continentIndex - Continent in the sailing sequence
+     * @param {ProgressionBands} [progressionBands] - Mob level bands of the continent
+     */
+    setContinent(seed, continentConfig, continentIndex, progressionBands = null) {
+        this.seed = seed;
+        this.continentConfig = continentConfig;
+        this.continentIndex = continentIndex;
+        this.progressionBands = progressionBands;
+        this._deriveContinentSeeds();
+
+        if (!this.visitedByContinent.has(continentIndex)) {
+            this.visitedByContinent.set(continentIndex, new Set());
+        }
+        this.visitedCells = this.visitedByContinent.get(continentIndex);
+
+        if (continentConfig?.enabled) {
+            this.tileCache.setCoastlineParams(this.shapeSeed, this.baseRadius, this.template);
+        }
+        this.tileCache.invalidate();
+        if (this.tileManager) {
+            this.tileManager.updateConfig(seed, this.mode);
+            if (continentConfig?.enabled) {
+                this.tileManager.setCoastlineParams(this.shapeSeed, this.baseRadius, this.template, this.climateSeed);
+            }
+        }
+    }
+
     async _initWorker() {
         try {
             this.tileManager = new TileManager(
@@ -233,6 +290,11 @@ export class MapOverlay {
             needsRender = true;
         }
 
+        if (input.isKeyJustPressed('l') && this.progressionBands) {
+            this.showDanger = !this.showDanger;
+            needsRender = true;
+        }
+
         if (needsRender) {
             this.render();
         }
@@ -250,15 +312,182 @@ export class MapOverlay {
             this._renderTiles(width, height);
         }
 
+        if (this.showDanger && this.progressionBands) {
+            this._drawDangerHeatmap(width, height);
+        }
+
         // Draw continental coastline overlay
         if (this.continentConfig?.enabled) {
             this._drawCoastline(width, height);
         }
 
+        if (this.settlements.length > 0) {
+            this._drawSettlements(width, height);
+        }
+        if (this.objectiveManager) {
+            this._drawObjectives(width, height);
+        }
+        if (this.sailingManager) {
+            this._drawDocks(width, height);
+        }
+
         this._drawPlayerMarker(width, height);
         this._updateHUD();
     }
 
+    /**
+     * Show objective markers from an ObjectiveManager
+     * @param {ObjectiveManager} objectiveManager
+     */
+    setObjectives(objectiveManager) {
+        this.objectiveManager = objectiveManager;
+    }
+
+    /**
+     * Show dock markers from a SailingManager
+     * @param {SailingManager} sailingManager
+     */
+    setSailing(sailingManager) {
+        this.sailingManager = sailingManager;
+    }
+
+    /**
+     * Show settlement names
+     * @param {Array<{name, size, x, z}>} settlements - From TerrainWorkerManager
+     */
+    setSettlements(settlements) {
+        this.settlements = settlements || [];
+    }
+
+    // --- Danger Heatmap ---
+
+    /**
+     * Tint the map by mob level. Levels only depend on distance from the
+     * start point, so the heatmap is one radial gradient around it.
+     */
+    _drawDangerHeatmap(width, height) {
+        const bands = this.progressionBands;
+        const centerX = width / 2 + (bands.start.x - this.viewX) * this.zoom;
+        const centerY = height / 2 + (bands.start.z - this.viewZ) * this.zoom;
+        const radius = bands.maxDistance * this.zoom;
+
+        const gradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+        const steps = 9;
+        for (let i = 0; i <= steps; i++) {
+            const { r, g, b } = bands.getColor(bands.baseLevel + i);
+            gradient.addColorStop(i / steps, `rgba(${r}, ${g}, ${b}, 0.35)`);
+        }
+
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(0, 0, width, height);
+
+        // Start marker
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, 6, 0, Math.PI * 2);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    // --- Settlements ---
+
+    /**
+     * Dot per settlement (larger for towns) with its name
+     */
+    _drawSettlements(width, height) {
+        const sizes = { town: 6, village: 4, hamlet: 3, harbor: 3 };
+
+        this.ctx.font = '11px monospace';
+        this.ctx.textAlign = 'center';
+
+        for (const settlement of this.settlements) {
+            const screenX = width / 2 + (settlement.x - this.viewX) * this.zoom;
+            const screenY = height / 2 + (settlement.z - this.viewZ) * this.zoom;
+            if (screenX < -40 || screenX > width + 40 || screenY < -20 || screenY > height + 20) {
+                continue;
+            }
+
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, sizes[settlement.size] || 3, 0, Math.PI * 2);
+            this.ctx.fillStyle = '#E8D8B0';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(settlement.name, screenX, screenY + 18);
+        }
+    }
+
+    // --- Objective Markers ---
+
+    /**
+     * Diamond markers for uncompleted objectives, colored like their beacons
+     */
+    _drawObjectives(width, height) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        const colors = { clear: '#FFAA33', boss: '#FF4444', activate: '#66CCFF' };
+
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'center';
+
+        for (const objective of this.objectiveManager.getUncompleted()) {
+            const screenX = halfWidth + (objective.x - this.viewX) * this.zoom;
+            const screenY = halfHeight + (objective.z - this.viewZ) * this.zoom;
+            if (screenX < -20 || screenX > width + 20 || screenY < -20 || screenY > height + 20) {
+                continue;
+            }
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX, screenY - 9);
+            this.ctx.lineTo(screenX + 7, screenY);
+            this.ctx.lineTo(screenX, screenY + 9);
+            this.ctx.lineTo(screenX - 7, screenY);
+            this.ctx.closePath();
+            this.ctx.fillStyle = colors[objective.kind] || '#FFFFFF';
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(objective.title, screenX, screenY - 14);
+        }
+    }
+
+    /**
+     * Sailing point (blue) and, after the first voyage, the arrival dock (white)
+     */
+    _drawDocks(width, height) {
+        const { docks, continentIndex } = this.sailingManager;
+        const points = [{ point: docks.sail, color: '#3366CC', label: 'Sailing point' }];
+        if (continentIndex > 0) {
+            points.push({ point: docks.start, color: '#CCCCCC', label: 'Arrival dock' });
+        }
+
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'center';
+
+        for (const { point, color, label } of points) {
+            const screenX = width / 2 + (point.x - this.viewX) * this.zoom;
+            const screenY = height / 2 + (point.z - this.viewZ) * this.zoom;
+            if (screenX < -20 || screenX > width + 20 || screenY < -20 || screenY > height + 20) {
+                continue;
+            }
+
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(screenX - 6, screenY - 6, 12, 12);
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.strokeRect(screenX - 6, screenY - 6, 12, 12);
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(label, screenX, screenY - 12);
+        }
+    }
+
     // --- Coastline Overlay ---
 
     _drawCoastline(width, height) {
@@ -412,6 +641,36 @@ export class MapOverlay {
      */
     loadVisitedCells(cellsArray) {
         this.visitedCells = new Set(cellsArray || []);
+        this.visitedByContinent.set(this.continentIndex, this.visitedCells);
+    }
+
+    /**
+     * Get visited cells of every continent for serialization.
+     * @returns {Object<string, Array<string>>} Continent index -> cells
+     */
+    getVisitedCellsByContinent() {
+        const byContinent = {};
+        for (const [continentIndex, cells] of this.visitedByContinent) {
+            if (cells.size > 0) {
+                byContinent[continentIndex] = Array.from(cells);
+            }
+        }
+        return byContinent;
+    }
+
+    /**
+     * Load visited cells of every continent from saved data.
+     * @param {Object<string, Array<string>>} byContinent - From getVisitedCellsByContinent()
+     */
+    loadVisitedCellsByContinent(byContinent) {
+        this.visitedByContinent.clear();
+        for (const [continentIndex, cells] of Object.entries(byContinent || {})) {
+            this.visitedByContinent.set(Number(continentIndex), new Set(cells));
+        }
+        if (!this.visitedByContinent.has(this.continentIndex)) {
+            this.visitedByContinent.set(this.continentIndex, new Set());
+        }
+        this.visitedCells = this.visitedByContinent.get(this.continentIndex);
     }
 
     /**
@@ -521,7 +780,7 @@ export class MapOverlay {
 
     _updateHUD() {
         this.hud.textContent =
-            `Map  |  WASD: Pan  |  Scroll: Zoom  |  C: Center  |  Tab: Close` +
+            `Map  |  WASD: Pan  |  Scroll: Zoom  |  C: Center  |  L: Danger${this.showDanger ? ' (on)' : ''}  |  Tab: Close` +
             `\nPosition: ${Math.round(this.viewX)}, ${Math.round(this.viewZ)}  |  Zoom: ${this.zoom.toFixed(1)}x`;
     }
 
@@ -5,15 +5,19 @@
  * - Initial world load
  * - When player catches up to terrain generation
  * - Teleportation
+ * - Sailing between continents (with a custom title)
  * 
  * Progress is shown as percentage based on minimum safe chunks needed
  * to unpause the game (not total world chunks).
  */
+const DEFAULT_TITLE = 'Loading Terrain...';
+
 export class LoadingOverlay {
     constructor() {
         this.element = null;
         this.progressBar = null;
         this.progressText = null;
+        this.titleText = null;
         this.visible = false;
         
         this.createOverlay();
@@ -48,13 +52,14 @@ export class LoadingOverlay {
 
         // Title
         const title = document.createElement('div');
-        title.textContent = 'Loading Terrain...';
+        title.textContent = DEFAULT_TITLE;
         title.style.cssText = `
             font-size: 24px;
             margin-bottom: 20px;
             color: #4ade80;
         `;
         content.appendChild(title);
+        this.titleText = title;
 
         // Progress bar container
         const progressContainer = document.createElement('div');
@@ -121,6 +126,14 @@ export class LoadingOverlay {
         this.progressText.textContent = `${Math.floor(percent)}%`;
     }
 
+    /**
+     * Change the title line (e.g. while sailing)
+     * @param {string} [title] - Title text, or omit for the default
+     */
+    setTitle(title = DEFAULT_TITLE) {
+        this.titleText.textContent = title;
+    }
+
     /**
      * Check if overlay is visible
      */
@@ -156,6 +156,9 @@ export class PerformanceMonitor {
                 <div>Generated: ${ws.totalGenerated} <span style="color: #888">(${ws.totalCancelled} cancelled)</span></div>
                 <div>Avg time: ${ws.avgGenTime}ms</div>
             `;
+            if (ws.climate) {
+                html += `<div>Climate tex: ${ws.climate.noiseGenTime.toFixed(1)} → ${ws.climate.textureGenTime.toFixed(1)}ms (${ws.climate.speedup.toFixed(2)}x)</div>`;
+            }
         } else {
             html += `<div>Queue: <span style="color: ${pendingColor}">${this.metrics.pendingChunks} pending</span></div>`;
         }
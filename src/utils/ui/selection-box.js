@@ -0,0 +1,36 @@
+/**
+ * SelectionBox - Screen-space rectangle drawn while box-selecting golems
+ *
+ * Purely visual; selection itself is handled by GolemCommander.
+ */
+export class SelectionBox {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.id = 'selection-box';
+        this.element.style.cssText = `
+            position: fixed;
+            display: none;
+            border: 1px solid #4ade80;
+            background: rgba(74, 222, 128, 0.15);
+            z-index: 1000;
+            pointer-events: none;
+        `;
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Show the box covering a screen rectangle
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Client pixels
+     */
+    show(rect) {
+        this.element.style.left = `${rect.left}px`;
+        this.element.style.top = `${rect.top}px`;
+        this.element.style.width = `${rect.right - rect.left}px`;
+        this.element.style.height = `${rect.bottom - rect.top}px`;
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+}
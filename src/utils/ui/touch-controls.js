@@ -1,6 +1,8 @@
 // Touch controls for mobile devices
 // Provides virtual buttons and joystick for iPad/mobile gameplay
 
+import { ABILITIES } from '../../combat/abilities.js';
+
 export class TouchControls {
     constructor(game) {
         this.game = game;
@@ -181,6 +183,32 @@ export class TouchControls {
         container.appendChild(mountBtn);
         this.buttons.mount = mountBtn;
 
+        // Inventory button (next to mount)
+        const bagBtn = this.createButton('BAG', 'left: 110px; bottom: 170px;');
+        bagBtn.style.width = '60px';
+        bagBtn.style.height = '50px';
+        bagBtn.style.borderRadius = '25px';
+        bagBtn.style.fontSize = '11px';
+        bagBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.game.inventoryScreen?.toggle();
+        });
+        container.appendChild(bagBtn);
+        this.buttons.bag = bagBtn;
+
+        // Crafting button (next to bag)
+        const craftBtn = this.createButton('CRAFT', 'left: 180px; bottom: 170px;');
+        craftBtn.style.width = '60px';
+        craftBtn.style.height = '50px';
+        craftBtn.style.borderRadius = '25px';
+        craftBtn.style.fontSize = '11px';
+        craftBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.game.craftingScreen?.toggle();
+        });
+        container.appendChild(craftBtn);
+        this.buttons.craft = craftBtn;
+
         // Weapon swap button (right side, between jump and attack)
         const weaponBtn = this.createButton('BOW', 'right: 120px; bottom: 85px;');
         weaponBtn.style.width = '60px';
@@ -194,6 +222,21 @@ export class TouchControls {
         });
         container.appendChild(weaponBtn);
         this.buttons.weapon = weaponBtn;
+
+        // Ability buttons (row above jump), cast straight ahead of the hero
+        this.buttons.abilities = ABILITIES.map((ability, slot) => {
+            const right = 30 + (ABILITIES.length - 1 - slot) * 58;
+            const abilityBtn = this.createButton(ability.icon, `right: ${right}px; bottom: 190px;`);
+            abilityBtn.style.width = '50px';
+            abilityBtn.style.height = '50px';
+            abilityBtn.style.fontSize = '20px';
+            abilityBtn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.game.useAbility(slot);
+            });
+            container.appendChild(abilityBtn);
+            return abilityBtn;
+        });
     }
 
     createButton(label, position) {
@@ -402,6 +445,7 @@ export class TouchControls {
 
         this.updateMountButton();
         this.updateWeaponButton();
+        this.updateAbilityButtons();
 
         if (!this.joystick.active) return;
 
@@ -485,6 +529,26 @@ export class TouchControls {
         this.buttons.weapon.textContent = hero.activeWeapon === 'bow' ? 'BOW' : 'SWORD';
     }
 
+    /**
+     * Dim ability buttons that are locked, cooling down or unaffordable
+     */
+    updateAbilityButtons() {
+        const abilities = this.game.abilities;
+        if (!this.buttons.abilities || !abilities) return;
+
+        this.buttons.abilities.forEach((btn, slot) => {
+            const ability = ABILITIES[slot];
+            if (!abilities.isUnlocked(ability)) {
+                btn.textContent = `${ability.unlockLevel}`;
+                btn.style.opacity = '0.3';
+                return;
+            }
+            const cooldown = abilities.cooldowns[ability.id];
+            btn.textContent = cooldown > 0 ? `${Math.ceil(cooldown)}` : ability.icon;
+            btn.style.opacity = abilities.canUse(ability) ? '1' : '0.5';
+        });
+    }
+
     destroy() {
         const container = document.getElementById('touch-controls');
         if (container) {
@@ -209,6 +209,10 @@ export function generateObjectInstances(terrainProvider, chunkX, chunkZ, seed, w
                 continue;
             }
 
+            // Keep roads and their verges clear
+            const road = terrainProvider.getRoadInfo?.(x, z);
+            if (road && road.distance < road.halfWidth + 1) continue;
+
             const biome = terrainProvider.getBiome(x, z);
 
             // Place at cell center for consistent positioning
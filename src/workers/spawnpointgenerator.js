@@ -5,27 +5,18 @@
  * external dependencies (no Three.js, no DOM, etc.)
  *
  * Generates spawn points based on:
- * - Biome-based wilderness spawns (hash-based density per chunk)
+ * - Biome-based wilderness spawns (hash-based density per chunk, from
+ *   each biome's mobDensity)
  * - Landmark-specific spawns (temple guardians, etc.)
  *
  * All spawn points are deterministic based on world seed + position.
  */
 
-import { BIOMES } from '../world/terrain/biomesystem.js';
+import { BIOMES, getMobSpawnDensity } from '../world/terrain/biomesystem.js';
 
 // Chunk size constant (must match terrain system)
 const CHUNK_SIZE = 16;
 
-// Spawn density by biome (spawn points per chunk, approximately)
-const BIOME_SPAWN_DENSITY = {
-    ocean: 0,
-    plains: 0.02,
-    desert: 0.015,
-    snow: 0.015,
-    mountains: 0.01,
-    jungle: 0.02
-};
-
 // Default spawn point configuration
 const DEFAULT_SPAWN_CONFIG = {
     radius: 2,          // Spawn radius around point
@@ -55,7 +46,7 @@ const LANDMARK_SPAWN_CONFIG = {
  * @param {Object} terrainProvider - Provides terrain queries (getHeight, getBiome)
  * @param {number} chunkX - Chunk X coordinate
  * @param {number} chunkZ - Chunk Z coordinate
- * @param {Object} landmarkSystem - Provides landmark queries (getLandmarksForChunk)
+ * @param {Object} landmarkSystem - Provides landmark queries (getLandmarksForChunk, isInSettlement)
  * @param {Function} hashFn - Hash function for deterministic randomness
  * @returns {Array} Array of spawn point objects
  */
@@ -64,10 +55,10 @@ export function generateSpawnPoints(terrainProvider, chunkX, chunkZ, landmarkSys
     const worldX = chunkX * CHUNK_SIZE;
     const worldZ = chunkZ * CHUNK_SIZE;
 
-    // Generate biome-based wilderness spawn points
+    // Generate biome-based wilderness spawn points (none inside settlements)
     const biomeSpawns = generateBiomeSpawnPoints(
         terrainProvider, chunkX, chunkZ, worldX, worldZ, hashFn
-    );
+    ).filter(sp => !landmarkSystem?.isInSettlement(sp.x, sp.z));
     spawnPoints.push(...biomeSpawns);
 
     // Generate landmark-specific spawn points
@@ -97,8 +88,8 @@ function generateBiomeSpawnPoints(terrainProvider, chunkX, chunkZ, worldX, world
     const centerZ = worldZ + CHUNK_SIZE / 2;
     const biome = terrainProvider.getBiome(centerX, centerZ);
 
-    // Get spawn density for this biome
-    const density = BIOME_SPAWN_DENSITY[biome] || 0;
+    // Get spawn density for this biome (from the BIOMES table)
+    const density = getMobSpawnDensity(biome);
     if (density === 0) return spawnPoints;
 
     // Use hash to determine number of spawn points (0-3 per chunk)
@@ -60,13 +60,14 @@ import {
     getContinentalNoise,
     PEAK_BIOMES,
     selectBiomeFromWhittaker,
-    applySubBiomeVariation
+    applySubBiomeVariation,
+    getClimate
 } from '../world/terrain/terraincore.js';
 import { ContinentState, COAST_ZONES } from '../world/terrain/continentstate.js';
 import { smoothstep, lerp } from '../world/terrain/continentshape.js';
 import { evaluateEnvelope } from '../world/terrain/elevationenvelope.js';
-import { evaluateClimate } from '../world/terrain/climategeography.js';
 import { WorkerLandmarkSystem } from '../world/landmarks/workerlandmarksystem.js';
+import { getNamingSeed, generateZoneNames } from '../worldgen/placenames.js';
 import { generateSpawnPoints } from './spawnpointgenerator.js';
 import { generateObjectInstances } from './objectspawner.js';
 
@@ -126,13 +127,25 @@ function getBiomeHeightScale(biomeData) {
 // ============================================================================
 
 class WorkerTerrainProvider {
-    constructor(seed, continentConfig = null) {
+    /**
+     * @param {number} seed - Terrain seed
+     * @param {Object|null} continentConfig - Continental mode config
+     * @param {Object} storedTextures - Previously baked continent textures { climate, erosion },
+     *   each { data, width, height }
+     */
+    constructor(seed, continentConfig = null, storedTextures = {}) {
         this.seed = seed;
         this.heightCache = new Map();
         this.continuousHeightCache = new Map();
         this.biomeCache = new Map();
         this.riverInfluenceCache = new Map();
         this.destroyedBlocks = new Set();
+
+        // Player-placed blocks: "x,y,z" -> block type, plus a per-column index
+        // ("x,z" -> Map of y -> block type) for mesh generation
+        this.placedBlocks = new Map();
+        this.placedColumns = new Map();
+
         this.landmarkSystem = new WorkerLandmarkSystem(this, seed);
 
         // Ephemeral heightfield holes from explosions
@@ -147,13 +160,202 @@ class WorkerTerrainProvider {
                 continentConfig.baseRadius || 2000,
                 continentConfig.template || 'default'
             );
+            // Climate first: biome selection (and so every height) samples it
+            this.bakedTextures = new Set();
+            if (this.continentState.buildClimate(storedTextures.climate)) {
+                this.bakedTextures.add('climate');
+            }
+            if (this.buildErosion(storedTextures.erosion)) {
+                this.bakedTextures.add('erosion');
+            }
+            this.buildRoadNetwork();
+            this.buildSettlements();
+        }
+    }
+
+    /**
+     * Erode the continent (or restore a stored erosion texture). Runs before
+     * the road network so roads are routed over the carved valleys.
+     * @param {Object|null} stored - Stored texture { data, width, height }
+     * @returns {boolean} True if erosion was simulated rather than restored
+     */
+    buildErosion(stored) {
+        const simulated = this.continentState.buildErosion(
+            (x, z) => this.getContinuousHeight(Math.round(x), Math.round(z)),
+            WATER_LEVEL,
+            stored
+        );
+
+        // Heights sampled for the simulation were uneroded
+        this.heightCache.clear();
+        this.continuousHeightCache.clear();
+        this.biomeCache.clear();
+        this.riverInfluenceCache.clear();
+        this.continentState.clearCaches();
+        return simulated;
+    }
+
+    /**
+     * Copies of the textures baked (not restored) at init, for persistence
+     * on the main thread
+     * @returns {Object} Texture type -> { data: Float32Array, width, height }
+     */
+    getBakedTextureData() {
+        const textures = {
+            climate: this.continentState.climateTexture,
+            erosion: this.continentState.erosionTexture
+        };
+        const result = {};
+        for (const type of this.bakedTextures) {
+            const texture = textures[type];
+            result[type] = { data: texture.data.slice(), width: texture.width, height: texture.height };
+        }
+        return result;
+    }
+
+    /**
+     * Time chunk generation with per-column climate noise against the baked
+     * climate texture, on an inland chunk (best of three runs each, after a
+     * warm-up run so landmark generation doesn't skew the first). Only run
+     * when the texture was just baked, so loading a saved world stays fast.
+     * @returns {{ noiseMs: number, textureMs: number }}
+     */
+    benchmarkClimate() {
+        const site = this.continentState.roadNetwork.settlements.find(s => s.size !== 'harbor')
+            || this.continentState.startPosition;
+        const chunkX = Math.floor(site.x / CHUNK_SIZE);
+        const chunkZ = Math.floor(site.z / CHUNK_SIZE);
+        this.prepareLandmarksForChunk(chunkX, chunkZ);
+
+        const time = () => {
+            this.heightCache.clear();
+            this.continuousHeightCache.clear();
+            this.biomeCache.clear();
+            this.riverInfluenceCache.clear();
+            const start = performance.now();
+            generateChunkData(this, chunkX, chunkZ, false);
+            return performance.now() - start;
+        };
+
+        // Alternate the two so JIT warm-up doesn't favour either
+        const texture = this.continentState.climateTexture;
+        let noiseMs = Infinity;
+        let textureMs = Infinity;
+        time();
+        for (let run = 0; run < 3; run++) {
+            this.continentState.climateTexture = null;
+            noiseMs = Math.min(noiseMs, time());
+            this.continentState.climateTexture = texture;
+            textureMs = Math.min(textureMs, time());
         }
+
+        this.heightCache.clear();
+        this.continuousHeightCache.clear();
+        this.biomeCache.clear();
+        this.riverInfluenceCache.clear();
+        return { noiseMs, textureMs };
+    }
+
+    /**
+     * Climate inputs for biome selection: from the baked climate texture in
+     * continental mode, otherwise evaluated from noise
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {{ temperature: number, humidity: number, elevation: number }}
+     */
+    getClimateInputs(x, z) {
+        return this.continentState?.sampleClimate(x, z)
+            ?? getClimate(x, z, this.seed, this.continentState?.climateParams ?? null);
+    }
+
+    /**
+     * Route the continent's roads over this provider's terrain.
+     * Sampling warms the height/biome caches across the whole island, so
+     * they are cleared afterwards.
+     */
+    buildRoadNetwork() {
+        this.continentState.buildRoadNetwork({
+            getHeight: (x, z) => this.getContinuousHeight(Math.round(x), Math.round(z)),
+            isWater: (x, z) => {
+                const ix = Math.round(x);
+                const iz = Math.round(z);
+                return this.getContinuousHeight(ix, iz) < WATER_LEVEL || this.isRiver(ix, iz) || this.isLake(ix, iz);
+            }
+        }, WATER_LEVEL);
+
+        this.heightCache.clear();
+        this.continuousHeightCache.clear();
+        this.biomeCache.clear();
+        this.riverInfluenceCache.clear();
+        this.continentState.clearCaches();
+    }
+
+    /**
+     * Build the voxel settlements at the road network's sites, named from
+     * the continent's naming palette (one zone name per site)
+     */
+    buildSettlements() {
+        const sites = this.continentState.roadNetwork.settlements;
+        const zoneNames = generateZoneNames(getNamingSeed(this.seed), this.continentState.template, sites.length);
+        const names = sites.map((site, i) => site.size === 'harbor' ? `${zoneNames[i]} Harbor` : zoneNames[i]);
+
+        const start = performance.now();
+        const settlements = this.landmarkSystem.addSettlements(sites, names, WATER_LEVEL);
+        const structures = settlements.reduce((sum, s) => sum + s.structures.length, 0);
+        console.log(`[WORKER] Settlements: ${settlements.map(s => s.name).join(', ')} (${structures} structures in ${(performance.now() - start).toFixed(1)}ms)`);
+    }
+
+    /**
+     * Settlement summaries for the main thread (no voxel data)
+     * @returns {Array<{id, name, size, x, z, radius, height, anchors}>}
+     */
+    getSettlementSummaries() {
+        return this.landmarkSystem.settlements.map(({ id, name, size, x, z, radius, height, anchors }) => ({
+            id, name, size, x, z, radius, height, anchors
+        }));
+    }
+
+    /**
+     * Nearest road affecting a column (null off-road or in infinite terrain mode)
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Object|null} See RoadNetwork.getRoadInfo
+     */
+    getRoadInfo(x, z) {
+        return this.continentState ? this.continentState.getRoadInfo(x, z) : null;
     }
 
     setDestroyedBlocks(blocks) {
         this.destroyedBlocks = new Set(blocks);
     }
 
+    /**
+     * Set player-placed blocks from main thread
+     * @param {Array<[string, string]>} blocks - Entries of ["x,y,z", blockType]
+     */
+    setPlacedBlocks(blocks) {
+        this.placedBlocks = new Map(blocks);
+        this.placedColumns.clear();
+        for (const [key, blockType] of this.placedBlocks) {
+            const [x, y, z] = key.split(',').map(Number);
+            const columnKey = `${x},${z}`;
+            if (!this.placedColumns.has(columnKey)) {
+                this.placedColumns.set(columnKey, new Map());
+            }
+            this.placedColumns.get(columnKey).set(y, blockType);
+        }
+    }
+
+    /**
+     * Get player-placed blocks in a column
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Map<number, string>|null} Map of y -> block type, or null if none
+     */
+    getPlacedBlocksInColumn(x, z) {
+        return this.placedColumns.get(`${x},${z}`) || null;
+    }
+
     /**
      * Set heightfield holes from main thread
      * @param {Object} holesData - Object with chunkKey -> array of "lx,lz" strings
@@ -193,8 +395,7 @@ class WorkerTerrainProvider {
      * @returns {boolean} True if lake exists here
      */
     hasRawLake(x, z) {
-        const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, this.seed));
-        const elevation = normalizeNoise(elevationNoise);
+        const { elevation } = this.getClimateInputs(x, z);
         if (elevation > 0.55) return false;
 
         const lakeNoiseRaw = octaveNoise2D(x, z, 2, 0.02, (nx, nz) => hash(nx, nz, this.seed + 66666));
@@ -259,8 +460,7 @@ class WorkerTerrainProvider {
             if (coastInfo.zone === COAST_ZONES.BEACH) {
                 // Check if this should be a cliff coast (rock) instead of sandy beach
                 // Use elevation noise to detect high terrain without causing recursion
-                const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, this.seed));
-                const elevation = normalizeNoise(elevationNoise);
+                const { elevation } = this.getClimateInputs(x, z);
                 // High elevation (>0.5) indicates mountainous terrain = cliff coast
                 if (elevation > 0.5) {
                     // Cliff coast: use rock texture, not sand
@@ -310,25 +510,12 @@ class WorkerTerrainProvider {
         }
 
         // Land biomes: use Whittaker climate-based selection
-        const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, this.seed));
-        const tempNoise = octaveNoise2D(x, z, 4, 0.018, (nx, nz) => hash2(nx, nz, this.seed));
-        const humidityNoise = octaveNoise2D(x, z, 3, 0.012, (nx, nz) => hash(nx, nz, this.seed + 77777));
-
-        // Normalize to [0, 1] with smoothstep redistribution
-        const elevation = normalizeNoise(elevationNoise);
-        let temp = normalizeNoise(tempNoise);
-        let humidity = normalizeNoise(humidityNoise);
-
-        // Apply climate geography modulation (continental mode only)
-        const tempFloor = this.continentState?.climateParams ? this.continentState.climateParams.tempRange[0] : 0;
-        if (this.continentState?.climateParams) {
-            const climate = evaluateClimate(x, z, temp, humidity, this.continentState.climateParams, elevation);
-            temp = climate.temperature;
-            humidity = climate.humidity;
-        }
+        // (climate geography modulation is included in continental mode)
+        const { temperature, humidity, elevation } = this.getClimateInputs(x, z);
 
         // Whittaker-based selection (tempFloor prevents elevation cooling below template minimum)
-        let biome = selectBiomeFromWhittaker(temp, humidity, elevation, tempFloor);
+        const tempFloor = this.continentState?.climateParams ? this.continentState.climateParams.tempRange[0] : 0;
+        let biome = selectBiomeFromWhittaker(temperature, humidity, elevation, tempFloor);
 
         // Apply sub-biome variation for natural patchiness
         biome = applySubBiomeVariation(biome, x, z, this.seed);
@@ -540,6 +727,13 @@ class WorkerTerrainProvider {
             height += jungleHillNoise * 4 * envelopeAmpScale;
         }
 
+        // Baked erosion (continental mode): carved valleys and alluvial fans.
+        // Dry land may be lowered to just above sea level, never below it.
+        if (this.continentState && height > WATER_LEVEL) {
+            const erosionDelta = this.continentState.getErosionDelta(x, z);
+            height = Math.max(height + erosionDelta, Math.min(height, WATER_LEVEL + 1));
+        }
+
         // River valley carving (graduated with sloped banks, proportional depth)
         if (biome !== 'ocean' && biome !== 'deep_ocean') {
             const riverInfo = this.getRiverInfluence(x, z);
@@ -766,8 +960,7 @@ class WorkerTerrainProvider {
         }
 
         // Elevation filter: allow mountain streams up to 0.70, block above
-        const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, this.seed));
-        const elevation = normalizeNoise(elevationNoise);
+        const { elevation } = this.getClimateInputs(x, z);
         if (elevation > 0.70) {
             this.riverInfluenceCache.set(key, null);
             return null;
@@ -888,8 +1081,14 @@ class WorkerTerrainProvider {
         // Bedrock layer at y=0 is always indestructible
         if (y === 0) return 'bedrock';
 
+        const blockKey = `${x},${y},${z}`;
+
+        // Player-placed blocks override generated terrain
+        const placedBlock = this.placedBlocks.get(blockKey);
+        if (placedBlock !== undefined) return placedBlock;
+
         // Destroyed blocks return null (air) - but bedrock cannot be destroyed
-        if (this.destroyedBlocks.has(`${x},${y},${z}`)) return null;
+        if (this.destroyedBlocks.has(blockKey)) return null;
 
         const landmarkBlock = this.landmarkSystem.getLandmarkBlockType(x, y, z);
         if (landmarkBlock !== null) {
@@ -1026,6 +1225,9 @@ function doGenerateChunk(data) {
     if (data.destroyedBlocks) {
         terrainProvider.setDestroyedBlocks(data.destroyedBlocks);
     }
+    if (data.placedBlocks) {
+        terrainProvider.setPlacedBlocks(data.placedBlocks);
+    }
 
     terrainProvider.prepareLandmarksForChunk(data.chunkX, data.chunkZ);
 
@@ -1092,7 +1294,7 @@ self.onmessage = function(e) {
         case 'init':
             // Extract continental config if provided
             const continentConfig = data.continent || null;
-            terrainProvider = new WorkerTerrainProvider(data.seed, continentConfig);
+            terrainProvider = new WorkerTerrainProvider(data.seed, continentConfig, data.textures || {});
 
             // Set dithering mode based on texture blending tier
             useDithering = (data.textureBlending === 'low');
@@ -1142,9 +1344,15 @@ self.onmessage = function(e) {
             const readyResponse = { type: 'ready' };
             if (terrainProvider.continentState) {
                 readyResponse.startPosition = terrainProvider.continentState.startPosition;
+                readyResponse.settlements = terrainProvider.getSettlementSummaries();
+                if (terrainProvider.bakedTextures.has('climate')) {
+                    readyResponse.climateBenchmark = terrainProvider.benchmarkClimate();
+                }
+                // Freshly baked textures go back to be persisted
+                readyResponse.textures = terrainProvider.getBakedTextureData();
                 console.log(`[WORKER] Continental mode: start position at (${readyResponse.startPosition.x.toFixed(0)}, ${readyResponse.startPosition.z.toFixed(0)})`);
             }
-            self.postMessage(readyResponse);
+            self.postMessage(readyResponse, Object.values(readyResponse.textures || {}).map(t => t.data.buffer));
             break;
 
         case 'generateChunk':
@@ -1171,6 +1379,12 @@ self.onmessage = function(e) {
             }
             break;
 
+        case 'updatePlacedBlocks':
+            if (terrainProvider) {
+                terrainProvider.setPlacedBlocks(data.blocks);
+            }
+            break;
+
         case 'updateHeightfieldHoles':
             if (terrainProvider) {
                 terrainProvider.setHeightfieldHoles(data.holes);
@@ -21,11 +21,15 @@
 import * as THREE from 'three';
 import { ChunkBlockCache, CHUNK_SIZE } from '../world/chunkblockcache.js';
 import { LandmarkRegistry } from '../world/landmarks/landmarkregistry.js';
+import { ClearingRegistry } from '../world/terrain/clearingregistry.js';
 import { MainThreadTerrainProvider } from '../world/terrain/mainthreadterrainprovider.js';
 import { generateSurfaceMesh, generateVoxelMesh, generateWaterMesh } from '../world/terrain/chunkdatagenerator.js';
 // DEBUG: Set to true to see cancellation logging
 const DEBUG_CANCELLATION = false;
 
+// Regeneration requests jump ahead of distance-based loads (priority >= 0)
+const REGENERATION_PRIORITY = -1;
+
 export class TerrainWorkerManager {
     constructor(scene, opaqueMaterial, waterMaterial, onChunkReady, surfaceMaterial = null) {
         this.scene = scene;
@@ -44,6 +48,11 @@ export class TerrainWorkerManager {
         this.processingChunks = new Set(); // Keys currently being processed
         this.cancelledChunks = new Set();  // Keys cancelled while processing
 
+        // Regeneration of already-loaded chunks (after gameplay edits)
+        // key -> { promise, resolve } - queued requests are coalesced per chunk
+        this.queuedRegenerations = new Map();
+        this.inflightRegenerations = new Map();
+
         // Terrain data cache - THE source of truth for collision
         this.blockCache = new ChunkBlockCache();
 
@@ -56,13 +65,23 @@ export class TerrainWorkerManager {
         // Continental mode start position (received from worker)
         this.startPosition = null;
 
+        // Settlements (received from worker): names, sizes and vendor /
+        // quest giver anchors, with their footprints in a clearing registry
+        this.settlements = [];
+        this.settlementClearings = new ClearingRegistry();
+
+        // Continent textures the worker baked at init (type -> data), for
+        // the ChunkLoader to persist; restored textures are not sent back
+        this.bakedTextures = {};
+
         // Stats
         this.stats = {
             totalGenerated: 0,
             totalCancelled: 0,
             totalDropped: 0,  // Dropped from queue before processing
             genTimes: [],
-            avgGenTime: 0
+            avgGenTime: 0,
+            climate: null     // Chunk time with climate noise vs baked texture (new bakes only)
         };
 
         // Create worker
@@ -84,6 +103,19 @@ export class TerrainWorkerManager {
             case 'ready':
                 this.isReady = true;
                 // Store continental start position if provided
+                if (data.settlements) {
+                    this.setSettlements(data.settlements);
+                }
+                this.bakedTextures = data.textures || {};
+                if (data.climateBenchmark) {
+                    const { noiseMs, textureMs } = data.climateBenchmark;
+                    this.stats.climate = {
+                        noiseGenTime: noiseMs,
+                        textureGenTime: textureMs,
+                        speedup: noiseMs / textureMs
+                    };
+                    console.log(`Climate texture: chunk generation ${noiseMs.toFixed(1)}ms -> ${textureMs.toFixed(1)}ms (${this.stats.climate.speedup.toFixed(2)}x)`);
+                }
                 if (data.startPosition) {
                     this.startPosition = data.startPosition;
                     console.log(`Terrain worker ready (continental mode, start: ${this.startPosition.x.toFixed(0)}, ${this.startPosition.z.toFixed(0)})`);
@@ -105,6 +137,7 @@ export class TerrainWorkerManager {
                 console.error('Terrain worker error:', data.error);
                 const key = `${data.chunkX},${data.chunkZ}`;
                 this.processingChunks.delete(key);
+                this.settleRegeneration(key, false);
                 this.processQueue();
                 break;
         }
@@ -119,10 +152,12 @@ export class TerrainWorkerManager {
         const key = `${chunkX},${chunkZ}`;
 
         this.processingChunks.delete(key);
+        const regeneration = this.inflightRegenerations.get(key);
 
         // Check if cancelled while processing
         if (this.cancelledChunks.has(key)) {
             this.cancelledChunks.delete(key);
+            this.settleRegeneration(key, false);
             this.stats.totalCancelled++;
             if (DEBUG_CANCELLATION) {
                 console.log(`🚫 CANCELLED chunk ${key} after generation (total: ${this.stats.totalCancelled})`);
@@ -144,6 +179,7 @@ export class TerrainWorkerManager {
             heightmap: chunkData.heightmap,
             voxelMask: chunkData.voxelMask,
             surfaceTypes: chunkData.surfaceTypes,
+            roadPaint: chunkData.roadPaint,
             biomeData: chunkData.biomeData,
             blockData: chunkData.blockData
         });
@@ -154,7 +190,8 @@ export class TerrainWorkerManager {
         }
 
         // Store spawn points if manager is available
-        if (chunkData.spawnPoints && this.spawnPointManager) {
+        // (regenerated chunks keep their existing spawn points and mobs)
+        if (chunkData.spawnPoints && this.spawnPointManager && !regeneration) {
             this.spawnPointManager.addChunkSpawnPoints(chunkX, chunkZ, chunkData.spawnPoints);
         }
 
@@ -162,9 +199,11 @@ export class TerrainWorkerManager {
         const meshes = this.createMeshesFromData(chunkData);
 
         // Notify callback with meshes and static object data
+        let accepted = false;
         if (this.onChunkReady) {
-            this.onChunkReady(chunkX, chunkZ, meshes, chunkData.staticObjects);
+            accepted = this.onChunkReady(chunkX, chunkZ, meshes, chunkData.staticObjects, !!regeneration);
         }
+        this.settleRegeneration(key, accepted === true);
 
         this.processQueue();
     }
@@ -312,8 +351,10 @@ export class TerrainWorkerManager {
      * @param {number} seed - World seed
      * @param {string} textureBlending - 'high' | 'medium' | 'low'
      * @param {Object} continentConfig - Continental mode config { enabled: boolean, baseRadius: number }
+     * @param {Object} textures - Stored continent textures { climate, erosion }, each
+     *   { data, width, height } (skips baking them)
      */
-    init(seed, textureBlending = 'high', continentConfig = null) {
+    init(seed, textureBlending = 'high', continentConfig = null, textures = {}) {
         // Store dithering mode for main thread mesh rebuilds
         this.useDithering = textureBlending === 'low';
 
@@ -321,8 +362,8 @@ export class TerrainWorkerManager {
             this.readyResolve = resolve;
             this.worker.postMessage({
                 type: 'init',
-                data: { seed, textureBlending, continent: continentConfig }
-            });
+                data: { seed, textureBlending, continent: continentConfig, textures }
+            }, Object.values(textures).map(texture => texture.data.buffer));
         });
     }
 
@@ -360,6 +401,53 @@ export class TerrainWorkerManager {
         this.processQueue();
     }
 
+    /**
+     * Request regeneration of an already-loaded chunk
+     * Runs ahead of normal loads. Requests for a chunk that is still queued are
+     * coalesced (latest context wins); a request made while the chunk is being
+     * generated queues one follow-up so the edit is always included.
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Object} context - Additional context (destroyed/placed blocks)
+     * @returns {Promise<boolean>} Resolves true once the new meshes are swapped
+     *   in, false if the request was cancelled or failed
+     */
+    requestRegeneration(chunkX, chunkZ, context = {}) {
+        const key = `${chunkX},${chunkZ}`;
+
+        const queued = this.queuedRegenerations.get(key);
+        if (queued) {
+            this.pendingRequests.get(key).context = context;
+            return queued.promise;
+        }
+
+        const regeneration = {};
+        regeneration.promise = new Promise(resolve => {
+            regeneration.resolve = resolve;
+        });
+        this.queuedRegenerations.set(key, regeneration);
+
+        // Replaces any pending load for this chunk
+        this.pendingRequests.set(key, { chunkX, chunkZ, priority: REGENERATION_PRIORITY, context, regeneration });
+        this.processQueue();
+
+        return regeneration.promise;
+    }
+
+    /**
+     * Resolve the in-flight regeneration promise for a chunk, if any
+     * @param {string} key - Chunk key "chunkX,chunkZ"
+     * @param {boolean} swapped - True if the new meshes were swapped in
+     */
+    settleRegeneration(key, swapped) {
+        const regeneration = this.inflightRegenerations.get(key);
+        if (regeneration) {
+            this.inflightRegenerations.delete(key);
+            regeneration.resolve(swapped);
+        }
+    }
+
     /**
      * Cancel a pending or processing chunk request
      */
@@ -368,12 +456,16 @@ export class TerrainWorkerManager {
 
         // Remove from pending queue
         if (this.pendingRequests.has(key)) {
+            const request = this.pendingRequests.get(key);
+            if (request.regeneration) {
+                this.queuedRegenerations.delete(key);
+                request.regeneration.resolve(false);
+            }
             this.pendingRequests.delete(key);
             this.stats.totalDropped++;
             if (DEBUG_CANCELLATION) {
                 console.log(`🗑️ DROPPED chunk ${key} from queue (total: ${this.stats.totalDropped})`);
             }
-            return;
         }
 
         // Mark as cancelled if currently processing
@@ -412,13 +504,19 @@ export class TerrainWorkerManager {
         this.pendingRequests.delete(bestKey);
         this.processingChunks.add(bestKey);
 
+        if (request.regeneration) {
+            this.queuedRegenerations.delete(bestKey);
+            this.inflightRegenerations.set(bestKey, request.regeneration);
+        }
+
         // Send to worker
         this.worker.postMessage({
             type: 'generateChunk',
             data: {
                 chunkX: request.chunkX,
                 chunkZ: request.chunkZ,
-                destroyedBlocks: request.context.destroyedBlocks || []
+                destroyedBlocks: request.context.destroyedBlocks || [],
+                placedBlocks: request.context.placedBlocks || []
             }
         });
     }
@@ -438,6 +536,29 @@ export class TerrainWorkerManager {
         return this.blockCache.getGroundHeight(x, z);
     }
 
+    /**
+     * Store the worker's settlements and register their footprints
+     * @param {Array} settlements - Settlement summaries from the worker
+     */
+    setSettlements(settlements) {
+        this.settlements = settlements;
+        this.settlementClearings.clear();
+        for (const settlement of settlements) {
+            this.settlementClearings.addCircle(settlement.x, settlement.z, settlement.radius, settlement.id);
+        }
+    }
+
+    /**
+     * Settlement whose footprint contains a position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {Object|null} Settlement summary { id, name, size, x, z, radius, height, anchors }
+     */
+    getSettlementAt(x, z) {
+        const id = this.settlementClearings.getClearingAt(x, z);
+        return id ? this.settlements.find(settlement => settlement.id === id) : null;
+    }
+
     /**
      * Check if a chunk has been loaded
      */
@@ -470,6 +591,17 @@ export class TerrainWorkerManager {
         });
     }
 
+    /**
+     * Update player-placed blocks in worker
+     * @param {Map<string, string>} blocks - Map of "x,y,z" -> block type
+     */
+    updatePlacedBlocks(blocks) {
+        this.worker.postMessage({
+            type: 'updatePlacedBlocks',
+            data: { blocks: Array.from(blocks) }
+        });
+    }
+
     /**
      * Sync heightfield holes to worker
      * Converts the Map of Sets to a serializable format
@@ -528,7 +660,8 @@ export class TerrainWorkerManager {
             terrainProvider,
             chunkX,
             chunkZ,
-            this.useDithering
+            this.useDithering,
+            chunk.roadPaint
         );
 
         const { opaque } = generateVoxelMesh(
@@ -554,4 +687,31 @@ export class TerrainWorkerManager {
             worldZ
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Stop the worker and drop all queued work and cached terrain
+     * Pending regenerations resolve false. The manager cannot be reused.
+     */
+    dispose() {
+        for (const { resolve } of this.queuedRegenerations.values()) {
+            resolve(false);
+        }
+        for (const { resolve } of this.inflightRegenerations.values()) {
+            resolve(false);
+        }
+        this.queuedRegenerations.clear();
+        this.inflightRegenerations.clear();
+        this.pendingRequests.clear();
+        this.processingChunks.clear();
+        this.cancelledChunks.clear();
+        this.blockCache.clear();
+        this.landmarkRegistry.clear();
+        this.settlementClearings.clear();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.isReady = false;
+    }
+}
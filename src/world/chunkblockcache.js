@@ -136,6 +136,7 @@ export class ChunkBlockData {
         this.heightmap = data.heightmap;       // Float32Array - continuous heights
         this.voxelMask = data.voxelMask;       // Uint8Array - 0=smooth, 1=voxel
         this.surfaceTypes = data.surfaceTypes; // Uint8Array - surface block types
+        this.roadPaint = data.roadPaint;       // { weights, tiles } per vertex - road surface paint
 
         // Biome data
         this.biomeData = data.biomeData;       // Uint8Array - biome IDs per cell
@@ -303,10 +304,15 @@ export class ChunkBlockCache {
         // Map of "chunkX,chunkZ" -> ChunkBlockData
         this.chunks = new Map();
 
-        // Ephemeral heightfield holes created by explosions
+        // Heightfield holes created by explosions
         // Map of "chunkX,chunkZ" -> Set of "lx,lz" strings (local coordinates)
-        // Cleared when chunk unloads, not persisted
+        // Kept across chunk unloads and persisted by ChunkLoader as chunk edits
         this.heightfieldHoles = new Map();
+
+        // Player-placed blocks, indexed by column for collision and meshing
+        // Map of "x,z" -> Map of y -> block type name (world coordinates)
+        // Kept across chunk unloads; the worker re-applies them on regeneration
+        this.placedBlocks = new Map();
     }
 
     /**
@@ -329,6 +335,16 @@ export class ChunkBlockCache {
         this.heightfieldHoles.get(chunkKey).add(holeKey);
     }
 
+    /**
+     * Replace heightfield holes for a chunk (used when restoring saved edits)
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Iterable<string>} holes - "lx,lz" local hole coordinates
+     */
+    setHeightfieldHoles(chunkX, chunkZ, holes) {
+        this.heightfieldHoles.set(`${chunkX},${chunkZ}`, new Set(holes));
+    }
+
     /**
      * Get heightfield holes for a chunk
      * @param {number} chunkX - Chunk X coordinate
@@ -404,7 +420,77 @@ export class ChunkBlockCache {
     }
 
     /**
-     * Clear heightfield holes for a chunk (called on unload)
+     * Place a block in the cache
+     * Records it in the placed-block index and, if the chunk is loaded,
+     * writes it into blockData for immediate mesh regeneration
+     * @param {number} worldX - World X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {string} blockType - Block type name (key of BLOCK_TYPE_IDS)
+     * @returns {boolean} True if block was placed, false if out of range
+     */
+    placeBlockAt(worldX, y, worldZ, blockType) {
+        if (y <= 0 || y >= MAX_HEIGHT) return false;
+
+        const x = Math.floor(worldX);
+        const z = Math.floor(worldZ);
+        const columnKey = `${x},${z}`;
+
+        if (!this.placedBlocks.has(columnKey)) {
+            this.placedBlocks.set(columnKey, new Map());
+        }
+        this.placedBlocks.get(columnKey).set(y, blockType);
+
+        const chunk = this.getChunkAt(x, z);
+        if (chunk) {
+            const index = getBlockIndex(x - chunk.worldMinX, y, z - chunk.worldMinZ);
+            chunk.blockData[index] = getBlockTypeId(blockType);
+        }
+        return true;
+    }
+
+    /**
+     * Remove a block from the placed-block index
+     * Does not touch blockData - use destroyBlockAt() for that
+     * @param {number} worldX - World X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {boolean} True if a placed block was removed
+     */
+    removePlacedBlock(worldX, y, worldZ) {
+        const columnKey = `${Math.floor(worldX)},${Math.floor(worldZ)}`;
+        const column = this.placedBlocks.get(columnKey);
+        if (!column || !column.delete(y)) return false;
+
+        if (column.size === 0) {
+            this.placedBlocks.delete(columnKey);
+        }
+        return true;
+    }
+
+    /**
+     * Get player-placed blocks in a column
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Map<number, string>|null} Map of y -> block type, or null if none
+     */
+    getPlacedBlocksInColumn(worldX, worldZ) {
+        return this.placedBlocks.get(`${Math.floor(worldX)},${Math.floor(worldZ)}`) || null;
+    }
+
+    /**
+     * Check if a column contains player-placed blocks
+     * Such columns use voxel collision so walls and bridges are solid
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {boolean}
+     */
+    hasPlacedBlocks(worldX, worldZ) {
+        return this.placedBlocks.has(`${Math.floor(worldX)},${Math.floor(worldZ)}`);
+    }
+
+    /**
+     * Clear heightfield holes for a chunk
      * @param {number} chunkX - Chunk X coordinate
      * @param {number} chunkZ - Chunk Z coordinate
      */
@@ -425,15 +511,13 @@ export class ChunkBlockCache {
     
     /**
      * Remove terrain data for a chunk (when unloaded)
-     * Clears both chunk data and any ephemeral heightfield holes
+     * Heightfield holes are kept so the chunk regenerates with its craters
      * @param {number} chunkX - Chunk X coordinate
      * @param {number} chunkZ - Chunk Z coordinate
      */
     removeChunk(chunkX, chunkZ) {
         const key = `${chunkX},${chunkZ}`;
         this.chunks.delete(key);
-        // Clear ephemeral heightfield holes when chunk unloads
-        this.clearHeightfieldHoles(chunkX, chunkZ);
     }
     
     /**
@@ -482,6 +566,10 @@ export class ChunkBlockCache {
         if (!chunk) {
             return 0;
         }
+        // Columns with placed blocks stand on the topmost solid voxel
+        if (this.hasPlacedBlocks(x, z)) {
+            return chunk.findVoxelGroundHeight(Math.floor(x) - chunk.worldMinX, Math.floor(z) - chunk.worldMinZ);
+        }
         return chunk.getGroundHeight(x, z);
     }
     
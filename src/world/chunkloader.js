@@ -1,5 +1,10 @@
 import { CHUNK_SIZE } from './terrain/terrainchunks.js';
 import { TerrainWorkerManager } from '../workers/terrainworkermanager.js';
+import { WorldStorage } from '../storage/worldstorage.js';
+import { CONTINENTAL_VERSION } from '../worldgen/continental/versions.js';
+
+// Continent textures the worker bakes once and WorldStorage keeps
+const CONTINENT_TEXTURE_TYPES = ['climate', 'erosion'];
 
 // Chunk loading radii for different draw distances
 // Calculated to provide terrain coverage near fog distance while maintaining performance
@@ -26,7 +31,7 @@ const DRAW_DISTANCE_RADII = {
  * - Loading state detection (shows overlay when player too close to unloaded chunks)
  * - Hysteresis: pause early, but wait for buffer before unpausing
  * - Automatic chunk unloading beyond draw distance
- * - Block modification persistence
+ * - Block modification persistence (per-chunk edits in WorldStorage)
  */
 export class ChunkLoader {
     constructor(worldId, chunkedTerrain, objectGenerator, mobSpawner, drawDistance = 'medium') {
@@ -39,7 +44,10 @@ export class ChunkLoader {
         // Chunk tracking
         this.loadedChunks = new Set();      // Chunks queued or loaded
         this.chunksWithMeshes = new Set();  // Chunks that have meshes
-        this.modifiedChunks = new Map();    // Modified block positions
+        this.modifiedChunks = new Set();    // Chunk keys with edits not yet saved
+
+        // Continent whose edits are loaded/saved (set by WorldManager)
+        this.continentIndex = 0;
 
         // Load radius based on draw distance setting
         const radii = DRAW_DISTANCE_RADII[drawDistance] || DRAW_DISTANCE_RADII.medium;
@@ -61,8 +69,8 @@ export class ChunkLoader {
         // Reference to destroyed blocks (set by WorldManager)
         this.destroyedBlocksRef = null;
 
-        // Load modified chunks from localStorage
-        this.loadModifiedChunks();
+        // Reference to placed blocks map "x,y,z" -> type (set by WorldManager)
+        this.placedBlocksRef = null;
 
         // Stats
         this.chunksLoaded = 0;
@@ -81,13 +89,86 @@ export class ChunkLoader {
             this.chunkedTerrain.scene,
             this.chunkedTerrain.opaqueMaterial,
             this.chunkedTerrain.waterMaterial,
-            (chunkX, chunkZ, meshes, staticObjects) => this.onChunkReady(chunkX, chunkZ, meshes, staticObjects),
+            (chunkX, chunkZ, meshes, staticObjects, isRegeneration) =>
+                this.onChunkReady(chunkX, chunkZ, meshes, staticObjects, isRegeneration),
             this.chunkedTerrain.surfaceMaterial
         );
 
-        await this.workerManager.init(seed, textureBlending, continentConfig);
+        // Reuse this continent's baked textures if they were saved before
+        const textures = {};
+        if (continentConfig?.enabled) {
+            for (const type of CONTINENT_TEXTURE_TYPES) {
+                const texture = await this.loadContinentTexture(seed, type);
+                if (texture) textures[type] = texture;
+            }
+        }
+
+        await this.workerManager.init(seed, textureBlending, continentConfig, textures);
         this.workerReady = true;
         console.log(`ChunkLoader: Worker ready (textureBlending=${textureBlending}, continent=${continentConfig?.enabled ? 'enabled' : 'disabled'})`);
+
+        // Textures the worker had to bake from scratch: keep them for next time
+        for (const [type, texture] of Object.entries(this.workerManager.bakedTextures)) {
+            this.saveContinentTexture(seed, type, texture);
+        }
+        this.workerManager.bakedTextures = {};
+    }
+
+    /**
+     * Texture store key for this loader's continent
+     * @returns {string}
+     */
+    getTextureContinentId() {
+        return this.continentIndex === 0 ? 'main' : `c${this.continentIndex}`;
+    }
+
+    /**
+     * Load one of the continent's stored textures
+     * @param {number} seed - Terrain seed the texture must have been baked for
+     * @param {string} type - Texture type ('climate', 'erosion')
+     * @returns {Promise<{data: Float32Array, width: number, height: number}|null>} Null if missing or stale
+     */
+    async loadContinentTexture(seed, type) {
+        try {
+            const storage = await WorldStorage.getInstance();
+            const record = await storage.getTexture(this.worldId, this.getTextureContinentId(), type);
+            if (!record || record.seed !== seed || record.generationVersion !== CONTINENTAL_VERSION) {
+                return null;
+            }
+            return {
+                data: new Float32Array(record.data),
+                width: record.resolution.width,
+                height: record.resolution.height
+            };
+        } catch (e) {
+            console.warn(`Failed to load ${type} texture:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Persist a texture the worker baked
+     * @param {number} seed - Terrain seed it was baked for
+     * @param {string} type - Texture type ('climate', 'erosion')
+     * @param {{data: Float32Array, width: number, height: number}} texture - Texture data from the worker
+     * @returns {Promise<void>}
+     */
+    async saveContinentTexture(seed, type, texture) {
+        try {
+            const storage = await WorldStorage.getInstance();
+            await storage.saveTexture({
+                worldId: this.worldId,
+                continentId: this.getTextureContinentId(),
+                textureType: type,
+                generationVersion: CONTINENTAL_VERSION,
+                seed,
+                resolution: { width: texture.width, height: texture.height },
+                format: 'float32',
+                data: texture.data.buffer
+            });
+        } catch (e) {
+            console.warn(`Failed to save ${type} texture:`, e);
+        }
     }
 
     /**
@@ -97,8 +178,10 @@ export class ChunkLoader {
      * @param {number} chunkZ - Chunk Z index
      * @param {Object} meshes - Three.js meshes (surfaceMesh, opaqueMesh, waterMesh)
      * @param {Object} staticObjects - Worker-generated object positions (Float32Arrays)
+     * @param {boolean} isRegeneration - True if this replaces an existing chunk's meshes
+     * @returns {boolean} True if the meshes were added to the scene
      */
-    onChunkReady(chunkX, chunkZ, meshes, staticObjects) {
+    onChunkReady(chunkX, chunkZ, meshes, staticObjects, isRegeneration = false) {
         const key = `${chunkX},${chunkZ}`;
 
         // Check if chunk was unloaded while generating
@@ -106,15 +189,20 @@ export class ChunkLoader {
             if (meshes.surfaceMesh) meshes.surfaceMesh.geometry.dispose();
             if (meshes.opaqueMesh) meshes.opaqueMesh.geometry.dispose();
             if (meshes.waterMesh) meshes.waterMesh.geometry.dispose();
-            return;
+            return false;
         }
 
         // Check if mesh already exists
         if (this.chunksWithMeshes.has(key)) {
+            // Regeneration swaps meshes in place; objects were already created
+            if (isRegeneration) {
+                this.chunkedTerrain.replaceChunkMeshes(chunkX, chunkZ, meshes);
+                return true;
+            }
             if (meshes.surfaceMesh) meshes.surfaceMesh.geometry.dispose();
             if (meshes.opaqueMesh) meshes.opaqueMesh.geometry.dispose();
             if (meshes.waterMesh) meshes.waterMesh.geometry.dispose();
-            return;
+            return false;
         }
 
         // Add meshes to scene
@@ -148,6 +236,27 @@ export class ChunkLoader {
         }
 
         this.chunksLoaded++;
+        return true;
+    }
+
+    /**
+     * Request priority regeneration of a loaded chunk in the worker
+     * Used after gameplay edits (craters, placed blocks, landmark destruction)
+     * @param {number} chunkX - Chunk X index
+     * @param {number} chunkZ - Chunk Z index
+     * @returns {Promise<boolean>} Resolves when the new meshes are swapped in
+     *   (true), or false if the chunk is not loaded or was unloaded meanwhile
+     */
+    regenerateChunk(chunkX, chunkZ) {
+        if (!this.workerReady || !this.chunksWithMeshes.has(`${chunkX},${chunkZ}`)) {
+            return Promise.resolve(false);
+        }
+
+        const context = {
+            destroyedBlocks: Array.from(this.destroyedBlocksRef || []),
+            placedBlocks: Array.from(this.placedBlocksRef || [])
+        };
+        return this.workerManager.requestRegeneration(chunkX, chunkZ, context);
     }
 
     /**
@@ -185,7 +294,8 @@ export class ChunkLoader {
                 this.loadedChunks.add(key);
 
                 const context = {
-                    destroyedBlocks: Array.from(this.destroyedBlocksRef || [])
+                    destroyedBlocks: Array.from(this.destroyedBlocksRef || []),
+                    placedBlocks: Array.from(this.placedBlocksRef || [])
                 };
                 this.workerManager.requestChunk(chunkX, chunkZ, priority, context);
                 queued++;
@@ -357,7 +467,8 @@ export class ChunkLoader {
                 this.loadedChunks.add(key);
 
                 const context = {
-                    destroyedBlocks: Array.from(this.destroyedBlocksRef || [])
+                    destroyedBlocks: Array.from(this.destroyedBlocksRef || []),
+                    placedBlocks: Array.from(this.placedBlocksRef || [])
                 };
                 this.workerManager.requestChunk(chunkX, chunkZ, priority, context);
             }
@@ -446,30 +557,119 @@ export class ChunkLoader {
     }
 
     /**
-     * Load modified chunks from localStorage
+     * Mark the chunk containing a world position as modified
+     * Modified chunks are written on the next saveModifiedChunks()
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     */
+    markChunkModified(x, z) {
+        const chunkX = Math.floor(x / CHUNK_SIZE);
+        const chunkZ = Math.floor(z / CHUNK_SIZE);
+        this.modifiedChunks.add(`${chunkX},${chunkZ}`);
+    }
+
+    /**
+     * Load saved chunk edits from WorldStorage into the destroyed/placed
+     * block collections and block cache, then sync them to the worker.
+     * Call after initWorker() and before requesting chunks.
+     * @returns {Promise<number>} Number of edited chunks restored
      */
-    loadModifiedChunks() {
+    async loadModifiedChunks() {
+        let records;
         try {
-            const saved = localStorage.getItem(`golemcraft_${this.worldId}_modified`);
-            if (saved) {
-                this.modifiedChunks = new Map(JSON.parse(saved));
-            }
+            const storage = await WorldStorage.getInstance();
+            records = await storage.getChunkEdits(this.worldId, this.continentIndex);
         } catch (e) {
             console.warn('Failed to load modified chunks:', e);
+            return 0;
+        }
+
+        const blockCache = this.workerManager?.blockCache;
+        for (const record of records) {
+            if (this.destroyedBlocksRef) {
+                for (const key of record.destroyedBlocks) {
+                    this.destroyedBlocksRef.add(key);
+                }
+            }
+            if (blockCache && record.heightfieldHoles.length > 0) {
+                blockCache.setHeightfieldHoles(record.chunkX, record.chunkZ, record.heightfieldHoles);
+            }
+            for (const [key, blockType] of record.placedBlocks || []) {
+                this.placedBlocksRef?.set(key, blockType);
+                if (blockCache) {
+                    const [x, y, z] = key.split(',').map(Number);
+                    blockCache.placeBlockAt(x, y, z, blockType);
+                }
+            }
         }
+
+        if (records.length > 0 && this.workerManager) {
+            this.workerManager.updateDestroyedBlocks(this.destroyedBlocksRef || []);
+            this.workerManager.updatePlacedBlocks(this.placedBlocksRef || []);
+            this.workerManager.updateHeightfieldHoles();
+            console.log(`ChunkLoader: Restored edits for ${records.length} chunks`);
+        }
+
+        return records.length;
     }
 
     /**
-     * Save modified chunks to localStorage
+     * Save edits for chunks marked modified since the last save
+     * Destroyed and placed blocks are grouped per chunk from the shared
+     * collections; heightfield holes come from the block cache.
+     * @returns {Promise<void>}
      */
-    saveModifiedChunks() {
+    async saveModifiedChunks() {
+        if (this.modifiedChunks.size === 0) return;
+
+        const dirty = this.modifiedChunks;
+        this.modifiedChunks = new Set();
+
+        // Group destroyed and placed blocks by chunk (only for dirty chunks)
+        const groupByChunk = (entries, getKey) => {
+            const byChunk = new Map();
+            for (const entry of entries) {
+                const [x, , z] = getKey(entry).split(',').map(Number);
+                const chunkKey = `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+                if (!dirty.has(chunkKey)) continue;
+                if (!byChunk.has(chunkKey)) {
+                    byChunk.set(chunkKey, []);
+                }
+                byChunk.get(chunkKey).push(entry);
+            }
+            return byChunk;
+        };
+        const blocksByChunk = groupByChunk(this.destroyedBlocksRef || [], key => key);
+        const placedByChunk = groupByChunk(this.placedBlocksRef || [], ([key]) => key);
+
+        const blockCache = this.workerManager?.blockCache;
+        const records = [];
+        for (const chunkKey of dirty) {
+            const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+            const holes = blockCache?.getHeightfieldHoles(chunkX, chunkZ);
+            records.push({
+                worldId: this.worldId,
+                // Continent 0 keeps plain keys so existing saves still match
+                chunkKey: this.continentIndex === 0 ? chunkKey : `c${this.continentIndex}:${chunkKey}`,
+                continentIndex: this.continentIndex,
+                chunkX,
+                chunkZ,
+                destroyedBlocks: blocksByChunk.get(chunkKey) || [],
+                heightfieldHoles: holes ? Array.from(holes) : [],
+                placedBlocks: placedByChunk.get(chunkKey) || [],
+                updated: Date.now()
+            });
+        }
+
         try {
-            localStorage.setItem(
-                `golemcraft_${this.worldId}_modified`,
-                JSON.stringify(Array.from(this.modifiedChunks.entries()))
-            );
+            const storage = await WorldStorage.getInstance();
+            await storage.saveChunkEdits(records);
         } catch (e) {
             console.warn('Failed to save modified chunks:', e);
+            // Retry these chunks on the next save
+            for (const chunkKey of dirty) {
+                this.modifiedChunks.add(chunkKey);
+            }
         }
     }
 
@@ -481,6 +681,14 @@ export class ChunkLoader {
         this.destroyedBlocksRef = destroyedBlocks;
     }
 
+    /**
+     * Set reference to placed blocks map (from WorldManager)
+     * @param {Map<string, string>} placedBlocks - Map of "x,y,z" -> block type
+     */
+    setPlacedBlocksRef(placedBlocks) {
+        this.placedBlocksRef = placedBlocks;
+    }
+
     /**
      * Get worker manager for external queries
      */
@@ -35,7 +35,7 @@ export const LANDMARK_TYPES = {
         baseSize: 17,
         tiers: 4,
         tierHeight: 3,
-        chamberSize: 5,
+        chamberSize: 11,         // Room for the boss fight around the altar
         stairWidth: 3,
         blockType: 'mayan_stone',
         stairBlockType: 'stone',
@@ -464,6 +464,25 @@ function generateMayanTemple(config, centerX, baseY, centerZ, hashFn, gridX, gri
         { x: centerX, y: baseY, z: centerZ - spawnOffset }
     ];
 
+    // Chamber volume (max exclusive) and the doorway blocks where the tunnel
+    // meets it - the boss fight seals the doorway (see templebossmanager.js)
+    const chamber = {
+        minX: centerX - halfChamber, maxX: centerX + halfChamber + 1,
+        minY: chamberY, maxY: chamberY + chamberHeight,
+        minZ: centerZ - halfChamber, maxZ: centerZ + halfChamber + 1
+    };
+    const doorDist = halfChamber + 1;
+    const doorway = [];
+    for (let dy = 0; dy < entranceHeight; dy++) {
+        for (let dw = -halfEntrance; dw <= halfEntrance; dw++) {
+            doorway.push({
+                x: dir.dx !== 0 ? centerX + dir.dx * doorDist : centerX + dw,
+                y: chamberY + dy,
+                z: dir.dz !== 0 ? centerZ + dir.dz * doorDist : centerZ + dw
+            });
+        }
+    }
+
     // Clearing zone for object suppression (trees, rocks, etc.)
     // Includes the temple bounds plus a margin
     const clearingMargin = 2;
@@ -513,13 +532,15 @@ function generateMayanTemple(config, centerX, baseY, centerZ, hashFn, gridX, gri
         brightnessOverrides,
         bounds,
         voxelBounds,
+        chambers: [chamber],
         clearings,
         heightfieldModifications,
         metadata: {
             shrinePosition: { x: centerX, y: chamberY + 2, z: centerZ },
             mobSpawnPoints,
             topY,
-            entranceDirection
+            entranceDirection,
+            doorway
         }
     };
 }
@@ -0,0 +1,555 @@
+/**
+ * Settlement Definitions - Voxel buildings for road network settlements
+ *
+ * Settlements are placed by the road network (see worldgen/roadnetwork.js);
+ * this module lays out and builds each one:
+ * - Houses around a central plaza, doors facing the plaza
+ * - A well on the plaza (towns and villages)
+ * - A perimeter wall with gates wherever a road passes (towns)
+ * - A pier pointing out to sea (harbors)
+ *
+ * Every building is returned as a landmark (same shape as the structures in
+ * landmarkdefinitions.js) so WorkerLandmarkSystem can index it by chunk and
+ * the usual block / flatten / clearing / metadata paths apply.
+ *
+ * Each settlement also exposes anchor points (feet position, like spawn
+ * points: one above the ground block) where vendors and quest givers
+ * stand: one vendor outside each house door, a quest giver by the well (on
+ * the pier at harbors, on the plaza elsewhere).
+ *
+ * Pure functions - runs in the terrain worker.
+ */
+
+import {
+    VoxelVolume,
+    VoxelState,
+    fillBox,
+    carveBox,
+    doorway,
+    pitchedRoof,
+    flatRoof,
+    wall,
+    pillar
+} from '../voxel/index.js';
+import { createRNG } from '../../worldgen/seeds.js';
+
+// ============================================================================
+// LAYOUTS AND MATERIALS
+// ============================================================================
+
+/**
+ * What each settlement size is built from
+ * houses: number of houses attempted, well/walls/dock: extra structures
+ */
+export const SETTLEMENT_LAYOUTS = {
+    town: { houses: 9, well: true, walls: true, dock: false },
+    village: { houses: 5, well: true, walls: false, dock: false },
+    hamlet: { houses: 3, well: false, walls: false, dock: false },
+    harbor: { houses: 2, well: false, walls: false, dock: true }
+};
+
+const MATERIALS = {
+    foundation: 'stone',
+    wall: 'stone',          // Placeholder for wood planks (as forestHut)
+    roof: 'mayan_stone',    // Placeholder for thatch/shingles
+    wellRing: 'stone',
+    wellWater: 'water',
+    townWall: 'mayan_stone',
+    pier: 'stone'           // Placeholder for wood planks
+};
+
+// House footprints (odd sizes keep doors centered)
+const HOUSE_SIZES = [[5, 5], [5, 7], [7, 5], [7, 7]];
+const HOUSE_WALL_HEIGHT = 3;
+const HOUSE_FOUNDATION_DEPTH = 2;
+const HOUSE_MAX_HEIGHT_VARIANCE = 2;
+const HOUSE_SPACING = 3;          // Gap kept between houses
+const HOUSE_ATTEMPTS = 12;        // Layout tries per house
+const PLAZA_RADIUS = 7;           // Kept free around the settlement center
+const INTERIOR_BRIGHTNESS = 0.45;
+
+const TOWN_WALL_HEIGHT = 3;
+const TOWN_WALL_INSET = 2;        // Wall runs this far inside the settlement radius
+const GATE_MARGIN = 1.5;          // Extra clearance either side of a road through the wall
+
+// Matches the dock marker in sailingmanager.js (mast at the seaward end)
+const PIER_LENGTH = 8;
+const PIER_HALF_WIDTH = 1;
+const PIER_POST_SPACING = 3;
+
+const DIRECTION_VECTORS = {
+    '+X': { dx: 1, dz: 0 },
+    '-X': { dx: -1, dz: 0 },
+    '+Z': { dx: 0, dz: 1 },
+    '-Z': { dx: 0, dz: -1 }
+};
+
+// ============================================================================
+// SETTLEMENT GENERATION
+// ============================================================================
+
+/**
+ * Lay out and build a settlement
+ * @param {Object} settlement - From placeSettlements() { id, x, z, size, radius, angle? }
+ * @param {string} name - Display name (zone name from the names stage)
+ * @param {Object} terrain - { getHeight(x, z), getRoadInfo(x, z) }
+ * @param {Object} options
+ * @param {number} options.seed - Layout seed for this settlement
+ * @param {number} options.waterLevel - Sea level
+ * @returns {{id, name, size, x, z, radius, height, anchors: Array, structures: Array}}
+ */
+export function generateSettlement(settlement, name, terrain, { seed, waterLevel }) {
+    const layout = SETTLEMENT_LAYOUTS[settlement.size] || SETTLEMENT_LAYOUTS.hamlet;
+    const rng = createRNG(seed);
+    const centerX = settlement.x;
+    const centerZ = settlement.z;
+    const height = terrain.getHeight(centerX, centerZ);
+
+    const structures = [];
+    const anchors = [];
+
+    let dock = null;
+    if (layout.dock && settlement.angle !== undefined) {
+        dock = generateDock(centerX, centerZ, settlement.angle, terrain, waterLevel);
+        if (dock) structures.push(dock);
+    }
+
+    if (layout.well) {
+        const well = generateWell(centerX, height, centerZ);
+        structures.push(well);
+        anchors.push(well.metadata.anchor);
+    } else if (dock) {
+        // Harbor sites sit at the waterline; the quest giver waits on the pier
+        anchors.push(dock.metadata.anchor);
+    } else {
+        // Quest giver waits on the plaza
+        anchors.push({ kind: 'questGiver', x: centerX + 0.5, y: height + 1, z: centerZ + 0.5, facing: 0 });
+    }
+
+    // Houses in a ring between the plaza and the edge (inside the wall)
+    const maxRing = settlement.radius - (layout.walls ? TOWN_WALL_INSET + 6 : 4);
+    const occupied = [];
+    for (let i = 0; i < layout.houses; i++) {
+        for (let attempt = 0; attempt < HOUSE_ATTEMPTS; attempt++) {
+            const [width, depth] = HOUSE_SIZES[Math.floor(rng() * HOUSE_SIZES.length)];
+            const angle = rng() * Math.PI * 2;
+            const ring = PLAZA_RADIUS + 3 + rng() * Math.max(0, maxRing - PLAZA_RADIUS - 3);
+            const minX = Math.round(centerX + Math.cos(angle) * ring - width / 2);
+            const minZ = Math.round(centerZ + Math.sin(angle) * ring - depth / 2);
+
+            // Harbor houses stay on the landward side of the pier
+            if (dock && Math.cos(angle - settlement.angle) > -0.2) continue;
+
+            const lot = { minX, minZ, maxX: minX + width, maxZ: minZ + depth };
+            if (occupied.some(other => lotsOverlap(lot, other, HOUSE_SPACING))) continue;
+
+            const baseY = checkLot(lot, terrain, waterLevel);
+            if (baseY === null) continue;
+
+            const house = generateHouse(lot, baseY, facePlaza(lot, centerX, centerZ));
+            structures.push(house);
+            anchors.push(house.metadata.anchor);
+            occupied.push(lot);
+            break;
+        }
+    }
+
+    if (layout.walls) {
+        structures.push(...generateTownWall(centerX, centerZ, settlement.radius - TOWN_WALL_INSET, terrain, waterLevel));
+    }
+
+    for (const structure of structures) {
+        structure.settlementId = settlement.id;
+    }
+
+    return {
+        id: settlement.id,
+        name,
+        size: settlement.size,
+        x: centerX,
+        z: centerZ,
+        radius: settlement.radius,
+        height,
+        anchors,
+        structures
+    };
+}
+
+// ============================================================================
+// LOT CHECKS
+// ============================================================================
+
+function lotsOverlap(a, b, gap) {
+    return a.minX < b.maxX + gap && a.maxX + gap > b.minX &&
+           a.minZ < b.maxZ + gap && a.maxZ + gap > b.minZ;
+}
+
+/**
+ * Check a house lot: dry, fairly flat, off the roads
+ * @returns {number|null} Floor height, or null if the lot is unusable
+ */
+function checkLot(lot, terrain, waterLevel) {
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+
+    // One block of margin so doorsteps stay off the road too
+    for (let z = lot.minZ - 1; z <= lot.maxZ; z += 2) {
+        for (let x = lot.minX - 1; x <= lot.maxX; x += 2) {
+            const road = terrain.getRoadInfo(x, z);
+            if (road && road.distance < road.halfWidth + 1) return null;
+
+            const h = terrain.getHeight(x, z);
+            if (h <= waterLevel + 1) return null;
+            minHeight = Math.min(minHeight, h);
+            maxHeight = Math.max(maxHeight, h);
+        }
+    }
+
+    if (maxHeight - minHeight > HOUSE_MAX_HEIGHT_VARIANCE) return null;
+    return minHeight;
+}
+
+/**
+ * Door direction facing the plaza (dominant axis)
+ */
+function facePlaza(lot, centerX, centerZ) {
+    const dx = centerX - (lot.minX + lot.maxX) / 2;
+    const dz = centerZ - (lot.minZ + lot.maxZ) / 2;
+    if (Math.abs(dx) > Math.abs(dz)) {
+        return dx > 0 ? '+X' : '-X';
+    }
+    return dz > 0 ? '+Z' : '-Z';
+}
+
+// ============================================================================
+// STRUCTURES
+// ============================================================================
+
+/**
+ * House: foundation, floor, walls with a door and side windows, gabled roof
+ * Ridge runs parallel to the door wall.
+ */
+function generateHouse(lot, baseY, entranceDirection) {
+    const volume = new VoxelVolume();
+    const { minX, minZ, maxX, maxZ } = lot;
+    const width = maxX - minX;
+    const depth = maxZ - minZ;
+    const dir = DIRECTION_VECTORS[entranceDirection];
+    const doorOnZ = dir.dz !== 0;
+    const wallBaseY = baseY + 1;
+    const roofBaseY = wallBaseY + HOUSE_WALL_HEIGHT;
+
+    // Foundation and floor
+    fillBox(volume, minX, baseY - HOUSE_FOUNDATION_DEPTH, minZ, maxX, baseY, maxZ, MATERIALS.foundation, VoxelState.SOLID);
+    fillBox(volume, minX, baseY, minZ, maxX, baseY + 1, maxZ, MATERIALS.wall, VoxelState.SOLID);
+
+    // Walls; windows in the two walls either side of the door
+    const sideWindows = [{ position: Math.floor((doorOnZ ? depth : width) / 2), width: 1, height: 1, sillHeight: 1 }];
+    wall(volume, minX, wallBaseY, minZ, width, HOUSE_WALL_HEIGHT, 1, 'X', MATERIALS.wall, { windows: doorOnZ ? [] : sideWindows });
+    wall(volume, minX, wallBaseY, maxZ - 1, width, HOUSE_WALL_HEIGHT, 1, 'X', MATERIALS.wall, { windows: doorOnZ ? [] : sideWindows });
+    wall(volume, minX, wallBaseY, minZ, depth, HOUSE_WALL_HEIGHT, 1, 'Z', MATERIALS.wall, { windows: doorOnZ ? sideWindows : [] });
+    wall(volume, maxX - 1, wallBaseY, minZ, depth, HOUSE_WALL_HEIGHT, 1, 'Z', MATERIALS.wall, { windows: doorOnZ ? sideWindows : [] });
+
+    // Interior
+    carveBox(volume, minX + 1, wallBaseY, minZ + 1, maxX - 1, roofBaseY, maxZ - 1, INTERIOR_BRIGHTNESS);
+
+    // Door in the middle of the plaza-facing wall
+    const doorX = doorOnZ ? minX + Math.floor(width / 2) : (dir.dx > 0 ? maxX - 1 : minX);
+    const doorZ = doorOnZ ? (dir.dz > 0 ? maxZ - 1 : minZ) : minZ + Math.floor(depth / 2);
+    doorway(volume, doorX, wallBaseY, doorZ, 1, 2, 1, entranceDirection);
+
+    // Gabled roof with a one-block overhang; ridge along the door wall
+    const axis = doorOnZ ? 'X' : 'Z';
+    const roofSpan = (doorOnZ ? depth : width) + 2;
+    const peakHeight = Math.ceil(roofSpan / 2);
+    pitchedRoof(volume, minX - 1, roofBaseY, minZ - 1, maxX + 1, maxZ + 1, peakHeight, axis, MATERIALS.roof);
+    fillGables(volume, lot, roofBaseY, peakHeight, axis);
+
+    const blocks = new Map();
+    const brightnessOverrides = volume.blendIntoWorld(blocks, 0, 0, 0, null);
+
+    const centerX = minX + width / 2;
+    const centerZ = minZ + depth / 2;
+    const outsideX = doorX + dir.dx;
+    const outsideZ = doorZ + dir.dz;
+
+    return {
+        type: 'settlementHouse',
+        centerX,
+        centerZ,
+        baseY,
+        blocks,
+        brightnessOverrides,
+        bounds: {
+            minX: minX - 1,
+            maxX: maxX,
+            minY: baseY - HOUSE_FOUNDATION_DEPTH,
+            maxY: roofBaseY + peakHeight,
+            minZ: minZ - 1,
+            maxZ: maxZ
+        },
+        // Suppress original terrain above the floor inside the walls
+        voxelBounds: {
+            minX,
+            maxX: maxX - 1,
+            minY: baseY,
+            maxY: roofBaseY + peakHeight,
+            minZ,
+            maxZ: maxZ - 1
+        },
+        clearings: [{ type: 'rect', centerX, centerZ, width: width + 4, depth: depth + 4, rotation: 0 }],
+        heightfieldModifications: [
+            { type: 'flatten', centerX, centerZ, width: width + 2, depth: depth + 2, targetY: baseY },
+            {
+                type: 'blend',
+                centerX,
+                centerZ,
+                innerRadius: Math.max(width, depth) / 2 + 1,
+                outerRadius: Math.max(width, depth) / 2 + 4,
+                targetY: baseY
+            }
+        ],
+        metadata: {
+            entranceDirection,
+            doorPosition: { x: doorX, y: wallBaseY, z: doorZ },
+            anchor: {
+                kind: 'vendor',
+                x: outsideX + 0.5,
+                y: baseY + 1,
+                z: outsideZ + 0.5,
+                // Vendors face away from their door
+                facing: Math.atan2(dir.dx, dir.dz)
+            }
+        }
+    };
+}
+
+/**
+ * Close the triangular gable ends under a pitched roof
+ */
+function fillGables(volume, lot, roofBaseY, peakHeight, axis) {
+    const { minX, minZ, maxX, maxZ } = lot;
+
+    if (axis === 'X') {
+        // Ridge along X: gables are the X end walls, sloping in Z
+        const halfZ = (maxZ - minZ + 2) / 2;
+        const centerZ = minZ - 1 + halfZ;
+        for (let z = minZ; z < maxZ; z++) {
+            const roofHeight = Math.round(peakHeight * (1 - Math.abs(z - centerZ + 0.5) / halfZ));
+            for (let y = roofBaseY; y < roofBaseY + roofHeight - 1; y++) {
+                volume.set(minX, y, z, MATERIALS.wall, VoxelState.SOLID);
+                volume.set(maxX - 1, y, z, MATERIALS.wall, VoxelState.SOLID);
+            }
+        }
+    } else {
+        const halfX = (maxX - minX + 2) / 2;
+        const centerX = minX - 1 + halfX;
+        for (let x = minX; x < maxX; x++) {
+            const roofHeight = Math.round(peakHeight * (1 - Math.abs(x - centerX + 0.5) / halfX));
+            for (let y = roofBaseY; y < roofBaseY + roofHeight - 1; y++) {
+                volume.set(x, y, minZ, MATERIALS.wall, VoxelState.SOLID);
+                volume.set(x, y, maxZ - 1, MATERIALS.wall, VoxelState.SOLID);
+            }
+        }
+    }
+}
+
+/**
+ * Well: stone ring around a water block, two posts and a small roof
+ */
+function generateWell(centerX, groundY, centerZ) {
+    const volume = new VoxelVolume();
+
+    fillBox(volume, centerX - 1, groundY - 1, centerZ - 1, centerX + 2, groundY + 2, centerZ + 2, MATERIALS.wellRing, VoxelState.SOLID);
+    carveBox(volume, centerX, groundY, centerZ, centerX + 1, groundY + 2, centerZ + 1, 0.6);
+    volume.set(centerX, groundY - 1, centerZ, MATERIALS.wellWater, VoxelState.SOLID);
+
+    pillar(volume, centerX - 1, groundY + 2, centerZ, 2, MATERIALS.wall);
+    pillar(volume, centerX + 1, groundY + 2, centerZ, 2, MATERIALS.wall);
+    flatRoof(volume, centerX - 1, groundY + 4, centerZ - 1, centerX + 2, centerZ + 2, MATERIALS.roof);
+
+    const blocks = new Map();
+    const brightnessOverrides = volume.blendIntoWorld(blocks, 0, 0, 0, null);
+
+    return {
+        type: 'settlementWell',
+        centerX: centerX + 0.5,
+        centerZ: centerZ + 0.5,
+        baseY: groundY,
+        blocks,
+        brightnessOverrides,
+        bounds: {
+            minX: centerX - 1,
+            maxX: centerX + 1,
+            minY: groundY - 1,
+            maxY: groundY + 5,
+            minZ: centerZ - 1,
+            maxZ: centerZ + 1
+        },
+        clearings: [{ type: 'circle', centerX: centerX + 0.5, centerZ: centerZ + 0.5, radius: PLAZA_RADIUS }],
+        heightfieldModifications: [
+            { type: 'flatten', centerX: centerX + 0.5, centerZ: centerZ + 0.5, width: 5, depth: 5, targetY: groundY },
+            { type: 'blend', centerX: centerX + 0.5, centerZ: centerZ + 0.5, innerRadius: 2.5, outerRadius: 5, targetY: groundY }
+        ],
+        metadata: {
+            anchor: { kind: 'questGiver', x: centerX + 0.5, y: groundY + 1, z: centerZ + 3.5, facing: 0 }
+        }
+    };
+}
+
+/**
+ * Town wall: a square of wall around the settlement, split into one
+ * landmark per run so each stays thin. Columns over water or on a road
+ * are left open, which gives every road a gate.
+ * @returns {Array<Object>} Wall segment landmarks
+ */
+function generateTownWall(centerX, centerZ, halfSize, terrain, waterLevel) {
+    const segments = [];
+    const minX = centerX - halfSize;
+    const maxX = centerX + halfSize;
+    const minZ = centerZ - halfSize;
+    const maxZ = centerZ + halfSize;
+
+    // Four sides as [startX, startZ, stepX, stepZ, length]
+    const sides = [
+        [minX, minZ, 1, 0, maxX - minX],
+        [minX, maxZ, 1, 0, maxX - minX + 1],
+        [minX, minZ + 1, 0, 1, maxZ - minZ - 1],
+        [maxX, minZ + 1, 0, 1, maxZ - minZ - 1]
+    ];
+
+    for (const [startX, startZ, stepX, stepZ, length] of sides) {
+        let run = [];
+        for (let i = 0; i <= length; i++) {
+            const x = startX + stepX * i;
+            const z = startZ + stepZ * i;
+            const column = i < length ? wallColumn(x, z, terrain, waterLevel) : null;
+            if (column) {
+                run.push(column);
+            } else if (run.length > 0) {
+                segments.push(buildWallSegment(run));
+                run = [];
+            }
+        }
+    }
+
+    return segments;
+}
+
+function wallColumn(x, z, terrain, waterLevel) {
+    const road = terrain.getRoadInfo(x, z);
+    if (road && road.distance < road.halfWidth + GATE_MARGIN) return null;
+
+    const groundY = terrain.getHeight(x, z);
+    if (groundY <= waterLevel) return null;
+    return { x, z, groundY };
+}
+
+function buildWallSegment(columns) {
+    const volume = new VoxelVolume();
+    let minY = Infinity;
+    let maxY = -Infinity;
+
+    for (const { x, z, groundY } of columns) {
+        fillBox(volume, x, groundY - 1, z, x + 1, groundY + TOWN_WALL_HEIGHT + 1, z + 1, MATERIALS.townWall, VoxelState.SOLID);
+        minY = Math.min(minY, groundY - 1);
+        maxY = Math.max(maxY, groundY + TOWN_WALL_HEIGHT + 1);
+    }
+
+    const blocks = new Map();
+    const brightnessOverrides = volume.blendIntoWorld(blocks, 0, 0, 0, null);
+    const first = columns[0];
+    const last = columns[columns.length - 1];
+
+    return {
+        type: 'settlementWall',
+        centerX: (first.x + last.x) / 2,
+        centerZ: (first.z + last.z) / 2,
+        baseY: minY + 1,
+        blocks,
+        brightnessOverrides,
+        bounds: {
+            minX: Math.min(first.x, last.x),
+            maxX: Math.max(first.x, last.x),
+            minY,
+            maxY,
+            minZ: Math.min(first.z, last.z),
+            maxZ: Math.max(first.z, last.z)
+        },
+        clearingPadding: 2,
+        clearings: [],
+        heightfieldModifications: [],
+        metadata: { length: columns.length }
+    };
+}
+
+/**
+ * Pier from the dock point out to sea along the dock angle, on posts
+ * wherever the ground drops away beneath the deck
+ * @returns {Object|null} Dock landmark, or null if nothing could be built
+ */
+function generateDock(dockX, dockZ, angle, terrain, waterLevel) {
+    const volume = new VoxelVolume();
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const deckY = Math.max(terrain.getHeight(dockX, dockZ), waterLevel);
+
+    // Half-block steps so the diagonal deck has no holes
+    const cells = new Map();
+    for (let t = 0; t < PIER_LENGTH; t += 0.5) {
+        for (let w = -PIER_HALF_WIDTH; w <= PIER_HALF_WIDTH; w += 0.5) {
+            const x = Math.round(dockX + cos * t - sin * w);
+            const z = Math.round(dockZ + sin * t + cos * w);
+            const isPost = Math.abs(w) === PIER_HALF_WIDTH && Number.isInteger(t / PIER_POST_SPACING);
+            const key = `${x},${z}`;
+            cells.set(key, { x, z, isPost: isPost || cells.get(key)?.isPost });
+        }
+    }
+
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    let minY = deckY;
+    for (const { x, z, isPost } of cells.values()) {
+        const groundY = terrain.getHeight(x, z);
+        if (groundY > deckY) continue;
+
+        volume.set(x, deckY, z, MATERIALS.pier, VoxelState.SOLID);
+        if (isPost && groundY < deckY) {
+            fillBox(volume, x, groundY, z, x + 1, deckY, z + 1, MATERIALS.pier, VoxelState.SOLID);
+            minY = Math.min(minY, groundY);
+        }
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
+    }
+
+    if (minX === Infinity) return null;
+
+    const blocks = new Map();
+    const brightnessOverrides = volume.blendIntoWorld(blocks, 0, 0, 0, null);
+
+    return {
+        type: 'settlementDock',
+        centerX: dockX + cos * PIER_LENGTH / 2,
+        centerZ: dockZ + sin * PIER_LENGTH / 2,
+        baseY: deckY,
+        blocks,
+        brightnessOverrides,
+        bounds: { minX, maxX, minY, maxY: deckY + 1, minZ, maxZ },
+        clearingPadding: 3,
+        clearings: [],
+        heightfieldModifications: [],
+        metadata: {
+            angle,
+            length: PIER_LENGTH,
+            // Landward end of the deck, facing out to sea
+            anchor: {
+                kind: 'questGiver',
+                x: Math.round(dockX + cos) + 0.5,
+                y: deckY + 1,
+                z: Math.round(dockZ + sin) + 0.5,
+                facing: Math.atan2(cos, sin)
+            }
+        }
+    };
+}
@@ -9,9 +9,12 @@
  * - Spatial hashing for efficient chunk queries
  * - Block type overrides for landmark materials
  * - Chamber/hollow volume tracking
+ * - Settlement buildings (pre-generated from the road network's sites)
  */
 
 import { LANDMARK_TYPES, getLandmarkTypesForBiome, generateLandmarkStructure } from './landmarkdefinitions.js';
+import { generateSettlement } from './settlementdefinitions.js';
+import { ClearingRegistry } from '../terrain/clearingregistry.js';
 
 // Grid cell size for landmark placement
 const LANDMARK_GRID_SIZE = 128;
@@ -27,6 +30,11 @@ export class WorkerLandmarkSystem {
         
         // Spatial hash: Map<"chunkX,chunkZ" -> array of landmarks affecting this chunk>
         this.chunkLandmarkIndex = new Map();
+
+        // Settlements (continental mode) and their footprints, where trees,
+        // mob spawns and grid landmarks are kept out
+        this.settlements = [];
+        this.settlementClearings = new ClearingRegistry();
     }
     
     /**
@@ -204,7 +212,7 @@ export class WorkerLandmarkSystem {
             }
 
             // Generate the cave with cliff direction
-            const landmark = generateLandmarkStructure(
+            const landmark = this.excludeFromSettlements(generateLandmarkStructure(
                 typeName,
                 typeConfig,
                 cliffX,
@@ -214,7 +222,7 @@ export class WorkerLandmarkSystem {
                 gridX,
                 gridZ,
                 bestCliff  // Pass cliff direction instead of entrance direction string
-            );
+            ));
 
             this.landmarkCache.set(key, landmark);
 
@@ -291,7 +299,7 @@ export class WorkerLandmarkSystem {
             }
 
             // Generate the landmark
-            const landmark = generateLandmarkStructure(
+            const landmark = this.excludeFromSettlements(generateLandmarkStructure(
                 typeName,
                 typeConfig,
                 flatX,
@@ -301,7 +309,7 @@ export class WorkerLandmarkSystem {
                 gridX,
                 gridZ,
                 entranceDirection
-            );
+            ));
 
             this.landmarkCache.set(key, landmark);
 
@@ -328,7 +336,7 @@ export class WorkerLandmarkSystem {
         const entranceDirection = directions[dirIndex];
 
         // Generate the landmark
-        const landmark = generateLandmarkStructure(
+        const landmark = this.excludeFromSettlements(generateLandmarkStructure(
             typeName,
             typeConfig,
             worldX,
@@ -338,7 +346,7 @@ export class WorkerLandmarkSystem {
             gridX,
             gridZ,
             entranceDirection
-        );
+        ));
 
         this.landmarkCache.set(key, landmark);
 
@@ -349,6 +357,68 @@ export class WorkerLandmarkSystem {
         return landmark;
     }
     
+    // =========================================================================
+    // Settlements
+    // =========================================================================
+
+    /**
+     * Build the settlements' voxel structures and index them like landmarks
+     * Called once at startup (continental mode), after the road network.
+     * @param {Array} sites - Settlements from placeSettlements()
+     * @param {Array<string>} names - Name for each site (same order)
+     * @param {number} waterLevel - Sea level
+     * @returns {Array} Generated settlements (see generateSettlement)
+     */
+    addSettlements(sites, names, waterLevel) {
+        const terrain = {
+            getHeight: (x, z) => this.terrainProvider.getHeight(x, z),
+            getRoadInfo: (x, z) => this.terrainProvider.getRoadInfo(x, z)
+        };
+
+        sites.forEach((site, i) => {
+            const seed = Math.floor(this.hash(site.x, site.z, 424242) * 0x7FFFFFFF);
+            const settlement = generateSettlement(site, names[i], terrain, { seed, waterLevel });
+
+            for (const structure of settlement.structures) {
+                this.indexLandmarkByChunks(structure);
+            }
+            this.settlementClearings.addCircle(settlement.x, settlement.z, settlement.radius, settlement.id);
+            this.settlements.push(settlement);
+        });
+
+        return this.settlements;
+    }
+
+    /**
+     * Check if a position is inside a settlement's footprint
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {boolean}
+     */
+    isInSettlement(x, z) {
+        return this.settlementClearings.isInClearing(x, z);
+    }
+
+    /**
+     * Drop a grid landmark that would overlap a settlement
+     * @param {Object|null} landmark
+     * @returns {Object|null}
+     */
+    excludeFromSettlements(landmark) {
+        if (!landmark) return landmark;
+
+        const { minX, maxX, minZ, maxZ } = landmark.bounds;
+        for (const settlement of this.settlements) {
+            // Closest point of the landmark's bounds to the settlement center
+            const dx = settlement.x - Math.max(minX, Math.min(settlement.x, maxX));
+            const dz = settlement.z - Math.max(minZ, Math.min(settlement.z, maxZ));
+            if (dx * dx + dz * dz < settlement.radius * settlement.radius) {
+                return null;
+            }
+        }
+        return landmark;
+    }
+
     /**
      * Index a landmark by the chunks it affects
      */
@@ -575,6 +645,8 @@ export class WorkerLandmarkSystem {
      * @returns {boolean} True if objects should not spawn here
      */
     isInClearing(x, z) {
+        if (this.isInSettlement(x, z)) return true;
+
         const chunkX = Math.floor(x / CHUNK_SIZE);
         const chunkZ = Math.floor(z / CHUNK_SIZE);
         const landmarks = this.getLandmarksForChunk(chunkX, chunkZ);
@@ -734,6 +806,18 @@ export class WorkerLandmarkSystem {
                 clearingPadding: landmark.clearingPadding ?? 2
             };
 
+            // Settlement buildings carry their settlement and anchor point
+            if (landmark.settlementId) {
+                metadata.settlementId = landmark.settlementId;
+                metadata.anchor = landmark.metadata?.anchor || null;
+            }
+
+            // Temple boss fights need the entrance side and the doorway to seal
+            if (landmark.type === 'mayanTemple' && landmark.metadata) {
+                metadata.entranceDirection = landmark.metadata.entranceDirection;
+                metadata.doorway = landmark.metadata.doorway;
+            }
+
             // Include rocky outcrop specific data for debug visualization
             if (landmark.type === 'rockyOutcrop' && landmark.metadata) {
                 metadata.sizeClass = landmark.metadata.sizeClass;
@@ -751,5 +835,12 @@ export class WorkerLandmarkSystem {
     clearCache() {
         this.landmarkCache.clear();
         this.chunkLandmarkIndex.clear();
+
+        // Settlements are generated once up front; keep them indexed
+        for (const settlement of this.settlements) {
+            for (const structure of settlement.structures) {
+                this.indexLandmarkByChunks(structure);
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,632 @@
+/**
+ * Navigation - Grid pathfinding over heightfield and voxel terrain
+ *
+ * Plans over integer XZ cells, each with a standing height:
+ * - Heightfield columns stand on TerrainDataProvider ground height; steps
+ *   that HeightfieldCollisionProvider.isSlopeTooSteep() would block are not walkable
+ * - Voxel columns (cliffs, craters, placed blocks, landmark interiors) stand on
+ *   the first solid block with two blocks of headroom near the current height,
+ *   so paths can enter temples and caves on their real floor
+ * - Water (WorldManager.isUnderwater) is wadeable but costly; deep water is not
+ *
+ * Two planners share the same walkability rules:
+ * - findPath(): A* for single units (golems), with partial paths when the goal
+ *   is unreachable or outside loaded terrain
+ * - getFlowDirection(): cached Dijkstra flow fields for many units chasing the
+ *   same target (hostile mobs chasing the hero or a golem)
+ *
+ * Only loaded chunks are navigable - unloaded cells have no ground.
+ */
+
+import * as THREE from 'three';
+import { WATER_LEVEL, CHUNK_SIZE } from './terrain/chunkdatagenerator.js';
+import { getHeightfieldProvider } from '../collision.js';
+
+// Vertical limits (blocks)
+const MAX_STEP_UP = 1;         // Voxel ledge an entity can jump onto
+const MAX_DROP = 3;            // Largest drop taken willingly
+const MAX_WADE_DEPTH = 2.5;    // Deeper water is impassable
+
+// Extra cost multipliers
+const WATER_COST = 4;          // Per-cell multiplier while wading
+const CLIMB_COST = 2;          // Per block climbed
+
+// Search limits
+const MAX_SEARCH_NODES = 3000;
+const MAX_SEARCH_RADIUS = 64;  // Blocks from start
+
+// Flow fields
+const FLOW_FIELD_RADIUS = 24;          // Blocks around the goal
+const FLOW_FIELD_REUSE_DISTANCE = 3;   // Reuse a field if its goal moved less than this
+const FLOW_FIELD_MAX_AGE = 1000;       // ms before a field is rebuilt
+const MAX_FLOW_FIELDS = 4;
+
+// 8-connected neighbor offsets
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// ============================================================================
+// SERVICE INSTANCE
+// ============================================================================
+
+let navigation = null;
+
+/**
+ * Initialize the navigation service (call after world terrain is ready)
+ * @param {WorldManager} world - World for terrain, water and landmark queries
+ */
+export function initNavigation(world) {
+    navigation = new NavigationService(world);
+}
+
+/**
+ * Get the navigation service, or null before initNavigation()
+ * @returns {NavigationService|null}
+ */
+export function getNavigation() {
+    return navigation;
+}
+
+// ============================================================================
+// NAVIGATION SERVICE
+// ============================================================================
+
+export class NavigationService {
+    /**
+     * @param {WorldManager} world - Provides terrainDataProvider, isUnderwater() and the landmark registry
+     */
+    constructor(world) {
+        this.world = world;
+        this.terrain = world.terrainDataProvider;
+        this.workerManager = world.chunkLoader.workerManager;
+        this.landmarkRegistry = this.workerManager.landmarkRegistry;
+
+        // Cached flow fields, newest last
+        this.flowFields = [];
+    }
+
+    // ========================================================================
+    // Walkability
+    // ========================================================================
+
+    /**
+     * Whether a column must be planned per voxel rather than from the heightfield
+     */
+    isVoxelColumn(x, z) {
+        const heightfield = getHeightfieldProvider();
+        if (!heightfield || !heightfield.isHeightfieldAt(x + 0.5, z + 0.5)) {
+            return true;
+        }
+        // Landmark footprints have interiors the heightfield doesn't describe
+        return !!this.landmarkRegistry?.getLandmarkAt(x, z);
+    }
+
+    /**
+     * Find where an entity would stand in a column, near a reference height
+     * @param {number} x - Cell X
+     * @param {number} z - Cell Z
+     * @param {number} fromY - Reference height (the entity's current footing)
+     * @param {number} maxUp - Highest footing accepted above fromY
+     * @param {number} maxDown - Lowest footing accepted below fromY
+     * @returns {number|null} Standing height, or null if nothing walkable
+     */
+    getStandHeight(x, z, fromY, maxUp = MAX_STEP_UP, maxDown = MAX_DROP) {
+        if (!this.workerManager.isChunkLoaded(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE))) {
+            return null;
+        }
+
+        let standY = null;
+
+        if (this.isVoxelColumn(x, z)) {
+            const top = Math.floor(fromY) + Math.ceil(maxUp);
+            const bottom = Math.floor(fromY) - Math.ceil(maxDown);
+            for (let y = top; y >= bottom; y--) {
+                if (this.terrain.isSolid(x, y - 1, z) &&
+                    !this.terrain.isSolid(x, y, z) &&
+                    !this.terrain.isSolid(x, y + 1, z)) {
+                    standY = y;
+                    break;
+                }
+            }
+        } else {
+            const groundY = this.terrain.getGroundHeight(x + 0.5, z + 0.5);
+            if (groundY - fromY <= maxUp + 0.5 && fromY - groundY <= maxDown + 0.5) {
+                standY = groundY;
+            }
+        }
+
+        if (standY === null) return null;
+
+        // Deep water is impassable
+        if (this.world.isUnderwater(x, standY, z) && WATER_LEVEL - standY > MAX_WADE_DEPTH) {
+            return null;
+        }
+        return standY;
+    }
+
+    /**
+     * Check a single step between adjacent footings
+     * @param {number} x - Destination cell X
+     * @param {number} z - Destination cell Z
+     * @param {number} fromY - Footing before the step
+     * @param {number} toY - Footing after the step
+     * @param {number} distance - Horizontal step length
+     * @returns {boolean}
+     */
+    canStep(x, z, fromY, toY, distance) {
+        const rise = toY - fromY;
+        if (-rise > MAX_DROP) return false;
+
+        if (this.isVoxelColumn(x, z)) {
+            return rise <= MAX_STEP_UP;
+        }
+        const heightfield = getHeightfieldProvider();
+        return !heightfield || !heightfield.isSlopeTooSteep(rise / distance);
+    }
+
+    /**
+     * Cost of stepping between adjacent footings
+     */
+    stepCost(x, z, fromY, toY, distance) {
+        let cost = distance;
+        if (toY <= WATER_LEVEL && this.world.isUnderwater(x, toY, z)) {
+            cost *= WATER_COST;
+        }
+        const rise = toY - fromY;
+        if (rise > 0) {
+            cost += rise * CLIMB_COST;
+        }
+        return cost;
+    }
+
+    /**
+     * Get walkable neighbors of a node
+     * @param {{x: number, y: number, z: number}} node - Current footing
+     * @param {boolean} reverse - Find nodes that can step INTO this node (for flow fields)
+     * @returns {Array<{x: number, y: number, z: number, cost: number}>}
+     */
+    getNeighbors(node, reverse = false) {
+        const neighbors = [];
+
+        for (const [dx, dz] of DIRECTIONS) {
+            const nx = node.x + dx;
+            const nz = node.z + dz;
+            const diagonal = dx !== 0 && dz !== 0;
+            const distance = diagonal ? Math.SQRT2 : 1;
+
+            // Reverse search swaps the step limits (a drop into node is a climb out of it)
+            const ny = reverse
+                ? this.getStandHeight(nx, nz, node.y, MAX_DROP, MAX_STEP_UP)
+                : this.getStandHeight(nx, nz, node.y);
+            if (ny === null) continue;
+
+            const walkable = reverse
+                ? this.canStep(node.x, node.z, ny, node.y, distance)
+                : this.canStep(nx, nz, node.y, ny, distance);
+            if (!walkable) continue;
+
+            // No corner cutting: both orthogonal cells must be walkable too
+            if (diagonal &&
+                (this.getStandHeight(node.x + dx, node.z, node.y) === null ||
+                 this.getStandHeight(node.x, node.z + dz, node.y) === null)) {
+                continue;
+            }
+
+            const cost = reverse
+                ? this.stepCost(node.x, node.z, ny, node.y, distance)
+                : this.stepCost(nx, nz, node.y, ny, distance);
+            neighbors.push({ x: nx, y: ny, z: nz, cost });
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Snap a world position to a grid node
+     * @param {THREE.Vector3} position
+     * @returns {{x: number, y: number, z: number}}
+     */
+    toNode(position) {
+        const x = Math.floor(position.x);
+        const z = Math.floor(position.z);
+        const y = this.getStandHeight(x, z, position.y, 1, 2);
+        return { x, y: y ?? position.y, z };
+    }
+
+    // ========================================================================
+    // A*
+    // ========================================================================
+
+    /**
+     * Find a path between two positions
+     * Returns a partial path towards the closest reachable cell when the goal
+     * cannot be reached within the search limits.
+     * @param {THREE.Vector3} start - Start position (entity feet)
+     * @param {THREE.Vector3} goal - Goal position
+     * @returns {Array<THREE.Vector3>|null} Waypoints (cell centers at standing height), or null if no progress is possible
+     */
+    findPath(start, goal) {
+        const startNode = this.toNode(start);
+        const goalX = Math.floor(goal.x);
+        const goalZ = Math.floor(goal.z);
+
+        const heuristic = (node) => {
+            const dx = Math.abs(node.x - goalX);
+            const dz = Math.abs(node.z - goalZ);
+            // Octile distance
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const startKey = nodeKey(startNode);
+        const open = new MinHeap();
+        const cameFrom = new Map();
+        const gScore = new Map([[startKey, 0]]);
+        const nodes = new Map([[startKey, startNode]]);
+        const closed = new Set();
+
+        open.push(startKey, heuristic(startNode));
+
+        let bestKey = startKey;
+        let bestH = heuristic(startNode);
+        let expanded = 0;
+
+        while (open.size > 0 && expanded < MAX_SEARCH_NODES) {
+            const key = open.pop();
+            if (closed.has(key)) continue;
+            closed.add(key);
+            expanded++;
+
+            const node = nodes.get(key);
+            const h = heuristic(node);
+            if (h < bestH) {
+                bestH = h;
+                bestKey = key;
+            }
+
+            if (node.x === goalX && node.z === goalZ && Math.abs(node.y - goal.y) < 2) {
+                bestKey = key;
+                break;
+            }
+
+            for (const neighbor of this.getNeighbors(node)) {
+                if (Math.abs(neighbor.x - startNode.x) > MAX_SEARCH_RADIUS ||
+                    Math.abs(neighbor.z - startNode.z) > MAX_SEARCH_RADIUS) {
+                    continue;
+                }
+
+                const neighborKey = nodeKey(neighbor);
+                if (closed.has(neighborKey)) continue;
+
+                const tentative = gScore.get(key) + neighbor.cost;
+                if (tentative < (gScore.get(neighborKey) ?? Infinity)) {
+                    gScore.set(neighborKey, tentative);
+                    cameFrom.set(neighborKey, key);
+                    nodes.set(neighborKey, neighbor);
+                    open.push(neighborKey, tentative + heuristic(neighbor));
+                }
+            }
+        }
+
+        if (bestKey === startKey) return null;
+
+        // Walk back from the best node
+        const path = [];
+        for (let key = bestKey; key !== startKey; key = cameFrom.get(key)) {
+            const node = nodes.get(key);
+            path.push(new THREE.Vector3(node.x + 0.5, node.y, node.z + 0.5));
+        }
+        path.reverse();
+
+        return simplifyPath(path);
+    }
+
+    // ========================================================================
+    // Flow fields
+    // ========================================================================
+
+    /**
+     * Get the direction to move from a position towards a shared goal
+     * @param {THREE.Vector3} position - Entity position
+     * @param {THREE.Vector3} goal - Shared goal (e.g. the hero)
+     * @returns {{x: number, z: number, jump: boolean}|null} Unit direction, or null outside the field
+     */
+    getFlowDirection(position, goal) {
+        const field = this.getFlowField(goal);
+        return field.getDirection(position);
+    }
+
+    /**
+     * Get a cached flow field towards a goal, building one if needed
+     * @param {THREE.Vector3} goal
+     * @returns {FlowField}
+     */
+    getFlowField(goal) {
+        const now = performance.now();
+
+        for (const field of this.flowFields) {
+            if (now - field.createdAt < FLOW_FIELD_MAX_AGE &&
+                field.goal.distanceTo(goal) < FLOW_FIELD_REUSE_DISTANCE) {
+                return field;
+            }
+        }
+
+        const field = this.buildFlowField(goal);
+        field.createdAt = now;
+
+        // Replace expired fields first, then the oldest
+        this.flowFields = this.flowFields.filter(f => now - f.createdAt < FLOW_FIELD_MAX_AGE);
+        if (this.flowFields.length >= MAX_FLOW_FIELDS) {
+            this.flowFields.shift();
+        }
+        this.flowFields.push(field);
+        return field;
+    }
+
+    /**
+     * Dijkstra outwards from the goal over reversed steps
+     * @param {THREE.Vector3} goal
+     * @returns {FlowField}
+     */
+    buildFlowField(goal) {
+        const goalNode = this.toNode(goal);
+        const goalKey = nodeKey(goalNode);
+
+        const field = new FlowField(goal.clone());
+        const cost = new Map([[goalKey, 0]]);
+        const nodes = new Map([[goalKey, goalNode]]);
+        const open = new MinHeap();
+        const closed = new Set();
+
+        open.push(goalKey, 0);
+        field.add(goalNode, null);
+
+        while (open.size > 0) {
+            const key = open.pop();
+            if (closed.has(key)) continue;
+            closed.add(key);
+
+            const node = nodes.get(key);
+            for (const neighbor of this.getNeighbors(node, true)) {
+                if (Math.abs(neighbor.x - goalNode.x) > FLOW_FIELD_RADIUS ||
+                    Math.abs(neighbor.z - goalNode.z) > FLOW_FIELD_RADIUS) {
+                    continue;
+                }
+
+                const neighborKey = nodeKey(neighbor);
+                if (closed.has(neighborKey)) continue;
+
+                const total = cost.get(key) + neighbor.cost;
+                if (total < (cost.get(neighborKey) ?? Infinity)) {
+                    cost.set(neighborKey, total);
+                    nodes.set(neighborKey, neighbor);
+                    field.add(neighbor, node);
+                    open.push(neighborKey, total);
+                }
+            }
+        }
+
+        return field;
+    }
+}
+
+// ============================================================================
+// FLOW FIELD
+// ============================================================================
+
+/**
+ * Per-node "next step" towards a goal, indexed by column for lookup
+ */
+class FlowField {
+    constructor(goal) {
+        this.goal = goal;
+        this.createdAt = 0;
+        // "x,z" -> array of { y, next } (several floors per column inside landmarks)
+        this.columns = new Map();
+    }
+
+    add(node, next) {
+        const key = `${node.x},${node.z}`;
+        let levels = this.columns.get(key);
+        if (!levels) {
+            levels = [];
+            this.columns.set(key, levels);
+        }
+        const existing = levels.find(level => Math.round(level.y) === Math.round(node.y));
+        if (existing) {
+            existing.next = next;
+        } else {
+            levels.push({ y: node.y, next });
+        }
+    }
+
+    /**
+     * @param {THREE.Vector3} position - Entity position
+     * @returns {{x: number, z: number, jump: boolean}|null}
+     */
+    getDirection(position) {
+        const x = Math.floor(position.x);
+        const z = Math.floor(position.z);
+        const levels = this.columns.get(`${x},${z}`);
+        if (!levels) return null;
+
+        // Level closest to the entity's footing
+        let best = null;
+        for (const level of levels) {
+            if (!best || Math.abs(level.y - position.y) < Math.abs(best.y - position.y)) {
+                best = level;
+            }
+        }
+        if (!best || !best.next || Math.abs(best.y - position.y) > 2) return null;
+
+        const dx = best.next.x + 0.5 - position.x;
+        const dz = best.next.z + 0.5 - position.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        if (length < 0.001) return null;
+
+        return {
+            x: dx / length,
+            z: dz / length,
+            jump: best.next.y > position.y + 0.5
+        };
+    }
+}
+
+// ============================================================================
+// PATH FOLLOWER
+// ============================================================================
+
+// Replan when the goal moves this far (blocks) or after this long (seconds)
+const REPATH_DISTANCE = 2;
+const REPATH_INTERVAL = 2.0;
+
+// Fast-moving goals (e.g. formation slots around a mounted hero) replan at most this often
+const MIN_REPATH_INTERVAL = 0.5;
+
+// Waypoint is reached within this horizontal distance
+const WAYPOINT_RADIUS = 0.6;
+
+/**
+ * PathFollower - Steers one entity along A* paths to a (possibly moving) goal
+ *
+ * Falls back to a straight line when navigation is unavailable or no path exists.
+ */
+export class PathFollower {
+    constructor() {
+        this.path = null;
+        this.index = 0;
+        this.goal = new THREE.Vector3();
+        this.repathTimer = 0;
+    }
+
+    /**
+     * Get the direction to move this frame
+     * @param {THREE.Vector3} position - Entity position
+     * @param {THREE.Vector3} goal - Destination
+     * @param {number} deltaTime - Seconds since last call
+     * @returns {{x: number, z: number, jump: boolean}} Unit direction and whether to jump
+     */
+    steer(position, goal, deltaTime) {
+        const nav = getNavigation();
+        this.repathTimer -= deltaTime;
+
+        const goalMoved = this.goal.distanceTo(goal) > REPATH_DISTANCE &&
+            this.repathTimer <= REPATH_INTERVAL - MIN_REPATH_INTERVAL;
+
+        if (nav && (!this.path || this.repathTimer <= 0 || goalMoved)) {
+            this.path = nav.findPath(position, goal);
+            this.index = 0;
+            this.repathTimer = REPATH_INTERVAL;
+            this.goal.copy(goal);
+        }
+
+        // Skip waypoints already reached
+        while (this.path && this.index < this.path.length &&
+            horizontalDistance(position, this.path[this.index]) < WAYPOINT_RADIUS) {
+            this.index++;
+        }
+
+        const target = this.path && this.index < this.path.length ? this.path[this.index] : goal;
+        const dx = target.x - position.x;
+        const dz = target.z - position.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+
+        return {
+            x: dx / length,
+            z: dz / length,
+            jump: target.y > position.y + 0.5
+        };
+    }
+
+    /**
+     * Forget the current path (e.g. when orders change)
+     */
+    clear() {
+        this.path = null;
+        this.index = 0;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function nodeKey(node) {
+    return `${node.x},${Math.round(node.y)},${node.z}`;
+}
+
+function horizontalDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Drop waypoints in the middle of straight, level runs
+ */
+function simplifyPath(path) {
+    if (path.length < 3) return path;
+
+    const result = [path[0]];
+    for (let i = 1; i < path.length - 1; i++) {
+        const prev = path[i - 1];
+        const current = path[i];
+        const next = path[i + 1];
+        const sameDirection =
+            Math.sign(current.x - prev.x) === Math.sign(next.x - current.x) &&
+            Math.sign(current.z - prev.z) === Math.sign(next.z - current.z);
+        const level = Math.abs(next.y - prev.y) < 0.5;
+        if (!sameDirection || !level) {
+            result.push(current);
+        }
+    }
+    result.push(path[path.length - 1]);
+    return result;
+}
+
+/**
+ * Binary min-heap of keys by priority
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(key, priority) {
+        const items = this.items;
+        items.push({ key, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.key;
+    }
+}
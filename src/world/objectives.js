@@ -0,0 +1,151 @@
+/**
+ * Radial Objectives - Deterministic objective placement for a continent
+ *
+ * Implements the placement rules from docs/continental-progression.md:
+ * - 3-4 objectives on continent 0, 4-5 on continent 1, 5-6 beyond
+ * - The island is divided into wedge sectors around its center; peripheral
+ *   objectives take every other wedge so no two sit in adjacent wedges
+ * - One objective sits in the center region
+ * - The peripheral objective farthest from the start is pushed out towards
+ *   the coast, so at least one is at high progression level
+ *
+ * Each objective prefers a landmark type from LANDMARK_TYPES, which decides
+ * what the player has to do there (clear the temple, slay the guardian, ...).
+ * The landmark itself is found at runtime by ObjectiveManager, since landmark
+ * placement depends on terrain generated in the worker.
+ *
+ * Pure functions - everything derives from ObjectiveSeed.
+ */
+
+import { deriveSeed, deriveContinentSeed, getContinentTerrainSeed, createRNG } from '../worldgen/seeds.js';
+import { getNominalRadius, computeStartPosition } from './terrain/continentshape.js';
+import { hash } from './terrain/terraincore.js';
+import { LANDMARK_TYPES } from './landmarks/landmarkdefinitions.js';
+
+/**
+ * What an objective asks for, by the landmark it is bound to
+ * kind: 'clear' (kill hostiles near it), 'boss' (kill a guardian),
+ *       'activate' (stand at it for a few seconds)
+ */
+export const LANDMARK_OBJECTIVES = {
+    mayanTemple:  { kind: 'clear',    title: 'Clear the temple' },
+    forestHut:    { kind: 'activate', title: 'Light the hut beacon' },
+    rockyOutcrop: { kind: 'boss',     title: 'Slay the outcrop guardian' }
+};
+
+// Objective at a site with no suitable landmark nearby
+export const FALLBACK_OBJECTIVE = { kind: 'boss', title: 'Slay the wandering guardian' };
+
+// Objective count range by continent index
+const OBJECTIVE_COUNTS = [[3, 4], [4, 5], [5, 6]];
+
+// Distance from island center as a fraction of the nominal coast radius
+const CENTER_DISTANCE = [0.05, 0.15];
+const PERIPHERAL_DISTANCE = [0.45, 0.75];
+const FAR_DISTANCE = 0.85;
+
+// Keep objectives away from wedge edges (fraction of wedge width)
+const WEDGE_MARGIN = 0.2;
+
+/**
+ * Derive the ObjectiveSeed for a continent
+ * @param {number} worldSeed - World seed
+ * @param {number} continentIndex - Continent in the sailing sequence
+ * @returns {number}
+ */
+export function deriveObjectiveSeed(worldSeed, continentIndex = 0) {
+    return deriveSeed(deriveContinentSeed(worldSeed, continentIndex), 'objectives');
+}
+
+/**
+ * Place the radial objectives for a continent
+ * @param {number} worldSeed - World seed
+ * @param {Object} continentConfig - { baseRadius }
+ * @param {number} continentIndex - Continent in the sailing sequence
+ * @returns {Array<Object>} Objectives: { id, index, x, z, angle, wedge, central, landmarkType, kind, title }
+ */
+export function generateObjectives(worldSeed, continentConfig = {}, continentIndex = 0) {
+    const rng = createRNG(deriveObjectiveSeed(worldSeed, continentIndex));
+    const baseRadius = continentConfig?.baseRadius || 2000;
+
+    // Same seed derivation as ContinentState
+    const terrainSeed = getContinentTerrainSeed(worldSeed, continentIndex);
+    const shapeSeed = Math.floor(hash(0, 0, terrainSeed + 111111) * 0x7FFFFFFF);
+    const startSeed = Math.floor(hash(0, 0, terrainSeed + 333333) * 0x7FFFFFFF);
+    const start = computeStartPosition(startSeed, shapeSeed, baseRadius);
+
+    const [minCount, maxCount] = OBJECTIVE_COUNTS[Math.min(continentIndex, OBJECTIVE_COUNTS.length - 1)];
+    const count = minCount + Math.floor(rng() * (maxCount - minCount + 1));
+
+    // One central objective; the rest take every other wedge
+    const peripheralCount = count - 1;
+    const wedgeCount = peripheralCount * 2;
+    const wedgeWidth = (Math.PI * 2) / wedgeCount;
+    const wedgeOffset = Math.floor(rng() * 2);
+    const rotation = rng() * wedgeWidth;
+
+    const objectives = [];
+    for (let i = 0; i < peripheralCount; i++) {
+        const wedge = i * 2 + wedgeOffset;
+        const within = WEDGE_MARGIN + rng() * (1 - WEDGE_MARGIN * 2);
+        const angle = rotation + (wedge + within) * wedgeWidth;
+        const coast = getNominalRadius(angle, shapeSeed, baseRadius);
+        const distance = coast * lerp(PERIPHERAL_DISTANCE, rng());
+        objectives.push({ wedge, angle, distance, coast, central: false });
+    }
+
+    // Push the objective farthest from the start out towards the coast
+    let far = objectives[0];
+    let farDistance = -Infinity;
+    for (const objective of objectives) {
+        const d = distanceFromStart(objective.angle, objective.coast * FAR_DISTANCE, start);
+        if (d > farDistance) {
+            farDistance = d;
+            far = objective;
+        }
+    }
+    far.distance = far.coast * FAR_DISTANCE;
+
+    const centerAngle = rng() * Math.PI * 2;
+    const centerCoast = getNominalRadius(centerAngle, shapeSeed, baseRadius);
+    objectives.push({
+        wedge: -1,
+        angle: centerAngle,
+        distance: centerCoast * lerp(CENTER_DISTANCE, rng()),
+        coast: centerCoast,
+        central: true
+    });
+
+    // Bind each to a preferred landmark type; the center is a ruin (temple) anchor
+    const landmarkTypes = Object.keys(LANDMARK_OBJECTIVES).filter(type => LANDMARK_TYPES[type]);
+
+    return objectives.map((objective, index) => {
+        const landmarkType = objective.central
+            ? 'mayanTemple'
+            : landmarkTypes[Math.floor(rng() * landmarkTypes.length)];
+        const { kind, title } = LANDMARK_OBJECTIVES[landmarkType];
+
+        return {
+            id: `c${continentIndex}-o${index}`,
+            index,
+            x: Math.cos(objective.angle) * objective.distance,
+            z: Math.sin(objective.angle) * objective.distance,
+            angle: objective.angle,
+            wedge: objective.wedge,
+            central: objective.central,
+            landmarkType,
+            kind,
+            title
+        };
+    });
+}
+
+function distanceFromStart(angle, distance, start) {
+    const dx = Math.cos(angle) * distance - start.x;
+    const dz = Math.sin(angle) * distance - start.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+function lerp([min, max], t) {
+    return min + (max - min) * t;
+}
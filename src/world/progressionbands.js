@@ -0,0 +1,151 @@
+/**
+ * ProgressionBands - Danger level from distance to the continent's start point
+ *
+ * Implements the banding from docs/continental-progression.md:
+ *
+ *   progressionLevel(position) = baseLevelForContinent +
+ *       lerp(0, 9, clamp(distFromStart / maxIslandDiameter, 0, 1))
+ *
+ * maxIslandDiameter is taken as the farthest nominal coastline point from
+ * the start, so the far shore reaches the top of the band. The level field
+ * is radial around the start point, which lets the map overlay draw it as a
+ * single radial gradient.
+ *
+ * Also holds the mob stat scaling by level (health, damage, speed, XP).
+ */
+
+import { getNominalRadius, computeStartPosition } from './terrain/continentshape.js';
+import { hash } from './terrain/terraincore.js';
+import { getContinentTerrainSeed } from '../worldgen/seeds.js';
+import { LEVELS_PER_CONTINENT } from '../heroprogression.js';
+
+// Coastline samples when measuring the farthest point from the start
+const COAST_SAMPLES = 90;
+
+// Per-level stat growth (level 1 = base MOB_TYPES stats)
+const HEALTH_PER_LEVEL = 0.15;
+const DAMAGE_PER_LEVEL = 0.12;
+const SPEED_PER_LEVEL = 0.03;
+const XP_PER_LEVEL = 0.25;
+
+/**
+ * Progression level for a distance from the start point
+ * @param {number} distFromStart - Distance from the start point (blocks)
+ * @param {number} maxDistance - Distance at which the band tops out
+ * @param {number} baseLevel - First level of the continent's band
+ * @returns {number} Continuous level in [baseLevel, baseLevel + 9]
+ */
+export function progressionLevel(distFromStart, maxDistance, baseLevel = 1) {
+    const t = Math.max(0, Math.min(1, distFromStart / maxDistance));
+    return baseLevel + t * (LEVELS_PER_CONTINENT - 1);
+}
+
+/**
+ * First level of the continent band a level falls in (1, 11, 21, ...)
+ * @param {number} level
+ * @returns {number}
+ */
+export function getBandBaseLevel(level) {
+    return Math.floor((Math.max(1, level) - 1) / LEVELS_PER_CONTINENT) * LEVELS_PER_CONTINENT + 1;
+}
+
+/**
+ * Danger color for a level within a continent band (green -> yellow -> red)
+ * @param {number} level - Level (continuous or integer)
+ * @param {number} [baseLevel] - First level of the band (defaults to the level's own band)
+ * @returns {{r: number, g: number, b: number}} 0-255 channels
+ */
+export function getDangerColor(level, baseLevel = getBandBaseLevel(level)) {
+    const t = Math.max(0, Math.min(1, (level - baseLevel) / (LEVELS_PER_CONTINENT - 1)));
+    if (t < 0.5) {
+        return { r: Math.round(80 + t * 2 * 175), g: 220, b: 60 };
+    }
+    return { r: 255, g: Math.round(220 - (t - 0.5) * 2 * 190), b: 60 };
+}
+
+/**
+ * Mob stats for a level, scaled from its MOB_TYPES entry
+ * @param {Object} config - MOB_TYPES entry
+ * @param {number} level - Mob level (integer, 1-based)
+ * @returns {{health: number, damage: number, speed: number, xp: number}}
+ */
+export function scaleMobStats(config, level) {
+    const steps = Math.max(0, level - 1);
+    return {
+        health: Math.round(config.health * (1 + HEALTH_PER_LEVEL * steps)),
+        damage: Math.round((config.damage || 0) * (1 + DAMAGE_PER_LEVEL * steps)),
+        speed: config.speed * (1 + SPEED_PER_LEVEL * steps),
+        xp: Math.round(config.xp * (1 + XP_PER_LEVEL * steps))
+    };
+}
+
+export class ProgressionBands {
+    /**
+     * @param {number} worldSeed - World seed
+     * @param {Object} continentConfig - { enabled, baseRadius }
+     * @param {number} continentIndex - Continent in the sailing sequence (0 = starting continent)
+     */
+    constructor(worldSeed, continentConfig = {}, continentIndex = 0) {
+        this.baseLevel = continentIndex * LEVELS_PER_CONTINENT + 1;
+        const baseRadius = continentConfig?.baseRadius || 2000;
+
+        if (continentConfig?.enabled) {
+            // Same seed derivation as ContinentState
+            const terrainSeed = getContinentTerrainSeed(worldSeed, continentIndex);
+            const shapeSeed = Math.floor(hash(0, 0, terrainSeed + 111111) * 0x7FFFFFFF);
+            const startSeed = Math.floor(hash(0, 0, terrainSeed + 333333) * 0x7FFFFFFF);
+            this.start = computeStartPosition(startSeed, shapeSeed, baseRadius);
+            this.maxDistance = this.findFarthestCoast(shapeSeed, baseRadius);
+        } else {
+            // Unbounded terrain: band around the origin
+            this.start = { x: 0, z: 0, angle: 0 };
+            this.maxDistance = baseRadius * 2;
+        }
+    }
+
+    /**
+     * Distance from the start to the farthest nominal coastline point
+     */
+    findFarthestCoast(shapeSeed, baseRadius) {
+        let farthest = 0;
+        for (let i = 0; i < COAST_SAMPLES; i++) {
+            const angle = (i / COAST_SAMPLES) * Math.PI * 2;
+            const radius = getNominalRadius(angle, shapeSeed, baseRadius);
+            const dx = Math.cos(angle) * radius - this.start.x;
+            const dz = Math.sin(angle) * radius - this.start.z;
+            farthest = Math.max(farthest, Math.sqrt(dx * dx + dz * dz));
+        }
+        return farthest;
+    }
+
+    /**
+     * Continuous progression level at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number}
+     */
+    getLevel(x, z) {
+        const dx = x - this.start.x;
+        const dz = z - this.start.z;
+        return progressionLevel(Math.sqrt(dx * dx + dz * dz), this.maxDistance, this.baseLevel);
+    }
+
+    /**
+     * Integer mob level at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number}
+     */
+    getMobLevel(x, z) {
+        return Math.round(this.getLevel(x, z));
+    }
+
+    /**
+     * Danger color at a level in this continent's band
+     * @param {number} level
+     * @returns {{r: number, g: number, b: number}}
+     */
+    getColor(level) {
+        return getDangerColor(level, this.baseLevel);
+    }
+}
@@ -17,8 +17,12 @@
  * - underwater: { primary, tint } - Surface block when underwater
  * - objects: Array of object types that can spawn
  * - objectDensities: Spawn density per object type (0-1)
- * - mobs: Array of mob types that can spawn in this biome
+ * - mobs: Array of mob types (keys of MOB_TYPES in mobs.js) that spawn in this biome
  * - spawnWeights: Relative spawn rates for mobs
+ * - mobDensity: Wilderness spawn points per chunk, approximately (0 = no mobs)
+ *
+ * Mob spawning is driven entirely by this table: spawn points are placed by
+ * mobDensity and the mob is picked from mobs by spawnWeights.
  */
 export const BIOMES = {
     // WATER BIOMES (sand-based)
@@ -35,7 +39,8 @@ export const BIOMES = {
         objects: [],
         objectDensities: {},
         mobs: [],
-        spawnWeights: {}
+        spawnWeights: {},
+        mobDensity: 0
     },
 
     // Coastal ocean: shallow water with sandy floor
@@ -49,7 +54,8 @@ export const BIOMES = {
         objects: [],
         objectDensities: {},
         mobs: [],
-        spawnWeights: {}
+        spawnWeights: {},
+        mobDensity: 0
     },
 
     shallow_ocean: {
@@ -62,7 +68,8 @@ export const BIOMES = {
         objects: [],
         objectDensities: {},
         mobs: [],
-        spawnWeights: {}
+        spawnWeights: {},
+        mobDensity: 0
     },
 
     beach: {
@@ -74,8 +81,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [0.8, 0.85, 1.1] },
         objects: ['rock'],
         objectDensities: { rock: 0.005 },
-        mobs: [],
-        spawnWeights: {}
+        mobs: ['chicken', 'zombie'],
+        spawnWeights: { chicken: 30, zombie: 20 },
+        mobDensity: 0.008
     },
 
     // TEMPERATE BIOMES (grass-based)
@@ -93,13 +101,8 @@ export const BIOMES = {
             grass: 0         // Disabled for performance
         },
         mobs: ['cow', 'pig', 'chicken', 'zombie', 'creeper'],
-        spawnWeights: {
-            cow: 30,
-            pig: 35,
-            chicken: 40,
-            zombie: 30,
-            creeper: 15
-        }
+        spawnWeights: { cow: 30, pig: 35, chicken: 40, zombie: 30, creeper: 15 },
+        mobDensity: 0.02
     },
 
     savanna: {
@@ -111,8 +114,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['tree', 'rock'],
         objectDensities: { tree: 0.02, rock: 0.01 },
-        mobs: ['cow', 'zombie', 'creeper'],
-        spawnWeights: { cow: 40, zombie: 25, creeper: 15 }
+        mobs: ['cow', 'chicken', 'zombie', 'husk', 'creeper'],
+        spawnWeights: { cow: 40, chicken: 20, zombie: 25, husk: 15, creeper: 15 },
+        mobDensity: 0.015
     },
 
     taiga: {
@@ -124,8 +128,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['snowTree', 'rock'],
         objectDensities: { snowTree: 0.1, rock: 0.015 },
-        mobs: ['zombie', 'skeleton'],
-        spawnWeights: { zombie: 30, skeleton: 25 }
+        mobs: ['pig', 'wolf', 'zombie', 'skeleton'],
+        spawnWeights: { pig: 20, wolf: 25, zombie: 30, skeleton: 25 },
+        mobDensity: 0.015
     },
 
     // FOREST BIOMES (forest_floor-based)
@@ -141,12 +146,9 @@ export const BIOMES = {
             jungleTree: 0.12,    // Dense jungle trees
             rock: 0.01
         },
-        mobs: ['zombie', 'creeper', 'chicken'],
-        spawnWeights: {
-            zombie: 30,
-            creeper: 20,
-            chicken: 35
-        }
+        mobs: ['chicken', 'spider', 'zombie', 'creeper'],
+        spawnWeights: { chicken: 35, spider: 30, zombie: 25, creeper: 20 },
+        mobDensity: 0.02
     },
 
     rainforest: {
@@ -158,8 +160,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['jungleTree', 'rock'],
         objectDensities: { jungleTree: 0.15, rock: 0.008 },
-        mobs: ['zombie', 'creeper', 'chicken'],
-        spawnWeights: { zombie: 30, creeper: 20, chicken: 40 }
+        mobs: ['chicken', 'spider', 'zombie', 'creeper'],
+        spawnWeights: { chicken: 40, spider: 35, zombie: 25, creeper: 15 },
+        mobDensity: 0.02
     },
 
     swamp: {
@@ -171,8 +174,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [0.6, 0.7, 0.6] },
         objects: ['tree', 'rock'],
         objectDensities: { tree: 0.05, rock: 0.02 },
-        mobs: ['zombie', 'skeleton'],
-        spawnWeights: { zombie: 40, skeleton: 30 }
+        mobs: ['slime', 'zombie', 'skeleton'],
+        spawnWeights: { slime: 40, zombie: 30, skeleton: 20 },
+        mobDensity: 0.02
     },
 
     // DRY BIOMES (sand-based)
@@ -188,12 +192,9 @@ export const BIOMES = {
             cactus: 0.02,
             rock: 0.01
         },
-        mobs: ['zombie', 'creeper', 'chicken'],
-        spawnWeights: {
-            zombie: 30,
-            creeper: 15,
-            chicken: 40
-        }
+        mobs: ['chicken', 'husk', 'zombie', 'creeper'],
+        spawnWeights: { chicken: 30, husk: 40, zombie: 10, creeper: 15 },
+        mobDensity: 0.015
     },
 
     badlands: {
@@ -205,8 +206,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [0.9, 0.5, 0.3] },
         objects: ['rock'],
         objectDensities: { rock: 0.025 },
-        mobs: ['zombie', 'skeleton'],
-        spawnWeights: { zombie: 30, skeleton: 25 }
+        mobs: ['husk', 'skeleton', 'spider'],
+        spawnWeights: { husk: 35, skeleton: 30, spider: 15 },
+        mobDensity: 0.012
     },
 
     // COLD BIOMES (ice-based, like glacier but with different vegetation)
@@ -222,11 +224,9 @@ export const BIOMES = {
             snowTree: 0.06,  // Forest clustering applied
             rock: 0.015
         },
-        mobs: ['zombie', 'skeleton'],
-        spawnWeights: {
-            zombie: 30,
-            skeleton: 25
-        }
+        mobs: ['wolf', 'zombie', 'skeleton'],
+        spawnWeights: { wolf: 30, zombie: 25, skeleton: 25 },
+        mobDensity: 0.015
     },
 
     tundra: {
@@ -238,8 +238,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['rock'],
         objectDensities: { rock: 0.02 },
-        mobs: ['skeleton', 'zombie'],
-        spawnWeights: { skeleton: 30, zombie: 25 }
+        mobs: ['wolf', 'skeleton', 'zombie'],
+        spawnWeights: { wolf: 35, skeleton: 30, zombie: 20 },
+        mobDensity: 0.012
     },
 
     alpine: {
@@ -251,8 +252,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['boulder', 'rock'],
         objectDensities: { boulder: 0.015, rock: 0.02 },
-        mobs: ['skeleton'],
-        spawnWeights: { skeleton: 40 }
+        mobs: ['wolf', 'skeleton'],
+        spawnWeights: { wolf: 30, skeleton: 40 },
+        mobDensity: 0.01
     },
 
     // MOUNTAIN BIOMES (rock-based)
@@ -268,11 +270,9 @@ export const BIOMES = {
             boulder: 0.02,
             rock: 0.015
         },
-        mobs: ['skeleton', 'zombie'],
-        spawnWeights: {
-            skeleton: 25,
-            zombie: 30
-        }
+        mobs: ['skeleton', 'zombie', 'spider'],
+        spawnWeights: { skeleton: 25, zombie: 30, spider: 20 },
+        mobDensity: 0.01
     },
 
     highlands: {
@@ -284,8 +284,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['boulder', 'rock', 'tree'],
         objectDensities: { boulder: 0.015, rock: 0.01, tree: 0.03 },
-        mobs: ['skeleton', 'zombie'],
-        spawnWeights: { skeleton: 25, zombie: 30 }
+        mobs: ['cow', 'skeleton', 'zombie'],
+        spawnWeights: { cow: 20, skeleton: 25, zombie: 30 },
+        mobDensity: 0.012
     },
 
     volcanic: {
@@ -297,8 +298,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [0.7, 0.4, 0.3] },
         objects: ['boulder', 'rock'],
         objectDensities: { boulder: 0.025, rock: 0.02 },
-        mobs: ['zombie', 'skeleton', 'creeper'],
-        spawnWeights: { zombie: 35, skeleton: 30, creeper: 20 }
+        mobs: ['fireImp', 'skeleton', 'creeper'],
+        spawnWeights: { fireImp: 40, skeleton: 25, creeper: 20 },
+        mobDensity: 0.015
     },
 
     // NEW BIOMES (Spec 11 Revision - Climate Matrix)
@@ -311,8 +313,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 0.7, 0.5] },
         objects: ['rock'],
         objectDensities: { rock: 0.02 },
-        mobs: ['zombie', 'creeper'],
-        spawnWeights: { zombie: 30, creeper: 20 }
+        mobs: ['husk', 'creeper', 'skeleton'],
+        spawnWeights: { husk: 40, creeper: 20, skeleton: 15 },
+        mobDensity: 0.012
     },
 
     meadow: {
@@ -325,7 +328,8 @@ export const BIOMES = {
         objects: ['grass', 'rock'],
         objectDensities: { grass: 0, rock: 0.008 },  // Sparse, open terrain
         mobs: ['cow', 'pig', 'chicken'],
-        spawnWeights: { cow: 35, pig: 30, chicken: 45 }
+        spawnWeights: { cow: 35, pig: 30, chicken: 45 },
+        mobDensity: 0.015
     },
 
     deciduous_forest: {
@@ -337,8 +341,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['tree', 'rock'],
         objectDensities: { tree: 0.1, rock: 0.015 },  // Dense forest
-        mobs: ['zombie', 'skeleton', 'cow'],
-        spawnWeights: { zombie: 30, skeleton: 25, cow: 20 }
+        mobs: ['cow', 'pig', 'zombie', 'skeleton', 'spider'],
+        spawnWeights: { cow: 20, pig: 15, zombie: 30, skeleton: 25, spider: 20 },
+        mobDensity: 0.018
     },
 
     autumn_forest: {
@@ -350,8 +355,9 @@ export const BIOMES = {
         underwater: { primary: 'sand', tint: [1.0, 1.0, 1.0] },
         objects: ['tree', 'rock'],
         objectDensities: { tree: 0.09, rock: 0.01 },
-        mobs: ['zombie', 'chicken', 'pig'],
-        spawnWeights: { zombie: 30, chicken: 35, pig: 25 }
+        mobs: ['pig', 'chicken', 'zombie', 'spider', 'wolf'],
+        spawnWeights: { pig: 25, chicken: 35, zombie: 30, spider: 15, wolf: 10 },
+        mobDensity: 0.018
     },
 
     glacier: {
@@ -363,8 +369,9 @@ export const BIOMES = {
         underwater: { primary: 'ice', tint: [1.3, 1.5, 1.8] },
         objects: ['boulder', 'rock'],
         objectDensities: { boulder: 0.02, rock: 0.015 },
-        mobs: ['skeleton'],
-        spawnWeights: { skeleton: 35 }
+        mobs: ['wolf', 'skeleton'],
+        spawnWeights: { wolf: 40, skeleton: 25 },
+        mobDensity: 0.01
     }
 };
 
@@ -429,6 +436,16 @@ export function getMobSpawnWeight(biomeName, mobType) {
     return biome?.spawnWeights?.[mobType] || 0;
 }
 
+/**
+ * Get wilderness spawn point density for a biome
+ * @param {string} biomeName - Biome name
+ * @returns {number} Spawn points per chunk (approximate), or 0 if no mobs spawn
+ */
+export function getMobSpawnDensity(biomeName) {
+    const biome = BIOMES[biomeName];
+    return biome?.mobs?.length ? (biome.mobDensity || 0) : 0;
+}
+
 /**
  * Get surface texture name for a biome (backward compatible helper)
  * @param {string} biomeName - Biome name
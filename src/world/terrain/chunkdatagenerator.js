@@ -42,7 +42,8 @@ const SURFACE_TILE_INDICES = {
     sand: getTextureLayer('sand'),                // 3
     ice: getTextureLayer('ice'),                  // 6
     rock: getTextureLayer('rock'),                // 4
-    forest_floor: getTextureLayer('forest_floor') // 1
+    forest_floor: getTextureLayer('forest_floor'), // 1
+    gravel: getTextureLayer('gravel')             // 7
 };
 
 // Mapping from all block types to texture array layer indices (for voxel mesh)
@@ -419,11 +420,15 @@ function computeBlendWeights(worldX, worldZ, terrainHeight, terrainProvider, bio
  * @param {number} terrainHeight - Height at this position
  * @param {Object} terrainProvider - Provider with getBiome()
  * @param {Object} biomes - BIOMES configuration
+ * @param {Object} [road] - Road paint for the quad { weight, tile }
  * @returns {Object} { tileIndex: number, tint: [r,g,b] }
  */
-function computeDitheredTileSelection(worldX, worldZ, terrainHeight, terrainProvider, biomes) {
+function computeDitheredTileSelection(worldX, worldZ, terrainHeight, terrainProvider, biomes, road = null) {
     // Get blend weights using existing function
     const blend = computeBlendWeights(worldX, worldZ, terrainHeight, terrainProvider, biomes);
+    if (road) {
+        applyRoadPaint(blend, road.weight, road.tile);
+    }
 
     // Get the two most significant tiles
     const primaryTile = blend.tileIndices[0];
@@ -611,8 +616,7 @@ function generateHeightmap(terrainProvider, chunkX, chunkZ) {
     const rawHeightmap = new Float32Array(HEIGHTMAP_SIZE * HEIGHTMAP_SIZE);
     for (let lz = 0; lz < HEIGHTMAP_SIZE; lz++) {
         for (let lx = 0; lx < HEIGHTMAP_SIZE; lx++) {
-            rawHeightmap[getHeightmapIndex(lx, lz)] = 
-                terrainProvider.getContinuousHeight(worldMinX + lx, worldMinZ + lz);
+            rawHeightmap[getHeightmapIndex(lx, lz)] = getGradedHeight(terrainProvider, worldMinX + lx, worldMinZ + lz);
         }
     }
     
@@ -757,7 +761,12 @@ function generateSurfaceTypes(terrainProvider, chunkX, chunkZ) {
 
     for (let lz = 0; lz < CHUNK_SIZE; lz++) {
         for (let lx = 0; lx < CHUNK_SIZE; lx++) {
-            const blockType = terrainProvider.getSurfaceBlockType(worldMinX + lx, worldMinZ + lz);
+            const wx = worldMinX + lx;
+            const wz = worldMinZ + lz;
+            const road = terrainProvider.getRoadInfo?.(wx, wz);
+            const blockType = road && road.distance <= road.halfWidth
+                ? road.surface
+                : terrainProvider.getSurfaceBlockType(wx, wz);
             surfaceTypes[lz * CHUNK_SIZE + lx] = getBlockTypeId(blockType);
         }
     }
@@ -799,11 +808,127 @@ function generateBlockData(terrainProvider, chunkX, chunkZ) {
                 const blockType = terrainProvider.getBlockType(x, y, z);
                 blockData[getBlockIndex(lx, y, lz)] = getBlockTypeId(blockType);
             }
+
+            // Player-placed blocks may sit above the landmark height budget
+            const placed = terrainProvider.getPlacedBlocksInColumn?.(x, z);
+            if (placed) {
+                for (const [y, blockType] of placed) {
+                    if (y > maxH && y < MAX_HEIGHT) {
+                        blockData[getBlockIndex(lx, y, lz)] = getBlockTypeId(blockType);
+                    }
+                }
+            }
         }
     }
     return blockData;
 }
 
+// ============================================================================
+// ROADS
+// ============================================================================
+
+/**
+ * Continuous height with the road grade applied: the paved bed sits at the
+ * road's grade height, the shoulder blends back to natural terrain.
+ * Used for every height sample (including cross-chunk normal/AO samples)
+ * so graded roads stay seamless across chunk borders.
+ */
+function getGradedHeight(terrainProvider, worldX, worldZ) {
+    const height = terrainProvider.getContinuousHeight(worldX, worldZ);
+    const road = terrainProvider.getRoadInfo?.(worldX, worldZ);
+    if (!road) return height;
+
+    const t = Math.max(0, Math.min(1, (road.distance - road.halfWidth) / road.shoulder));
+    const blend = t * t * (3 - 2 * t);
+    return road.height + (height - road.height) * blend;
+}
+
+/**
+ * Per-vertex road paint: how strongly the road surface covers each vertex
+ * and which texture layer it uses. Kept with the chunk so main-thread
+ * mesh rebuilds (after explosions) repaint the same roads.
+ * @returns {{ weights: Float32Array, tiles: Uint8Array }}
+ */
+function generateRoadPaint(terrainProvider, chunkX, chunkZ) {
+    const worldMinX = chunkX * CHUNK_SIZE;
+    const worldMinZ = chunkZ * CHUNK_SIZE;
+    const weights = new Float32Array(HEIGHTMAP_SIZE * HEIGHTMAP_SIZE);
+    const tiles = new Uint8Array(HEIGHTMAP_SIZE * HEIGHTMAP_SIZE);
+
+    for (let lz = 0; lz < HEIGHTMAP_SIZE; lz++) {
+        for (let lx = 0; lx < HEIGHTMAP_SIZE; lx++) {
+            const road = terrainProvider.getRoadInfo?.(worldMinX + lx, worldMinZ + lz);
+            if (!road) continue;
+
+            // Solid on the bed, fading out over the first block of shoulder
+            const t = Math.max(0, Math.min(1, (road.distance - road.halfWidth + 0.5) / 1.5));
+            const index = getHeightmapIndex(lx, lz);
+            weights[index] = 1 - t * t * (3 - 2 * t);
+            tiles[index] = SURFACE_TILE_INDICES[road.surface] ?? SURFACE_TILE_INDICES.dirt;
+        }
+    }
+    return { weights, tiles };
+}
+
+/**
+ * Blend a road surface into a vertex's splat weights (in place).
+ * Re-sorts the slots by weight so the dithered path still finds the
+ * dominant tile first.
+ */
+function applyRoadPaint(blend, weight, tile) {
+    if (weight <= 0) return blend;
+
+    let slot = blend.tileIndices.indexOf(tile);
+    if (slot === -1) {
+        // Replace the weakest tile
+        slot = 0;
+        for (let i = 1; i < 4; i++) {
+            if (blend.weights[i] < blend.weights[slot]) slot = i;
+        }
+        blend.tileIndices[slot] = tile;
+        blend.weights[slot] = 0;
+    }
+
+    for (let i = 0; i < 4; i++) {
+        blend.weights[i] *= 1 - weight;
+    }
+    blend.weights[slot] += weight;
+    blend.tints[slot] = [1.0, 1.0, 1.0];
+
+    const order = [0, 1, 2, 3].sort((a, b) => blend.weights[b] - blend.weights[a]);
+    blend.tileIndices = order.map(i => blend.tileIndices[i]);
+    blend.weights = order.map(i => blend.weights[i]);
+    blend.tints = order.map(i => blend.tints[i]);
+    return blend;
+}
+
+function applyVertexRoadPaint(blend, roadPaint, lx, lz) {
+    const index = getHeightmapIndex(lx, lz);
+    applyRoadPaint(blend, roadPaint.weights[index], roadPaint.tiles[index]);
+}
+
+/**
+ * Road paint for a whole quad (dithered mode): mean weight of its corners,
+ * tile of the most-covered corner
+ * @returns {{ weight: number, tile: number }|null}
+ */
+function getQuadRoadPaint(roadPaint, lx, lz) {
+    if (!roadPaint) return null;
+
+    let weight = 0;
+    let tile = 0;
+    let maxWeight = 0;
+    for (const [dx, dz] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const index = getHeightmapIndex(lx + dx, lz + dz);
+        weight += roadPaint.weights[index] / 4;
+        if (roadPaint.weights[index] > maxWeight) {
+            maxWeight = roadPaint.weights[index];
+            tile = roadPaint.tiles[index];
+        }
+    }
+    return weight > 0 ? { weight, tile } : null;
+}
+
 // ============================================================================
 // SURFACE MESH - IMPROVED NORMAL COMPUTATION
 // ============================================================================
@@ -825,7 +950,7 @@ function computeHeightmapNormal(heightmap, lx, lz, terrainProvider, worldMinX, w
         // Out of bounds - query actual terrain for continuous normals across chunks
         const worldX = worldMinX + x;
         const worldZ = worldMinZ + z;
-        return terrainProvider.getContinuousHeight(worldX, worldZ);
+        return getGradedHeight(terrainProvider, worldX, worldZ);
     };
     
     const hL = getH(lx - 1, lz);
@@ -857,7 +982,7 @@ function computeHeightmapAO(heightmap, lx, lz, terrainProvider, worldMinX, world
         }
         const worldX = worldMinX + x;
         const worldZ = worldMinZ + z;
-        return terrainProvider.getContinuousHeight(worldX, worldZ);
+        return getGradedHeight(terrainProvider, worldX, worldZ);
     };
     
     const centerH = getH(lx, lz);
@@ -889,7 +1014,7 @@ function computeHeightmapAO(heightmap, lx, lz, terrainProvider, worldMinX, world
     return Math.max(0.5, 1.0 - occlusion);
 }
 
-function generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceTypes, terrainProvider, chunkX, chunkZ, useDithering = false) {
+function generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceTypes, terrainProvider, chunkX, chunkZ, useDithering = false, roadPaint = null) {
     const worldMinX = chunkX * CHUNK_SIZE;
     const worldMinZ = chunkZ * CHUNK_SIZE;
 
@@ -952,7 +1077,7 @@ function generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceT
                 const centerZ = worldMinZ + lz + 0.5;
                 const centerH = (h00 + h10 + h01 + h11) / 4;
                 const selected = computeDitheredTileSelection(
-                    centerX, centerZ, centerH, terrainProvider, BIOMES
+                    centerX, centerZ, centerH, terrainProvider, BIOMES, getQuadRoadPaint(roadPaint, lx, lz)
                 );
 
                 // All 4 vertices get the same tile and tint
@@ -993,6 +1118,12 @@ function generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceT
                 const blend10 = computeBlendWeights(worldMinX + lx + 1, worldMinZ + lz, h10, terrainProvider, BIOMES);
                 const blend01 = computeBlendWeights(worldMinX + lx, worldMinZ + lz + 1, h01, terrainProvider, BIOMES);
                 const blend11 = computeBlendWeights(worldMinX + lx + 1, worldMinZ + lz + 1, h11, terrainProvider, BIOMES);
+                if (roadPaint) {
+                    applyVertexRoadPaint(blend00, roadPaint, lx, lz);
+                    applyVertexRoadPaint(blend10, roadPaint, lx + 1, lz);
+                    applyVertexRoadPaint(blend01, roadPaint, lx, lz + 1);
+                    applyVertexRoadPaint(blend11, roadPaint, lx + 1, lz + 1);
+                }
 
                 // Compute tile indices from union of all 4 vertices (prevents weight loss at boundaries)
                 const quadTileIndices = computeQuadTileIndices(blend00, blend10, blend01, blend11);
@@ -1208,17 +1339,26 @@ function generateVoxelMesh(terrainProvider, voxelMask, chunkX, chunkZ, heightfie
             // 1. Voxel regions (landmarks/caves)
             // 2. Hole cells (crater interior)
             // 3. Near hole cells (crater walls need exposed faces, expanded for hillsides)
+            // 4. Heightfield cells with player-placed blocks (only those blocks are meshed)
             const isVoxelCell = voxelMask[cellIndex] === 1;
             const isHoleCell = isHoleAt(lx, lz);
             const needsCraterWalls = isNearHole(lx, lz);
-            if (!isVoxelCell && !isHoleCell && !needsCraterWalls) continue;
-            
+
             const x = worldMinX + lx;
             const z = worldMinZ + lz;
+            const placed = terrainProvider.getPlacedBlocksInColumn?.(x, z) || null;
+            const placedOnly = !isVoxelCell && !isHoleCell && !needsCraterWalls;
+            if (placedOnly && !placed) continue;
+
             const terrainHeight = terrainProvider.getHeight(x, z);
-            const maxH = Math.min(Math.max(terrainHeight, WATER_LEVEL) + LANDMARK_MAX_HEIGHT, MAX_HEIGHT - 1);
+            let maxH = Math.min(Math.max(terrainHeight, WATER_LEVEL) + LANDMARK_MAX_HEIGHT, MAX_HEIGHT - 1);
+            if (placed) {
+                maxH = Math.min(Math.max(maxH, ...placed.keys()), MAX_HEIGHT - 1);
+            }
             
             for (let y = 0; y <= maxH; y++) {
+                if (placedOnly && !placed.has(y)) continue;
+
                 const blockType = terrainProvider.getBlockType(x, y, z);
                 if (!blockType) continue;
                 if (blockType === 'water' || blockType === 'water_full') continue;
@@ -1323,10 +1463,11 @@ export function generateChunkData(terrainProvider, chunkX, chunkZ, useDithering
     const voxelMask = generateVoxelMask(terrainProvider, chunkX, chunkZ);
     const heightfieldHoleMask = generateHeightfieldHoleMask(terrainProvider, chunkX, chunkZ);
     const surfaceTypes = generateSurfaceTypes(terrainProvider, chunkX, chunkZ);
+    const roadPaint = generateRoadPaint(terrainProvider, chunkX, chunkZ);
     const biomeData = generateBiomeData(terrainProvider, chunkX, chunkZ);
     const blockData = generateBlockData(terrainProvider, chunkX, chunkZ);
 
-    const surface = generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceTypes, terrainProvider, chunkX, chunkZ, useDithering);
+    const surface = generateSurfaceMesh(heightmap, voxelMask, heightfieldHoleMask, surfaceTypes, terrainProvider, chunkX, chunkZ, useDithering, roadPaint);
     const { opaque: voxelOpaque } = generateVoxelMesh(terrainProvider, voxelMask, chunkX, chunkZ, heightfieldHoleMask);
     const water = generateWaterMesh(heightmap, biomeData);
 
@@ -1335,6 +1476,7 @@ export function generateChunkData(terrainProvider, chunkX, chunkZ, useDithering
         voxelMask,
         heightfieldHoleMask,
         surfaceTypes,
+        roadPaint,
         biomeData,
         surface,
         opaque: voxelOpaque,
@@ -1351,6 +1493,8 @@ export function getTransferables(chunkData) {
         chunkData.voxelMask.buffer,
         chunkData.heightfieldHoleMask.buffer,
         chunkData.surfaceTypes.buffer,
+        chunkData.roadPaint.weights.buffer,
+        chunkData.roadPaint.tiles.buffer,
         chunkData.biomeData.buffer,
         chunkData.surface.positions.buffer,
         chunkData.surface.normals.buffer,
@@ -3,7 +3,8 @@
  * Tracks areas where trees, rocks, and other objects should not spawn.
  *
  * Uses a grid-based spatial hash for O(1) queries.
- * Runs on the main thread, queried during object spawning.
+ * Pure (no DOM) - the terrain worker uses one for settlement footprints,
+ * and the main thread keeps a copy for gameplay queries.
  */
 
 const DEFAULT_CELL_SIZE = 32;
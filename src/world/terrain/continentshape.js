@@ -274,6 +274,33 @@ export function computeStartPosition(startSeed, shapeSeed, baseRadius) {
     };
 }
 
+/**
+ * Compute the sailing point, on the coast opposite the start.
+ * sailAngle = startAngle + PI + a small seeded offset, then moved inland
+ * like the start so the dock sits on land.
+ *
+ * @param {number} startSeed - Seed for start position
+ * @param {number} shapeSeed - Seed for silhouette shape
+ * @param {number} baseRadius - Base island radius in blocks
+ * @returns {{ x: number, z: number, angle: number }} Sailing point
+ */
+export function computeSailPosition(startSeed, shapeSeed, baseRadius) {
+    const startAngle = hash(0, 0, startSeed) * 2 * Math.PI;
+
+    // Up to +-0.15 rad off the exact opposite
+    const sailAngle = startAngle + Math.PI + (hash(2, 0, startSeed) - 0.5) * 0.3;
+
+    const coastRadius = getNominalRadius(sailAngle, shapeSeed, baseRadius);
+    const inlandOffset = 30 + hash(3, 0, startSeed) * 15;
+    const sailRadius = coastRadius - inlandOffset;
+
+    return {
+        x: Math.cos(sailAngle) * sailRadius,
+        z: Math.sin(sailAngle) * sailRadius,
+        angle: sailAngle
+    };
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
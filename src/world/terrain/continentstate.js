@@ -11,12 +11,29 @@ import {
     getDetailedCoastDistance,
     getCoastZone,
     computeStartPosition,
+    computeSailPosition,
     CONTINENT_SHAPE_CONFIG,
     COAST_ZONES
 } from './continentshape.js';
-import { hash } from './terraincore.js';
+import { hash, getClimate } from './terraincore.js';
 import { generateEnvelopeParams, evaluateEnvelope } from './elevationenvelope.js';
 import { generateClimateParams } from './climategeography.js';
+import { placeSettlements, generateRoads, RoadNetwork } from '../../worldgen/roadnetwork.js';
+import { bakeErosionTexture, restoreErosionTexture, EROSION_CHANNELS } from '../../worldgen/erosion.js';
+import { SDFTexture, createClimateTex } from '../../worldgen/sdf.js';
+
+// Climate texture resolution (~11 blocks per texel on a 2000-radius continent)
+const CLIMATE_TEXTURE_SIZE = 512;
+
+/**
+ * Climate texture channel indices (see CHANNEL_LAYOUTS.climate)
+ */
+export const CLIMATE_CHANNELS = {
+    temperature: 0,
+    humidity: 1,
+    erosion: 2,
+    elevation: 3
+};
 
 // Re-export COAST_ZONES for convenience
 export { COAST_ZONES };
@@ -47,6 +64,8 @@ export class ContinentState {
         this.startSeed = Math.floor(hash(0, 0, seed + 333333) * 0x7FFFFFFF);
         this.envelopeSeed = Math.floor(hash(0, 0, seed + 444444) * 0x7FFFFFFF);
         this.climateSeed = Math.floor(hash(0, 0, seed + 555555) * 0x7FFFFFFF);
+        this.roadSeed = Math.floor(hash(0, 0, seed + 666666) * 0x7FFFFFFF);
+        this.erosionSeed = Math.floor(hash(0, 0, seed + 777777) * 0x7FFFFFFF);
 
         // SDF configuration
         this.sdfResolution = CONTINENT_SHAPE_CONFIG.sdfResolution;
@@ -93,6 +112,143 @@ export class ContinentState {
         this.detailCacheMaxSize = 10000;
         this.cacheHits = 0;
         this.cacheMisses = 0;
+
+        // Climate texture (temperature, humidity and elevation noise with
+        // the climate geography baked in), see buildClimate()
+        this.climateTexture = null;
+
+        // Erosion texture, settlements and roads (built by the terrain
+        // provider, which owns the height sampling they are derived from)
+        this.erosionTexture = null;
+        this.roadNetwork = null;
+    }
+
+    /**
+     * Bake the continent's climate inputs into a texture, or adopt a
+     * previously baked one from storage. Biome selection then samples the
+     * texture instead of evaluating three noise stacks per column.
+     *
+     * @param {Object|null} [stored] - Stored texture { data, width, height }
+     * @returns {boolean} True if the texture was baked (not restored)
+     */
+    buildClimate(stored = null) {
+        const bounds = this.getBounds();
+
+        if (stored) {
+            if (stored.data?.length === stored.width * stored.height * 4) {
+                this.climateTexture = SDFTexture.fromTransferableData({ ...stored, channels: 4, bounds });
+                console.log(`[ContinentState] Climate texture restored from storage (${stored.width}x${stored.height})`);
+                return false;
+            }
+            console.warn('[ContinentState] Stored climate texture does not match, re-baking');
+        }
+
+        const start = performance.now();
+
+        this.climateTexture = createClimateTex(bounds, this.seed, this.template, {
+            size: CLIMATE_TEXTURE_SIZE,
+            sampleClimate: (x, z) => getClimate(x, z, this.seed, this.climateParams)
+        });
+        console.log(`[ContinentState] Climate texture baked (${CLIMATE_TEXTURE_SIZE}x${CLIMATE_TEXTURE_SIZE}) in ${(performance.now() - start).toFixed(1)}ms`);
+        return true;
+    }
+
+    /**
+     * Baked climate at a position (null before buildClimate())
+     *
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {{ temperature: number, humidity: number, elevation: number }|null}
+     */
+    sampleClimate(worldX, worldZ) {
+        if (!this.climateTexture) return null;
+        return {
+            temperature: this.climateTexture.sampleBilinear(worldX, worldZ, CLIMATE_CHANNELS.temperature),
+            humidity: this.climateTexture.sampleBilinear(worldX, worldZ, CLIMATE_CHANNELS.humidity),
+            elevation: this.climateTexture.sampleBilinear(worldX, worldZ, CLIMATE_CHANNELS.elevation)
+        };
+    }
+
+    /**
+     * Erode the continent's coarse heightmap and keep the baked height
+     * change, or adopt a previously baked texture from storage.
+     *
+     * @param {function(number, number): number} sampleHeight - Uneroded height sampler
+     * @param {number} waterLevel - Sea level in blocks (nothing below it is eroded)
+     * @param {Object|null} [stored] - Stored texture { data, width, height }
+     * @returns {boolean} True if the texture was simulated (not restored)
+     */
+    buildErosion(sampleHeight, waterLevel, stored = null) {
+        const bounds = this.getBounds();
+
+        if (stored) {
+            this.erosionTexture = restoreErosionTexture(bounds, stored);
+            if (this.erosionTexture) {
+                console.log(`[ContinentState] Erosion restored from storage (${stored.width}x${stored.height})`);
+                return false;
+            }
+            console.warn('[ContinentState] Stored erosion texture does not match, re-simulating');
+        }
+
+        const start = performance.now();
+        this.erosionTexture = bakeErosionTexture(bounds, sampleHeight, this.erosionSeed, { waterLevel });
+        console.log(`[ContinentState] Erosion simulated (${this.erosionTexture.width}x${this.erosionTexture.height}) in ${(performance.now() - start).toFixed(1)}ms`);
+        return true;
+    }
+
+    /**
+     * Height change from erosion at a position (negative = carved away)
+     *
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {number} Height delta in blocks (0 before erosion is built)
+     */
+    getErosionDelta(worldX, worldZ) {
+        return this.erosionTexture
+            ? this.erosionTexture.sampleBilinear(worldX, worldZ, EROSION_CHANNELS.heightDelta)
+            : 0;
+    }
+
+    /**
+     * Place settlements and route the road network between them.
+     * Harbors sit at the start and sailing point so roads lead to both docks.
+     *
+     * @param {Object} terrain - { getHeight(x, z), isWater(x, z) } from the terrain provider
+     * @param {number} waterLevel - Sea level in blocks
+     * @returns {RoadNetwork}
+     */
+    buildRoadNetwork(terrain, waterLevel) {
+        const start = performance.now();
+        const sampler = {
+            getHeight: terrain.getHeight,
+            isWater: terrain.isWater,
+            getInlandDistance: (x, z) => this.queryCoarseProximity(x, z)
+        };
+        const bounds = this.getBounds();
+        const sail = computeSailPosition(this.startSeed, this.shapeSeed, this.baseRadius);
+        const harbors = [
+            { x: this.startPosition.x, z: this.startPosition.z, angle: this.startPosition.angle, name: 'start' },
+            { x: sail.x, z: sail.z, angle: sail.angle, name: 'sail' }
+        ];
+
+        const settlements = placeSettlements(this.roadSeed, bounds, sampler, { harbors, waterLevel });
+        const roads = generateRoads(settlements, bounds, sampler, { waterLevel });
+        this.roadNetwork = new RoadNetwork(bounds, roads, settlements);
+
+        const bridges = roads.reduce((sum, road) => sum + road.properties.bridges.filter(Boolean).length, 0);
+        console.log(`[ContinentState] Road network: ${settlements.length} settlements, ${roads.length} roads, ${bridges} bridge points in ${(performance.now() - start).toFixed(1)}ms`);
+        return this.roadNetwork;
+    }
+
+    /**
+     * Nearest road affecting a column (see RoadNetwork.getRoadInfo)
+     *
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object|null} Road info, or null off-road
+     */
+    getRoadInfo(worldX, worldZ) {
+        return this.roadNetwork ? this.roadNetwork.getRoadInfo(worldX, worldZ) : null;
     }
 
     /**
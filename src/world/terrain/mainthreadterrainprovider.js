@@ -75,6 +75,16 @@ export class MainThreadTerrainProvider {
         return this.blockCache.usesVoxelCollision(x, z);
     }
 
+    /**
+     * Get player-placed blocks in a column
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Map<number, string>|null} Map of y -> block type, or null if none
+     */
+    getPlacedBlocksInColumn(x, z) {
+        return this.blockCache.getPlacedBlocksInColumn(x, z);
+    }
+
     /**
      * Check if heightfield should have a hole at this position
      * Used for explosion craters where terrain surface is removed
@@ -436,44 +436,32 @@ export class ChunkedTerrain {
     }
 
     /**
-     * Rebuild a chunk mesh on main thread from cached data
-     * Replaces existing meshes in scene with newly generated ones
+     * Set the chunk loader reference for worker-backed regeneration
+     * @param {ChunkLoader} chunkLoader - The chunk loader instance
+     */
+    setChunkLoader(chunkLoader) {
+        this.chunkLoader = chunkLoader;
+    }
+
+    /**
+     * Swap a loaded chunk's meshes for new ones
+     * Removes and disposes the old meshes, adds the new ones to the scene
      *
      * @param {number} chunkX - Chunk X coordinate
      * @param {number} chunkZ - Chunk Z coordinate
-     * @returns {boolean} True if mesh was rebuilt, false if chunk not loaded
+     * @param {Object} newMeshes - { surfaceMesh, opaqueMesh, waterMesh }
      */
-    rebuildChunkMesh(chunkX, chunkZ) {
+    replaceChunkMeshes(chunkX, chunkZ, newMeshes) {
         const key = `${chunkX},${chunkZ}`;
         const existingMeshes = this.chunks.get(key);
 
-        // Can't rebuild if chunk isn't loaded or no worker manager
-        if (!existingMeshes || !this.workerManager) {
-            return false;
-        }
-
-        // Generate new meshes from cached data
-        const newMeshes = this.workerManager.rebuildChunkMesh(chunkX, chunkZ);
-        if (!newMeshes) {
-            return false;
-        }
-
-        // Remove old surface mesh
-        if (existingMeshes.surfaceMesh) {
-            this.scene.remove(existingMeshes.surfaceMesh);
-            existingMeshes.surfaceMesh.geometry.dispose();
-        }
-
-        // Remove old opaque mesh
-        if (existingMeshes.opaqueMesh) {
-            this.scene.remove(existingMeshes.opaqueMesh);
-            existingMeshes.opaqueMesh.geometry.dispose();
-        }
-
-        // Remove old water mesh
-        if (existingMeshes.waterMesh) {
-            this.scene.remove(existingMeshes.waterMesh);
-            existingMeshes.waterMesh.geometry.dispose();
+        if (existingMeshes) {
+            for (const mesh of [existingMeshes.surfaceMesh, existingMeshes.opaqueMesh, existingMeshes.waterMesh]) {
+                if (mesh) {
+                    this.scene.remove(mesh);
+                    mesh.geometry.dispose();
+                }
+            }
         }
 
         // Add new meshes to scene
@@ -489,44 +477,113 @@ export class ChunkedTerrain {
 
         // Store new meshes
         this.chunks.set(key, newMeshes);
+    }
+
+    /**
+     * Rebuild a chunk mesh on main thread from cached data
+     * Replaces existing meshes in scene with newly generated ones
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {boolean} True if mesh was rebuilt, false if chunk not loaded
+     */
+    rebuildChunkMesh(chunkX, chunkZ) {
+        // Can't rebuild if chunk isn't loaded or no worker manager
+        if (!this.chunks.has(`${chunkX},${chunkZ}`) || !this.workerManager) {
+            return false;
+        }
+
+        // Generate new meshes from cached data
+        const newMeshes = this.workerManager.rebuildChunkMesh(chunkX, chunkZ);
+        if (!newMeshes) {
+            return false;
+        }
+
+        this.replaceChunkMeshes(chunkX, chunkZ, newMeshes);
         return true;
     }
 
     /**
-     * Request regeneration of a chunk at world position
-     * Rebuilds mesh immediately using cached data (no worker round-trip)
+     * Rebuild chunks in a radius around world position on the main thread
+     * Gives immediate visual feedback from cached data (no worker round-trip)
+     *
+     * @param {number} x - World X coordinate (center)
+     * @param {number} z - World Z coordinate (center)
+     * @param {number} radius - Radius in world units
+     * @returns {number} Number of chunks rebuilt
+     */
+    rebuildChunksInRadius(x, z, radius) {
+        let rebuiltCount = 0;
+        for (const { chunkX, chunkZ } of chunksInRadius(x, z, radius)) {
+            if (this.rebuildChunkMesh(chunkX, chunkZ)) {
+                rebuiltCount++;
+            }
+        }
+
+        if (rebuiltCount > 0) {
+            console.log(`[ChunkedTerrain] Rebuilt ${rebuiltCount} chunk meshes around (${Math.floor(x / CHUNK_SIZE)}, ${Math.floor(z / CHUNK_SIZE)})`);
+        }
+        return rebuiltCount;
+    }
+
+    /**
+     * Request worker regeneration of the chunk at world position
+     * The request jumps the load queue and is coalesced with any pending
+     * regeneration of the same chunk.
+     *
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Promise<boolean>} Resolves when the new meshes are swapped in
+     *   (true), or false if the chunk is not loaded or was unloaded meanwhile
      */
     regenerateChunkAt(x, z) {
+        if (!this.chunkLoader) {
+            return Promise.resolve(false);
+        }
         const chunkX = Math.floor(x / CHUNK_SIZE);
         const chunkZ = Math.floor(z / CHUNK_SIZE);
-        this.rebuildChunkMesh(chunkX, chunkZ);
+        return this.chunkLoader.regenerateChunk(chunkX, chunkZ);
     }
 
     /**
-     * Regenerate chunks in a radius around world position
-     * Rebuilds all affected chunk meshes immediately using cached data
+     * Request worker regeneration of all loaded chunks touching a radius
      *
      * @param {number} x - World X coordinate (center)
      * @param {number} z - World Z coordinate (center)
      * @param {number} radius - Radius in world units
+     * @returns {Promise<boolean[]>} Resolves when every affected chunk has been swapped in
      */
     regenerateChunksInRadius(x, z, radius) {
-        const centerChunkX = Math.floor(x / CHUNK_SIZE);
-        const centerChunkZ = Math.floor(z / CHUNK_SIZE);
-        const chunkRadius = Math.ceil(radius / CHUNK_SIZE) + 1;
-
-        let rebuiltCount = 0;
-        for (let dx = -chunkRadius; dx <= chunkRadius; dx++) {
-            for (let dz = -chunkRadius; dz <= chunkRadius; dz++) {
-                if (this.rebuildChunkMesh(centerChunkX + dx, centerChunkZ + dz)) {
-                    rebuiltCount++;
-                }
-            }
+        if (!this.chunkLoader) {
+            return Promise.resolve([]);
         }
-
-        if (rebuiltCount > 0) {
-            console.log(`[ChunkedTerrain] Rebuilt ${rebuiltCount} chunk meshes around (${centerChunkX}, ${centerChunkZ})`);
+        const requests = [];
+        for (const { chunkX, chunkZ } of chunksInRadius(x, z, radius)) {
+            requests.push(this.chunkLoader.regenerateChunk(chunkX, chunkZ));
         }
+        return Promise.all(requests);
     }
 
-}
\ No newline at end of file
+}
+
+/**
+ * List chunk coordinates overlapping a square radius around a world position
+ * @param {number} x - World X coordinate (center)
+ * @param {number} z - World Z coordinate (center)
+ * @param {number} radius - Radius in world units
+ * @returns {Array<{chunkX: number, chunkZ: number}>}
+ */
+function chunksInRadius(x, z, radius) {
+    const minChunkX = Math.floor((x - radius) / CHUNK_SIZE);
+    const maxChunkX = Math.floor((x + radius) / CHUNK_SIZE);
+    const minChunkZ = Math.floor((z - radius) / CHUNK_SIZE);
+    const maxChunkZ = Math.floor((z + radius) / CHUNK_SIZE);
+
+    const chunks = [];
+    for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+            chunks.push({ chunkX, chunkZ });
+        }
+    }
+    return chunks;
+}
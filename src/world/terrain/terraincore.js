@@ -250,6 +250,34 @@ export function applySubBiomeVariation(baseBiome, x, z, seed = 12345) {
 // BIOME DETERMINATION
 // ============================================================================
 
+/**
+ * Climate inputs for biome selection at a world position
+ * Temperature and humidity include the climate geography modulation when
+ * params are given (continental mode).
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @param {number} seed - World seed
+ * @param {Object|null} climateParams - Optional climate geography params
+ * @returns {{ temperature: number, humidity: number, elevation: number }} Each in [0, 1]
+ */
+export function getClimate(x, z, seed = 12345, climateParams = null) {
+    const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, seed));
+    const tempNoise = octaveNoise2D(x, z, 4, 0.018, (nx, nz) => hash2(nx, nz, seed));
+    const humidityNoise = octaveNoise2D(x, z, 3, 0.012, (nx, nz) => hash(nx, nz, seed + 77777));
+
+    // Normalize to [0, 1] with smoothstep redistribution
+    const elevation = normalizeNoise(elevationNoise);
+    const temperature = normalizeNoise(tempNoise);
+    const humidity = normalizeNoise(humidityNoise);
+
+    if (!climateParams) {
+        return { temperature, humidity, elevation };
+    }
+
+    const climate = evaluateClimate(x, z, temperature, humidity, climateParams, elevation);
+    return { temperature: climate.temperature, humidity: climate.humidity, elevation };
+}
+
 /**
  * Get biome at world position
  * @param {number} x - World X coordinate
@@ -272,25 +300,11 @@ export function getBiome(x, z, seed = 12345, climateParams = null) {
     }
 
     // Land biomes: use Whittaker climate-based selection
-    const elevationNoise = octaveNoise2D(x, z, 4, 0.015, (nx, nz) => hash(nx, nz, seed));
-    const tempNoise = octaveNoise2D(x, z, 4, 0.018, (nx, nz) => hash2(nx, nz, seed));
-    const humidityNoise = octaveNoise2D(x, z, 3, 0.012, (nx, nz) => hash(nx, nz, seed + 77777));
-
-    // Normalize to [0, 1] with smoothstep redistribution
-    const elevation = normalizeNoise(elevationNoise);
-    let temp = normalizeNoise(tempNoise);
-    let humidity = normalizeNoise(humidityNoise);
-
-    // Apply climate geography modulation when available
-    const tempFloor = climateParams ? climateParams.tempRange[0] : 0;
-    if (climateParams) {
-        const climate = evaluateClimate(x, z, temp, humidity, climateParams, elevation);
-        temp = climate.temperature;
-        humidity = climate.humidity;
-    }
+    const { temperature, humidity, elevation } = getClimate(x, z, seed, climateParams);
 
     // Whittaker-based selection (tempFloor prevents elevation cooling below template minimum)
-    let biome = selectBiomeFromWhittaker(temp, humidity, elevation, tempFloor);
+    const tempFloor = climateParams ? climateParams.tempRange[0] : 0;
+    let biome = selectBiomeFromWhittaker(temperature, humidity, elevation, tempFloor);
 
     // Apply sub-biome variation
     biome = applySubBiomeVariation(biome, x, z, seed);
@@ -315,6 +315,42 @@ export class TNTManager {
         return this.tntBlocks.size;
     }
 
+    /**
+     * Serialize placed TNT for the save snapshot
+     * @returns {Array<{x: number, y: number, z: number, triggered: boolean, fuseTime: number}>}
+     */
+    serialize() {
+        const blocks = [];
+        for (const [key, tnt] of this.tntBlocks) {
+            if (tnt.detonated) continue;
+            blocks.push({
+                x: tnt.position.x,
+                y: tnt.position.y,
+                z: tnt.position.z,
+                triggered: tnt.triggered,
+                fuseTime: tnt.fuseTime
+            });
+        }
+        return blocks;
+    }
+
+    /**
+     * Restore placed TNT from a save snapshot, replacing any current blocks
+     * @param {Array<Object>} blocks - TNT section data from serialize()
+     */
+    restore(blocks) {
+        this.clearAll();
+        if (!Array.isArray(blocks)) return;
+
+        for (const data of blocks) {
+            const tnt = this.placeTNT(new THREE.Vector3(data.x, data.y, data.z));
+            if (tnt && data.triggered) {
+                tnt.trigger();
+                tnt.fuseTime = data.fuseTime ?? TNT_FUSE_TIME;
+            }
+        }
+    }
+
     /**
      * Clear all TNT blocks
      */
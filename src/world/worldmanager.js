@@ -10,8 +10,8 @@
  * Manages:
  * - Chunk loading/unloading with worker
  * - Object mesh creation (trees, rocks) - positions computed in worker
- * - Block modifications (craters, destruction) - stored locally, synced to worker
- * - World persistence
+ * - Block modifications (craters, destruction, placement) - stored locally, synced to worker
+ * - World persistence (chunk edits saved per chunk via ChunkLoader)
  *
  * Terrain queries:
  * - getHeight(), getInterpolatedHeight(), getBlockType() - via TerrainDataProvider/ChunkBlockCache
@@ -23,16 +23,20 @@
  */
 
 import * as THREE from 'three';
-import { WATER_LEVEL } from './terrain/chunkdatagenerator.js';
+import { WATER_LEVEL, MAX_HEIGHT, CHUNK_SIZE } from './terrain/chunkdatagenerator.js';
 import { ChunkedTerrain } from './terrain/terrainchunks.js';
 import { ObjectGenerator } from './objects/objectgenerator.js';
 import { ChunkLoader } from './chunkloader.js';
 import { TerrainDataProvider } from './terraindataprovider.js';
 import { initHeightfieldCollision } from '../collision.js';
+import { initNavigation } from './navigation.js';
 
 // Re-export WATER_LEVEL for API compatibility
 export { WATER_LEVEL };
 
+// Block types the player can build with via placeBlock()
+export const PLACEABLE_BLOCK_TYPES = ['dirt', 'stone', 'sand', 'ice', 'mayan_stone'];
+
 export class WorldManager {
     /**
      * @param {THREE.Scene} scene
@@ -42,6 +46,7 @@ export class WorldManager {
      * @param {string} options.textureBlending - 'high' | 'medium' | 'low'
      * @param {string} options.drawDistance - 'far' | 'medium' | 'near'
      * @param {Object} options.continent - Continental mode config { enabled: boolean, baseRadius: number }
+     * @param {number} options.continentIndex - Continent in the sailing sequence (default 0)
      * @param {THREE.DataArrayTexture} options.diffuseArray - Texture array for terrain
      * @param {THREE.Texture} options.waterTexture - Water texture
      */
@@ -67,6 +72,7 @@ export class WorldManager {
 
         // Block modifications - tracked locally and synced to worker
         this.destroyedBlocks = new Set();
+        this.placedBlocks = new Map();  // "x,y,z" -> block type
 
         // Create chunked terrain renderer
         this.chunkedTerrain = new ChunkedTerrain(
@@ -76,27 +82,39 @@ export class WorldManager {
             this.waterTexture
         );
 
-        // Create object generator (mesh factory only - positions come from worker)
-        this.objectGenerator = new ObjectGenerator(seed);
+        // Continent in the sailing sequence (scopes saved chunk edits)
+        this.continentIndex = options.continentIndex || 0;
+
+        this.createChunkLoader();
+
+        // Terrain data provider will be created after worker is initialized
+        // This is what collision and game logic should use
+        this.terrainDataProvider = null;
+
+        // Stats
+        this.updateCount = 0;
+    }
+
+    /**
+     * Create the object generator and chunk loader for the current seed
+     * (no initial sync load)
+     */
+    createChunkLoader() {
+        // Object generator (mesh factory only - positions come from worker)
+        this.objectGenerator = new ObjectGenerator(this.seed);
 
-        // Create chunk loader (no initial sync load)
         this.chunkLoader = new ChunkLoader(
-            worldId,
+            this.worldId,
             this.chunkedTerrain,
             this.objectGenerator,
             null,
             this.drawDistance  // Pass from constructor options
         );
+        this.chunkLoader.continentIndex = this.continentIndex;
 
         // Connect destroyedBlocks to chunk loader for worker context
         this.chunkLoader.setDestroyedBlocksRef(this.destroyedBlocks);
-
-        // Terrain data provider will be created after worker is initialized
-        // This is what collision and game logic should use
-        this.terrainDataProvider = null;
-
-        // Stats
-        this.updateCount = 0;
+        this.chunkLoader.setPlacedBlocksRef(this.placedBlocks);
     }
 
     /**
@@ -120,8 +138,16 @@ export class WorldManager {
         // This enables smooth collision on heightfield terrain (voxelMask = 0)
         initHeightfieldCollision(this.chunkLoader.workerManager.blockCache);
 
-        // Wire up worker manager to chunked terrain for mesh rebuilding
+        // Pathfinding for golems and mobs over the same cached terrain
+        initNavigation(this);
+
+        // Wire up worker manager and chunk loader to chunked terrain for
+        // main-thread rebuilds and worker regeneration
         this.chunkedTerrain.setWorkerManager(this.chunkLoader.workerManager);
+        this.chunkedTerrain.setChunkLoader(this.chunkLoader);
+
+        // Restore saved craters/destroyed blocks before any chunk is generated
+        await this.chunkLoader.loadModifiedChunks();
 
         // In continental mode, use worker's start position for initial chunk loading
         // (unless a saved position was provided)
@@ -147,6 +173,48 @@ export class WorldManager {
         return true;
     }
 
+    /**
+     * Replace the loaded continent with another one (sailing)
+     * Saves pending chunk edits, unloads every chunk and stops the worker,
+     * then starts a fresh worker on the new seed and loads the destination
+     * continent's saved edits. Resolves when safe terrain exists around the
+     * arrival point.
+     * @param {number} seed - Terrain seed of the destination continent
+     * @param {number} continentIndex - Destination continent in the sailing sequence
+     * @param {Object} continentConfig - Continental mode config for the destination
+     * @param {Object|null} arrivalPosition - {x, y, z} to load around, or null for the continent start
+     * @param {Function} onProgress - Callback for progress updates (loaded, total)
+     * @returns {Promise<boolean>}
+     */
+    async switchContinent(seed, continentIndex, continentConfig, arrivalPosition, onProgress = null) {
+        await this.chunkLoader.saveModifiedChunks();
+
+        const onLoadingStateChange = this.chunkLoader.onLoadingStateChange;
+        const mobSpawner = this.chunkLoader.mobSpawner;
+
+        for (const key of Array.from(this.chunkLoader.loadedChunks)) {
+            const [chunkX, chunkZ] = key.split(',').map(Number);
+            this.chunkLoader.unloadChunk(chunkX, chunkZ, key);
+        }
+        this.chunkLoader.dispose();
+
+        this.initialized = false;
+        this.terrainDataProvider = null;
+        this.destroyedBlocks.clear();
+        this.placedBlocks.clear();
+
+        this.seed = seed;
+        this.continentIndex = continentIndex;
+        this.continentConfig = continentConfig;
+        console.log(`Switching to continent ${continentIndex}: seed=${seed}`);
+
+        this.createChunkLoader();
+        this.chunkLoader.onLoadingStateChange = onLoadingStateChange;
+        this.chunkLoader.mobSpawner = mobSpawner;
+
+        return this.init(arrivalPosition, onProgress);
+    }
+
     /**
      * Wait until minimum safe terrain exists around player
      * @param {Object} position - Player position
@@ -271,17 +339,84 @@ export class WorldManager {
 
     /**
      * Destroy a block
-     * Stores locally and syncs to worker for chunk regeneration
+     * Stores locally and syncs to worker, then requests priority regeneration
+     * @returns {Promise<boolean>} Resolves when the regenerated chunk is swapped in
      */
     destroyBlock(x, y, z) {
-        const key = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
-        this.destroyedBlocks.add(key);
+        const bx = Math.floor(x);
+        const by = Math.floor(y);
+        const bz = Math.floor(z);
+        const key = `${bx},${by},${bz}`;
+        const workerManager = this.chunkLoader.workerManager;
+
+        // Removing a placed block restores the generated terrain beneath it
+        if (this.placedBlocks.delete(key)) {
+            if (workerManager) {
+                workerManager.blockCache.removePlacedBlock(bx, by, bz);
+                workerManager.blockCache.destroyBlockAt(bx, by, bz);
+                workerManager.updatePlacedBlocks(this.placedBlocks);
+            }
+        } else {
+            this.destroyedBlocks.add(key);
+            if (workerManager) {
+                workerManager.updateDestroyedBlocks(this.destroyedBlocks);
+            }
+        }
+        this.chunkLoader.markChunkModified(bx, bz);
 
-        // Sync to worker and trigger chunk regeneration
-        if (this.chunkLoader.workerManager) {
-            this.chunkLoader.workerManager.updateDestroyedBlocks(this.destroyedBlocks);
+        this.chunkLoader.saveModifiedChunks();
+        return this.chunkedTerrain.regenerateChunkAt(bx, bz);
+    }
+
+    /**
+     * Place a block
+     * Writes it into the block cache so collision sees it immediately, syncs
+     * to the worker and requests priority regeneration of its chunk. Placed
+     * blocks are saved with the chunk edits.
+     *
+     * Blocks go into air or water. In heightfield cells the terrain voxels lie
+     * under the smooth surface and may be overwritten; landmark voxels and
+     * existing placed blocks may not.
+     *
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} z - World Z
+     * @param {string} type - Block type (one of PLACEABLE_BLOCK_TYPES)
+     * @returns {boolean} True if the block was placed
+     */
+    placeBlock(x, y, z, type) {
+        if (!PLACEABLE_BLOCK_TYPES.includes(type)) return false;
+
+        const bx = Math.floor(x);
+        const by = Math.floor(y);
+        const bz = Math.floor(z);
+        if (by <= 0 || by >= MAX_HEIGHT) return false;  // Never replace bedrock
+
+        const workerManager = this.chunkLoader.workerManager;
+        if (!workerManager?.isChunkLoaded(Math.floor(bx / CHUNK_SIZE), Math.floor(bz / CHUNK_SIZE))) {
+            return false;
+        }
+
+        const key = `${bx},${by},${bz}`;
+        const blockCache = workerManager.blockCache;
+        const existing = this.getBlockType(bx, by, bz);
+        const isSolid = existing !== null && existing !== 'water' && existing !== 'water_full';
+        if (isSolid && (this.placedBlocks.has(key) || blockCache.usesVoxelCollision(bx, bz))) {
+            return false;
         }
-        this.chunkedTerrain.regenerateChunkAt(x, z);
+
+        this.destroyedBlocks.delete(key);
+        this.placedBlocks.set(key, type);
+        blockCache.placeBlockAt(bx, by, bz, type);
+        this.chunkLoader.markChunkModified(bx, bz);
+
+        // Sync to worker alongside destroyed blocks, then regenerate the chunk
+        workerManager.updateDestroyedBlocks(this.destroyedBlocks);
+        workerManager.updatePlacedBlocks(this.placedBlocks);
+        this.chunkedTerrain.regenerateChunkAt(bx, bz);
+
+        this.chunkLoader.saveModifiedChunks();
+        return true;
     }
 
     /**
@@ -297,6 +432,7 @@ export class WorldManager {
 
         // Track which (x,z) cells have blocks destroyed at or near surface
         const holeCells = new Set();
+        let removedPlaced = false;
 
         // Get block cache for immediate destruction
         const blockCache = this.chunkLoader.workerManager?.blockCache;
@@ -313,6 +449,13 @@ export class WorldManager {
                             // Add to destroyedBlocks set for persistence/worker sync
                             const key = `${bx},${by},${bz}`;
                             this.destroyedBlocks.add(key);
+                            this.chunkLoader.markChunkModified(bx, bz);
+
+                            // Placed blocks are blown away with the terrain
+                            if (this.placedBlocks.delete(key)) {
+                                blockCache?.removePlacedBlock(bx, by, bz);
+                                removedPlaced = true;
+                            }
 
                             // Destroy block in cache for immediate mesh rebuild
                             if (blockCache) {
@@ -343,10 +486,15 @@ export class WorldManager {
         if (this.chunkLoader.workerManager) {
             this.chunkLoader.workerManager.updateDestroyedBlocks(this.destroyedBlocks);
             this.chunkLoader.workerManager.updateHeightfieldHoles();
+            if (removedPlaced) {
+                this.chunkLoader.workerManager.updatePlacedBlocks(this.placedBlocks);
+            }
         }
 
-        // Rebuild chunk meshes immediately (no worker round-trip)
-        this.chunkedTerrain.regenerateChunksInRadius(px, pz, intRadius + 1);
+        // Rebuild chunk meshes immediately (no worker round-trip), then let the
+        // worker regenerate them with full landmark data (e.g. interior lighting)
+        this.chunkedTerrain.rebuildChunksInRadius(px, pz, intRadius + 2);
+        this.chunkedTerrain.regenerateChunksInRadius(px, pz, intRadius + 2);
 
         // Remove trees and other objects in explosion radius
         if (this.objectGenerator) {
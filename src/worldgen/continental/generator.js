@@ -22,8 +22,7 @@ import { STAGE_VERSIONS, CONTINENTAL_VERSION, getDependentStages } from './versi
 import {
     createHydroSDF,
     createTerrainSDF,
-    createInfraSDF,
-    createClimateTex
+    createInfraSDF
 } from '../sdf.js';
 import { serializeContinent } from '../../storage/serialization.js';
 
@@ -285,10 +284,9 @@ export class ContinentalGenerator {
         this.textures.infra = createInfraSDF(bounds, data.roads || [], data.settlements || [], { size });
         await this._yieldToUI();
 
-        // Climate texture: temperature, humidity, erosion
-        // Note: createClimateTex needs sampler functions which we don't have here
-        // For now, create an empty texture - climate is computed dynamically
-        this.textures.climate = null; // Will be baked when climate samplers are available
+        // Climate and erosion textures are baked and persisted by the terrain
+        // worker (ContinentState.buildClimate/buildErosion), not here
+        this.textures.climate = null;
     }
 
     /**
@@ -80,14 +80,13 @@ export const STAGES = [
         weight: 2,
         /**
          * Erosion simulation.
-         * Currently a placeholder - erosion is computed per-sample in worldgen.js.
-         * Future: pre-bake erosion texture for faster chunk generation.
+         * No-op here: the erosion texture (worldgen/erosion.js) is baked by
+         * the terrain worker through ContinentState.buildErosion(), from the
+         * heights and seed chunks are generated with, and persisted by
+         * ChunkLoader. Baking a second copy here would store a texture that
+         * does not match the terrain.
          */
         async execute(generator) {
-            // Erosion is currently computed dynamically in getHeightAtNormalized()
-            // This stage is a placeholder for future erosion texture baking
-
-            // For now, just yield to allow UI update
             generator.erosionComplete = true;
         }
     },
@@ -123,13 +122,12 @@ export const STAGES = [
         weight: 2,
         /**
          * Climate mapping.
-         * Temperature and humidity are computed per-sample in worldgen.js.
-         * This stage could pre-bake climate texture for faster lookups.
+         * No-op here: the climate texture (CHANNEL_LAYOUTS.climate) is baked
+         * by the terrain worker through ContinentState.buildClimate(), with
+         * the continent's climate geography folded in, and persisted by
+         * ChunkLoader. getBiome() samples that copy.
          */
         async execute(generator) {
-            // Climate (temperature, humidity) is computed dynamically
-            // This stage is a placeholder for future climate texture baking
-
             generator.climateComplete = true;
         }
     },
@@ -165,12 +163,14 @@ export const STAGES = [
         weight: 2,
         /**
          * Generate road network connecting settlements.
-         * Currently a stub - WorldGenerator.generateRoads() returns empty array.
+         * The algorithms live in worldgen/roadnetwork.js (placeSettlements,
+         * generateRoads); the terrain worker runs them per continent via
+         * ContinentState.buildRoadNetwork(). This stage still goes through
+         * WorldGenerator.generateRoads() / placeSettlements().
          */
         async execute(generator) {
             const data = generator.worldGen.getWorldData();
 
-            // Roads and settlements are currently stubs
             if (!data.roads || data.roads.length === 0) {
                 generator.worldGen._cache.roads = generator.worldGen.generateRoads();
             }
@@ -193,6 +193,9 @@ export const STAGES = [
          * Generate names for zones.
          * Zone names are already generated in WorldGenerator._generateZoneName().
          * This stage ensures all zones have proper names.
+         * The seeded naming palettes live in worldgen/placenames.js
+         * (generateZoneNames); the terrain worker uses them to name the
+         * road network's settlements.
          */
         async execute(generator) {
             // Zone names are generated during discoverZones()
@@ -0,0 +1,350 @@
+/**
+ * Erosion - Hydraulic and thermal erosion over a coarse continent heightmap
+ *
+ * Generation (once per continent, in the terrain worker):
+ * 1. The continent is sampled onto a coarse grid (one cell per texel of the
+ *    erosion texture, ~22 blocks at the default size)
+ * 2. simulateHydraulicErosion() rolls seeded rain droplets downhill; each
+ *    picks up sediment on steep, fast stretches and drops it where the flow
+ *    slows, which cuts valleys and builds fans at their mouths
+ * 3. simulateThermalErosion() slumps slopes steeper than the talus angle so
+ *    carved valley walls settle into scree rather than cliffs
+ * 4. The eroded-minus-original difference is baked into an SDFTexture
+ *    (CHANNEL_LAYOUTS.erosion) that terrain sampling adds back bilinearly
+ *
+ * Nothing below sea level is changed, so coasts, lakes and the sea floor
+ * keep their shape; erosion only reshapes dry land.
+ *
+ * Pure module - terrain is reached through a height sampler passed in by the
+ * caller: sampleHeight(worldX, worldZ) -> continuous height in blocks.
+ */
+
+import { createRNG } from './seeds.js';
+import { SDFTexture, texelToWorld } from './sdf.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Simulation settings (heights in blocks, distances in grid cells)
+ */
+export const EROSION_CONFIG = {
+    size: 256,                // Grid cells per axis (= texture resolution)
+    dropletsPerCell: 1,       // Rain droplets per grid cell
+    maxLifetime: 40,          // Steps before a droplet evaporates completely
+    inertia: 0.1,             // 0 = follow the slope exactly, 1 = keep direction
+    sedimentCapacity: 3,      // Sediment a droplet holds per unit of slope * speed * water
+    minCapacitySlope: 0.05,   // Keeps flat-ground capacity above zero
+    erodeSpeed: 0.2,          // Fraction of spare capacity picked up per step
+    depositSpeed: 0.25,       // Fraction of excess sediment dropped per step
+    evaporateSpeed: 0.025,    // Water lost per step
+    gravity: 4,
+    erosionRadius: 2,         // Brush radius for carving (cells)
+    thermalIterations: 12,
+    talus: 8,                 // Steepest stable height step between cells (blocks)
+    thermalRate: 0.25,        // Fraction of excess slope moved per iteration
+    maxCarve: 10,             // Deepest carve baked into the texture (blocks)
+    maxFill: 4,               // Highest deposit baked into the texture (blocks)
+    smoothingPasses: 2        // Box blurs applied to the sampled heights first
+};
+
+/**
+ * Erosion texture channel indices (see CHANNEL_LAYOUTS.erosion)
+ */
+export const EROSION_CHANNELS = {
+    heightDelta: 0,   // Eroded minus original height (negative = carved)
+    flow: 1           // Normalized droplet traffic [0,1] (high along valley floors)
+};
+
+export const EROSION_TEXTURE_CHANNELS = 2;
+
+// ============================================================================
+// BAKING
+// ============================================================================
+
+/**
+ * Sample the continent, erode it and bake the height change into a texture
+ *
+ * @param {Object} bounds - World bounds { minX, maxX, minZ, maxZ }
+ * @param {function(number, number): number} sampleHeight - Uneroded height sampler
+ * @param {number} seed - Erosion seed
+ * @param {Object} [options]
+ * @param {number} [options.waterLevel=0] - Heights at or below this are left untouched
+ * @param {Object} [options.config] - EROSION_CONFIG overrides
+ * @returns {SDFTexture} Erosion texture (R = height delta, G = flow)
+ */
+export function bakeErosionTexture(bounds, sampleHeight, seed, options = {}) {
+    const { waterLevel = 0 } = options;
+    const config = { ...EROSION_CONFIG, ...options.config };
+    const size = config.size;
+
+    const texture = new SDFTexture(size, size, EROSION_TEXTURE_CHANNELS, bounds);
+    const original = new Float32Array(size * size);
+
+    // Sample at texel origins: sampleBilinear() places texel (u, v) there
+    for (let v = 0; v < size; v++) {
+        for (let u = 0; u < size; u++) {
+            const world = texelToWorld(u, v, texture.bounds, size);
+            original[v * size + u] = sampleHeight(world.x, world.z);
+        }
+    }
+
+    // Erode the landform, not the per-block noise the coarse grid aliases
+    for (let pass = 0; pass < config.smoothingPasses; pass++) {
+        smoothHeights(original, size);
+    }
+
+    const heights = original.slice();
+    const flow = simulateHydraulicErosion(heights, size, seed, config);
+    simulateThermalErosion(heights, size, config, original, waterLevel);
+
+    let maxFlow = 0;
+    for (let i = 0; i < flow.length; i++) {
+        if (flow[i] > maxFlow) maxFlow = flow[i];
+    }
+    const flowScale = maxFlow > 0 ? 1 / Math.log1p(maxFlow) : 0;
+
+    for (let v = 0; v < size; v++) {
+        for (let u = 0; u < size; u++) {
+            const i = v * size + u;
+            let delta = 0;
+            if (original[i] > waterLevel) {
+                delta = Math.max(-config.maxCarve, Math.min(config.maxFill, heights[i] - original[i]));
+            }
+            texture.set(u, v, EROSION_CHANNELS.heightDelta, delta);
+            texture.set(u, v, EROSION_CHANNELS.flow, Math.log1p(flow[i]) * flowScale);
+        }
+    }
+
+    return texture;
+}
+
+/**
+ * Rebuild an erosion texture from stored raw data
+ *
+ * @param {Object} bounds - World bounds the texture covers
+ * @param {{ data: Float32Array, width: number, height: number }} stored - Stored texture data
+ * @returns {SDFTexture|null} Texture, or null if the data doesn't fit the layout
+ */
+export function restoreErosionTexture(bounds, stored) {
+    const { data, width, height } = stored || {};
+    if (!data || data.length !== width * height * EROSION_TEXTURE_CHANNELS) {
+        return null;
+    }
+    return SDFTexture.fromTransferableData({
+        data, width, height, channels: EROSION_TEXTURE_CHANNELS, bounds
+    });
+}
+
+/**
+ * 3x3 box blur in place (edges keep their values)
+ *
+ * @param {Float32Array} heights - Row-major heightmap
+ * @param {number} size - Grid cells per axis
+ */
+function smoothHeights(heights, size) {
+    const source = heights.slice();
+    for (let z = 1; z < size - 1; z++) {
+        for (let x = 1; x < size - 1; x++) {
+            let sum = 0;
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    sum += source[(z + dz) * size + x + dx];
+                }
+            }
+            heights[z * size + x] = sum / 9;
+        }
+    }
+}
+
+// ============================================================================
+// HYDRAULIC EROSION
+// ============================================================================
+
+/**
+ * Droplet-based hydraulic erosion. Modifies heights in place.
+ *
+ * @param {Float32Array} heights - Row-major size x size heightmap
+ * @param {number} size - Grid cells per axis
+ * @param {number} seed - Droplet placement seed
+ * @param {Object} config - EROSION_CONFIG values
+ * @returns {Float32Array} Droplet visits per cell
+ */
+export function simulateHydraulicErosion(heights, size, seed, config = EROSION_CONFIG) {
+    const rng = createRNG(seed);
+    const brush = createErosionBrush(config.erosionRadius);
+    const flow = new Float32Array(size * size);
+    const dropletCount = Math.floor(size * size * config.dropletsPerCell);
+
+    for (let d = 0; d < dropletCount; d++) {
+        let posX = rng() * (size - 1);
+        let posZ = rng() * (size - 1);
+        let dirX = 0;
+        let dirZ = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+
+        for (let step = 0; step < config.maxLifetime; step++) {
+            const cellX = Math.floor(posX);
+            const cellZ = Math.floor(posZ);
+            const offsetX = posX - cellX;
+            const offsetZ = posZ - cellZ;
+
+            const { height, gradientX, gradientZ } = sampleGradient(heights, size, posX, posZ);
+
+            // Blend previous direction with downhill
+            dirX = dirX * config.inertia - gradientX * (1 - config.inertia);
+            dirZ = dirZ * config.inertia - gradientZ * (1 - config.inertia);
+            const len = Math.sqrt(dirX * dirX + dirZ * dirZ);
+            if (len === 0) break;
+            dirX /= len;
+            dirZ /= len;
+
+            posX += dirX;
+            posZ += dirZ;
+
+            // Stop at the map edge
+            if (posX < 0 || posX >= size - 1 || posZ < 0 || posZ >= size - 1) break;
+
+            flow[cellZ * size + cellX] += water;
+
+            const newHeight = sampleGradient(heights, size, posX, posZ).height;
+            const deltaHeight = newHeight - height;
+
+            const capacity = Math.max(-deltaHeight, config.minCapacitySlope) * speed * water * config.sedimentCapacity;
+
+            if (sediment > capacity || deltaHeight > 0) {
+                // Uphill: fill the pit up to the new height; otherwise drop the excess
+                const amount = deltaHeight > 0
+                    ? Math.min(deltaHeight, sediment)
+                    : (sediment - capacity) * config.depositSpeed;
+                sediment -= amount;
+
+                // Spread over the four corners of the cell the droplet left
+                const i = cellZ * size + cellX;
+                heights[i] += amount * (1 - offsetX) * (1 - offsetZ);
+                heights[i + 1] += amount * offsetX * (1 - offsetZ);
+                heights[i + size] += amount * (1 - offsetX) * offsetZ;
+                heights[i + size + 1] += amount * offsetX * offsetZ;
+            } else {
+                // Never dig deeper than the drop to the next position
+                const amount = Math.min((capacity - sediment) * config.erodeSpeed, -deltaHeight);
+
+                for (const { dx, dz, weight } of brush) {
+                    const bx = cellX + dx;
+                    const bz = cellZ + dz;
+                    if (bx < 0 || bx >= size || bz < 0 || bz >= size) continue;
+                    const bi = bz * size + bx;
+                    const removed = Math.min(heights[bi], amount * weight);
+                    heights[bi] -= removed;
+                    sediment += removed;
+                }
+            }
+
+            speed = Math.sqrt(Math.max(0, speed * speed + deltaHeight * -config.gravity));
+            water *= 1 - config.evaporateSpeed;
+        }
+    }
+
+    return flow;
+}
+
+/**
+ * Bilinear height and gradient at a fractional grid position
+ *
+ * @param {Float32Array} heights - Row-major heightmap
+ * @param {number} size - Grid cells per axis
+ * @param {number} posX - Grid X
+ * @param {number} posZ - Grid Z
+ * @returns {{ height: number, gradientX: number, gradientZ: number }}
+ */
+function sampleGradient(heights, size, posX, posZ) {
+    const cellX = Math.min(size - 2, Math.floor(posX));
+    const cellZ = Math.min(size - 2, Math.floor(posZ));
+    const x = posX - cellX;
+    const z = posZ - cellZ;
+
+    const i = cellZ * size + cellX;
+    const h00 = heights[i];
+    const h10 = heights[i + 1];
+    const h01 = heights[i + size];
+    const h11 = heights[i + size + 1];
+
+    return {
+        height: h00 * (1 - x) * (1 - z) + h10 * x * (1 - z) + h01 * (1 - x) * z + h11 * x * z,
+        gradientX: (h10 - h00) * (1 - z) + (h11 - h01) * z,
+        gradientZ: (h01 - h00) * (1 - x) + (h11 - h10) * x
+    };
+}
+
+/**
+ * Cell offsets and weights for spreading erosion around a droplet
+ * (weights fall off linearly with distance and sum to 1)
+ *
+ * @param {number} radius - Brush radius in cells
+ * @returns {Array<{dx: number, dz: number, weight: number}>}
+ */
+function createErosionBrush(radius) {
+    const brush = [];
+    let total = 0;
+    for (let dz = -radius; dz <= radius; dz++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist > radius) continue;
+            const weight = 1 - dist / (radius + 1);
+            brush.push({ dx, dz, weight });
+            total += weight;
+        }
+    }
+    for (const entry of brush) {
+        entry.weight /= total;
+    }
+    return brush;
+}
+
+// ============================================================================
+// THERMAL EROSION
+// ============================================================================
+
+/**
+ * Talus slumping: material on slopes steeper than config.talus slides to the
+ * lowest neighbour. Modifies heights in place. Cells whose original height is
+ * at or below the water level are treated as fixed (the sea absorbs debris).
+ *
+ * @param {Float32Array} heights - Row-major heightmap
+ * @param {number} size - Grid cells per axis
+ * @param {Object} config - EROSION_CONFIG values
+ * @param {Float32Array} [original] - Uneroded heights, for the water mask
+ * @param {number} [waterLevel=-Infinity] - Sea level in blocks
+ */
+export function simulateThermalErosion(heights, size, config = EROSION_CONFIG, original = heights, waterLevel = -Infinity) {
+    for (let iteration = 0; iteration < config.thermalIterations; iteration++) {
+        for (let z = 1; z < size - 1; z++) {
+            for (let x = 1; x < size - 1; x++) {
+                const i = z * size + x;
+                if (original[i] <= waterLevel) continue;
+
+                // Steepest downhill 4-neighbour
+                let lowest = i;
+                let maxDrop = 0;
+                for (const j of [i - 1, i + 1, i - size, i + size]) {
+                    const drop = heights[i] - heights[j];
+                    if (drop > maxDrop) {
+                        maxDrop = drop;
+                        lowest = j;
+                    }
+                }
+
+                if (maxDrop > config.talus) {
+                    const moved = (maxDrop - config.talus) * 0.5 * config.thermalRate;
+                    heights[i] -= moved;
+                    if (original[lowest] > waterLevel) {
+                        heights[lowest] += moved;
+                    }
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Place Names - Seeded zone and settlement names
+ *
+ * Names are built from a per-template naming palette (first syllable +
+ * ending, sometimes with a descriptive prefix). The naming seed is derived
+ * from the continent's seed with the 'names' stage salt, so a continent's
+ * places keep their names across sessions (see docs/continental-progression.md
+ * "Seed Hierarchy": NamingSeed = hash(ContinentSeed, "names")).
+ *
+ * Pure module - worker-compatible.
+ */
+
+import { deriveStageSeed, randomFromSeed, GENERATION_STAGES } from './seeds.js';
+
+// ============================================================================
+// NAMING PALETTES
+// ============================================================================
+
+/**
+ * Syllables per continent template
+ * roots: leading syllable, endings: trailing syllable,
+ * prefixes: occasional descriptive first word
+ */
+export const NAMING_PALETTES = {
+    // Pastoral, Anglo-Saxon flavoured
+    verdania: {
+        roots: ['Ash', 'Bram', 'Thorn', 'Mill', 'Wil', 'Elder', 'Hollow', 'Oak', 'Fen', 'Hazel', 'Brook', 'Stan', 'Marl', 'Hay'],
+        endings: ['ford', 'wick', 'ham', 'stead', 'by', 'ton', 'field', 'mere', 'leigh', 'bury', 'well', 'combe'],
+        prefixes: ['Little', 'Upper', 'Lower', 'Old', 'Green']
+    },
+    // Nordic
+    grausland: {
+        roots: ['Skar', 'Hrim', 'Grau', 'Ulf', 'Jarn', 'Kald', 'Vind', 'Storm', 'Bjar', 'Frost', 'Varg', 'Ey'],
+        endings: ['heim', 'vik', 'gard', 'fjell', 'holm', 'stad', 'dal', 'nes', 'borg', 'havn'],
+        prefixes: ['Nord', 'Sud', 'Gammel', 'Ny']
+    },
+    // Mediterranean
+    petermark: {
+        roots: ['Cal', 'Ser', 'Val', 'Mar', 'Sol', 'Pet', 'Ost', 'Ara', 'Lun', 'Cor', 'Tav', 'Bel'],
+        endings: ['ona', 'ara', 'essa', 'ino', 'ida', 'ano', 'ora', 'enza', 'etto', 'ia'],
+        prefixes: ['San', 'Porto', 'Monte', 'Villa']
+    },
+    // Neutral fallback for templates without their own palette
+    default: {
+        roots: ['Ash', 'Grau', 'Val', 'Oak', 'Skar', 'Mar', 'Fen', 'Sol', 'Thorn', 'Ulf'],
+        endings: ['ford', 'holm', 'ara', 'wick', 'dal', 'ino', 'stead', 'vik', 'mere', 'ona'],
+        prefixes: ['Old', 'New', 'High', 'Low']
+    }
+};
+
+// Chance a name gets a descriptive prefix ("Little Ashford")
+const PREFIX_CHANCE = 0.2;
+
+// Retries before accepting a duplicate name
+const MAX_NAME_ATTEMPTS = 8;
+
+// ============================================================================
+// NAME GENERATION
+// ============================================================================
+
+/**
+ * Naming seed for a continent
+ * @param {number} continentSeed - Continent (terrain) seed
+ * @returns {number}
+ */
+export function getNamingSeed(continentSeed) {
+    return deriveStageSeed(continentSeed, GENERATION_STAGES.NAMES);
+}
+
+/**
+ * Name for one zone of a continent
+ * @param {number} namingSeed - From getNamingSeed()
+ * @param {string} template - Continent template ('verdania', 'grausland', ...)
+ * @param {number} zoneIndex - Zone (or settlement) index
+ * @param {number} [attempt=0] - Re-roll counter for duplicate avoidance
+ * @returns {string}
+ */
+export function generateZoneName(namingSeed, template, zoneIndex, attempt = 0) {
+    const palette = NAMING_PALETTES[template] || NAMING_PALETTES.default;
+    const base = zoneIndex * 16 + attempt * 4;
+
+    const root = pick(palette.roots, randomFromSeed(namingSeed, base));
+    const ending = pick(palette.endings, randomFromSeed(namingSeed, base + 1));
+    const name = root + ending;
+
+    if (randomFromSeed(namingSeed, base + 2) < PREFIX_CHANCE) {
+        return `${pick(palette.prefixes, randomFromSeed(namingSeed, base + 3))} ${name}`;
+    }
+    return name;
+}
+
+/**
+ * Distinct names for a continent's zones
+ * @param {number} namingSeed - From getNamingSeed()
+ * @param {string} template - Continent template
+ * @param {number} count - Number of zones
+ * @returns {Array<string>}
+ */
+export function generateZoneNames(namingSeed, template, count) {
+    const names = [];
+    const used = new Set();
+
+    for (let i = 0; i < count; i++) {
+        let name = generateZoneName(namingSeed, template, i);
+        for (let attempt = 1; used.has(name) && attempt < MAX_NAME_ATTEMPTS; attempt++) {
+            name = generateZoneName(namingSeed, template, i, attempt);
+        }
+        used.add(name);
+        names.push(name);
+    }
+
+    return names;
+}
+
+function pick(array, value) {
+    return array[Math.floor(value * array.length)];
+}
@@ -0,0 +1,695 @@
+/**
+ * Road Network - Settlements and the roads between them
+ *
+ * Generation (once per continent, in the terrain worker):
+ * 1. placeSettlements() picks flat, dry, inland sites spread across the
+ *    island, plus harbor anchors (start and sailing point)
+ * 2. generateRoads() links them with a minimum spanning tree plus a few
+ *    shortcut paths, each routed by A* over a coarse cost grid where slope
+ *    is expensive and water needs a (costly) bridge
+ * 3. RoadNetwork bakes the result into the infra SDF (createInfraSDF) for
+ *    O(1) "is a road anywhere near?" checks, and keeps a segment grid for
+ *    exact per-column queries (distance, grade height, bridge, surface)
+ *
+ * Pure module - terrain is reached through a sampler passed in by the caller:
+ *   { getHeight(x, z), isWater(x, z), getInlandDistance(x, z) }
+ */
+
+import { createRNG } from './seeds.js';
+import { createInfraSDF, projectOntoSegment, interpolatePropertyAtT } from './sdf.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Road classes
+ * type: value baked into the infra SDF G channel (0 path, 0.5 road, 1 highway)
+ * halfWidth: half the paved width in blocks
+ * surface: surface block painted on the road bed
+ */
+export const ROAD_TYPES = {
+    path:    { type: 0,   halfWidth: 1.5, surface: 'dirt' },
+    road:    { type: 0.5, halfWidth: 2.5, surface: 'gravel' },
+    highway: { type: 1,   halfWidth: 3.5, surface: 'rock' }
+};
+
+// Surface used on bridge spans regardless of road class
+export const BRIDGE_SURFACE = 'rock';
+
+// Blocks beyond the paved edge over which terrain blends back to natural height
+export const ROAD_SHOULDER = 4;
+
+/**
+ * Settlement sizes by rank (best site first)
+ * radius: footprint kept clear of roads' flattening and used by the infra SDF
+ */
+const SETTLEMENT_SIZES = [
+    { size: 'town', radius: 40 },
+    { size: 'village', radius: 28 },
+    { size: 'village', radius: 28 },
+    { size: 'hamlet', radius: 18 }
+];
+const HARBOR_RADIUS = 16;
+
+const SETTLEMENT_COUNT = [5, 7];
+const SETTLEMENT_MIN_SPACING = 420;
+const SETTLEMENT_CANDIDATES = 60;   // Sites tried per settlement (most fall in the sea)
+const SETTLEMENT_MIN_INLAND = 120;  // Keep clear of beaches and cliffs
+const SETTLEMENT_MAX_HEIGHT = 36;
+const FLATNESS_PROBE = 16;          // Probe distance for site slope
+
+// Pathfinding grid
+const GRID_CELL = 32;
+const SLOPE_WEIGHT = 40;            // Cost multiplier per unit of slope squared
+const BRIDGE_COST = 6;              // Extra cost multiplier for water cells
+const SHARED_ROAD_DISCOUNT = 0.6;   // Reuse existing roads where possible
+const MAX_SEARCH_NODES = 40000;
+const MIN_ROUTE_INLAND = 12;        // Never route through the sea
+
+// Extra (non-tree) connections
+const SHORTCUT_MAX_DISTANCE = 900;
+const SHORTCUT_DETOUR_RATIO = 1.6;  // Only when the network route is this much longer
+
+// Final polyline
+const ROAD_SPACING = 12;            // Point spacing after resampling
+const BRIDGE_PROBE_STEP = 3;        // Water probe step along each segment
+const GRADE_SMOOTHING = 3;          // Moving-average half window (points)
+
+// Runtime queries
+const INFRA_SDF_SIZE = 256;
+const INFRA_MAX_DISTANCE = 200;
+const QUERY_CELL = 32;
+
+// ============================================================================
+// SETTLEMENTS
+// ============================================================================
+
+/**
+ * Pick settlement sites
+ * @param {number} seed - Road network seed
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ } of the island
+ * @param {Object} terrain - Terrain sampler
+ * @param {Object} [options]
+ * @param {Array<{x, z, angle, name}>} [options.harbors] - Fixed coastal anchors (docks, angle pointing seawards)
+ * @param {number} [options.waterLevel=6]
+ * @returns {Array<{id, x, z, size, radius, height}>}
+ */
+export function placeSettlements(seed, bounds, terrain, options = {}) {
+    const { harbors = [], waterLevel = 6 } = options;
+    const rng = createRNG(seed);
+    const [minCount, maxCount] = SETTLEMENT_COUNT;
+    const count = minCount + Math.floor(rng() * (maxCount - minCount + 1));
+
+    const sites = [];
+    for (let i = 0; i < count; i++) {
+        let best = null;
+        for (let c = 0; c < SETTLEMENT_CANDIDATES; c++) {
+            const x = bounds.minX + rng() * (bounds.maxX - bounds.minX);
+            const z = bounds.minZ + rng() * (bounds.maxZ - bounds.minZ);
+            const score = scoreSite(x, z, terrain, waterLevel);
+            if (score === null) continue;
+            if (sites.some(s => distance(s, { x, z }) < SETTLEMENT_MIN_SPACING)) continue;
+            if (harbors.some(h => distance(h, { x, z }) < SETTLEMENT_MIN_SPACING / 2)) continue;
+            if (!best || score > best.score) {
+                best = { x: Math.round(x), z: Math.round(z), score };
+            }
+        }
+        if (best) sites.push(best);
+    }
+
+    // Flattest site becomes the town
+    sites.sort((a, b) => b.score - a.score);
+    const settlements = sites.map((site, i) => {
+        const { size, radius } = SETTLEMENT_SIZES[Math.min(i, SETTLEMENT_SIZES.length - 1)];
+        return {
+            id: `s${i}`,
+            x: site.x,
+            z: site.z,
+            size,
+            radius,
+            height: terrain.getHeight(site.x, site.z)
+        };
+    });
+
+    harbors.forEach((harbor, i) => {
+        const x = Math.round(harbor.x);
+        const z = Math.round(harbor.z);
+        settlements.push({
+            id: `h${i}`,
+            x,
+            z,
+            size: 'harbor',
+            radius: HARBOR_RADIUS,
+            height: terrain.getHeight(x, z),
+            angle: harbor.angle,
+            name: harbor.name
+        });
+    });
+
+    return settlements;
+}
+
+/**
+ * Site score: higher is better, null if unbuildable
+ */
+function scoreSite(x, z, terrain, waterLevel) {
+    if (terrain.getInlandDistance(x, z) < SETTLEMENT_MIN_INLAND) return null;
+    if (terrain.isWater(x, z)) return null;
+
+    const h = terrain.getHeight(x, z);
+    if (h < waterLevel + 2 || h > SETTLEMENT_MAX_HEIGHT) return null;
+
+    let slope = 0;
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const px = x + dx * FLATNESS_PROBE;
+        const pz = z + dz * FLATNESS_PROBE;
+        if (terrain.isWater(px, pz)) return null;
+        slope = Math.max(slope, Math.abs(terrain.getHeight(px, pz) - h));
+    }
+
+    // Prefer flat ground, then lower valleys over high plateaus
+    return -slope - h * 0.05;
+}
+
+// ============================================================================
+// ROADS
+// ============================================================================
+
+/**
+ * Connect settlements with roads
+ * @param {Array} settlements - From placeSettlements()
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ } of the island
+ * @param {Object} terrain - Terrain sampler
+ * @param {Object} [options]
+ * @param {number} [options.waterLevel=6]
+ * @returns {Array<{path: Array<{x, z}>, properties: {type, kind, halfWidth, heights, bridges}, from, to}>}
+ */
+export function generateRoads(settlements, bounds, terrain, options = {}) {
+    const { waterLevel = 6 } = options;
+    if (settlements.length < 2) return [];
+
+    const grid = new CostGrid(bounds, terrain, waterLevel);
+    const roads = [];
+
+    for (const edge of planEdges(settlements)) {
+        const from = settlements[edge.a];
+        const to = settlements[edge.b];
+        const cells = grid.findPath(from, to);
+        if (!cells) {
+            console.warn(`[RoadNetwork] No route between ${from.id} and ${to.id}`);
+            continue;
+        }
+        grid.markRoad(cells);
+
+        const path = resample(smooth(simplify(cells.map(c => grid.cellCenter(c)))), ROAD_SPACING);
+        path[0] = { x: from.x, z: from.z };
+        path[path.length - 1] = { x: to.x, z: to.z };
+
+        const { heights, bridges } = gradeRoad(path, terrain, waterLevel);
+        const roadType = ROAD_TYPES[edge.kind];
+        roads.push({
+            path,
+            properties: {
+                type: roadType.type,
+                kind: edge.kind,
+                halfWidth: roadType.halfWidth,
+                heights,
+                bridges
+            },
+            from: from.id,
+            to: to.id
+        });
+    }
+
+    return roads;
+}
+
+/**
+ * Minimum spanning tree (highways from the town, roads elsewhere) plus
+ * footpath shortcuts where the tree route is a long detour
+ * @returns {Array<{a: number, b: number, kind: string}>}
+ */
+function planEdges(settlements) {
+    const n = settlements.length;
+    const inTree = new Array(n).fill(false);
+    const adjacency = Array.from({ length: n }, () => []);
+    const edges = [];
+
+    // Prim's algorithm on straight-line distance
+    inTree[0] = true;
+    for (let added = 1; added < n; added++) {
+        let best = null;
+        for (let a = 0; a < n; a++) {
+            if (!inTree[a]) continue;
+            for (let b = 0; b < n; b++) {
+                if (inTree[b]) continue;
+                const d = distance(settlements[a], settlements[b]);
+                if (!best || d < best.d) best = { a, b, d };
+            }
+        }
+        inTree[best.b] = true;
+        const touchesTown = settlements[best.a].size === 'town' || settlements[best.b].size === 'town';
+        edges.push({ a: best.a, b: best.b, kind: touchesTown ? 'highway' : 'road' });
+        adjacency[best.a].push({ to: best.b, d: best.d });
+        adjacency[best.b].push({ to: best.a, d: best.d });
+    }
+
+    for (let a = 0; a < n; a++) {
+        for (let b = a + 1; b < n; b++) {
+            const d = distance(settlements[a], settlements[b]);
+            if (d > SHORTCUT_MAX_DISTANCE) continue;
+            if (treeDistance(adjacency, a, b) > d * SHORTCUT_DETOUR_RATIO) {
+                edges.push({ a, b, kind: 'path' });
+                adjacency[a].push({ to: b, d });
+                adjacency[b].push({ to: a, d });
+            }
+        }
+    }
+
+    return edges;
+}
+
+function treeDistance(adjacency, from, to) {
+    // Graph is tiny - plain Dijkstra over an array
+    const dist = new Array(adjacency.length).fill(Infinity);
+    const done = new Array(adjacency.length).fill(false);
+    dist[from] = 0;
+    for (;;) {
+        let u = -1;
+        for (let i = 0; i < dist.length; i++) {
+            if (!done[i] && dist[i] < Infinity && (u === -1 || dist[i] < dist[u])) u = i;
+        }
+        if (u === -1 || u === to) return dist[to];
+        done[u] = true;
+        for (const { to: v, d } of adjacency[u]) {
+            dist[v] = Math.min(dist[v], dist[u] + d);
+        }
+    }
+}
+
+/**
+ * Grade heights along the road: smoothed terrain height, held above water
+ * on bridge spans
+ */
+function gradeRoad(path, terrain, waterLevel) {
+    const n = path.length;
+    const raw = path.map(p => terrain.getHeight(p.x, p.z));
+
+    // A segment is a bridge if any probe along it is water
+    const bridges = new Array(n).fill(0);
+    for (let i = 0; i < n - 1; i++) {
+        const a = path[i];
+        const b = path[i + 1];
+        const steps = Math.max(1, Math.ceil(distance(a, b) / BRIDGE_PROBE_STEP));
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            if (terrain.isWater(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t)) {
+                bridges[i] = 1;
+                bridges[i + 1] = 1;
+                break;
+            }
+        }
+    }
+
+    // Bridge decks span between their banks
+    const deckHeight = waterLevel + 2;
+    for (let i = 0; i < n; i++) {
+        if (!bridges[i]) continue;
+        let end = i;
+        while (end + 1 < n && bridges[end + 1]) end++;
+        const before = i > 0 ? raw[i - 1] : deckHeight;
+        const after = end + 1 < n ? raw[end + 1] : deckHeight;
+        const deck = Math.max(deckHeight, Math.min(before, after));
+        for (let j = i; j <= end; j++) raw[j] = deck;
+        i = end;
+    }
+
+    const heights = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = 0;
+        let count = 0;
+        for (let j = Math.max(0, i - GRADE_SMOOTHING); j <= Math.min(n - 1, i + GRADE_SMOOTHING); j++) {
+            sum += raw[j];
+            count++;
+        }
+        heights[i] = Math.max(waterLevel + 1, sum / count);
+        if (bridges[i]) heights[i] = Math.max(heights[i], deckHeight);
+    }
+
+    return { heights, bridges };
+}
+
+// ============================================================================
+// COST GRID (A*)
+// ============================================================================
+
+class CostGrid {
+    constructor(bounds, terrain, waterLevel) {
+        this.bounds = bounds;
+        this.terrain = terrain;
+        this.waterLevel = waterLevel;
+        this.cols = Math.ceil((bounds.maxX - bounds.minX) / GRID_CELL);
+        this.rows = Math.ceil((bounds.maxZ - bounds.minZ) / GRID_CELL);
+
+        // Lazily sampled per cell: NaN = not sampled yet
+        this.heights = new Float32Array(this.cols * this.rows).fill(NaN);
+        this.flags = new Uint8Array(this.cols * this.rows);  // 1 water, 2 sea, 4 road
+    }
+
+    cellOf(point) {
+        const cx = Math.max(0, Math.min(this.cols - 1, Math.floor((point.x - this.bounds.minX) / GRID_CELL)));
+        const cz = Math.max(0, Math.min(this.rows - 1, Math.floor((point.z - this.bounds.minZ) / GRID_CELL)));
+        return cz * this.cols + cx;
+    }
+
+    cellCenter(cell) {
+        const cx = cell % this.cols;
+        const cz = Math.floor(cell / this.cols);
+        return {
+            x: this.bounds.minX + (cx + 0.5) * GRID_CELL,
+            z: this.bounds.minZ + (cz + 0.5) * GRID_CELL
+        };
+    }
+
+    sample(cell) {
+        if (!Number.isNaN(this.heights[cell])) return;
+        const { x, z } = this.cellCenter(cell);
+        if (this.terrain.getInlandDistance(x, z) < MIN_ROUTE_INLAND) {
+            this.flags[cell] |= 2;
+            this.heights[cell] = this.waterLevel;
+            return;
+        }
+        this.heights[cell] = this.terrain.getHeight(x, z);
+        if (this.terrain.isWater(x, z)) this.flags[cell] |= 1;
+    }
+
+    markRoad(cells) {
+        for (const cell of cells) this.flags[cell] |= 4;
+    }
+
+    stepCost(from, to, length) {
+        this.sample(to);
+        if (this.flags[to] & 2) return Infinity;
+
+        const slope = Math.abs(this.heights[to] - this.heights[from]) / length;
+        let cost = length * (1 + SLOPE_WEIGHT * slope * slope);
+        if (this.flags[to] & 1) cost *= BRIDGE_COST;
+        if (this.flags[to] & 4) cost *= SHARED_ROAD_DISCOUNT;
+        return cost;
+    }
+
+    /**
+     * A* from one settlement to another
+     * @returns {Array<number>|null} Cell indices from start to goal
+     */
+    findPath(fromPoint, toPoint) {
+        const start = this.cellOf(fromPoint);
+        const goal = this.cellOf(toPoint);
+        const goalCenter = this.cellCenter(goal);
+        this.sample(start);
+
+        const gScore = new Map([[start, 0]]);
+        const cameFrom = new Map();
+        const open = new MinHeap();
+        open.push(start, 0);
+
+        let expanded = 0;
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) return this.reconstruct(cameFrom, current);
+            if (++expanded > MAX_SEARCH_NODES) return null;
+
+            const cx = current % this.cols;
+            const cz = Math.floor(current / this.cols);
+            const g = gScore.get(current);
+
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+                    const nx = cx + dx;
+                    const nz = cz + dz;
+                    if (nx < 0 || nz < 0 || nx >= this.cols || nz >= this.rows) continue;
+
+                    const next = nz * this.cols + nx;
+                    const length = (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1) * GRID_CELL;
+                    const cost = this.stepCost(current, next, length);
+                    if (cost === Infinity) continue;
+
+                    const tentative = g + cost;
+                    if (tentative < (gScore.get(next) ?? Infinity)) {
+                        gScore.set(next, tentative);
+                        cameFrom.set(next, current);
+                        const center = this.cellCenter(next);
+                        open.push(next, tentative + distance(center, goalCenter));
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    reconstruct(cameFrom, current) {
+        const cells = [current];
+        while (cameFrom.has(current)) {
+            current = cameFrom.get(current);
+            cells.push(current);
+        }
+        return cells.reverse();
+    }
+}
+
+/**
+ * Binary min-heap of (value, priority)
+ */
+class MinHeap {
+    constructor() {
+        this.values = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.values.length;
+    }
+
+    push(value, priority) {
+        const { values, priorities } = this;
+        let i = values.length;
+        values.push(value);
+        priorities.push(priority);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priorities[i]) break;
+            swap(values, i, parent);
+            swap(priorities, i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const { values, priorities } = this;
+        const top = values[0];
+        const lastValue = values.pop();
+        const lastPriority = priorities.pop();
+        if (values.length > 0) {
+            values[0] = lastValue;
+            priorities[0] = lastPriority;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < values.length && priorities[left] < priorities[smallest]) smallest = left;
+                if (right < values.length && priorities[right] < priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                swap(values, i, smallest);
+                swap(priorities, i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+function swap(array, i, j) {
+    const tmp = array[i];
+    array[i] = array[j];
+    array[j] = tmp;
+}
+
+// ============================================================================
+// POLYLINE SHAPING
+// ============================================================================
+
+/**
+ * Drop points where the grid path keeps going the same direction
+ */
+function simplify(points) {
+    if (points.length < 3) return points;
+    const result = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const prev = points[i - 1];
+        const next = points[i + 1];
+        const dx1 = Math.sign(points[i].x - prev.x);
+        const dz1 = Math.sign(points[i].z - prev.z);
+        const dx2 = Math.sign(next.x - points[i].x);
+        const dz2 = Math.sign(next.z - points[i].z);
+        if (dx1 !== dx2 || dz1 !== dz2) result.push(points[i]);
+    }
+    result.push(points[points.length - 1]);
+    return result;
+}
+
+/**
+ * Chaikin corner cutting (two passes) to round off grid corners
+ */
+function smooth(points) {
+    let current = points;
+    for (let pass = 0; pass < 2; pass++) {
+        if (current.length < 3) return current;
+        const next = [current[0]];
+        for (let i = 0; i < current.length - 1; i++) {
+            const a = current[i];
+            const b = current[i + 1];
+            next.push({ x: a.x * 0.75 + b.x * 0.25, z: a.z * 0.75 + b.z * 0.25 });
+            next.push({ x: a.x * 0.25 + b.x * 0.75, z: a.z * 0.25 + b.z * 0.75 });
+        }
+        next.push(current[current.length - 1]);
+        current = next;
+    }
+    return current;
+}
+
+/**
+ * Evenly spaced points along a polyline
+ */
+function resample(points, spacing) {
+    if (points.length < 2) return points.slice();
+    const result = [{ x: points[0].x, z: points[0].z }];
+    let carry = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const length = distance(a, b);
+        let d = spacing - carry;
+        while (d < length) {
+            const t = d / length;
+            result.push({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+            d += spacing;
+        }
+        carry = length - (d - spacing);
+    }
+    const last = points[points.length - 1];
+    result.push({ x: last.x, z: last.z });
+    return result;
+}
+
+function distance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// ============================================================================
+// RUNTIME QUERIES
+// ============================================================================
+
+/**
+ * Baked road network with per-column queries
+ */
+export class RoadNetwork {
+    /**
+     * @param {Object} bounds - { minX, maxX, minZ, maxZ } of the island
+     * @param {Array} roads - From generateRoads()
+     * @param {Array} settlements - From placeSettlements()
+     */
+    constructor(bounds, roads, settlements) {
+        this.bounds = bounds;
+        this.roads = roads;
+        this.settlements = settlements;
+
+        this.infraSDF = createInfraSDF(bounds, roads, settlements, {
+            size: INFRA_SDF_SIZE,
+            maxDistance: INFRA_MAX_DISTANCE
+        });
+
+        // Early-out threshold: widest road + shoulder + bilinear error of one texel diagonal
+        const texelSize = (bounds.maxX - bounds.minX) / INFRA_SDF_SIZE;
+        this.coarseThreshold = ROAD_TYPES.highway.halfWidth + ROAD_SHOULDER + texelSize * 1.5;
+
+        this.segmentGrid = new Map();
+        this.buildSegmentGrid();
+    }
+
+    /**
+     * Index every segment in the query cells its bounding box (plus the
+     * widest road's influence) overlaps
+     */
+    buildSegmentGrid() {
+        const reach = ROAD_TYPES.highway.halfWidth + ROAD_SHOULDER;
+        this.roads.forEach((road, roadIndex) => {
+            const { path } = road;
+            for (let i = 0; i < path.length - 1; i++) {
+                const a = path[i];
+                const b = path[i + 1];
+                const minCX = Math.floor((Math.min(a.x, b.x) - reach) / QUERY_CELL);
+                const maxCX = Math.floor((Math.max(a.x, b.x) + reach) / QUERY_CELL);
+                const minCZ = Math.floor((Math.min(a.z, b.z) - reach) / QUERY_CELL);
+                const maxCZ = Math.floor((Math.max(a.z, b.z) + reach) / QUERY_CELL);
+                for (let cz = minCZ; cz <= maxCZ; cz++) {
+                    for (let cx = minCX; cx <= maxCX; cx++) {
+                        const key = `${cx},${cz}`;
+                        if (!this.segmentGrid.has(key)) this.segmentGrid.set(key, []);
+                        this.segmentGrid.get(key).push(roadIndex, i);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Nearest road affecting a column
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {{distance: number, halfWidth: number, shoulder: number, height: number, bridge: boolean, kind: string, surface: string}|null}
+     *   null when no road paves or shoulders this column
+     */
+    getRoadInfo(x, z) {
+        if (this.roads.length === 0) return null;
+        if (this.infraSDF.sampleBilinear(x, z, 0) > this.coarseThreshold) return null;
+
+        const entries = this.segmentGrid.get(`${Math.floor(x / QUERY_CELL)},${Math.floor(z / QUERY_CELL)}`);
+        if (!entries) return null;
+
+        let best = null;
+        for (let e = 0; e < entries.length; e += 2) {
+            const road = this.roads[entries[e]];
+            const i = entries[e + 1];
+            const a = road.path[i];
+            const b = road.path[i + 1];
+            const proj = projectOntoSegment(x, z, a.x, a.z, b.x, b.z);
+            const dx = x - proj.x;
+            const dz = z - proj.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const reach = road.properties.halfWidth + ROAD_SHOULDER;
+
+            // Wider roads win where they overlap narrower ones
+            if (dist < reach && (!best || dist - road.properties.halfWidth < best.distance - best.halfWidth)) {
+                best = { distance: dist, road, segmentIndex: i, t: proj.t, halfWidth: road.properties.halfWidth };
+            }
+        }
+        if (!best) return null;
+
+        const { road, segmentIndex, t } = best;
+        const bridge = interpolatePropertyAtT(road, segmentIndex, t, 'bridge') >= 0.5;
+        return {
+            distance: best.distance,
+            halfWidth: best.halfWidth,
+            shoulder: ROAD_SHOULDER,
+            height: interpolatePropertyAtT(road, segmentIndex, t, 'height'),
+            bridge,
+            kind: road.properties.kind,
+            surface: bridge ? BRIDGE_SURFACE : ROAD_TYPES[road.properties.kind].surface
+        };
+    }
+}
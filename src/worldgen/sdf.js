@@ -11,7 +11,8 @@
  * - terrain_sdf: R=ocean dist (signed), G=mountain dist, B=lake dist (signed), A=unused
  * - hydro_sdf: R=river dist, G=river width, B=flow direction, A=water depth
  * - infra_sdf: R=road dist, G=road type, B=settlement dist, A=unused
- * - climate_tex: R=temperature, G=humidity, B=erosion, A=unused
+ * - climate_tex: R=temperature, G=humidity, B=erosion, A=elevation
+ * - erosion_tex: R=height delta, G=flow (2 channels, baked by erosion.js)
  */
 
 // =============================================================================
@@ -55,7 +56,11 @@ export const CHANNEL_LAYOUTS = {
         R: 'temperature',        // Climate temperature [0,1]
         G: 'humidity',           // Climate humidity [0,1]
         B: 'erosion',            // Erosion factor [0,1]
-        A: 'unused'
+        A: 'elevation'           // Normalized elevation noise [0,1] (biome selection)
+    },
+    erosion: {
+        R: 'heightDelta',        // Eroded minus original height in blocks (negative = carved)
+        G: 'flow'                // Normalized water flow [0,1] (see erosion.js)
     }
 };
 
@@ -529,6 +534,34 @@ export function signedDistanceToPolygon(px, pz, polygon) {
 // Distance Field Generation
 // =============================================================================
 
+/**
+ * Axis-aligned bounds of each polyline, expanded by a margin
+ * Used to skip polylines that can't be within maxDistance of a texel
+ *
+ * @param {Array} polylines - Polylines with .path or raw point arrays
+ * @param {number} margin - Expansion in world units (Infinity disables culling)
+ * @returns {Array<{minX: number, maxX: number, minZ: number, maxZ: number}|null>}
+ */
+function getPolylineBounds(polylines, margin) {
+    return polylines.map(polyline => {
+        const path = polyline.path || polyline;
+        if (!Number.isFinite(margin) || path.length === 0) return null;
+
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (const p of path) {
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minZ = Math.min(minZ, p.z);
+            maxZ = Math.max(maxZ, p.z);
+        }
+        return { minX: minX - margin, maxX: maxX + margin, minZ: minZ - margin, maxZ: maxZ + margin };
+    });
+}
+
+function isInBounds(x, z, box) {
+    return !box || (x >= box.minX && x <= box.maxX && z >= box.minZ && z <= box.maxZ);
+}
+
 /**
  * Generate distance field from polylines
  *
@@ -541,6 +574,7 @@ export function signedDistanceToPolygon(px, pz, polygon) {
 export function generatePolylineDF(polylines, texture, channel, options = {}) {
     const { maxDistance = Infinity } = options;
     const { width, height, bounds } = texture;
+    const boxes = getPolylineBounds(polylines, maxDistance);
 
     // For each texel
     for (let v = 0; v < height; v++) {
@@ -551,7 +585,11 @@ export function generatePolylineDF(polylines, texture, channel, options = {}) {
             // Find minimum distance to any polyline
             let minDist = Infinity;
 
-            for (const polyline of polylines) {
+            for (let i = 0; i < polylines.length; i++) {
+                // Polylines farther than maxDistance can't change the clamped result
+                if (!isInBounds(world.x, world.z, boxes[i])) continue;
+
+                const polyline = polylines[i];
                 const dist = distanceToPolyline(world.x, world.z, polyline);
                 if (dist < minDist) {
                     minDist = dist;
@@ -578,6 +616,7 @@ export function generatePolylineDF(polylines, texture, channel, options = {}) {
  */
 export function generatePropertyChannel(polylines, texture, channel, property, maxDistance = 100) {
     const { width, height, bounds } = texture;
+    const boxes = getPolylineBounds(polylines, maxDistance);
 
     for (let v = 0; v < height; v++) {
         for (let u = 0; u < width; u++) {
@@ -586,7 +625,10 @@ export function generatePropertyChannel(polylines, texture, channel, property, m
             let minDist = Infinity;
             let nearestProperty = 0;
 
-            for (const polyline of polylines) {
+            for (let i = 0; i < polylines.length; i++) {
+                if (!isInBounds(world.x, world.z, boxes[i])) continue;
+
+                const polyline = polylines[i];
                 const result = getNearestPointOnPolyline(world.x, world.z, polyline);
                 if (result.distance < minDist) {
                     minDist = result.distance;
@@ -845,7 +887,7 @@ export function createInfraSDF(bounds, roads, settlements, options = {}) {
 
 /**
  * Create climate texture using noise sampling
- * Channel R: temperature, G: humidity, B: erosion, A: unused
+ * Channel R: temperature, G: humidity, B: erosion, A: elevation
  *
  * Note: This function requires climate sampling functions from worldgen.js
  * If not provided, it creates an empty texture
@@ -857,25 +899,41 @@ export function createInfraSDF(bounds, roads, settlements, options = {}) {
  * @param {Function} [options.sampleTemperature] - Temperature sampler
  * @param {Function} [options.sampleHumidity] - Humidity sampler
  * @param {Function} [options.sampleErosion] - Erosion sampler
+ * @param {Function} [options.sampleElevation] - Elevation sampler
+ * @param {Function} [options.sampleClimate] - Combined sampler returning
+ *   { temperature, humidity, elevation } in one evaluation per texel
+ *   (takes precedence over the per-channel samplers for those channels)
  * @returns {SDFTexture}
  */
 export function createClimateTex(bounds, seed, template, options = {}) {
     const {
         size = DEFAULT_SDF_SIZE,
-        sampleTemperature,
-        sampleHumidity,
-        sampleErosion
+        sampleErosion,
+        sampleClimate
     } = options;
 
+    // Per-texel result of the combined sampler
+    let climate = null;
+    const sampleTemperature = sampleClimate ? () => climate.temperature : options.sampleTemperature;
+    const sampleHumidity = sampleClimate ? () => climate.humidity : options.sampleHumidity;
+    const sampleElevation = sampleClimate ? () => climate.elevation : options.sampleElevation;
+
     const texture = new SDFTexture(size, size, 4, bounds);
     const { width, height } = texture;
 
-    // Initialize unused channel
-    texture.fillChannel(3, 0);
+    // Channels without a sampler read as 0
+    [sampleTemperature, sampleHumidity, sampleErosion, sampleElevation].forEach((sampler, channel) => {
+        if (!sampler) texture.fillChannel(channel, 0);
+    });
 
+    // Sample at texel origins, where sampleBilinear() reads texel (u, v)
     for (let v = 0; v < height; v++) {
         for (let u = 0; u < width; u++) {
-            const world = texelToWorld(u + 0.5, v + 0.5, bounds, width);
+            const world = texelToWorld(u, v, bounds, width);
+
+            if (sampleClimate) {
+                climate = sampleClimate(world.x, world.z, seed, template);
+            }
 
             // Sample climate parameters if samplers provided
             if (sampleTemperature) {
@@ -889,6 +947,10 @@ export function createClimateTex(bounds, seed, template, options = {}) {
             if (sampleErosion) {
                 texture.set(u, v, 2, sampleErosion(world.x, world.z, seed, template));
             }
+
+            if (sampleElevation) {
+                texture.set(u, v, 3, sampleElevation(world.x, world.z, seed, template));
+            }
         }
     }
 
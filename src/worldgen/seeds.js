@@ -70,6 +70,19 @@ export function deriveContinentSeed(worldSeed, continentId) {
     return (h ^ (h >>> 16)) >>> 0;
 }
 
+/**
+ * Seed the terrain generator runs with for a continent.
+ * Continent 0 keeps the world seed (so existing worlds generate unchanged);
+ * later continents use their derived continent seed.
+ *
+ * @param {number} worldSeed - Global world seed
+ * @param {number} continentIndex - Continent in the sailing sequence
+ * @returns {number} Terrain seed for the continent
+ */
+export function getContinentTerrainSeed(worldSeed, continentIndex = 0) {
+    return continentIndex === 0 ? worldSeed : deriveContinentSeed(worldSeed, continentIndex);
+}
+
 /**
  * Derive stage-specific seed from parent seed and stage name.
  * Convenience wrapper around deriveSeed for standard stages.